@@ -3,6 +3,10 @@ require('dotenv').config();
 const app = require('./src/app');
 const connectDB = require('./src/config/database');
 const logger = require('./src/utils/logger');
+const { startScheduler, stopScheduler } = require('./src/services/scheduler');
+const { runMigrations } = require('./src/services/migrationService');
+const { closeAll: closeRealtimeStreams } = require('./src/services/realtimeService');
+const { terminateOcr } = require('./src/services/ocrService');
 
 const PORT = process.env.PORT || 5050;
 
@@ -10,6 +14,9 @@ const PORT = process.env.PORT || 5050;
 const startServer = async () => {
   try {
     await connectDB();
+
+    // Aggiornamento dei dati esistenti alle nuove funzionalità
+    await runMigrations();
     
     // Avvio del server solo dopo connessione DB riuscita
     const server = app.listen(PORT, () => {
@@ -17,9 +24,16 @@ const startServer = async () => {
       logger.info(`📊 Health check available at http://localhost:${PORT}/health`);
     });
 
+    // Avvio dei job pianificati (entrate ricorrenti, budget, inviti scaduti)
+    startScheduler();
+
     // Gestione graceful shutdown
     process.on('unhandledRejection', (err, promise) => {
       logger.error('Unhandled Promise Rejection:', err.message);
+      stopScheduler();
+      // Le connessioni SSE aperte impedirebbero la chiusura del server
+      closeRealtimeStreams();
+      terminateOcr();
       server.close(() => {
         process.exit(1);
       });
@@ -3,6 +3,9 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const logger = require('./utils/logger');
+const { UPLOADS_URL_PATH } = require('./services/receiptStorageService');
+const { configurePassport } = require('./config/passport');
+const { selectFamilyFromPath } = require('./middleware/auth');
 
 // Importazione routes
 const authRoutes = require('./routes/auth');
@@ -13,6 +16,15 @@ const budgetRoutes = require('./routes/budgets');
 const familyRoutes = require('./routes/family');
 const dashboardRoutes = require('./routes/dashboard');
 const profileRoutes = require('./routes/profile');
+const adminRoutes = require('./routes/admin');
+const importRoutes = require('./routes/import');
+const exportRoutes = require('./routes/export');
+const exchangeRateRoutes = require('./routes/exchangeRates');
+const goalRoutes = require('./routes/goals');
+const realtimeRoutes = require('./routes/realtime');
+const notificationRoutes = require('./routes/notifications');
+const trashRoutes = require('./routes/trash');
+const uploadRoutes = require('./routes/uploads');
 
 // Importazione middleware personalizzati
 // const errorHandler = require('./middleware/errorHandler');
@@ -60,7 +72,7 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Family-Id']
 }));
 
 // Rate limiting
@@ -80,12 +92,20 @@ app.use('/api/', limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Autenticazione OAuth (Google) senza sessioni
+app.use(configurePassport().initialize());
+
 // Logging middleware
 app.use((req, res, next) => {
-  logger.http(`${req.method} ${req.originalUrl} - ${req.ip}`);
+  // Il token passato in query (stream realtime) non deve finire nei log
+  const url = req.originalUrl.replace(/([?&]token=)[^&]*/, '$1[REDACTED]');
+  logger.http(`${req.method} ${url} - ${req.ip}`);
   next();
 });
 
+// File caricati con lo storage locale: solo per i membri della famiglia proprietaria
+app.use(UPLOADS_URL_PATH, uploadRoutes);
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({
@@ -96,6 +116,9 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Famiglia attiva indicata nel percorso (/api/families/:familyId/...)
+app.use(selectFamilyFromPath);
+
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/expenses', expenseRoutes);
@@ -105,6 +128,14 @@ app.use('/api/budgets', budgetRoutes);
 app.use('/api/family', familyRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/profile', profileRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/import', importRoutes);
+app.use('/api/export', exportRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/goals', goalRoutes);
+app.use('/api/realtime', realtimeRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/trash', trashRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -1,5 +1,6 @@
 const cloudinary = require('cloudinary').v2;
 const { CloudinaryStorage } = require('multer-storage-cloudinary');
+const crypto = require('crypto');
 
 // Configurazione Cloudinary
 cloudinary.config({
@@ -30,6 +31,32 @@ const avatarStorage = new CloudinaryStorage({
   },
 });
 
+// Storage per scontrini e fatture (immagini e PDF, organizzati per famiglia)
+// I PDF sono caricati come immagini per poterne generare l'anteprima della prima pagina
+const receiptStorage = new CloudinaryStorage({
+  cloudinary: cloudinary,
+  params: async (req, file) => ({
+    folder: `familybudget/receipts/${req.family._id}`,
+    allowed_formats: ['jpg', 'jpeg', 'png', 'webp', 'pdf'],
+    resource_type: 'image',
+    public_id: `receipt_${req.params.id}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`
+  }),
+});
+
+// Funzione per generare l'URL della miniatura di uno scontrino (prima pagina per i PDF)
+const getThumbnailUrl = (publicId) => {
+  return cloudinary.url(publicId, {
+    secure: true,
+    resource_type: 'image',
+    format: 'jpg',
+    page: 1,
+    width: 300,
+    height: 300,
+    crop: 'limit',
+    quality: 'auto:good'
+  });
+};
+
 // Funzione per eliminare immagine da Cloudinary
 const deleteImage = async (publicId) => {
   try {
@@ -59,6 +86,8 @@ const extractPublicId = (url) => {
 module.exports = {
   cloudinary,
   avatarStorage,
+  receiptStorage,
+  getThumbnailUrl,
   deleteImage,
   extractPublicId
 }; 
\ No newline at end of file
@@ -0,0 +1,10 @@
+// Valute supportate per transazioni, tassi di cambio e valuta base della famiglia
+const SUPPORTED_CURRENCIES = ['EUR', 'USD', 'GBP', 'CHF'];
+
+// Valuta base di default (usata anche per i dati precedenti al multi-valuta)
+const DEFAULT_CURRENCY = 'EUR';
+
+module.exports = {
+  SUPPORTED_CURRENCIES,
+  DEFAULT_CURRENCY
+};
@@ -1,10 +1,15 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 
-// Genera un token JWT
+// Durata dei token di accesso: il rinnovo avviene con il refresh token della sessione
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_EXPIRE || '15m';
+
+// Genera un token JWT di accesso (il payload deve contenere sessionId)
 const generateToken = (payload) => {
   return jwt.sign(payload, process.env.JWT_SECRET, {
     issuer: 'FamBud-API',
-    audience: 'FamBud-Client'
+    audience: 'FamBud-Client',
+    expiresIn: ACCESS_TOKEN_EXPIRE
   });
 };
 
@@ -64,6 +69,50 @@ const verifyInviteToken = (token) => {
   }
 };
 
+// Genera il token della verifica in due passaggi (password corretta, codice TOTP da verificare)
+const generateTwoFactorChallengeToken = (userId) => {
+  return jwt.sign(
+    { userId, type: '2fa_challenge' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+};
+
+// Verifica il token della verifica in due passaggi
+const verifyTwoFactorChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.type !== '2fa_challenge') {
+      throw new Error('Tipo di token non valido');
+    }
+    return decoded;
+  } catch (error) {
+    throw new Error('Verifica scaduta: effettua di nuovo il login');
+  }
+};
+
+// Genera il parametro state per OAuth (protezione CSRF e collegamento account)
+const generateOAuthStateToken = (purpose, userId = null) => {
+  return jwt.sign(
+    { purpose, userId, nonce: crypto.randomBytes(8).toString('hex'), type: 'oauth_state' },
+    process.env.JWT_SECRET,
+    { expiresIn: '10m' }
+  );
+};
+
+// Verifica il parametro state restituito dal provider OAuth
+const verifyOAuthStateToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.type !== 'oauth_state') {
+      throw new Error('Tipo di token non valido');
+    }
+    return decoded;
+  } catch (error) {
+    throw new Error('Richiesta di accesso non valida o scaduta');
+  }
+};
+
 // Estrae token dall'header Authorization
 const extractTokenFromHeader = (authHeader) => {
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -73,11 +122,16 @@ const extractTokenFromHeader = (authHeader) => {
 };
 
 module.exports = {
+  ACCESS_TOKEN_EXPIRE,
   generateToken,
   verifyToken,
   generateResetToken,
   verifyResetToken,
   generateInviteToken,
   verifyInviteToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
+  generateOAuthStateToken,
+  verifyOAuthStateToken,
   extractTokenFromHeader
 }; 
\ No newline at end of file
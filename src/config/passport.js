@@ -0,0 +1,28 @@
+const passport = require('passport');
+const { Strategy: GoogleStrategy } = require('passport-google-oauth20');
+
+// Verifica se l'accesso con Google è configurato
+const isGoogleAuthEnabled = () => Boolean(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET);
+
+// Strategia Google OAuth 2.0 senza sessioni Express: il profilo viene gestito dal controller.
+// Gli URL del provider sono configurabili per i test con un server OAuth simulato.
+const configurePassport = () => {
+  if (!isGoogleAuthEnabled()) return passport;
+
+  passport.use(new GoogleStrategy({
+    clientID: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    callbackURL: process.env.GOOGLE_CALLBACK_URL || '/api/auth/google/callback',
+    authorizationURL: process.env.GOOGLE_AUTH_URL || undefined,
+    tokenURL: process.env.GOOGLE_TOKEN_URL || undefined,
+    userProfileURL: process.env.GOOGLE_USERINFO_URL || undefined
+  }, (accessToken, refreshToken, profile, done) => done(null, profile)));
+
+  return passport;
+};
+
+module.exports = {
+  passport,
+  configurePassport,
+  isGoogleAuthEnabled
+};
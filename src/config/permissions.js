@@ -0,0 +1,116 @@
+// Permessi assegnabili ai ruoli della famiglia
+const PERMISSIONS = {
+  'family:manage': 'Modificare nome, impostazioni e banner della famiglia',
+  'members:invite': 'Invitare nuovi membri e gestire gli inviti',
+  'members:manage': 'Cambiare ruolo ai membri e rimuoverli',
+  'roles:manage': 'Definire ruoli personalizzati',
+  'expenses:create': 'Registrare spese e allegare scontrini',
+  'expenses:edit_others': 'Modificare ed eliminare le spese degli altri membri',
+  'incomes:view': 'Vedere le entrate della famiglia',
+  'incomes:create': 'Registrare entrate',
+  'incomes:edit_others': 'Modificare ed eliminare le entrate degli altri membri',
+  'recurring:process': 'Generare le transazioni ricorrenti',
+  'budgets:manage': 'Creare, modificare ed eliminare budget',
+  'categories:create': 'Creare categorie',
+  'categories:manage': 'Modificare, riordinare ed eliminare categorie e regole di categorizzazione',
+  'goals:manage': 'Creare, modificare ed eliminare obiettivi di risparmio',
+  'goals:contribute': 'Versare contributi agli obiettivi di risparmio',
+  'settlements:create': 'Registrare pagamenti tra membri',
+  'settlements:manage': 'Annullare i pagamenti registrati da altri membri',
+  'exchange_rates:manage': 'Gestire i tassi di cambio',
+  'data:import': 'Importare estratti conto',
+  'data:export': 'Esportare i dati della famiglia',
+  'admin:view': 'Vedere lo storico dei job e gli eventi di sicurezza'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Ruoli predefiniti. owner ha sempre tutti i permessi; i ruoli personalizzati
+// della famiglia (Family.roles) non possono usare queste chiavi
+const BUILT_IN_ROLES = {
+  owner: {
+    name: 'Proprietario',
+    permissions: ALL_PERMISSIONS
+  },
+  admin: {
+    name: 'Amministratore',
+    permissions: ALL_PERMISSIONS.filter(permission => permission !== 'roles:manage')
+  },
+  member: {
+    name: 'Membro',
+    permissions: [
+      'expenses:create',
+      'incomes:view',
+      'incomes:create',
+      'categories:create',
+      'goals:contribute',
+      'settlements:create',
+      'data:import',
+      'data:export'
+    ]
+  },
+  viewer: {
+    name: 'Osservatore',
+    permissions: ['incomes:view', 'data:export']
+  },
+  child: {
+    name: 'Figlio',
+    permissions: ['expenses:create', 'goals:contribute']
+  }
+};
+
+// Ruoli che solo un owner può assegnare
+const OWNER_ONLY_ROLES = ['owner'];
+
+/**
+ * Definizione di un ruolo (predefinito o personalizzato della famiglia)
+ * @param {Object} family - Documento Family
+ * @param {string} role - Chiave del ruolo
+ * @returns {{name: string, permissions: Array<string>}|null}
+ */
+const getRoleDefinition = (family, role) => {
+  if (BUILT_IN_ROLES[role]) return BUILT_IN_ROLES[role];
+  const customRole = (family?.roles || []).find(item => item.key === role);
+  return customRole ? { name: customRole.name, permissions: customRole.permissions } : null;
+};
+
+/**
+ * Permessi di un ruolo nella famiglia (vuoto se il ruolo non esiste)
+ * @param {Object} family - Documento Family
+ * @param {string} role - Chiave del ruolo
+ * @returns {Array<string>}
+ */
+const getRolePermissions = (family, role) => getRoleDefinition(family, role)?.permissions || [];
+
+/**
+ * Verifica se un ruolo ha un permesso nella famiglia
+ * @param {Object} family - Documento Family
+ * @param {string} role - Chiave del ruolo
+ * @param {string} permission - Permesso richiesto
+ * @returns {boolean}
+ */
+const roleHasPermission = (family, role, permission) => getRolePermissions(family, role).includes(permission);
+
+/**
+ * Verifica se chi ha un ruolo può concedere (o togliere) un altro ruolo: il ruolo
+ * non può avere permessi che il ruolo di chi lo concede non ha
+ * @param {Object} family - Documento Family
+ * @param {string} granterRole - Ruolo di chi concede
+ * @param {string} role - Ruolo da concedere
+ * @returns {boolean}
+ */
+const canGrantRole = (family, granterRole, role) => {
+  const granterPermissions = getRolePermissions(family, granterRole);
+  return getRolePermissions(family, role).every(permission => granterPermissions.includes(permission));
+};
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  BUILT_IN_ROLES,
+  OWNER_ONLY_ROLES,
+  getRoleDefinition,
+  getRolePermissions,
+  roleHasPermission,
+  canGrantRole
+};
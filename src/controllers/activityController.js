@@ -0,0 +1,78 @@
+const AuditEvent = require('../models/AuditEvent');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+// @desc    Ottieni il log attività della famiglia
+// @route   GET /api/family/activity
+// @access  Private
+const getActivity = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const familyId = req.family._id;
+    const { page = 1, limit = 20, userId, entity, entityId, startDate, endDate } = req.query;
+
+    // Senza il permesso di vedere le entrate della famiglia, le loro modifiche non compaiono
+    const hiddenEntities = req.permissions.includes('incomes:view') ? [] : ['income'];
+
+    const filters = { familyId, entity: { $nin: hiddenEntities } };
+    if (entity) filters.entity.$eq = entity;
+    if (userId) filters.actorId = userId;
+    if (entityId) filters.entityId = entityId;
+
+    if (startDate || endDate) {
+      filters.createdAt = {};
+      if (startDate) filters.createdAt.$gte = new Date(startDate);
+      if (endDate) {
+        const endDateTime = new Date(endDate);
+        endDateTime.setHours(23, 59, 59, 999);
+        filters.createdAt.$lte = endDateTime;
+      }
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // IP e user agent solo per chi può vedere gli eventi di sicurezza
+    const hiddenFields = req.permissions.includes('admin:view') ? '-expiresAt' : '-expiresAt -ip -userAgent';
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(filters)
+        .select(hiddenFields)
+        .populate('actorId', 'name email avatar')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      AuditEvent.countDocuments(filters)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get activity error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore nel recupero del log attività'
+    });
+  }
+};
+
+module.exports = {
+  getActivity
+};
@@ -0,0 +1,161 @@
+const JobRun = require('../models/JobRun');
+const SecurityEvent = require('../models/SecurityEvent');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+// @desc    Ottieni lo storico delle esecuzioni dei job pianificati
+// @route   GET /api/admin/jobs
+// @access  Private (admin:view)
+const getJobRuns = async (req, res) => {
+  try {
+    // Validazione input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const familyId = req.family._id;
+    const {
+      page = 1,
+      limit = 20,
+      job,
+      status,
+      startDate,
+      endDate
+    } = req.query;
+
+    // Costruisci filtri (solo i job della propria famiglia)
+    const filters = { familyId };
+
+    if (job) filters.job = job;
+    if (status) filters.status = status;
+
+    if (startDate || endDate) {
+      filters.startedAt = {};
+      if (startDate) filters.startedAt.$gte = new Date(startDate);
+      if (endDate) filters.startedAt.$lte = new Date(endDate);
+    }
+
+    // Calcola skip per paginazione
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [jobRuns, total] = await Promise.all([
+      JobRun.find(filters)
+        .sort({ startedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      JobRun.countDocuments(filters)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        jobRuns,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get job runs error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore nel recupero dello storico dei job'
+    });
+  }
+};
+
+// Eventi mostrati di default: tentativi falliti e blocchi degli account
+const FAILURE_EVENT_TYPES = ['login_failed', 'two_factor_failed', 'account_locked'];
+
+// @desc    Ottieni i tentativi di accesso falliti recenti sui membri della famiglia
+// @route   GET /api/admin/security-events
+// @access  Private (admin:view)
+const getSecurityEvents = async (req, res) => {
+  try {
+    // Validazione input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const {
+      page = 1,
+      limit = 20,
+      type,
+      userId,
+      startDate,
+      endDate
+    } = req.query;
+
+    // Solo gli eventi dei membri attivi della propria famiglia
+    const memberIds = req.family.members
+      .filter(member => member.isActive)
+      .map(member => member.user.toString());
+
+    if (userId && !memberIds.includes(userId)) {
+      return res.status(404).json({
+        error: 'Membro non trovato',
+        message: 'L\'utente indicato non è un membro della famiglia'
+      });
+    }
+
+    const filters = {
+      userId: userId || { $in: memberIds },
+      type: type || { $in: FAILURE_EVENT_TYPES }
+    };
+
+    if (startDate || endDate) {
+      filters.createdAt = {};
+      if (startDate) filters.createdAt.$gte = new Date(startDate);
+      if (endDate) filters.createdAt.$lte = new Date(endDate);
+    }
+
+    // Calcola skip per paginazione
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [events, total] = await Promise.all([
+      SecurityEvent.find(filters)
+        .populate('userId', 'name email avatar')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      SecurityEvent.countDocuments(filters)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get security events error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore nel recupero degli eventi di sicurezza'
+    });
+  }
+};
+
+module.exports = {
+  getJobRuns,
+  getSecurityEvents
+};
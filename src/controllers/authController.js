@@ -1,9 +1,66 @@
 const User = require('../models/User');
 const Family = require('../models/Family');
-const { generateToken } = require('../config/jwt');
+const Session = require('../models/Session');
+const {
+  createSession,
+  findSessionByRefreshToken,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions
+} = require('../services/sessionService');
+const { findOrCreateGoogleUser, linkGoogleAccount } = require('../services/googleAuthService');
+const { verifyUserCode, countRemainingRecoveryCodes } = require('../services/twoFactorService');
+const {
+  hashVerificationToken,
+  createVerificationToken,
+  sendVerificationEmail
+} = require('../services/emailVerificationService');
+const {
+  getThrottleKeys,
+  getRetryAfter,
+  recordThrottleFailure,
+  logSecurityEvent,
+  getActiveLock,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  clearAccountLock,
+  unlockAccount
+} = require('../services/loginProtectionService');
+const {
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
+  generateOAuthStateToken,
+  verifyOAuthStateToken
+} = require('../config/jwt');
+const { passport, isGoogleAuthEnabled } = require('../config/passport');
 const logger = require('../utils/logger');
 const crypto = require('crypto');
 const { sendEmail } = require('../services/emailService');
+const { recordAuditEvent } = require('../services/auditService');
+
+// Pagina del frontend che riceve l'esito dell'accesso con Google
+const getGoogleRedirectUrl = () => `${process.env.FRONTEND_URL || 'http://localhost:3000'}/auth/google/callback`;
+
+// Risposta 429 con il tempo di attesa prima del prossimo tentativo
+const sendTooManyAttempts = (res, retryAfter) => {
+  const minutes = Math.ceil(retryAfter / 60);
+  const wait = retryAfter < 60
+    ? `${retryAfter} ${retryAfter === 1 ? 'secondo' : 'secondi'}`
+    : `${minutes} ${minutes === 1 ? 'minuto' : 'minuti'}`;
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: 'Troppi tentativi',
+    message: `Troppi tentativi falliti, riprova tra ${wait}`,
+    retryAfter
+  });
+};
+
+// Risposta 423 per un account bloccato dopo troppi accessi falliti
+const sendAccountLocked = (res, lockedUntil) => res.status(423).json({
+  error: 'Account bloccato',
+  message: 'Account temporaneamente bloccato per troppi tentativi di accesso falliti. Usa il link ricevuto per email per sbloccarlo o reimposta la password',
+  lockedUntil
+});
 
 // @desc    Registrazione utente
 // @route   POST /api/auth/register
@@ -28,9 +85,14 @@ const register = async (req, res) => {
       password // Verrà hashata automaticamente dal middleware pre-save
     });
 
+    // Link di conferma dell'indirizzo email
+    const verificationToken = createVerificationToken(user);
+
     await user.save();
     logger.info(`New user registered: ${email}`);
 
+    await sendVerificationEmail(user, verificationToken);
+
     // Se è specificato un nome famiglia, crea la famiglia
     let family = null;
     if (familyName && familyName.trim()) {
@@ -39,7 +101,7 @@ const register = async (req, res) => {
         createdBy: user._id,
         members: [{
           user: user._id,
-          role: 'admin',
+          role: 'owner',
           joinedAt: new Date(),
           isActive: true
         }]
@@ -49,31 +111,31 @@ const register = async (req, res) => {
       
       // Aggiorna l'utente con l'ID della famiglia
       user.familyId = family._id;
-      user.role = 'admin';
+      user.role = 'owner';
       await user.save();
 
       logger.info(`New family created: ${familyName} by ${email}`);
     }
 
-    // Genera token JWT
-    const token = generateToken({
-      userId: user._id,
-      email: user.email,
-      familyId: user.familyId
-    });
+    // Crea la sessione di login (token di accesso + refresh token)
+    const { token, refreshToken, expiresIn } = await createSession(user, req);
 
     // Risposta con dati utente (senza password)
     res.status(201).json({
       success: true,
-      message: 'Registrazione completata con successo',
+      message: 'Registrazione completata con successo. Controlla la tua email per confermare l\'indirizzo',
       data: {
         token,
+        refreshToken,
+        expiresIn,
         user: user.getPublicProfile(),
         family: family ? {
           _id: family._id,
           name: family.name,
-          role: 'admin'
-        } : null
+          role: 'owner'
+        } : null,
+        // In sviluppo, restituisci il token per testing
+        ...(process.env.NODE_ENV === 'development' && { verificationToken })
       }
     });
 
@@ -96,6 +158,41 @@ const register = async (req, res) => {
   }
 };
 
+// Crea la sessione e risponde con token, profilo e famiglia dell'utente (login e verifica 2FA)
+const sendLoginResponse = async (req, res, user, message) => {
+  // Carica informazioni famiglia se presente
+  let family = null;
+  if (user.familyId) {
+    family = await Family.findById(user.familyId)
+      .populate('members.user', 'name email avatar')
+      .select('name description settings members');
+  }
+
+  // Crea la sessione di login (token di accesso + refresh token)
+  const { token, refreshToken, expiresIn } = await createSession(user, req);
+
+  res.json({
+    success: true,
+    message,
+    data: {
+      token,
+      refreshToken,
+      expiresIn,
+      user: user.getPublicProfile(),
+      family: family ? {
+        _id: family._id,
+        name: family.name,
+        description: family.description,
+        settings: family.settings,
+        members: family.members,
+        userRole: family.members.find(m => 
+          m.user._id.toString() === user._id.toString()
+        )?.role || 'member'
+      } : null
+    }
+  });
+};
+
 // @desc    Login utente
 // @route   POST /api/auth/login
 // @access  Public
@@ -111,44 +208,53 @@ const login = async (req, res) => {
       });
     }
 
+    // Ritardi progressivi dopo i tentativi falliti da questo IP o su questo account
+    const throttleKeys = getThrottleKeys('login', req, email);
+    const retryAfter = await getRetryAfter('login', throttleKeys);
+    if (retryAfter > 0) {
+      return sendTooManyAttempts(res, retryAfter);
+    }
+
+    const lockedUntil = await getActiveLock(email);
+    if (lockedUntil) {
+      return sendAccountLocked(res, lockedUntil);
+    }
+
     // Trova utente e verifica credenziali
-    const user = await User.findByCredentials(email, password);
-    
-    // Carica informazioni famiglia se presente
-    let family = null;
-    if (user.familyId) {
-      family = await Family.findById(user.familyId)
-        .populate('members.user', 'name email avatar')
-        .select('name description settings members');
+    let user;
+    try {
+      user = await User.findByCredentials(email, password);
+    } catch (error) {
+      if (error.message === 'Credenziali non valide') {
+        await recordThrottleFailure('login', throttleKeys);
+        const lock = await recordFailedLogin({ email, req });
+        logger.warn(`Failed login for: ${email}`, { ip: req.ip });
+
+        if (lock.locked) {
+          return sendAccountLocked(res, lock.lockedUntil);
+        }
+      }
+      throw error;
     }
 
-    // Genera token JWT
-    const token = generateToken({
-      userId: user._id,
-      email: user.email,
-      familyId: user.familyId
-    });
+    // Con la verifica in due passaggi attiva la sessione viene creata solo dopo il codice TOTP
+    if (user.twoFactor?.enabled) {
+      logger.info(`Login requires two-factor verification: ${email}`);
+
+      return res.json({
+        success: true,
+        message: 'Inserisci il codice di verifica in due passaggi',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallengeToken(user._id)
+        }
+      });
+    }
 
     logger.info(`User logged in: ${email}`);
 
-    res.json({
-      success: true,
-      message: 'Login effettuato con successo',
-      data: {
-        token,
-        user: user.getPublicProfile(),
-        family: family ? {
-          _id: family._id,
-          name: family.name,
-          description: family.description,
-          settings: family.settings,
-          members: family.members,
-          userRole: family.members.find(m => 
-            m.user._id.toString() === user._id.toString()
-          )?.role || 'member'
-        } : null
-      }
-    });
+    await recordSuccessfulLogin(user, req, { method: 'password' });
+    await sendLoginResponse(req, res, user, 'Login effettuato con successo');
 
   } catch (error) {
     logger.error('Login error:', error);
@@ -167,6 +273,184 @@ const login = async (req, res) => {
   }
 };
 
+// @desc    Conferma l'indirizzo email (registrazione o cambio email)
+// @route   POST /api/auth/verify-email/:token
+// @access  Public
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    const user = await User.findOne({
+      emailVerificationToken: hashVerificationToken(token),
+      emailVerificationExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        error: 'Token non valido',
+        message: 'Il link di conferma non è valido o è scaduto'
+      });
+    }
+
+    // Cambio email: il nuovo indirizzo sostituisce quello attuale solo ora
+    const isEmailChange = Boolean(user.pendingEmail);
+    if (isEmailChange) {
+      const existingUser = await User.findOne({ email: user.pendingEmail, _id: { $ne: user._id } });
+      if (existingUser) {
+        return res.status(400).json({
+          error: 'Email già in uso',
+          message: 'Questa email è già utilizzata da un altro utente'
+        });
+      }
+
+      logger.info(`Email changed for user: ${user._id} from ${user.email} to ${user.pendingEmail}`);
+      user.email = user.pendingEmail;
+      user.pendingEmail = null;
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    logger.info(`Email verified for: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: isEmailChange ? 'Nuovo indirizzo email confermato' : 'Indirizzo email confermato con successo',
+      data: {
+        user: user.getPublicProfile()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Verify email error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante la conferma dell\'email'
+    });
+  }
+};
+
+// @desc    Invia di nuovo il link di conferma email
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.emailVerified && !user.pendingEmail) {
+      return res.status(400).json({
+        error: 'Email già verificata',
+        message: 'Il tuo indirizzo email è già confermato'
+      });
+    }
+
+    const verificationToken = createVerificationToken(user);
+    await user.save();
+    await sendVerificationEmail(user, verificationToken);
+
+    res.json({
+      success: true,
+      message: `Link di conferma inviato a ${user.pendingEmail || user.email}`,
+      // In sviluppo, restituisci il token per testing
+      ...(process.env.NODE_ENV === 'development' && { verificationToken })
+    });
+
+  } catch (error) {
+    logger.error('Resend verification email error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante l\'invio del link di conferma'
+    });
+  }
+};
+
+// @desc    Completa il login con il codice di verifica in due passaggi
+// @route   POST /api/auth/2fa/verify
+// @access  Public (token di verifica)
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+      return res.status(400).json({
+        error: 'Dati mancanti',
+        message: 'Token di verifica e codice sono obbligatori'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyTwoFactorChallengeToken(challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        error: 'Accesso negato',
+        message: error.message
+      });
+    }
+
+    const user = await User.findById(decoded.userId)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user || !user.isActive || !user.twoFactor?.enabled) {
+      return res.status(401).json({
+        error: 'Accesso negato',
+        message: 'Verifica non valida: effettua di nuovo il login'
+      });
+    }
+
+    // Anche i codici errati contano come tentativi falliti sull'account
+    const throttleKeys = getThrottleKeys('login', req, user.email);
+    const retryAfter = await getRetryAfter('login', throttleKeys);
+    if (retryAfter > 0) {
+      return sendTooManyAttempts(res, retryAfter);
+    }
+
+    if (user.isLocked()) {
+      return sendAccountLocked(res, user.loginSecurity.lockedUntil);
+    }
+
+    const method = verifyUserCode(user, code);
+    if (!method) {
+      logger.warn(`Invalid two-factor code for: ${user.email}`, { ip: req.ip });
+      await recordThrottleFailure('login', throttleKeys);
+      const lock = await recordFailedLogin({ email: user.email, req, type: 'two_factor_failed' });
+
+      if (lock.locked) {
+        return sendAccountLocked(res, lock.lockedUntil);
+      }
+      return res.status(401).json({
+        error: 'Codice non valido',
+        message: 'Il codice di verifica non è corretto o è già stato usato'
+      });
+    }
+
+    await user.save();
+
+    logger.info(`User logged in with two-factor (${method}): ${user.email}`);
+
+    await recordSuccessfulLogin(user, req, { method: `two_factor_${method}` });
+
+    await sendLoginResponse(
+      req,
+      res,
+      user,
+      method === 'recovery'
+        ? `Login effettuato con un codice di recupero: ne restano ${countRemainingRecoveryCodes(user)}`
+        : 'Login effettuato con successo'
+    );
+
+  } catch (error) {
+    logger.error('Two-factor login error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante la verifica in due passaggi'
+    });
+  }
+};
+
 // @desc    Ottieni profilo utente corrente
 // @route   GET /api/auth/me
 // @access  Private
@@ -218,14 +502,6 @@ const createFamily = async (req, res) => {
     const { name, description } = req.body;
     const user = req.user;
 
-    // Verifica che l'utente non appartenga già a una famiglia
-    if (user.familyId) {
-      return res.status(400).json({
-        error: 'Famiglia già esistente',
-        message: 'Appartieni già a una famiglia'
-      });
-    }
-
     // Validazione nome famiglia
     if (!name || name.trim().length === 0) {
       return res.status(400).json({
@@ -241,7 +517,7 @@ const createFamily = async (req, res) => {
       createdBy: user._id,
       members: [{
         user: user._id,
-        role: 'admin',
+        role: 'owner',
         joinedAt: new Date(),
         isActive: true
       }]
@@ -249,12 +525,15 @@ const createFamily = async (req, res) => {
 
     await family.save();
 
-    // Aggiorna utente
-    user.familyId = family._id;
-    user.role = 'admin';
-    await user.save();
+    // La prima famiglia diventa quella predefinita dell'utente
+    if (!user.familyId) {
+      user.familyId = family._id;
+      user.role = 'owner';
+      await user.save();
+    }
 
     logger.info(`Family created: ${name} by ${user.email}`);
+    recordAuditEvent(req, { entity: 'family', action: 'created', entityId: family._id, details: { name: family.name }, family });
 
     res.status(201).json({
       success: true,
@@ -273,11 +552,11 @@ const createFamily = async (req, res) => {
               email: user.email,
               avatar: user.avatar
             },
-            role: 'admin',
+            role: 'owner',
             joinedAt: new Date(),
             isActive: true
           }],
-          userRole: 'admin'
+          userRole: 'owner'
         }
       }
     });
@@ -314,6 +593,14 @@ const forgotPassword = async (req, res) => {
       });
     }
 
+    // Ogni richiesta conta: limita l'invio di email a ripetizione verso lo stesso indirizzo
+    const throttleKeys = getThrottleKeys('forgot_password', req, email);
+    const retryAfter = await getRetryAfter('forgot_password', throttleKeys);
+    if (retryAfter > 0) {
+      return sendTooManyAttempts(res, retryAfter);
+    }
+    await recordThrottleFailure('forgot_password', throttleKeys);
+
     // Trova l'utente
     const user = await User.findOne({ email });
     if (!user) {
@@ -333,6 +620,8 @@ const forgotPassword = async (req, res) => {
     user.resetPasswordExpires = resetTokenExpiry;
     await user.save();
 
+    await logSecurityEvent({ type: 'password_reset_requested', req, user });
+
     // URL di reset (in produzione sarà il frontend)
     const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password/${resetToken}`;
 
@@ -407,6 +696,12 @@ const resetPassword = async (req, res) => {
       });
     }
 
+    const throttleKeys = getThrottleKeys('reset_password', req);
+    const retryAfter = await getRetryAfter('reset_password', throttleKeys);
+    if (retryAfter > 0) {
+      return sendTooManyAttempts(res, retryAfter);
+    }
+
     // Hash del token per confronto
     const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
 
@@ -417,6 +712,8 @@ const resetPassword = async (req, res) => {
     });
 
     if (!user) {
+      await recordThrottleFailure('reset_password', throttleKeys);
+      logger.warn('Invalid password reset token', { ip: req.ip });
       return res.status(400).json({
         error: 'Token non valido',
         message: 'Token di reset non valido o scaduto'
@@ -427,22 +724,24 @@ const resetPassword = async (req, res) => {
     user.password = password; // Verrà hashata dal middleware pre-save
     user.resetPasswordToken = undefined;
     user.resetPasswordExpires = undefined;
+    // Chi ha accesso all'email può sbloccare l'account reimpostando la password
+    clearAccountLock(user);
     await user.save();
 
     logger.info(`Password reset successful for: ${user.email}`);
+    await logSecurityEvent({ type: 'password_reset', req, user });
 
-    // Genera nuovo token JWT
-    const jwtToken = generateToken({
-      userId: user._id,
-      email: user.email,
-      familyId: user.familyId
-    });
+    // Le sessioni aperte con la vecchia password non sono più valide
+    await revokeAllSessions(user._id, 'password_reset');
+    const { token: jwtToken, refreshToken, expiresIn } = await createSession(user, req);
 
     res.json({
       success: true,
       message: 'Password reimpostata con successo',
       data: {
         token: jwtToken,
+        refreshToken,
+        expiresIn,
         user: user.getPublicProfile()
       }
     });
@@ -456,11 +755,228 @@ const resetPassword = async (req, res) => {
   }
 };
 
+// @desc    Sblocca l'account con il link ricevuto per email
+// @route   POST /api/auth/unlock/:token
+// @access  Public
+const unlockAccountWithToken = async (req, res) => {
+  try {
+    const user = await unlockAccount(req.params.token, req);
+
+    if (!user) {
+      return res.status(400).json({
+        error: 'Token non valido',
+        message: 'Il link di sblocco non è valido o è scaduto'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Account sbloccato: ora puoi effettuare il login'
+    });
+
+  } catch (error) {
+    logger.error('Unlock account error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante lo sblocco dell\'account'
+    });
+  }
+};
+
+// @desc    Rinnova il token di accesso con il refresh token
+// @route   POST /api/auth/refresh
+// @access  Public
+const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken: currentRefreshToken } = req.body;
+
+    if (!currentRefreshToken || typeof currentRefreshToken !== 'string') {
+      return res.status(400).json({
+        error: 'Refresh token richiesto',
+        message: 'Il refresh token è obbligatorio'
+      });
+    }
+
+    const { token, refreshToken: newRefreshToken, expiresIn, user } = await refreshSession(currentRefreshToken, req);
+
+    logger.debug(`Access token refreshed for: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Token rinnovato con successo',
+      data: {
+        token,
+        refreshToken: newRefreshToken,
+        expiresIn
+      }
+    });
+
+  } catch (error) {
+    if (error.message === 'Refresh token non valido') {
+      return res.status(401).json({
+        error: 'Accesso negato',
+        message: 'Refresh token non valido, scaduto o revocato: effettua di nuovo il login'
+      });
+    }
+
+    logger.error('Refresh token error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante il rinnovo del token'
+    });
+  }
+};
+
+// @desc    Logout: revoca la sessione corrente
+// @route   POST /api/auth/logout
+// @access  Public (token di accesso o refresh token)
+const logout = async (req, res) => {
+  try {
+    const { refreshToken: currentRefreshToken } = req.body;
+
+    // La sessione si ricava dal token di accesso oppure, se scaduto, dal refresh token
+    let session = null;
+    if (req.sessionId) {
+      session = await Session.findById(req.sessionId);
+    } else if (typeof currentRefreshToken === 'string' && currentRefreshToken) {
+      session = await findSessionByRefreshToken(currentRefreshToken);
+    } else {
+      return res.status(400).json({
+        error: 'Token richiesto',
+        message: 'Invia il token di accesso o il refresh token della sessione'
+      });
+    }
+
+    if (session && !session.revokedAt) {
+      await revokeSession(session, 'logout');
+      logger.info(`User logged out: session ${session._id} of user ${session.userId}`);
+    }
+
+    res.json({
+      success: true,
+      message: 'Logout effettuato con successo'
+    });
+
+  } catch (error) {
+    logger.error('Logout error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante il logout'
+    });
+  }
+};
+
+// @desc    Avvia l'accesso (o il collegamento) con Google
+// @route   GET /api/auth/google
+// @access  Public
+const googleAuth = (req, res, next) => {
+  if (!isGoogleAuthEnabled()) {
+    return res.status(503).json({
+      error: 'Servizio non disponibile',
+      message: 'L\'accesso con Google non è configurato'
+    });
+  }
+
+  // Il collegamento a un account esistente arriva con lo state firmato da /api/profile/google/link
+  let state;
+  if (req.query.link) {
+    try {
+      const decoded = verifyOAuthStateToken(req.query.link);
+      if (decoded.purpose !== 'link') throw new Error('Tipo di richiesta non valido');
+      state = req.query.link;
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Richiesta non valida',
+        message: 'Link di collegamento non valido o scaduto'
+      });
+    }
+  } else {
+    state = generateOAuthStateToken('login');
+  }
+
+  passport.authenticate('google', {
+    scope: ['profile', 'email'],
+    session: false,
+    state,
+    prompt: 'select_account'
+  })(req, res, next);
+};
+
+// @desc    Callback OAuth di Google: login/registrazione o collegamento account
+// @route   GET /api/auth/google/callback
+// @access  Public
+const googleCallback = (req, res, next) => {
+  const redirectUrl = getGoogleRedirectUrl();
+  const redirectWithError = (message) => res.redirect(`${redirectUrl}?error=${encodeURIComponent(message)}`);
+
+  if (!isGoogleAuthEnabled()) {
+    return redirectWithError('L\'accesso con Google non è configurato');
+  }
+
+  let state;
+  try {
+    state = verifyOAuthStateToken(req.query.state);
+  } catch (error) {
+    logger.warn('Google callback with invalid state', { ip: req.ip });
+    return redirectWithError(error.message);
+  }
+
+  passport.authenticate('google', { session: false }, async (authError, profile) => {
+    try {
+      if (authError || !profile) {
+        logger.warn('Google authentication failed:', authError?.message || 'access denied');
+        return redirectWithError('Accesso con Google annullato o non riuscito');
+      }
+
+      if (state.purpose === 'link') {
+        const user = await linkGoogleAccount(state.userId, profile);
+        return res.redirect(`${redirectUrl}?linked=google&email=${encodeURIComponent(user.email)}`);
+      }
+
+      const { user, created } = await findOrCreateGoogleUser(profile);
+
+      // Anche con Google serve il codice di verifica in due passaggi, se attivo
+      if (user.twoFactor?.enabled) {
+        const challenge = new URLSearchParams({
+          twoFactorRequired: 'true',
+          challengeToken: generateTwoFactorChallengeToken(user._id)
+        });
+        return res.redirect(`${redirectUrl}#${challenge.toString()}`);
+      }
+
+      const { token, refreshToken, expiresIn } = await createSession(user, req);
+
+      logger.info(`User logged in with Google: ${user.email}`);
+
+      // I token viaggiano nel fragment: non arrivano ai log dei server né nell'header Referer
+      const fragment = new URLSearchParams({
+        token,
+        refreshToken,
+        expiresIn,
+        newUser: String(created)
+      });
+      res.redirect(`${redirectUrl}#${fragment.toString()}`);
+
+    } catch (error) {
+      logger.error('Google callback error:', error);
+      redirectWithError(error.name === 'Error' ? error.message : 'Errore durante l\'accesso con Google');
+    }
+  })(req, res, next);
+};
+
 module.exports = {
   register,
   login,
   getMe,
   createFamily,
   forgotPassword,
-  resetPassword
+  resetPassword,
+  unlockAccountWithToken,
+  refreshToken,
+  logout,
+  verifyEmail,
+  resendVerificationEmail,
+  verifyTwoFactorLogin,
+  googleAuth,
+  googleCallback
 }; 
\ No newline at end of file
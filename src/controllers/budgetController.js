@@ -1,6 +1,9 @@
 const Budget = require('../models/Budget');
 const Category = require('../models/Category');
 const logger = require('../utils/logger');
+const { broadcast } = require('../services/realtimeService');
+const { recordAuditEvent } = require('../services/auditService');
+const { checkBudgetAlerts } = require('../services/notificationService');
 const { validationResult } = require('express-validator');
 
 // @desc    Ottieni tutti i budget della famiglia
@@ -8,7 +11,7 @@ const { validationResult } = require('express-validator');
 // @access  Private
 const getBudgets = async (req, res) => {
   try {
-    const { familyId } = req.user;
+    const familyId = req.family._id;
     const { year, month } = req.query;
 
     const currentYear = year ? parseInt(year) : new Date().getFullYear();
@@ -52,7 +55,7 @@ const getBudgets = async (req, res) => {
 const getBudget = async (req, res) => {
   try {
     const { id } = req.params;
-    const { familyId } = req.user;
+    const familyId = req.family._id;
 
     const budget = await Budget.findOne({
       _id: id,
@@ -98,15 +101,7 @@ const createBudget = async (req, res) => {
       });
     }
 
-    // Solo admin famiglia può creare budget
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Permessi insufficienti',
-        message: 'Solo gli admin famiglia possono creare budget'
-      });
-    }
-
-    const { familyId } = req.user;
+    const familyId = req.family._id;
     const { 
       categoryId, 
       amount, 
@@ -171,6 +166,8 @@ const createBudget = async (req, res) => {
     await budget.updateStats();
 
     logger.info(`New budget created: ${amount}€ for ${category.name} by ${req.user.email}`);
+    broadcast(familyId, 'budget', 'created', { data: budget, actorId: req.user._id });
+    recordAuditEvent(req, { entity: 'budget', action: 'created', entityId: budget._id, after: budget });
 
     res.status(201).json({
       success: true,
@@ -209,15 +206,7 @@ const createBudget = async (req, res) => {
 const updateBudget = async (req, res) => {
   try {
     const { id } = req.params;
-    const { familyId } = req.user;
-
-    // Solo admin famiglia può modificare budget
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Permessi insufficienti',
-        message: 'Solo gli admin famiglia possono modificare i budget'
-      });
-    }
+    const familyId = req.family._id;
 
     // Trova il budget
     const budget = await Budget.findOne({
@@ -233,6 +222,8 @@ const updateBudget = async (req, res) => {
       });
     }
 
+    const before = budget.toObject();
+
     const { 
       amount, 
       alertThreshold,
@@ -257,10 +248,17 @@ const updateBudget = async (req, res) => {
     // Popola i dati per la risposta
     await budget.populate('categoryId', 'name color icon');
 
-    // Aggiorna statistiche
+    // Aggiorna statistiche (importo o soglia possono cambiare il livello di allerta)
     await budget.updateStats();
+    try {
+      await checkBudgetAlerts(budget);
+    } catch (alertError) {
+      logger.warn('Budget alert check failed after budget update:', alertError);
+    }
 
     logger.info(`Budget updated: ${id} by ${req.user.email}`);
+    broadcast(familyId, 'budget', 'updated', { data: budget, actorId: req.user._id });
+    recordAuditEvent(req, { entity: 'budget', action: 'updated', entityId: budget._id, before, after: budget });
 
     res.json({
       success: true,
@@ -292,15 +290,7 @@ const updateBudget = async (req, res) => {
 const deleteBudget = async (req, res) => {
   try {
     const { id } = req.params;
-    const { familyId } = req.user;
-
-    // Solo admin famiglia può eliminare budget
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Permessi insufficienti',
-        message: 'Solo gli admin famiglia possono eliminare i budget'
-      });
-    }
+    const familyId = req.family._id;
 
     // Trova il budget
     const budget = await Budget.findOne({
@@ -316,11 +306,15 @@ const deleteBudget = async (req, res) => {
       });
     }
 
+    const before = budget.toObject();
+
     // Soft delete
     budget.isActive = false;
     await budget.save();
 
     logger.info(`Budget deleted: ${id} by ${req.user.email}`);
+    broadcast(familyId, 'budget', 'deleted', { data: { _id: id }, actorId: req.user._id });
+    recordAuditEvent(req, { entity: 'budget', action: 'deleted', entityId: budget._id, before });
 
     res.json({
       success: true,
@@ -341,7 +335,7 @@ const deleteBudget = async (req, res) => {
 // @access  Private
 const getBudgetSummary = async (req, res) => {
   try {
-    const { familyId } = req.user;
+    const familyId = req.family._id;
     const { year, month } = req.query;
 
     const currentYear = year ? parseInt(year) : new Date().getFullYear();
@@ -374,15 +368,7 @@ const getBudgetSummary = async (req, res) => {
 // @access  Private
 const autoCreateBudgets = async (req, res) => {
   try {
-    // Solo admin famiglia può creare budget automatici
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Permessi insufficienti',
-        message: 'Solo gli admin famiglia possono creare budget automatici'
-      });
-    }
-
-    const { familyId } = req.user;
+    const familyId = req.family._id;
     const { year, month } = req.body;
 
     const targetYear = year || new Date().getFullYear();
@@ -391,6 +377,10 @@ const autoCreateBudgets = async (req, res) => {
     const newBudgets = await Budget.createFromPreviousMonth(familyId, targetYear, targetMonth);
 
     logger.info(`Auto-created ${newBudgets.length} budgets for ${targetYear}-${targetMonth} by ${req.user.email}`);
+    newBudgets.forEach(budget => {
+      broadcast(familyId, 'budget', 'created', { data: budget, actorId: req.user._id });
+      recordAuditEvent(req, { entity: 'budget', action: 'created', entityId: budget._id, after: budget, details: { autoCreated: true } });
+    });
 
     res.json({
       success: true,
@@ -412,7 +402,7 @@ const autoCreateBudgets = async (req, res) => {
 // @access  Private
 const refreshBudgetStats = async (req, res) => {
   try {
-    const { familyId } = req.user;
+    const familyId = req.family._id;
     const { year, month } = req.query;
 
     const currentYear = year ? parseInt(year) : new Date().getFullYear();
@@ -0,0 +1,373 @@
+const CategorizationRule = require('../models/CategorizationRule');
+const Category = require('../models/Category');
+const Expense = require('../models/Expense');
+const Budget = require('../models/Budget');
+const logger = require('../utils/logger');
+const { recordAuditEvent } = require('../services/auditService');
+const { getVersionedState, recordRevision } = require('../services/revisionService');
+const { validationResult } = require('express-validator');
+
+// Verifica che la categoria sia utilizzabile dalla famiglia
+const findFamilyCategory = (categoryId, familyId) => {
+  return Category.findOne({
+    _id: categoryId,
+    $or: [
+      { isDefault: true },
+      { familyId: familyId }
+    ],
+    isActive: true
+  });
+};
+
+// @desc    Ottieni le regole di categorizzazione della famiglia
+// @route   GET /api/categories/rules
+// @access  Private
+const getRules = async (req, res) => {
+  try {
+    const familyId = req.family._id;
+
+    const rules = await CategorizationRule.find({ familyId })
+      .populate('categoryId', 'name color icon')
+      .populate('createdBy', 'name email')
+      .sort({ priority: -1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: { rules }
+    });
+
+  } catch (error) {
+    logger.error('Get categorization rules error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore nel recupero delle regole di categorizzazione'
+    });
+  }
+};
+
+// @desc    Crea regola di categorizzazione
+// @route   POST /api/categories/rules
+// @access  Private (categories:manage)
+const createRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const familyId = req.family._id;
+    const { name, categoryId, conditions, priority, isActive } = req.body;
+
+    const category = await findFamilyCategory(categoryId, familyId);
+    if (!category) {
+      return res.status(400).json({
+        error: 'Categoria non valida',
+        message: 'La categoria selezionata non è valida per questa famiglia'
+      });
+    }
+
+    const rule = new CategorizationRule({
+      name: name.trim(),
+      familyId,
+      categoryId,
+      conditions,
+      priority: priority || 0,
+      isActive: isActive !== undefined ? isActive : true,
+      createdBy: req.user._id
+    });
+
+    await rule.save();
+    await rule.populate('categoryId', 'name color icon');
+
+    logger.info(`Categorization rule created: ${rule.name} by ${req.user.email}`);
+    recordAuditEvent(req, { entity: 'categorization_rule', action: 'created', entityId: rule._id, after: rule });
+
+    res.status(201).json({
+      success: true,
+      message: 'Regola creata con successo',
+      data: { rule }
+    });
+
+  } catch (error) {
+    logger.error('Create categorization rule error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante la creazione della regola'
+    });
+  }
+};
+
+// @desc    Aggiorna regola di categorizzazione
+// @route   PUT /api/categories/rules/:ruleId
+// @access  Private (categories:manage)
+const updateRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const { ruleId } = req.params;
+    const familyId = req.family._id;
+
+    const rule = await CategorizationRule.findOne({ _id: ruleId, familyId });
+    if (!rule) {
+      return res.status(404).json({
+        error: 'Regola non trovata',
+        message: 'La regola richiesta non esiste'
+      });
+    }
+
+    const before = rule.toObject();
+    const { name, categoryId, conditions, priority, isActive } = req.body;
+
+    if (categoryId !== undefined && categoryId !== rule.categoryId.toString()) {
+      const category = await findFamilyCategory(categoryId, familyId);
+      if (!category) {
+        return res.status(400).json({
+          error: 'Categoria non valida',
+          message: 'La categoria selezionata non è valida per questa famiglia'
+        });
+      }
+      rule.categoryId = categoryId;
+    }
+
+    if (name !== undefined) rule.name = name.trim();
+    if (conditions !== undefined) rule.conditions = conditions;
+    if (priority !== undefined) rule.priority = priority;
+    if (isActive !== undefined) rule.isActive = isActive;
+
+    await rule.save();
+    await rule.populate('categoryId', 'name color icon');
+
+    logger.info(`Categorization rule updated: ${ruleId} by ${req.user.email}`);
+    recordAuditEvent(req, { entity: 'categorization_rule', action: 'updated', entityId: rule._id, before, after: rule });
+
+    res.json({
+      success: true,
+      message: 'Regola aggiornata con successo',
+      data: { rule }
+    });
+
+  } catch (error) {
+    logger.error('Update categorization rule error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante l\'aggiornamento della regola'
+    });
+  }
+};
+
+// @desc    Elimina regola di categorizzazione
+// @route   DELETE /api/categories/rules/:ruleId
+// @access  Private (categories:manage)
+const deleteRule = async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    const familyId = req.family._id;
+
+    const rule = await CategorizationRule.findOneAndDelete({ _id: ruleId, familyId });
+    if (!rule) {
+      return res.status(404).json({
+        error: 'Regola non trovata',
+        message: 'La regola richiesta non esiste'
+      });
+    }
+
+    logger.info(`Categorization rule deleted: ${ruleId} by ${req.user.email}`);
+    recordAuditEvent(req, { entity: 'categorization_rule', action: 'deleted', entityId: rule._id, before: rule });
+
+    res.json({
+      success: true,
+      message: 'Regola eliminata con successo'
+    });
+
+  } catch (error) {
+    logger.error('Delete categorization rule error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante l\'eliminazione della regola'
+    });
+  }
+};
+
+// @desc    Riapplica le regole alle spese passate (con anteprima delle modifiche)
+// @route   POST /api/categories/rules/apply
+// @access  Private (categories:manage)
+const applyRules = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const familyId = req.family._id;
+    const {
+      dryRun = true,
+      startDate,
+      endDate,
+      includeManual = false
+    } = req.body;
+
+    const rules = await CategorizationRule.getActiveRules(familyId);
+    if (rules.length === 0) {
+      return res.json({
+        success: true,
+        message: 'Nessuna regola attiva da applicare',
+        data: { dryRun, changes: [], changedCount: 0 }
+      });
+    }
+
+    // Le categorie scelte manualmente vengono mantenute salvo richiesta esplicita
+    const filters = { familyId, isActive: true };
+    if (!includeManual) filters.autoCategorizedBy = { $ne: null };
+
+    if (startDate || endDate) {
+      filters.date = {};
+      if (startDate) filters.date.$gte = new Date(startDate);
+      if (endDate) filters.date.$lte = new Date(endDate);
+    }
+
+    const expenses = await Expense.find(filters)
+      .populate('category', 'name')
+      .sort({ date: -1 });
+
+    const ruleCategoryIds = [...new Set(rules.map(rule => rule.categoryId.toString()))];
+    const ruleCategories = await Category.find({ _id: { $in: ruleCategoryIds } }).select('name');
+    const categoryNames = new Map(ruleCategories.map(cat => [cat._id.toString(), cat.name]));
+
+    const changes = [];
+    expenses.forEach(expense => {
+      const rule = CategorizationRule.findMatchingRule(rules, expense);
+      if (!rule) return;
+
+      const fromCategory = expense.category?._id?.toString() || expense.category?.toString();
+      const toCategory = rule.categoryId.toString();
+      if (fromCategory === toCategory) return;
+
+      changes.push({
+        expense,
+        rule,
+        diff: {
+          expenseId: expense._id,
+          description: expense.description,
+          amount: expense.amount,
+          date: expense.date,
+          from: { _id: fromCategory, name: expense.category?.name || null },
+          to: { _id: toCategory, name: categoryNames.get(toCategory) || null },
+          rule: { _id: rule._id, name: rule.name }
+        }
+      });
+    });
+
+    if (!dryRun && changes.length > 0) {
+      const categoriesToUpdate = new Set();
+      const periodsToUpdate = new Set();
+
+      const previousStates = changes.map(({ expense }) => getVersionedState('expense', expense));
+
+      await Expense.bulkWrite(changes.map(({ expense, rule }) => ({
+        updateOne: {
+          filter: { _id: expense._id },
+          update: { $set: { category: rule.categoryId, autoCategorizedBy: rule._id } }
+        }
+      })));
+
+      // Ogni cambio di categoria entra nella cronologia della spesa come una modifica manuale
+      for (const [index, { expense, rule }] of changes.entries()) {
+        expense.category = rule.categoryId;
+        expense.autoCategorizedBy = rule._id;
+        await recordRevision('expense', expense, previousStates[index], req.user._id);
+      }
+
+      changes.forEach(({ expense, diff }) => {
+        const date = new Date(expense.date);
+        const period = `${date.getFullYear()}-${date.getMonth() + 1}`;
+        [diff.from._id, diff.to._id].forEach(categoryId => {
+          categoriesToUpdate.add(categoryId);
+          periodsToUpdate.add(`${categoryId}|${period}`);
+        });
+      });
+
+      await CategorizationRule.recordMatches(changes.map(({ rule }) => rule._id));
+
+      // Aggiorna statistiche categorie e budget interessati
+      try {
+        for (const categoryId of categoriesToUpdate) {
+          const category = await Category.findById(categoryId);
+          if (category) await category.updateStats();
+        }
+
+        for (const period of periodsToUpdate) {
+          const [categoryId, yearMonth] = period.split('|');
+          const [year, month] = yearMonth.split('-').map(Number);
+          await Budget.refreshStatsFor(familyId, categoryId, new Date(year, month - 1, 1));
+        }
+      } catch (statsError) {
+        logger.warn('Stats update failed after rules re-apply:', statsError);
+      }
+
+      logger.info(`Categorization rules re-applied to ${changes.length} expenses by ${req.user.email}`);
+      recordAuditEvent(req, {
+        entity: 'categorization_rule',
+        action: 'applied',
+        details: { changedCount: changes.length, expenseIds: changes.map(({ expense }) => expense._id) }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? `${changes.length} spese verrebbero ricategorizzate`
+        : `${changes.length} spese ricategorizzate`,
+      data: {
+        dryRun,
+        changes: changes.map(({ diff }) => diff),
+        changedCount: changes.length,
+        checkedCount: expenses.length
+      }
+    });
+
+  } catch (error) {
+    logger.error('Apply categorization rules error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante l\'applicazione delle regole'
+    });
+  }
+};
+
+module.exports = {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  applyRules
+};
@@ -1,5 +1,7 @@
 const Category = require('../models/Category');
 const logger = require('../utils/logger');
+const { broadcast } = require('../services/realtimeService');
+const { recordAuditEvent } = require('../services/auditService');
 const { validationResult } = require('express-validator');
 
 // @desc    Ottieni tutte le categorie della famiglia
@@ -7,7 +9,7 @@ const { validationResult } = require('express-validator');
 // @access  Private
 const getCategories = async (req, res) => {
   try {
-    const { familyId } = req.user;
+    const familyId = req.family._id;
 
     // Ottieni categorie predefinite + categorie della famiglia
     const categories = await Category.getCategoriesForFamily(familyId);
@@ -32,7 +34,7 @@ const getCategories = async (req, res) => {
 const getCategory = async (req, res) => {
   try {
     const { id } = req.params;
-    const { familyId } = req.user;
+    const familyId = req.family._id;
 
     const category = await Category.findOne({
       _id: id,
@@ -78,7 +80,7 @@ const createCategory = async (req, res) => {
       });
     }
 
-    const { familyId } = req.user;
+    const familyId = req.family._id;
     const { name, description, color, icon, order } = req.body;
 
     // Verifica che il nome non esista già per questa famiglia
@@ -112,6 +114,8 @@ const createCategory = async (req, res) => {
     await category.save();
 
     logger.info(`New category created: ${name} by ${req.user.email}`);
+    broadcast(familyId, 'category', 'created', { data: category, actorId: req.user._id });
+    recordAuditEvent(req, { entity: 'category', action: 'created', entityId: category._id, after: category });
 
     res.status(201).json({
       success: true,
@@ -150,7 +154,7 @@ const createCategory = async (req, res) => {
 const updateCategory = async (req, res) => {
   try {
     const { id } = req.params;
-    const { familyId } = req.user;
+    const familyId = req.family._id;
 
     // Trova la categoria (incluse quelle default)
     const category = await Category.findOne({
@@ -169,14 +173,7 @@ const updateCategory = async (req, res) => {
       });
     }
 
-    // Solo admin famiglia può modificare categorie
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Permessi insufficienti',
-        message: 'Solo gli admin famiglia possono modificare le categorie'
-      });
-    }
-
+    const before = category.toObject();
     const { name, description, color, icon, order } = req.body;
 
     // Per categorie default, permetti solo modifica colore e icona
@@ -225,6 +222,8 @@ const updateCategory = async (req, res) => {
     await category.save();
 
     logger.info(`Category updated: ${id} by ${req.user.email}`);
+    broadcast(familyId, 'category', 'updated', { data: category, actorId: req.user._id });
+    recordAuditEvent(req, { entity: 'category', action: 'updated', entityId: category._id, before, after: category });
 
     res.json({
       success: true,
@@ -263,7 +262,7 @@ const updateCategory = async (req, res) => {
 const deleteCategory = async (req, res) => {
   try {
     const { id } = req.params;
-    const { familyId } = req.user;
+    const familyId = req.family._id;
 
     // Trova la categoria
     const category = await Category.findOne({
@@ -279,14 +278,6 @@ const deleteCategory = async (req, res) => {
       });
     }
 
-    // Solo admin famiglia può eliminare categorie
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Permessi insufficienti',
-        message: 'Solo gli admin famiglia possono eliminare le categorie'
-      });
-    }
-
     // Il middleware pre-remove controllerà se la categoria è in uso
     try {
       await category.deleteOne();
@@ -301,6 +292,8 @@ const deleteCategory = async (req, res) => {
     }
 
     logger.info(`Category deleted: ${id} by ${req.user.email}`);
+    broadcast(familyId, 'category', 'deleted', { data: { _id: id }, actorId: req.user._id });
+    recordAuditEvent(req, { entity: 'category', action: 'deleted', entityId: category._id, before: category });
 
     res.json({
       success: true,
@@ -321,7 +314,7 @@ const deleteCategory = async (req, res) => {
 // @access  Private
 const getCategoryStats = async (req, res) => {
   try {
-    const { familyId } = req.user;
+    const familyId = req.family._id;
     const { year, month } = req.query;
 
     const currentYear = year ? parseInt(year) : new Date().getFullYear();
@@ -374,17 +367,9 @@ const getCategoryStats = async (req, res) => {
 // @access  Private
 const reorderCategories = async (req, res) => {
   try {
-    const { familyId } = req.user;
+    const familyId = req.family._id;
     const { categoryOrders } = req.body; // Array di { id, order }
 
-    // Solo admin famiglia può riordinare categorie
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Permessi insufficienti',
-        message: 'Solo gli admin famiglia possono riordinare le categorie'
-      });
-    }
-
     if (!Array.isArray(categoryOrders)) {
       return res.status(400).json({
         error: 'Dati non validi',
@@ -405,9 +390,13 @@ const reorderCategories = async (req, res) => {
       );
     });
 
-    await Promise.all(updatePromises);
+    const reordered = await Promise.all(updatePromises);
 
     logger.info(`Categories reordered by ${req.user.email}`);
+    reordered.filter(Boolean).forEach(category => {
+      broadcast(familyId, 'category', 'updated', { data: category, actorId: req.user._id });
+    });
+    recordAuditEvent(req, { entity: 'category', action: 'reordered', details: { count: reordered.filter(Boolean).length } });
 
     res.json({
       success: true,
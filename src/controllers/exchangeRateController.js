@@ -0,0 +1,245 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const logger = require('../utils/logger');
+const { recordAuditEvent } = require('../services/auditService');
+const { validationResult } = require('express-validator');
+const { DEFAULT_CURRENCY } = require('../config/currencies');
+const { parseRatesFile, saveImportedRates } = require('../services/exchangeRateService');
+
+// @desc    Ottieni i tassi di cambio della famiglia
+// @route   GET /api/exchange-rates
+// @access  Private
+const getExchangeRates = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const familyId = req.family._id;
+    const { currency, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+    const filters = { familyId };
+    if (currency) {
+      filters.$or = [{ fromCurrency: currency }, { toCurrency: currency }];
+    }
+    if (startDate || endDate) {
+      filters.date = {};
+      if (startDate) filters.date.$gte = new Date(startDate);
+      if (endDate) filters.date.$lte = new Date(endDate);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [rates, total] = await Promise.all([
+      ExchangeRate.find(filters)
+        .populate('createdBy', 'name email')
+        .sort({ date: -1, fromCurrency: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      ExchangeRate.countDocuments(filters)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        rates,
+        baseCurrency: req.family?.settings?.currency || DEFAULT_CURRENCY,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get exchange rates error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore nel recupero dei tassi di cambio'
+    });
+  }
+};
+
+// @desc    Crea o aggiorna il tasso di cambio di un giorno
+// @route   POST /api/exchange-rates
+// @access  Private (exchange_rates:manage)
+const createExchangeRate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const familyId = req.family._id;
+    const { fromCurrency, rate, date } = req.body;
+    const toCurrency = req.body.toCurrency || req.family?.settings?.currency || DEFAULT_CURRENCY;
+
+    // Un solo tasso per coppia e giorno: se esiste viene aggiornato
+    const day = new Date(date || new Date());
+    const normalizedDate = new Date(day.getFullYear(), day.getMonth(), day.getDate());
+
+    let exchangeRate = await ExchangeRate.findOne({
+      familyId,
+      fromCurrency,
+      toCurrency,
+      date: normalizedDate
+    });
+    const isNew = !exchangeRate;
+    const before = isNew ? null : exchangeRate.toObject();
+
+    if (isNew) {
+      exchangeRate = new ExchangeRate({
+        familyId,
+        fromCurrency,
+        toCurrency,
+        date: normalizedDate,
+        createdBy: req.user._id
+      });
+    }
+    exchangeRate.rate = rate;
+    exchangeRate.source = 'manual';
+
+    await exchangeRate.save();
+
+    logger.info(`Exchange rate ${isNew ? 'created' : 'updated'}: ${fromCurrency}/${toCurrency} ${rate} by ${req.user.email}`);
+    recordAuditEvent(req, {
+      entity: 'exchange_rate',
+      action: isNew ? 'created' : 'updated',
+      entityId: exchangeRate._id,
+      before,
+      after: exchangeRate
+    });
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: isNew ? 'Tasso di cambio creato con successo' : 'Tasso di cambio aggiornato con successo',
+      data: { rate: exchangeRate }
+    });
+
+  } catch (error) {
+    logger.error('Create exchange rate error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante il salvataggio del tasso di cambio'
+    });
+  }
+};
+
+// @desc    Importa tassi di cambio da file CSV o JSON
+// @route   POST /api/exchange-rates/import
+// @access  Private (exchange_rates:manage)
+const importExchangeRates = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'File mancante',
+        message: 'Nessun file di tassi di cambio caricato'
+      });
+    }
+
+    const familyId = req.family._id;
+
+    let rows;
+    try {
+      rows = parseRatesFile(req.file.buffer, req.file.originalname, {
+        baseCurrency: req.family?.settings?.currency || DEFAULT_CURRENCY,
+        dateFormat: req.body.dateFormat || undefined
+      });
+    } catch (parseError) {
+      return res.status(400).json({
+        error: 'File non valido',
+        message: parseError.message
+      });
+    }
+
+    const { imported, updated } = await saveImportedRates(familyId, rows, req.user._id);
+    const skipped = rows
+      .filter(row => !row.isValid)
+      .map(row => ({ row: row.row, reason: row.errors.join(', ') }));
+
+    logger.info(`Exchange rates imported: ${imported} new, ${updated} updated by ${req.user.email}`);
+    recordAuditEvent(req, { entity: 'exchange_rate', action: 'imported', details: { imported, updated, skipped: skipped.length } });
+
+    res.json({
+      success: true,
+      message: `Importati ${imported} tassi di cambio (${updated} aggiornati)`,
+      data: {
+        imported,
+        updated,
+        skipped
+      }
+    });
+
+  } catch (error) {
+    logger.error('Import exchange rates error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante l\'importazione dei tassi di cambio'
+    });
+  }
+};
+
+// @desc    Elimina tasso di cambio
+// @route   DELETE /api/exchange-rates/:id
+// @access  Private (exchange_rates:manage)
+const deleteExchangeRate = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const familyId = req.family._id;
+
+    const exchangeRate = await ExchangeRate.findOneAndDelete({ _id: id, familyId });
+    if (!exchangeRate) {
+      return res.status(404).json({
+        error: 'Tasso di cambio non trovato',
+        message: 'Il tasso di cambio richiesto non esiste'
+      });
+    }
+
+    logger.info(`Exchange rate deleted: ${id} by ${req.user.email}`);
+    recordAuditEvent(req, { entity: 'exchange_rate', action: 'deleted', entityId: exchangeRate._id, before: exchangeRate });
+
+    res.json({
+      success: true,
+      message: 'Tasso di cambio eliminato con successo'
+    });
+
+  } catch (error) {
+    logger.error('Delete exchange rate error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante l\'eliminazione del tasso di cambio'
+    });
+  }
+};
+
+module.exports = {
+  getExchangeRates,
+  createExchangeRate,
+  importExchangeRates,
+  deleteExchangeRate
+};
@@ -1,16 +1,120 @@
 const Expense = require('../models/Expense');
 const Category = require('../models/Category');
 const Budget = require('../models/Budget');
+const CategorizationRule = require('../models/CategorizationRule');
+const Revision = require('../models/Revision');
 const logger = require('../utils/logger');
+const { processRecurringExpensesForFamily } = require('../services/jobService');
+const { broadcast } = require('../services/realtimeService');
+const { recordAuditEvent } = require('../services/auditService');
+const { getVersionedState, recordRevision, applyRevision } = require('../services/revisionService');
+const { checkBudgetAlerts } = require('../services/notificationService');
+const {
+  MAX_ATTACHMENTS_PER_EXPENSE,
+  OCR_MIME_TYPES,
+  buildAttachment,
+  readAttachmentFile,
+  deleteAttachmentsSafely,
+  discardUploadedFiles
+} = require('../services/receiptStorageService');
+const { recognizeReceipt, INVALID_IMAGE } = require('../services/ocrService');
 const { validationResult } = require('express-validator');
 const mongoose = require('mongoose');
 
+// Verifica che i membri della ripartizione appartengano alla famiglia
+const hasValidSplitMembers = (family, splits = []) => {
+  return splits.every(split => family.members.some(
+    member => member.user.toString() === String(split.userId) && member.isActive
+  ));
+};
+
+// Dati dello scontrino modificabili dal client (gli allegati si gestiscono con /receipt)
+const pickReceiptFields = (receipt = {}) => {
+  const fields = {};
+  if (receipt.imageUrl !== undefined) fields.imageUrl = receipt.imageUrl;
+  if (receipt.merchant !== undefined) fields.merchant = receipt.merchant;
+  // Risultato OCR della bozza confermata dall'utente
+  if (receipt.ocrData !== undefined) fields.ocrData = receipt.ocrData;
+  return fields;
+};
+
+// Aggiorna statistiche e avvisi dei budget interessati dalla modifica di una spesa
+// (categoria e mese prima e dopo la modifica)
+const refreshBudgetsAfterUpdate = async (familyId, original, expense) => {
+  try {
+    const newDate = new Date(expense.date);
+    const categoriesToUpdate = new Set([original.category, expense.category.toString()]);
+    const periodsToUpdate = new Set([
+      `${original.date.getFullYear()}-${original.date.getMonth() + 1}`,
+      `${newDate.getFullYear()}-${newDate.getMonth() + 1}`
+    ]);
+
+    for (const categoryId of categoriesToUpdate) {
+      for (const period of periodsToUpdate) {
+        const [year, month] = period.split('-').map(Number);
+        const budgets = await Budget.find({
+          familyId,
+          categoryId,
+          month,
+          year,
+          isActive: true
+        });
+
+        for (const budget of budgets) {
+          await budget.updateStats();
+          await checkBudgetAlerts(budget);
+        }
+      }
+    }
+  } catch (budgetError) {
+    logger.warn('Budget stats update failed after expense update:', budgetError);
+  }
+};
+
+// Bozza di spesa precompilata dal risultato OCR: la categoria è quella usata più
+// spesso con lo stesso negozio, altrimenti quella delle regole di categorizzazione
+const buildExpenseDraft = async (familyId, ocrData) => {
+  const { merchant, date, total } = ocrData.parsed;
+
+  let category = null;
+  let categorySource = null;
+
+  const suggestion = await Expense.suggestCategoryForMerchant(familyId, merchant);
+  if (suggestion) {
+    category = suggestion.categoryId;
+    categorySource = 'merchant_history';
+  } else if (merchant || total) {
+    const matchedRule = await CategorizationRule.categorize(familyId, {
+      amount: total || 0,
+      description: merchant || '',
+      tags: [],
+      receipt: { merchant }
+    });
+    if (matchedRule) {
+      category = matchedRule.categoryId;
+      categorySource = 'rule';
+    }
+  }
+
+  return {
+    amount: total,
+    date,
+    description: merchant || '',
+    category,
+    categorySource,
+    receipt: {
+      merchant,
+      ocrData
+    }
+  };
+};
+
 // @desc    Ottieni tutte le spese della famiglia
 // @route   GET /api/expenses
 // @access  Private
 const getExpenses = async (req, res) => {
   try {
-    const { familyId } = req.user;
+    const familyId = req.family._id;
     const { 
       page = 1, 
       limit = 20, 
@@ -77,8 +181,8 @@ const getExpenses = async (req, res) => {
       {
         $group: {
           _id: null,
-          totalAmount: { $sum: '$amount' },
-          avgAmount: { $avg: '$amount' },
+          totalAmount: { $sum: { $ifNull: ['$baseAmount', '$amount'] } },
+          avgAmount: { $avg: { $ifNull: ['$baseAmount', '$amount'] } },
           count: { $sum: 1 }
         }
       }
@@ -113,7 +217,7 @@ const getExpenses = async (req, res) => {
 const getExpense = async (req, res) => {
   try {
     const { id } = req.params;
-    const { familyId } = req.user;
+    const familyId = req.family._id;
 
     const expense = await Expense.findOne({ 
       _id: id, 
@@ -158,7 +262,7 @@ const createExpense = async (req, res) => {
       });
     }
 
-    const { familyId } = req.user;
+    const familyId = req.family._id;
     const { 
       amount, 
       description, 
@@ -167,12 +271,46 @@ const createExpense = async (req, res) => {
       tags,
       notes,
       location,
-      receipt
+      receipt,
+      isRecurring,
+      recurringPattern,
+      splitMethod,
+      splits,
+      currency,
+      exchangeRate
     } = req.body;
 
+    if (splits && !hasValidSplitMembers(req.family, splits)) {
+      return res.status(400).json({
+        error: 'Ripartizione non valida',
+        message: 'La spesa può essere ripartita solo tra membri attivi della famiglia'
+      });
+    }
+
+    // Senza categoria, prova ad assegnarla con le regole della famiglia
+    let categoryId = category;
+    let matchedRule = null;
+    if (!categoryId) {
+      matchedRule = await CategorizationRule.categorize(familyId, {
+        amount: parseFloat(amount),
+        description,
+        tags: tags || [],
+        receipt
+      });
+
+      if (!matchedRule) {
+        return res.status(400).json({
+          error: 'Categoria mancante',
+          message: 'Seleziona una categoria: nessuna regola di categorizzazione è applicabile'
+        });
+      }
+
+      categoryId = matchedRule.categoryId;
+    }
+
     // Verifica che la categoria appartenga alla famiglia
     const categoryDoc = await Category.findOne({
-      _id: category,
+      _id: categoryId,
       $or: [
         { isDefault: true },
         { familyId: familyId }
@@ -190,15 +328,22 @@ const createExpense = async (req, res) => {
     // Crea nuova spesa
     const expense = new Expense({
       amount,
+      currency: currency || null,
+      exchangeRate: exchangeRate || null,
       description,
-      category,
+      category: categoryId,
+      autoCategorizedBy: matchedRule ? matchedRule._id : null,
       date: date || new Date(),
       userId: req.user._id,
       familyId,
       tags: tags || [],
       notes: notes || '',
       location: location || undefined,
-      receipt: receipt || undefined
+      receipt: receipt ? pickReceiptFields(receipt) : undefined,
+      isRecurring: isRecurring || false,
+      recurringPattern: isRecurring ? recurringPattern : undefined,
+      splitMethod: splitMethod || null,
+      splits: splits || []
     });
 
     await expense.save();
@@ -212,27 +357,37 @@ const createExpense = async (req, res) => {
       const expenseDate = new Date(expense.date);
       const budgets = await Budget.find({
         familyId,
-        categoryId: category,
+        categoryId,
         month: expenseDate.getMonth() + 1,
         year: expenseDate.getFullYear(),
         isActive: true
       });
 
-      // Aggiorna le statistiche per ogni budget trovato
+      // Aggiorna le statistiche per ogni budget trovato e notifica i superamenti di soglia
       for (const budget of budgets) {
         await budget.updateStats();
+        await checkBudgetAlerts(budget);
       }
     } catch (budgetError) {
       // Log l'errore ma non bloccare la risposta
       logger.warn('Budget stats update failed after expense creation:', budgetError);
     }
 
-    logger.info(`New expense created: ${amount}€ by ${req.user.email}`);
+    if (matchedRule) {
+      await CategorizationRule.recordMatches([matchedRule._id]);
+    }
+
+    logger.info(`New expense created: ${amount} ${expense.currency} by ${req.user.email}`);
+    broadcast(familyId, 'expense', 'created', { data: expense, actorId: req.user._id });
+    recordAuditEvent(req, { entity: 'expense', action: 'created', entityId: expense._id, after: expense });
 
     res.status(201).json({
       success: true,
       message: 'Spesa creata con successo',
-      data: { expense }
+      data: {
+        expense,
+        autoCategorized: !!matchedRule
+      }
     });
 
   } catch (error) {
@@ -259,7 +414,7 @@ const createExpense = async (req, res) => {
 const updateExpense = async (req, res) => {
   try {
     const { id } = req.params;
-    const { familyId } = req.user;
+    const familyId = req.family._id;
 
     // Trova la spesa
     const expense = await Expense.findOne({ 
@@ -275,14 +430,17 @@ const updateExpense = async (req, res) => {
       });
     }
 
-    // Verifica permessi (solo il creatore o admin famiglia)
-    if (expense.userId.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Verifica permessi (solo il creatore o chi può gestire i dati degli altri membri)
+    if (expense.userId.toString() !== req.user._id.toString() && !req.permissions.includes('expenses:edit_others')) {
       return res.status(403).json({
         error: 'Permessi insufficienti',
         message: 'Non hai i permessi per modificare questa spesa'
       });
     }
 
+    const before = expense.toObject();
+    const previousState = getVersionedState('expense', expense);
+
     const { 
       amount, 
       description, 
@@ -291,13 +449,25 @@ const updateExpense = async (req, res) => {
       tags,
       notes,
       location,
-      receipt
+      receipt,
+      isRecurring,
+      recurringPattern,
+      splitMethod,
+      splits,
+      currency,
+      exchangeRate
     } = req.body;
 
+    if (splits && !hasValidSplitMembers(req.family, splits)) {
+      return res.status(400).json({
+        error: 'Ripartizione non valida',
+        message: 'La spesa può essere ripartita solo tra membri attivi della famiglia'
+      });
+    }
+
     // Salva i valori originali per aggiornare i budget
     const originalCategory = expense.category.toString();
     const originalDate = new Date(expense.date);
-    const originalAmount = expense.amount;
 
     // Se la categoria è cambiata, verificala
     if (category && category !== expense.category.toString()) {
@@ -320,70 +490,231 @@ const updateExpense = async (req, res) => {
 
     // Aggiorna campi
     if (amount !== undefined) expense.amount = amount;
+    if (currency !== undefined) expense.currency = currency;
+    if (exchangeRate !== undefined) expense.exchangeRate = exchangeRate;
     if (description !== undefined) expense.description = description;
-    if (category !== undefined) expense.category = category;
+    if (category !== undefined) {
+      if (category !== expense.category.toString()) expense.autoCategorizedBy = null;
+      expense.category = category;
+    }
     if (date !== undefined) expense.date = date;
     if (tags !== undefined) expense.tags = tags;
     if (notes !== undefined) expense.notes = notes;
     if (location !== undefined) expense.location = location;
-    if (receipt !== undefined) expense.receipt = receipt;
+    if (receipt !== undefined) {
+      Object.assign(expense.receipt, pickReceiptFields(receipt || {}));
+    }
+    if (splitMethod !== undefined) expense.splitMethod = splitMethod;
+    if (splits !== undefined) expense.splits = splits;
+    if (isRecurring !== undefined) {
+      expense.isRecurring = isRecurring;
+      if (isRecurring && recurringPattern) {
+        const { frequency, interval, endDate } = recurringPattern;
+        if (frequency !== undefined) expense.recurringPattern.frequency = frequency;
+        if (interval !== undefined) expense.recurringPattern.interval = interval;
+        if (endDate !== undefined) expense.recurringPattern.endDate = endDate;
+      }
+    }
 
     await expense.save();
+    await recordRevision('expense', expense, previousState, req.user._id);
+
+    // Aggiorna automaticamente le statistiche dei budget
+    await refreshBudgetsAfterUpdate(familyId, { category: originalCategory, date: originalDate }, expense);
 
     // Popola i dati per la risposta
     await expense.populate('category', 'name color icon');
     await expense.populate('userId', 'name email avatar');
 
-    // Aggiorna automaticamente le statistiche dei budget
-    try {
-      const newDate = new Date(expense.date);
-      const categoriesToUpdate = new Set();
-      const periodsToUpdate = new Set();
+    logger.info(`Expense updated: ${id} by ${req.user.email}`);
+    broadcast(familyId, 'expense', 'updated', { data: expense, actorId: req.user._id });
+    recordAuditEvent(req, { entity: 'expense', action: 'updated', entityId: expense._id, before, after: expense });
+
+    res.json({
+      success: true,
+      message: 'Spesa aggiornata con successo',
+      data: { expense }
+    });
 
-      // Aggiungi categoria e periodo originali
-      categoriesToUpdate.add(originalCategory);
-      periodsToUpdate.add(`${originalDate.getFullYear()}-${originalDate.getMonth() + 1}`);
+  } catch (error) {
+    logger.error('Update expense error:', error);
+    
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.join(', ')
+      });
+    }
 
-      // Aggiungi nuova categoria e periodo se diversi
-      if (category && category !== originalCategory) {
-        categoriesToUpdate.add(category);
-      }
-      if (date && newDate.getTime() !== originalDate.getTime()) {
-        periodsToUpdate.add(`${newDate.getFullYear()}-${newDate.getMonth() + 1}`);
-      }
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante l\'aggiornamento della spesa'
+    });
+  }
+};
+
+// @desc    Ottieni la cronologia delle modifiche di una spesa
+// @route   GET /api/expenses/:id/history
+// @access  Private
+const getExpenseHistory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
 
-      // Aggiorna tutti i budget interessati
-      for (const categoryId of categoriesToUpdate) {
-        for (const period of periodsToUpdate) {
-          const [year, month] = period.split('-').map(Number);
-          const budgets = await Budget.find({
-            familyId,
-            categoryId,
-            month,
-            year,
-            isActive: true
-          });
-
-          for (const budget of budgets) {
-            await budget.updateStats();
-          }
+    const { id } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    const expense = await Expense.findOne({ _id: id, familyId: req.family._id, isActive: true });
+    if (!expense) {
+      return res.status(404).json({
+        error: 'Spesa non trovata',
+        message: 'La spesa richiesta non esiste'
+      });
+    }
+
+    const filters = { entity: 'expense', entityId: expense._id };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [revisions, total] = await Promise.all([
+      Revision.find(filters)
+        .select('-snapshot')
+        .populate('editedBy', 'name email avatar')
+        .sort({ version: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Revision.countDocuments(filters)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        revisions,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total,
+          limit: parseInt(limit)
         }
       }
-    } catch (budgetError) {
-      logger.warn('Budget stats update failed after expense update:', budgetError);
+    });
+
+  } catch (error) {
+    logger.error('Get expense history error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore nel recupero della cronologia della spesa'
+    });
+  }
+};
+
+// @desc    Ripristina una spesa com'era prima di una modifica
+// @route   POST /api/expenses/:id/history/:revisionId/revert
+// @access  Private
+const revertExpenseRevision = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
     }
 
-    logger.info(`Expense updated: ${id} by ${req.user.email}`);
+    const { id, revisionId } = req.params;
+    const familyId = req.family._id;
+
+    const expense = await Expense.findOne({ _id: id, familyId, isActive: true });
+    if (!expense) {
+      return res.status(404).json({
+        error: 'Spesa non trovata',
+        message: 'La spesa richiesta non esiste'
+      });
+    }
+
+    // Verifica permessi (stesse regole della modifica)
+    if (expense.userId.toString() !== req.user._id.toString() && !req.permissions.includes('expenses:edit_others')) {
+      return res.status(403).json({
+        error: 'Permessi insufficienti',
+        message: 'Non hai i permessi per modificare questa spesa'
+      });
+    }
+
+    const revision = await Revision.findOne({ _id: revisionId, entity: 'expense', entityId: expense._id });
+    if (!revision) {
+      return res.status(404).json({
+        error: 'Revisione non trovata',
+        message: 'La revisione richiesta non esiste per questa spesa'
+      });
+    }
+
+    const before = expense.toObject();
+    const previousState = getVersionedState('expense', expense);
+    const originalCategory = expense.category.toString();
+    const originalDate = new Date(expense.date);
+
+    applyRevision(expense, revision);
+
+    // La categoria e i membri della ripartizione potrebbero non essere più validi
+    if (expense.category.toString() !== originalCategory) {
+      const categoryDoc = await Category.findOne({
+        _id: expense.category,
+        $or: [
+          { isDefault: true },
+          { familyId: familyId }
+        ],
+        isActive: true
+      });
+
+      if (!categoryDoc) {
+        return res.status(400).json({
+          error: 'Categoria non valida',
+          message: 'La categoria della revisione non è più disponibile per questa famiglia'
+        });
+      }
+      expense.autoCategorizedBy = null;
+    }
+
+    if (!hasValidSplitMembers(req.family, expense.splits)) {
+      return res.status(400).json({
+        error: 'Ripartizione non valida',
+        message: 'La ripartizione della revisione include membri non più attivi nella famiglia'
+      });
+    }
+
+    await expense.save();
+    await recordRevision('expense', expense, previousState, req.user._id, { revertedTo: revision._id });
+
+    await refreshBudgetsAfterUpdate(familyId, { category: originalCategory, date: originalDate }, expense);
+
+    await expense.populate('category', 'name color icon');
+    await expense.populate('userId', 'name email avatar');
+
+    logger.info(`Expense reverted to revision ${revision.version}: ${id} by ${req.user.email}`);
+    broadcast(familyId, 'expense', 'updated', { data: expense, actorId: req.user._id });
+    recordAuditEvent(req, {
+      entity: 'expense',
+      action: 'reverted',
+      entityId: expense._id,
+      before,
+      after: expense,
+      details: { revisionId: revision._id, version: revision.version }
+    });
 
     res.json({
       success: true,
-      message: 'Spesa aggiornata con successo',
+      message: 'Spesa ripristinata con successo',
       data: { expense }
     });
 
   } catch (error) {
-    logger.error('Update expense error:', error);
-    
+    logger.error('Revert expense error:', error);
+
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => err.message);
       return res.status(400).json({
@@ -394,7 +725,7 @@ const updateExpense = async (req, res) => {
 
     res.status(500).json({
       error: 'Errore interno del server',
-      message: 'Errore durante l\'aggiornamento della spesa'
+      message: 'Errore durante il ripristino della spesa'
     });
   }
 };
@@ -405,7 +736,7 @@ const updateExpense = async (req, res) => {
 const deleteExpense = async (req, res) => {
   try {
     const { id } = req.params;
-    const { familyId } = req.user;
+    const familyId = req.family._id;
 
     // Trova la spesa
     const expense = await Expense.findOne({ 
@@ -421,20 +752,24 @@ const deleteExpense = async (req, res) => {
       });
     }
 
-    // Verifica permessi (solo il creatore o admin famiglia)
-    if (expense.userId.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Verifica permessi (solo il creatore o chi può gestire i dati degli altri membri)
+    if (expense.userId.toString() !== req.user._id.toString() && !req.permissions.includes('expenses:edit_others')) {
       return res.status(403).json({
         error: 'Permessi insufficienti',
         message: 'Non hai i permessi per eliminare questa spesa'
       });
     }
 
+    const before = expense.toObject();
+
     // Salva i dati per aggiornare i budget
     const expenseCategory = expense.category.toString();
     const expenseDate = new Date(expense.date);
 
-    // Soft delete
+    // Soft delete: la spesa va nel cestino, gli allegati restano fino all'eliminazione definitiva
     expense.isActive = false;
+    expense.deletedAt = new Date();
+    expense.deletedBy = req.user._id;
     await expense.save();
 
     // Aggiorna automaticamente le statistiche dei budget
@@ -447,14 +782,18 @@ const deleteExpense = async (req, res) => {
         isActive: true
       });
 
+      // Riarma gli avvisi se la spesa torna sotto soglia
       for (const budget of budgets) {
         await budget.updateStats();
+        await checkBudgetAlerts(budget);
       }
     } catch (budgetError) {
       logger.warn('Budget stats update failed after expense deletion:', budgetError);
     }
 
     logger.info(`Expense deleted: ${id} by ${req.user.email}`);
+    broadcast(familyId, 'expense', 'deleted', { data: { _id: id }, actorId: req.user._id });
+    recordAuditEvent(req, { entity: 'expense', action: 'deleted', entityId: expense._id, before });
 
     res.json({
       success: true,
@@ -475,7 +814,7 @@ const deleteExpense = async (req, res) => {
 // @access  Private
 const getExpenseStats = async (req, res) => {
   try {
-    const { familyId } = req.user;
+    const familyId = req.family._id;
     const { year, month } = req.query;
 
     const currentYear = year ? parseInt(year) : new Date().getFullYear();
@@ -531,11 +870,489 @@ const getExpenseStats = async (req, res) => {
   }
 };
 
+// @desc    Processa spese ricorrenti
+// @route   POST /api/expenses/process-recurring
+// @access  Private (recurring:process)
+const processRecurringExpenses = async (req, res) => {
+  try {
+    const familyId = req.family._id;
+    const { processed: processedExpenses } = await processRecurringExpensesForFamily(familyId);
+
+    logger.info(`Processed ${processedExpenses.length} recurring expenses for family ${familyId}`);
+    processedExpenses.forEach(expense => {
+      broadcast(familyId, 'expense', 'created', { data: expense, actorId: req.user._id });
+      recordAuditEvent(req, { entity: 'expense', action: 'created', entityId: expense._id, after: expense, details: { recurring: true } });
+    });
+
+    res.json({
+      success: true,
+      message: `${processedExpenses.length} spese ricorrenti processate`,
+      data: { processedExpenses }
+    });
+
+  } catch (error) {
+    logger.error('Process recurring expenses error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore nel processamento delle spese ricorrenti'
+    });
+  }
+};
+
+// @desc    Salta una singola occorrenza di una spesa ricorrente
+// @route   POST /api/expenses/:id/skip-occurrence
+// @access  Private
+const skipRecurringOccurrence = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const { id } = req.params;
+    const familyId = req.family._id;
+
+    const expense = await Expense.findOne({
+      _id: id,
+      familyId,
+      isRecurring: true,
+      isActive: true
+    });
+
+    if (!expense) {
+      return res.status(404).json({
+        error: 'Spesa non trovata',
+        message: 'La spesa ricorrente richiesta non esiste'
+      });
+    }
+
+    // Verifica permessi (solo il creatore o chi può gestire i dati degli altri membri)
+    if (expense.userId.toString() !== req.user._id.toString() && !req.permissions.includes('expenses:edit_others')) {
+      return res.status(403).json({
+        error: 'Permessi insufficienti',
+        message: 'Non hai i permessi per modificare questa spesa'
+      });
+    }
+
+    // Senza data esplicita si salta la prossima occorrenza
+    const occurrenceDate = req.body.date
+      ? new Date(req.body.date)
+      : expense.recurringPattern.nextOccurrence;
+
+    if (!occurrenceDate) {
+      return res.status(400).json({
+        error: 'Occorrenza non valida',
+        message: 'Non ci sono occorrenze future da saltare'
+      });
+    }
+
+    if (expense.recurringPattern.lastGenerated && occurrenceDate <= expense.recurringPattern.lastGenerated) {
+      return res.status(400).json({
+        error: 'Occorrenza non valida',
+        message: 'L\'occorrenza è già stata generata: elimina la spesa corrispondente'
+      });
+    }
+
+    if (!expense.isOccurrenceSkipped(occurrenceDate)) {
+      expense.recurringPattern.skippedOccurrences.push(occurrenceDate);
+      await expense.save();
+    }
+
+    logger.info(`Recurring expense occurrence skipped: ${id} on ${occurrenceDate.toISOString()} by ${req.user.email}`);
+    broadcast(familyId, 'expense', 'updated', { data: expense, actorId: req.user._id });
+    recordAuditEvent(req, { entity: 'expense', action: 'occurrence_skipped', entityId: expense._id, details: { date: occurrenceDate } });
+
+    res.json({
+      success: true,
+      message: 'Occorrenza saltata con successo',
+      data: {
+        skippedDate: occurrenceDate,
+        recurringPattern: expense.recurringPattern
+      }
+    });
+
+  } catch (error) {
+    logger.error('Skip recurring occurrence error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante il salto dell\'occorrenza'
+    });
+  }
+};
+
+// @desc    Ripristina un'occorrenza saltata di una spesa ricorrente
+// @route   DELETE /api/expenses/:id/skip-occurrence
+// @access  Private
+const restoreRecurringOccurrence = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const { id } = req.params;
+    const familyId = req.family._id;
+
+    const expense = await Expense.findOne({
+      _id: id,
+      familyId,
+      isRecurring: true,
+      isActive: true
+    });
+
+    if (!expense) {
+      return res.status(404).json({
+        error: 'Spesa non trovata',
+        message: 'La spesa ricorrente richiesta non esiste'
+      });
+    }
+
+    // Verifica permessi (solo il creatore o chi può gestire i dati degli altri membri)
+    if (expense.userId.toString() !== req.user._id.toString() && !req.permissions.includes('expenses:edit_others')) {
+      return res.status(403).json({
+        error: 'Permessi insufficienti',
+        message: 'Non hai i permessi per modificare questa spesa'
+      });
+    }
+
+    const day = new Date(req.body.date).toDateString();
+    expense.recurringPattern.skippedOccurrences = expense.recurringPattern.skippedOccurrences
+      .filter(skipped => new Date(skipped).toDateString() !== day);
+    await expense.save();
+
+    logger.info(`Recurring expense occurrence restored: ${id} on ${req.body.date} by ${req.user.email}`);
+    broadcast(familyId, 'expense', 'updated', { data: expense, actorId: req.user._id });
+    recordAuditEvent(req, { entity: 'expense', action: 'occurrence_restored', entityId: expense._id, details: { date: req.body.date } });
+
+    res.json({
+      success: true,
+      message: 'Occorrenza ripristinata con successo',
+      data: { recurringPattern: expense.recurringPattern }
+    });
+
+  } catch (error) {
+    logger.error('Restore recurring occurrence error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante il ripristino dell\'occorrenza'
+    });
+  }
+};
+
+// @desc    Carica scontrini o fatture per una spesa
+// @route   POST /api/expenses/:id/receipt
+// @access  Private
+const uploadReceipt = async (req, res) => {
+  const files = req.files || [];
+
+  try {
+    if (files.length === 0) {
+      return res.status(400).json({
+        error: 'File mancante',
+        message: 'Nessun file caricato: usa il campo "files"'
+      });
+    }
+
+    const { id } = req.params;
+    const familyId = req.family._id;
+
+    const expense = await Expense.findOne({ _id: id, familyId, isActive: true });
+
+    if (!expense) {
+      await discardUploadedFiles(files);
+      return res.status(404).json({
+        error: 'Spesa non trovata',
+        message: 'La spesa richiesta non esiste'
+      });
+    }
+
+    // Verifica permessi (solo il creatore o chi può gestire i dati degli altri membri)
+    if (expense.userId.toString() !== req.user._id.toString() && !req.permissions.includes('expenses:edit_others')) {
+      await discardUploadedFiles(files);
+      return res.status(403).json({
+        error: 'Permessi insufficienti',
+        message: 'Non hai i permessi per modificare questa spesa'
+      });
+    }
+
+    const currentCount = expense.receipt?.attachments?.length || 0;
+    if (currentCount + files.length > MAX_ATTACHMENTS_PER_EXPENSE) {
+      await discardUploadedFiles(files);
+      return res.status(400).json({
+        error: 'Troppi allegati',
+        message: `Una spesa può avere al massimo ${MAX_ATTACHMENTS_PER_EXPENSE} allegati`
+      });
+    }
+
+    const previousState = getVersionedState('expense', expense);
+
+    const attachments = [];
+    for (const file of files) {
+      attachments.push(await buildAttachment(file, req.user._id));
+    }
+
+    expense.receipt.attachments.push(...attachments);
+
+    // La prima immagine caricata diventa l'immagine principale dello scontrino
+    if (!expense.receipt.imageUrl) {
+      const firstImage = attachments.find(attachment => attachment.mimeType.startsWith('image/'));
+      if (firstImage) expense.receipt.imageUrl = firstImage.url;
+    }
+
+    await expense.save();
+    await recordRevision('expense', expense, previousState, req.user._id);
+
+    logger.info(`Receipt uploaded: ${files.length} files for expense ${id} by ${req.user.email}`);
+    broadcast(familyId, 'expense', 'updated', { data: expense, actorId: req.user._id });
+    recordAuditEvent(req, { entity: 'expense', action: 'receipt_uploaded', entityId: expense._id, details: { files: attachments.map(attachment => attachment.originalName) } });
+
+    res.status(201).json({
+      success: true,
+      message: files.length === 1 ? 'Allegato caricato con successo' : `${files.length} allegati caricati con successo`,
+      data: { receipt: expense.receipt }
+    });
+
+  } catch (error) {
+    logger.error('Upload receipt error:', error);
+    await discardUploadedFiles(files);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante il caricamento dello scontrino'
+    });
+  }
+};
+
+// @desc    Elimina scontrino (tutti gli allegati o uno solo)
+// @route   DELETE /api/expenses/:id/receipt
+// @route   DELETE /api/expenses/:id/receipt/:attachmentId
+// @access  Private
+const deleteReceipt = async (req, res) => {
+  try {
+    const { id, attachmentId } = req.params;
+    const familyId = req.family._id;
+
+    const expense = await Expense.findOne({ _id: id, familyId, isActive: true });
+
+    if (!expense) {
+      return res.status(404).json({
+        error: 'Spesa non trovata',
+        message: 'La spesa richiesta non esiste'
+      });
+    }
+
+    // Verifica permessi (solo il creatore o chi può gestire i dati degli altri membri)
+    if (expense.userId.toString() !== req.user._id.toString() && !req.permissions.includes('expenses:edit_others')) {
+      return res.status(403).json({
+        error: 'Permessi insufficienti',
+        message: 'Non hai i permessi per modificare questa spesa'
+      });
+    }
+
+    const previousState = getVersionedState('expense', expense);
+
+    let removed;
+    if (attachmentId) {
+      const attachment = expense.receipt?.attachments?.id(attachmentId);
+      if (!attachment) {
+        return res.status(404).json({
+          error: 'Allegato non trovato',
+          message: 'L\'allegato richiesto non esiste'
+        });
+      }
+      removed = [attachment.toObject()];
+      attachment.deleteOne();
+    } else {
+      removed = (expense.receipt?.attachments || []).map(attachment => attachment.toObject());
+      expense.receipt.attachments = [];
+      expense.receipt.ocrData = null;
+    }
+
+    // Se l'immagine principale è stata rimossa, usa la prossima immagine disponibile
+    if (!attachmentId || removed.some(attachment => attachment.url === expense.receipt.imageUrl)) {
+      const nextImage = expense.receipt.attachments.find(attachment => attachment.mimeType?.startsWith('image/'));
+      expense.receipt.imageUrl = nextImage ? nextImage.url : null;
+    }
+
+    await expense.save();
+    await recordRevision('expense', expense, previousState, req.user._id);
+    await deleteAttachmentsSafely(removed);
+
+    logger.info(`Receipt deleted: ${removed.length} files from expense ${id} by ${req.user.email}`);
+    broadcast(familyId, 'expense', 'updated', { data: expense, actorId: req.user._id });
+    recordAuditEvent(req, { entity: 'expense', action: 'receipt_deleted', entityId: expense._id, details: { files: removed.map(attachment => attachment.originalName) } });
+
+    res.json({
+      success: true,
+      message: attachmentId ? 'Allegato eliminato con successo' : 'Scontrino eliminato con successo',
+      data: { receipt: expense.receipt }
+    });
+
+  } catch (error) {
+    logger.error('Delete receipt error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante l\'eliminazione dello scontrino'
+    });
+  }
+};
+
+// @desc    Analizza la foto di uno scontrino e restituisce una bozza di spesa
+// @route   POST /api/expenses/receipt/scan
+// @access  Private
+const scanReceipt = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'File mancante',
+        message: 'Nessuna immagine caricata: usa il campo "file"'
+      });
+    }
+
+    const ocrData = await recognizeReceipt(req.file.buffer);
+    const draft = await buildExpenseDraft(req.family._id, ocrData);
+
+    logger.info(`Receipt scanned by ${req.user.email} (confidence ${ocrData.confidence}%)`);
+
+    res.json({
+      success: true,
+      message: 'Scontrino analizzato: verifica i dati prima di salvare la spesa',
+      data: { draft }
+    });
+
+  } catch (error) {
+    if (error.code === INVALID_IMAGE) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: error.message
+      });
+    }
+
+    logger.error('Scan receipt error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante la lettura dello scontrino'
+    });
+  }
+};
+
+// @desc    Esegue l'OCR di un allegato già caricato e ne salva il risultato
+// @route   POST /api/expenses/:id/receipt/ocr
+// @access  Private
+const recognizeReceiptAttachment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const { id } = req.params;
+    const { attachmentId } = req.body;
+    const familyId = req.family._id;
+
+    const expense = await Expense.findOne({ _id: id, familyId, isActive: true });
+
+    if (!expense) {
+      return res.status(404).json({
+        error: 'Spesa non trovata',
+        message: 'La spesa richiesta non esiste'
+      });
+    }
+
+    // Verifica permessi (solo il creatore o chi può gestire i dati degli altri membri)
+    if (expense.userId.toString() !== req.user._id.toString() && !req.permissions.includes('expenses:edit_others')) {
+      return res.status(403).json({
+        error: 'Permessi insufficienti',
+        message: 'Non hai i permessi per modificare questa spesa'
+      });
+    }
+
+    // Senza attachmentId viene analizzata la prima immagine allegata
+    const attachments = expense.receipt?.attachments || [];
+    const attachment = attachmentId
+      ? attachments.id(attachmentId)
+      : attachments.find(item => OCR_MIME_TYPES.includes(item.mimeType));
+
+    if (!attachment) {
+      return res.status(404).json({
+        error: 'Allegato non trovato',
+        message: 'Nessuna immagine dello scontrino da analizzare'
+      });
+    }
+
+    if (!OCR_MIME_TYPES.includes(attachment.mimeType)) {
+      return res.status(400).json({
+        error: 'Allegato non supportato',
+        message: 'L\'OCR è disponibile solo per immagini JPEG, PNG e WebP'
+      });
+    }
+
+    const image = await readAttachmentFile(attachment);
+    const ocrData = await recognizeReceipt(image);
+
+    const previousState = getVersionedState('expense', expense);
+
+    expense.receipt.ocrData = { ...ocrData, attachmentId: attachment._id };
+    if (!expense.receipt.merchant && ocrData.parsed.merchant) {
+      expense.receipt.merchant = ocrData.parsed.merchant;
+    }
+
+    await expense.save();
+    await recordRevision('expense', expense, previousState, req.user._id);
+
+    const draft = await buildExpenseDraft(familyId, ocrData);
+
+    logger.info(`Receipt OCR for expense ${id} by ${req.user.email} (confidence ${ocrData.confidence}%)`);
+    broadcast(familyId, 'expense', 'updated', { data: expense, actorId: req.user._id });
+    recordAuditEvent(req, { entity: 'expense', action: 'receipt_recognized', entityId: expense._id, details: { attachmentId: attachment._id, confidence: ocrData.confidence } });
+
+    res.json({
+      success: true,
+      message: 'Scontrino analizzato: verifica i dati suggeriti prima di aggiornare la spesa',
+      data: {
+        receipt: expense.receipt,
+        draft
+      }
+    });
+
+  } catch (error) {
+    if (error.code === INVALID_IMAGE) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: error.message
+      });
+    }
+
+    logger.error('Receipt OCR error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante la lettura dello scontrino'
+    });
+  }
+};
+
 module.exports = {
   getExpenses,
   getExpense,
   createExpense,
   updateExpense,
   deleteExpense,
-  getExpenseStats
+  getExpenseHistory,
+  revertExpenseRevision,
+  getExpenseStats,
+  processRecurringExpenses,
+  skipRecurringOccurrence,
+  restoreRecurringOccurrence,
+  uploadReceipt,
+  deleteReceipt,
+  scanReceipt,
+  recognizeReceiptAttachment
 }; 
\ No newline at end of file
@@ -0,0 +1,73 @@
+const logger = require('../utils/logger');
+const { DEFAULT_CURRENCY } = require('../config/currencies');
+const { validationResult } = require('express-validator');
+const {
+  CONTENT_TYPES,
+  buildExportFilters,
+  writeCsv,
+  writeXlsx,
+  writePdf
+} = require('../services/exportService');
+
+// @desc    Esporta spese, entrate e budget della famiglia in CSV, XLSX o PDF
+// @route   GET /api/export
+// @access  Private
+const exportTransactions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const familyId = req.family._id;
+    const { format = 'csv', startDate, endDate } = req.query;
+
+    const filters = buildExportFilters(familyId, req.query);
+
+    // Senza il permesso di vedere le entrate della famiglia, solo le proprie
+    if (filters.incomes && !req.permissions.includes('incomes:view')) {
+      filters.incomes.userId = req.user._id;
+    }
+
+    const periodLabel = [startDate, endDate]
+      .filter(Boolean)
+      .map(date => new Date(date).toISOString().slice(0, 10))
+      .join('_') || new Date().toISOString().slice(0, 10);
+    const filename = `fambud-export-${periodLabel}.${format}`;
+
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    const baseCurrency = req.family?.settings?.currency || DEFAULT_CURRENCY;
+
+    if (format === 'xlsx') {
+      await writeXlsx(res, filters, { baseCurrency });
+    } else if (format === 'pdf') {
+      await writePdf(res, filters, { familyName: req.family?.name, startDate, endDate, baseCurrency });
+    } else {
+      await writeCsv(res, filters);
+    }
+
+    logger.info(`Family data exported (${format}) by ${req.user.email}`);
+
+  } catch (error) {
+    logger.error('Export transactions error:', error);
+
+    // Se lo streaming è già iniziato non è possibile inviare una risposta di errore
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante l\'esportazione dei dati'
+    });
+  }
+};
+
+module.exports = {
+  exportTransactions
+};
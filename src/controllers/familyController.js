@@ -1,29 +1,96 @@
 const Family = require('../models/Family');
 const User = require('../models/User');
+const Expense = require('../models/Expense');
+const Income = require('../models/Income');
+const AuditEvent = require('../models/AuditEvent');
 const logger = require('../utils/logger');
 const { validationResult } = require('express-validator');
 const crypto = require('crypto');
+const QRCode = require('qrcode');
 const { sendFamilyInvite } = require('../services/emailService');
 const cloudinary = require('../config/cloudinary');
+const { broadcast, disconnectUser } = require('../services/realtimeService');
+const { applySuccession } = require('../services/familySuccessionService');
+const { notifyOwnershipTransfer } = require('../services/notificationService');
+const { recordAuditEvent } = require('../services/auditService');
+const { PERMISSIONS, BUILT_IN_ROLES, OWNER_ONLY_ROLES, getRoleDefinition, canGrantRole } = require('../config/permissions');
+
+// Dati della famiglia inviati in tempo reale ai membri (senza inviti e token)
+const toRealtimeFamily = (family) => ({
+  _id: family._id,
+  name: family.name,
+  description: family.description,
+  banner: family.banner,
+  settings: family.settings
+});
+
+// Comunica ai membri il nuovo ruolo del successore; il suo stream si riconnette con i nuovi permessi
+const notifySuccession = (familyId, succession, actorId) => {
+  if (!succession) return;
+  broadcast(familyId, 'member', 'updated', { data: succession, actorId });
+  disconnectUser(familyId, succession.userId, 'role_changed');
+};
+
+// Validità di una richiesta di trasferimento della proprietà
+const OWNERSHIP_TRANSFER_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Validità predefinita dei link di invito
+const INVITE_LINK_DEFAULT_TTL_DAYS = 7;
+
+const getJoinUrl = (token) => `${process.env.FRONTEND_URL || 'http://localhost:3000'}/join-family/${token}`;
+
+// I token di inviti e link sono salvati solo come hash
+const hashInviteToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Link di invito in formato API. L'URL è disponibile solo alla creazione,
+// quando si conosce il token in chiaro
+const toInviteLinkResponse = (family, link, token = null) => ({
+  _id: link._id,
+  url: token ? getJoinUrl(token) : null,
+  role: link.role,
+  maxUses: link.maxUses,
+  uses: link.uses,
+  expiresAt: link.expiresAt,
+  requiresApproval: link.requiresApproval,
+  createdBy: link.createdBy,
+  createdAt: link.createdAt,
+  isActive: family.isInviteLinkUsable(link)
+});
+
+// Aggiunge l'utente ai membri attivi e salva la famiglia; la prima famiglia diventa quella predefinita dell'utente
+const addActiveMember = async (family, user, role, actorId) => {
+  family.members.push({
+    user: user._id,
+    role,
+    joinedAt: new Date(),
+    isActive: true
+  });
+
+  await family.save();
+
+  if (!user.familyId) {
+    user.familyId = family._id;
+    user.role = role;
+    await user.save();
+  }
+
+  broadcast(family._id, 'member', 'created', {
+    data: { user: { _id: user._id, name: user.name, email: user.email, avatar: user.avatar }, role },
+    actorId
+  });
+};
 
 // @desc    Ottieni informazioni famiglia corrente
 // @route   GET /api/family
 // @access  Private
 const getFamily = async (req, res) => {
   try {
-    const { familyId } = req.user;
-
-    if (!familyId) {
-      return res.status(404).json({
-        error: 'Famiglia non trovata',
-        message: 'Non appartieni a nessuna famiglia'
-      });
-    }
+    const familyId = req.family._id;
 
     const family = await Family.findById(familyId)
       .populate('members.user', 'name email avatar isActive lastLogin')
       .populate('createdBy', 'name email')
-      .select('-invitations.token'); // Non esporre i token
+      .select('-invitations.token -inviteLinks.token'); // Non esporre i token
 
     if (!family) {
       return res.status(404).json({
@@ -51,8 +118,12 @@ const getFamily = async (req, res) => {
       logger.info(`Cleaned up ${originalMembersCount - family.members.length} deleted user references from family ${familyId}`);
     }
 
-    // Calcola statistiche famiglia
+    // Calcola statistiche famiglia (senza entrate per chi non può vederle)
     const stats = await family.getStats();
+    if (!req.permissions.includes('incomes:view')) {
+      const { expenses, expenseCount } = stats.currentMonth;
+      stats.currentMonth = { expenses, expenseCount };
+    }
 
     // Separa membri attivi ed ex-membri
     const activeMembers = family.getActiveMembers();
@@ -67,9 +138,8 @@ const getFamily = async (req, res) => {
           formerMembers
         },
         stats,
-        userRole: family.members.find(m => 
-          m.user && m.user._id.toString() === req.user._id.toString()
-        )?.role || 'member'
+        userRole: req.familyRole,
+        permissions: req.permissions
       }
     });
 
@@ -84,18 +154,10 @@ const getFamily = async (req, res) => {
 
 // @desc    Aggiorna informazioni famiglia
 // @route   PUT /api/family
-// @access  Private (Admin only)
+// @access  Private (family:manage)
 const updateFamily = async (req, res) => {
   try {
-    const { familyId } = req.user;
-
-    // Solo admin famiglia può modificare
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Permessi insufficienti',
-        message: 'Solo gli admin famiglia possono modificare le informazioni'
-      });
-    }
+    const familyId = req.family._id;
 
     const family = await Family.findById(familyId);
     if (!family) {
@@ -107,6 +169,33 @@ const updateFamily = async (req, res) => {
 
     const { name, description, settings } = req.body;
 
+    // La valuta base non può cambiare dopo la registrazione di transazioni:
+    // importi convertiti e budget sono espressi in quella valuta
+    if (settings?.currency && settings.currency !== family.settings.currency) {
+      const [hasExpenses, hasIncomes] = await Promise.all([
+        Expense.exists({ familyId }),
+        Income.exists({ familyId })
+      ]);
+
+      if (hasExpenses || hasIncomes) {
+        return res.status(400).json({
+          error: 'Valuta non modificabile',
+          message: 'La valuta base non può essere modificata dopo aver registrato spese o entrate'
+        });
+      }
+    }
+
+    // Chi impone la verifica in due passaggi alla famiglia deve averla già attiva
+    if (settings?.requireTwoFactor === true && !req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        error: 'Verifica in due passaggi non attiva',
+        message: 'Attiva la verifica in due passaggi sul tuo account prima di richiederla ai membri'
+      });
+    }
+
+    const before = toRealtimeFamily(family.toObject());
+    const previousRetentionDays = family.settings.auditRetentionDays;
+
     // Aggiorna campi
     if (name !== undefined) family.name = name.trim();
     if (description !== undefined) family.description = description.trim();
@@ -120,6 +209,13 @@ const updateFamily = async (req, res) => {
     await family.populate('members.user', 'name email avatar isActive');
 
     logger.info(`Family updated: ${familyId} by ${req.user.email}`);
+    broadcast(familyId, 'family', 'updated', { data: toRealtimeFamily(family), actorId: req.user._id });
+    recordAuditEvent(req, { entity: 'family', action: 'updated', entityId: familyId, before, after: toRealtimeFamily(family), family });
+
+    // La nuova conservazione vale anche per gli eventi già registrati
+    if (family.settings.auditRetentionDays !== previousRetentionDays) {
+      await AuditEvent.applyRetention(familyId, family.settings.auditRetentionDays);
+    }
 
     res.json({
       success: true,
@@ -147,7 +243,7 @@ const updateFamily = async (req, res) => {
 
 // @desc    Invita nuovo membro alla famiglia
 // @route   POST /api/family/invite
-// @access  Private (Admin only)
+// @access  Private (members:invite)
 const inviteMember = async (req, res) => {
   try {
     // Validazione input
@@ -159,17 +255,9 @@ const inviteMember = async (req, res) => {
       });
     }
 
-    const { familyId } = req.user;
+    const familyId = req.family._id;
     const { email, role = 'member' } = req.body;
 
-    // Solo admin famiglia può invitare
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Permessi insufficienti',
-        message: 'Solo gli admin famiglia possono invitare nuovi membri'
-      });
-    }
-
     const family = await Family.findById(familyId);
     if (!family) {
       return res.status(404).json({
@@ -178,20 +266,28 @@ const inviteMember = async (req, res) => {
       });
     }
 
-    // Verifica che l'utente non sia già membro
+    // Il ruolo deve esistere; la proprietà si assegna solo a chi è già membro
+    if (!getRoleDefinition(family, role) || OWNER_ONLY_ROLES.includes(role)) {
+      return res.status(400).json({
+        error: 'Ruolo non valido',
+        message: 'Il ruolo indicato non esiste o non può essere assegnato con un invito'
+      });
+    }
+
+    if (!canGrantRole(family, req.familyRole, role)) {
+      return res.status(403).json({
+        error: 'Permessi insufficienti',
+        message: 'Non puoi invitare con un ruolo che ha permessi che il tuo ruolo non ha'
+      });
+    }
+
+    // Verifica che l'utente non sia già membro (può appartenere ad altre famiglie)
     const existingUser = await User.findOne({ email });
-    if (existingUser && existingUser.familyId) {
-      if (existingUser.familyId.toString() === familyId) {
-        return res.status(400).json({
-          error: 'Utente già membro',
-          message: 'Questo utente è già membro della famiglia'
-        });
-      } else {
-        return res.status(400).json({
-          error: 'Utente già in famiglia',
-          message: 'Questo utente appartiene già a un\'altra famiglia'
-        });
-      }
+    if (existingUser && family.getMemberRole(existingUser._id)) {
+      return res.status(400).json({
+        error: 'Utente già membro',
+        message: 'Questo utente è già membro della famiglia'
+      });
     }
 
     // Verifica che non ci sia già un invito pendente
@@ -214,7 +310,7 @@ const inviteMember = async (req, res) => {
     const invitation = {
       email,
       role,
-      token: crypto.createHash('sha256').update(inviteToken).digest('hex'),
+      token: hashInviteToken(inviteToken),
       expiresAt: inviteExpiry,
       invitedBy: req.user._id,
       status: 'pending'
@@ -242,6 +338,13 @@ const inviteMember = async (req, res) => {
     }
 
     logger.info(`Family invitation sent: ${email} to family ${familyId} by ${req.user.email}`);
+    recordAuditEvent(req, {
+      entity: 'invitation',
+      action: 'created',
+      entityId: family.invitations[family.invitations.length - 1]._id,
+      details: { email, role },
+      family
+    });
 
     res.status(201).json({
       success: true,
@@ -275,16 +378,8 @@ const joinFamily = async (req, res) => {
     const { token } = req.params;
     const user = req.user;
 
-    // Verifica che l'utente non appartenga già a una famiglia
-    if (user.familyId) {
-      return res.status(400).json({
-        error: 'Già in famiglia',
-        message: 'Appartieni già a una famiglia'
-      });
-    }
-
     // Hash del token per confronto
-    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+    const hashedToken = hashInviteToken(token);
 
     // Trova famiglia con invito valido
     const family = await Family.findOne({
@@ -293,11 +388,9 @@ const joinFamily = async (req, res) => {
       'invitations.status': 'pending'
     });
 
+    // Senza invito per email il token può essere quello di un link di invito
     if (!family) {
-      return res.status(400).json({
-        error: 'Invito non valido',
-        message: 'L\'invito non è valido o è scaduto'
-      });
+      return await joinWithInviteLink(req, res);
     }
 
     // Trova l'invito specifico
@@ -320,29 +413,22 @@ const joinFamily = async (req, res) => {
       });
     }
 
-    // Aggiungi utente alla famiglia
-    family.members.push({
-      user: user._id,
-      role: invitation.role,
-      joinedAt: new Date(),
-      isActive: true
-    });
+    if (family.getMemberRole(user._id)) {
+      return res.status(400).json({
+        error: 'Già in famiglia',
+        message: 'Sei già membro di questa famiglia'
+      });
+    }
 
     // Aggiorna stato invito
     invitation.status = 'accepted';
     invitation.acceptedAt = new Date();
 
-    await family.save();
-
-    // Aggiorna utente
-    user.familyId = family._id;
-    user.role = invitation.role;
-    await user.save();
-
-    // Popola i dati per la risposta
-    await family.populate('members.user', 'name email avatar');
+    // Aggiungi utente alla famiglia
+    await addActiveMember(family, user, invitation.role, req.user._id);
 
     logger.info(`User joined family: ${user.email} joined ${family.name}`);
+    recordAuditEvent(req, { entity: 'member', action: 'joined', entityId: user._id, details: { role: invitation.role, via: 'invitation' }, family });
 
     res.json({
       success: true,
@@ -366,6 +452,120 @@ const joinFamily = async (req, res) => {
   }
 };
 
+// Riserva un utilizzo del link in modo atomico: adesioni concorrenti non superano maxUses
+const reserveInviteLinkUse = async (family, link) => {
+  const now = new Date();
+  const reserved = await Family.findOneAndUpdate(
+    {
+      _id: family._id,
+      inviteLinks: {
+        $elemMatch: {
+          _id: link._id,
+          revokedAt: null,
+          $and: [
+            { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+            { $or: [{ maxUses: null }, { uses: { $lt: link.maxUses } }] }
+          ]
+        }
+      }
+    },
+    { $inc: { 'inviteLinks.$.uses': 1 } },
+    { new: true, projection: { _id: 1 } }
+  );
+  return Boolean(reserved);
+};
+
+// Adesione con un link di invito condiviso (chiamata da joinFamily)
+const joinWithInviteLink = async (req, res) => {
+  const user = req.user;
+  const hashedToken = hashInviteToken(req.params.token);
+  const family = await Family.findOne({ 'inviteLinks.token': hashedToken });
+  const link = family?.inviteLinks.find(item => item.token === hashedToken);
+
+  if (!family || !family.isInviteLinkUsable(link)) {
+    return res.status(400).json({
+      error: 'Invito non valido',
+      message: 'L\'invito non è valido o è scaduto'
+    });
+  }
+
+  if (family.getMemberRole(user._id)) {
+    return res.status(400).json({
+      error: 'Già in famiglia',
+      message: 'Sei già membro di questa famiglia'
+    });
+  }
+
+  if (link.requiresApproval) {
+    const existingRequest = family.joinRequests.find(request =>
+      request.user.toString() === user._id.toString() && request.status === 'pending'
+    );
+
+    if (existingRequest) {
+      return res.status(400).json({
+        error: 'Richiesta già inviata',
+        message: 'La tua richiesta di adesione è in attesa di approvazione'
+      });
+    }
+
+    if (!(await reserveInviteLinkUse(family, link))) {
+      return res.status(400).json({
+        error: 'Invito non valido',
+        message: 'L\'invito non è valido o è scaduto'
+      });
+    }
+
+    family.joinRequests.push({ user: user._id, inviteLink: link._id, role: link.role });
+    await family.save();
+
+    const joinRequest = family.joinRequests[family.joinRequests.length - 1];
+
+    logger.info(`Join request via invite link: ${user.email} for family ${family._id}`);
+    recordAuditEvent(req, { entity: 'invitation', action: 'join_requested', entityId: joinRequest._id, details: { linkId: link._id, role: link.role }, family });
+    broadcast(family._id, 'join_request', 'created', {
+      data: { _id: joinRequest._id, user: { _id: user._id, name: user.name, email: user.email }, role: link.role },
+      actorId: user._id
+    });
+
+    return res.status(202).json({
+      success: true,
+      message: 'Richiesta inviata: un admin della famiglia deve approvarla',
+      data: {
+        family: { _id: family._id, name: family.name },
+        joinRequest: { _id: joinRequest._id, status: joinRequest.status, role: joinRequest.role }
+      }
+    });
+  }
+
+  // Il ruolo del link potrebbe essere stato eliminato nel frattempo
+  const role = getRoleDefinition(family, link.role) ? link.role : 'member';
+
+  if (!(await reserveInviteLinkUse(family, link))) {
+    return res.status(400).json({
+      error: 'Invito non valido',
+      message: 'L\'invito non è valido o è scaduto'
+    });
+  }
+
+  await addActiveMember(family, user, role, user._id);
+
+  logger.info(`User joined family via invite link: ${user.email} joined ${family.name}`);
+  recordAuditEvent(req, { entity: 'member', action: 'joined', entityId: user._id, details: { role, via: 'link', linkId: link._id }, family });
+
+  res.json({
+    success: true,
+    message: 'Ti sei unito alla famiglia con successo!',
+    data: {
+      family: {
+        _id: family._id,
+        name: family.name,
+        description: family.description,
+        role
+      }
+    }
+  });
+};
+
 // @desc    Verifica dettagli invito famiglia
 // @route   GET /api/family/invite/:token
 // @access  Public
@@ -374,7 +574,7 @@ const verifyInvite = async (req, res) => {
     const { token } = req.params;
 
     // Hash del token per confronto
-    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+    const hashedToken = hashInviteToken(token);
 
     // Trova famiglia con invito valido
     const family = await Family.findOne({
@@ -384,9 +584,30 @@ const verifyInvite = async (req, res) => {
     }).populate('createdBy', 'name email');
 
     if (!family) {
-      return res.status(400).json({
-        error: 'Invito non valido',
-        message: 'L\'invito non è valido o è scaduto'
+      // Senza invito per email il token può essere quello di un link di invito
+      const linkFamily = await Family.findOne({ 'inviteLinks.token': hashedToken }).populate('inviteLinks.createdBy', 'name email');
+      const link = linkFamily?.inviteLinks.find(item => item.token === hashedToken);
+
+      if (!linkFamily || !linkFamily.isInviteLinkUsable(link)) {
+        return res.status(400).json({
+          error: 'Invito non valido',
+          message: 'L\'invito non è valido o è scaduto'
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: {
+          type: 'link',
+          familyName: linkFamily.name,
+          familyDescription: linkFamily.description,
+          inviterName: link.createdBy?.name || 'Utente sconosciuto',
+          inviterEmail: link.createdBy?.email,
+          role: link.role,
+          requiresApproval: link.requiresApproval,
+          expiresAt: link.expiresAt,
+          createdAt: link.createdAt
+        }
       });
     }
 
@@ -409,6 +630,7 @@ const verifyInvite = async (req, res) => {
     res.json({
       success: true,
       data: {
+        type: 'email',
         familyName: family.name,
         familyDescription: family.description,
         inviterName: inviter?.name || 'Utente sconosciuto',
@@ -431,21 +653,21 @@ const verifyInvite = async (req, res) => {
 
 // @desc    Aggiorna ruolo membro famiglia
 // @route   PUT /api/family/members/:userId
-// @access  Private (Admin only)
+// @access  Private (members:manage)
 const updateMemberRole = async (req, res) => {
   try {
-    const { userId } = req.params;
-    const { role } = req.body;
-    const { familyId } = req.user;
-
-    // Solo admin famiglia può modificare ruoli
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Permessi insufficienti',
-        message: 'Solo gli admin famiglia possono modificare i ruoli'
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
       });
     }
 
+    const { userId } = req.params;
+    const { role } = req.body;
+    const familyId = req.family._id;
+
     // Non può modificare il proprio ruolo
     if (userId === req.user._id.toString()) {
       return res.status(400).json({
@@ -474,14 +696,43 @@ const updateMemberRole = async (req, res) => {
       });
     }
 
+    if (!getRoleDefinition(family, role)) {
+      return res.status(400).json({
+        error: 'Ruolo non valido',
+        message: 'Il ruolo indicato non esiste in questa famiglia'
+      });
+    }
+
+    // Solo un owner può nominare altri owner o cambiare il loro ruolo
+    if ((OWNER_ONLY_ROLES.includes(role) || OWNER_ONLY_ROLES.includes(member.role)) && !OWNER_ONLY_ROLES.includes(req.familyRole)) {
+      return res.status(403).json({
+        error: 'Permessi insufficienti',
+        message: 'Solo il proprietario può assegnare o modificare il ruolo di proprietario'
+      });
+    }
+
+    // Non si può concedere né togliere un ruolo con permessi che il proprio ruolo non ha
+    if (!canGrantRole(family, req.familyRole, role) || !canGrantRole(family, req.familyRole, member.role)) {
+      return res.status(403).json({
+        error: 'Permessi insufficienti',
+        message: 'Non puoi modificare un ruolo che ha permessi che il tuo ruolo non ha'
+      });
+    }
+
+    const previousRole = member.role;
+
     // Aggiorna ruolo
     member.role = role;
     await family.save();
 
-    // Aggiorna anche l'utente
-    await User.findByIdAndUpdate(userId, { role });
+    // Aggiorna anche l'utente, se è la sua famiglia predefinita
+    await User.updateOne({ _id: userId, familyId }, { role });
 
     logger.info(`Member role updated: ${userId} to ${role} by ${req.user.email}`);
+    broadcast(familyId, 'member', 'updated', { data: { userId, role }, actorId: req.user._id });
+    recordAuditEvent(req, { entity: 'member', action: 'role_updated', entityId: userId, before: { role: previousRole }, after: { role } });
+    // Il client si riconnette con i permessi del nuovo ruolo
+    disconnectUser(familyId, userId, 'role_changed');
 
     res.json({
       success: true,
@@ -503,19 +754,11 @@ const updateMemberRole = async (req, res) => {
 
 // @desc    Rimuovi membro dalla famiglia
 // @route   DELETE /api/family/members/:userId
-// @access  Private (Admin only)
+// @access  Private (members:manage)
 const removeMember = async (req, res) => {
   try {
     const { userId } = req.params;
-    const { familyId } = req.user;
-
-    // Solo admin famiglia può rimuovere membri
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Permessi insufficienti',
-        message: 'Solo gli admin famiglia possono rimuovere membri'
-      });
-    }
+    const familyId = req.family._id;
 
     // Non può rimuovere se stesso
     if (userId === req.user._id.toString()) {
@@ -545,6 +788,15 @@ const removeMember = async (req, res) => {
       });
     }
 
+    if (OWNER_ONLY_ROLES.includes(member.role) && !OWNER_ONLY_ROLES.includes(req.familyRole)) {
+      return res.status(403).json({
+        error: 'Permessi insufficienti',
+        message: 'Solo il proprietario può rimuovere un altro proprietario'
+      });
+    }
+
+    const succession = await applySuccession(family, userId);
+
     // Disattiva il membro (soft delete)
     member.isActive = false;
     member.removedAt = new Date();
@@ -552,13 +804,14 @@ const removeMember = async (req, res) => {
 
     await family.save();
 
-    // Rimuovi famiglia dall'utente
-    await User.findByIdAndUpdate(userId, { 
-      familyId: null, 
-      role: 'member' 
-    });
+    // Se era la sua famiglia predefinita, l'utente passa a un'altra delle sue famiglie
+    await User.replaceDefaultFamily(userId, familyId);
 
     logger.info(`Member removed: ${userId} from family ${familyId} by ${req.user.email}`);
+    broadcast(familyId, 'member', 'deleted', { data: { userId }, actorId: req.user._id });
+    recordAuditEvent(req, { entity: 'member', action: 'removed', entityId: userId, details: { role: member.role, successor: succession } });
+    disconnectUser(familyId, userId);
+    notifySuccession(familyId, succession, req.user._id);
 
     res.json({
       success: true,
@@ -579,16 +832,19 @@ const removeMember = async (req, res) => {
 // @access  Private
 const leaveFamily = async (req, res) => {
   try {
-    const { familyId } = req.user;
-    const user = req.user;
-
-    if (!familyId) {
+    // Validazione input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
-        error: 'Nessuna famiglia',
-        message: 'Non appartieni a nessuna famiglia'
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
       });
     }
 
+    const familyId = req.family._id;
+    const user = req.user;
+    const { successorId } = req.body;
+
     const family = await Family.findById(familyId);
     if (!family) {
       return res.status(404).json({
@@ -597,18 +853,34 @@ const leaveFamily = async (req, res) => {
       });
     }
 
-    // Verifica se è l'ultimo admin
-    const activeAdmins = family.members.filter(m => 
-      m.isActive && m.role === 'admin'
-    );
-
-    if (user.role === 'admin' && activeAdmins.length === 1) {
+    const otherMembers = family.getActiveMembers().filter(m => m.user.toString() !== user._id.toString());
+    if (otherMembers.length === 0) {
       return res.status(400).json({
-        error: 'Ultimo admin',
-        message: 'Non puoi lasciare la famiglia: sei l\'ultimo admin. Nomina prima un altro admin.'
+        error: 'Unico membro',
+        message: 'Non puoi lasciare la famiglia: sei l\'unico membro'
       });
     }
 
+    // L'ultimo owner o admin deve indicare chi prenderà il suo posto
+    if (family.requiresSuccessor(user._id)) {
+      if (!successorId) {
+        return res.status(400).json({
+          error: 'Successore richiesto',
+          message: 'Sei l\'ultimo admin: indica in successorId il membro che prenderà il tuo posto',
+          candidates: otherMembers.map(m => ({ userId: m.user, role: m.role }))
+        });
+      }
+
+      if (!otherMembers.some(m => m.user.toString() === successorId)) {
+        return res.status(400).json({
+          error: 'Successore non valido',
+          message: 'Il successore deve essere un altro membro attivo della famiglia'
+        });
+      }
+    }
+
+    const succession = await applySuccession(family, user._id, successorId);
+
     // Trova e disattiva il membro
     const member = family.members.find(m => 
       m.user.toString() === user._id.toString() && m.isActive
@@ -621,16 +893,19 @@ const leaveFamily = async (req, res) => {
 
     await family.save();
 
-    // Rimuovi famiglia dall'utente
-    user.familyId = null;
-    user.role = 'member';
-    await user.save();
+    // Se era la sua famiglia predefinita, l'utente passa a un'altra delle sue famiglie
+    await User.replaceDefaultFamily(user._id, familyId);
 
     logger.info(`User left family: ${user.email} left ${family.name}`);
+    broadcast(familyId, 'member', 'deleted', { data: { userId: user._id }, actorId: req.user._id });
+    recordAuditEvent(req, { entity: 'member', action: 'left', entityId: user._id, details: { role: member?.role, successor: succession } });
+    disconnectUser(familyId, user._id);
+    notifySuccession(familyId, succession, req.user._id);
 
     res.json({
       success: true,
-      message: 'Hai lasciato la famiglia con successo'
+      message: 'Hai lasciato la famiglia con successo',
+      data: { successor: succession }
     });
 
   } catch (error) {
@@ -642,24 +917,18 @@ const leaveFamily = async (req, res) => {
   }
 };
 
-// @desc    Ottieni inviti pendenti
+// @desc    Ottieni inviti pendenti, link di invito e richieste di adesione
 // @route   GET /api/family/invitations
-// @access  Private (Admin only)
+// @access  Private (members:invite)
 const getInvitations = async (req, res) => {
   try {
-    const { familyId } = req.user;
-
-    // Solo admin famiglia può vedere inviti
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Permessi insufficienti',
-        message: 'Solo gli admin famiglia possono vedere gli inviti'
-      });
-    }
+    const familyId = req.family._id;
 
     const family = await Family.findById(familyId)
       .populate('invitations.invitedBy', 'name email')
-      .select('invitations');
+      .populate('inviteLinks.createdBy', 'name email')
+      .populate('joinRequests.user', 'name email avatar')
+      .select('invitations inviteLinks joinRequests');
 
     if (!family) {
       return res.status(404).json({
@@ -680,9 +949,24 @@ const getInvitations = async (req, res) => {
       expiresAt: inv.expiresAt
     }));
 
+    // Link non revocati (anche scaduti o esauriti, con isActive false) e richieste in attesa
+    const links = family.inviteLinks
+      .filter(link => !link.revokedAt)
+      .map(link => toInviteLinkResponse(family, link));
+
+    const joinRequests = family.joinRequests
+      .filter(request => request.status === 'pending' && request.user)
+      .map(request => ({
+        _id: request._id,
+        user: request.user,
+        role: request.role,
+        inviteLink: request.inviteLink,
+        createdAt: request.createdAt
+      }));
+
     res.json({
       success: true,
-      data: { invitations: activeInvitations }
+      data: { invitations: activeInvitations, links, joinRequests }
     });
 
   } catch (error) {
@@ -696,19 +980,11 @@ const getInvitations = async (req, res) => {
 
 // @desc    Cancella invito
 // @route   DELETE /api/family/invitations/:invitationId
-// @access  Private (Admin only)
+// @access  Private (members:invite)
 const cancelInvitation = async (req, res) => {
   try {
     const { invitationId } = req.params;
-    const { familyId } = req.user;
-
-    // Solo admin famiglia può cancellare inviti
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Permessi insufficienti',
-        message: 'Solo gli admin famiglia possono cancellare inviti'
-      });
-    }
+    const familyId = req.family._id;
 
     const family = await Family.findById(familyId);
     if (!family) {
@@ -735,6 +1011,7 @@ const cancelInvitation = async (req, res) => {
     await family.save();
 
     logger.info(`Invitation cancelled: ${invitationId} by ${req.user.email}`);
+    recordAuditEvent(req, { entity: 'invitation', action: 'cancelled', entityId: invitation._id, details: { email: invitation.email } });
 
     res.json({
       success: true,
@@ -750,28 +1027,28 @@ const cancelInvitation = async (req, res) => {
   }
 };
 
-// @desc    Upload banner famiglia
-// @route   POST /api/family/upload-banner
-// @access  Private (Admin only)
-const uploadFamilyBanner = async (req, res) => {
+// @desc    Crea link di invito riutilizzabile
+// @route   POST /api/family/invitations/links
+// @access  Private (members:invite)
+const createInviteLink = async (req, res) => {
   try {
-    const { familyId } = req.user;
-
-    // Solo admin famiglia può modificare banner
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Permessi insufficienti',
-        message: 'Solo gli admin famiglia possono modificare il banner'
-      });
-    }
-
-    if (!req.file) {
+    // Validazione input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
-        error: 'File mancante',
-        message: 'Nessun file banner caricato'
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
       });
     }
 
+    const familyId = req.family._id;
+    const {
+      role = 'member',
+      maxUses = null,
+      expiresInDays = INVITE_LINK_DEFAULT_TTL_DAYS,
+      requiresApproval = false
+    } = req.body;
+
     const family = await Family.findById(familyId);
     if (!family) {
       return res.status(404).json({
@@ -780,40 +1057,286 @@ const uploadFamilyBanner = async (req, res) => {
       });
     }
 
-    // Upload su Cloudinary
-    const uploadResult = await new Promise((resolve, reject) => {
-      cloudinary.uploader.upload_stream(
-        {
-          resource_type: 'image',
-          folder: 'family-banners',
-          transformation: [
-            { width: 1200, height: 400, crop: 'fill', quality: 'auto' }
-          ]
-        },
-        (error, result) => {
-          if (error) reject(error);
-          else resolve(result);
-        }
-      ).end(req.file.buffer);
-    });
+    // Come per gli inviti per email, la proprietà non si assegna con un link
+    if (!getRoleDefinition(family, role) || OWNER_ONLY_ROLES.includes(role)) {
+      return res.status(400).json({
+        error: 'Ruolo non valido',
+        message: 'Il ruolo indicato non esiste o non può essere assegnato con un invito'
+      });
+    }
 
-    // Elimina banner precedente se esiste
-    if (family.banner && family.banner.includes('cloudinary.com')) {
-      try {
-        const publicId = family.banner.split('/').pop().split('.')[0];
-        await cloudinary.uploader.destroy(`family-banners/${publicId}`);
-      } catch (deleteError) {
-        logger.warn('Error deleting old banner:', deleteError);
-      }
+    if (!canGrantRole(family, req.familyRole, role)) {
+      return res.status(403).json({
+        error: 'Permessi insufficienti',
+        message: 'Non puoi invitare con un ruolo che ha permessi che il tuo ruolo non ha'
+      });
     }
 
-    // Aggiorna famiglia con nuovo banner
-    family.banner = uploadResult.secure_url;
+    // Il token in chiaro compare solo nella risposta (URL e QR code)
+    const token = crypto.randomBytes(18).toString('base64url');
+
+    family.inviteLinks.push({
+      token: hashInviteToken(token),
+      role,
+      maxUses,
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+      requiresApproval,
+      createdBy: req.user._id
+    });
     await family.save();
 
-    logger.info(`Family banner updated: ${familyId} by ${req.user.email}`);
+    const link = family.inviteLinks[family.inviteLinks.length - 1];
 
-    res.json({
+    logger.info(`Invite link created: ${link._id} for family ${familyId} by ${req.user.email}`);
+    recordAuditEvent(req, { entity: 'invitation', action: 'link_created', entityId: link._id, details: { role, maxUses, expiresAt: link.expiresAt, requiresApproval } });
+
+    res.status(201).json({
+      success: true,
+      message: 'Link di invito creato con successo',
+      data: {
+        link: {
+          ...toInviteLinkResponse(family, link, token),
+          qrCode: await QRCode.toDataURL(getJoinUrl(token), { width: 300, margin: 2 })
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Create invite link error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante la creazione del link di invito'
+    });
+  }
+};
+
+// @desc    Revoca link di invito
+// @route   DELETE /api/family/invitations/links/:linkId
+// @access  Private (members:invite)
+const revokeInviteLink = async (req, res) => {
+  try {
+    const { linkId } = req.params;
+    const familyId = req.family._id;
+
+    const family = await Family.findById(familyId);
+    if (!family) {
+      return res.status(404).json({
+        error: 'Famiglia non trovata',
+        message: 'La famiglia non esiste'
+      });
+    }
+
+    const link = family.inviteLinks.id(linkId);
+    if (!link || link.revokedAt) {
+      return res.status(404).json({
+        error: 'Link non trovato',
+        message: 'Il link di invito non esiste o è già stato revocato'
+      });
+    }
+
+    link.revokedAt = new Date();
+    link.revokedBy = req.user._id;
+
+    await family.save();
+
+    logger.info(`Invite link revoked: ${linkId} by ${req.user.email}`);
+    recordAuditEvent(req, { entity: 'invitation', action: 'link_revoked', entityId: link._id });
+
+    res.json({
+      success: true,
+      message: 'Link di invito revocato con successo'
+    });
+
+  } catch (error) {
+    logger.error('Revoke invite link error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante la revoca del link di invito'
+    });
+  }
+};
+
+// @desc    Approva richiesta di adesione da link di invito
+// @route   POST /api/family/invitations/requests/:requestId/approve
+// @access  Private (members:invite)
+const approveJoinRequest = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    const familyId = req.family._id;
+
+    const family = await Family.findById(familyId);
+    if (!family) {
+      return res.status(404).json({
+        error: 'Famiglia non trovata',
+        message: 'La famiglia non esiste'
+      });
+    }
+
+    const joinRequest = family.joinRequests.id(requestId);
+    if (!joinRequest || joinRequest.status !== 'pending') {
+      return res.status(404).json({
+        error: 'Richiesta non trovata',
+        message: 'La richiesta di adesione non esiste o è già stata gestita'
+      });
+    }
+
+    const user = await User.findById(joinRequest.user);
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        error: 'Utente non disponibile',
+        message: 'L\'utente che ha chiesto di unirsi non esiste più o è disattivato'
+      });
+    }
+
+    joinRequest.status = 'approved';
+    joinRequest.reviewedBy = req.user._id;
+    joinRequest.reviewedAt = new Date();
+
+    // Il ruolo del link potrebbe essere stato eliminato nel frattempo
+    const role = getRoleDefinition(family, joinRequest.role) ? joinRequest.role : 'member';
+
+    if (family.getMemberRole(user._id)) {
+      await family.save();
+    } else {
+      await addActiveMember(family, user, role, req.user._id);
+    }
+
+    logger.info(`Join request approved: ${user.email} joined ${family.name} (approved by ${req.user.email})`);
+    broadcast(familyId, 'join_request', 'deleted', { data: { _id: joinRequest._id, status: 'approved' }, actorId: req.user._id });
+    recordAuditEvent(req, { entity: 'member', action: 'joined', entityId: user._id, details: { role, via: 'join_request', joinRequestId: joinRequest._id } });
+
+    res.json({
+      success: true,
+      message: 'Richiesta di adesione approvata',
+      data: { userId: user._id, role }
+    });
+
+  } catch (error) {
+    logger.error('Approve join request error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante l\'approvazione della richiesta'
+    });
+  }
+};
+
+// @desc    Rifiuta richiesta di adesione da link di invito
+// @route   POST /api/family/invitations/requests/:requestId/reject
+// @access  Private (members:invite)
+const rejectJoinRequest = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    const familyId = req.family._id;
+
+    const family = await Family.findById(familyId);
+    if (!family) {
+      return res.status(404).json({
+        error: 'Famiglia non trovata',
+        message: 'La famiglia non esiste'
+      });
+    }
+
+    const joinRequest = family.joinRequests.id(requestId);
+    if (!joinRequest || joinRequest.status !== 'pending') {
+      return res.status(404).json({
+        error: 'Richiesta non trovata',
+        message: 'La richiesta di adesione non esiste o è già stata gestita'
+      });
+    }
+
+    joinRequest.status = 'rejected';
+    joinRequest.reviewedBy = req.user._id;
+    joinRequest.reviewedAt = new Date();
+
+    await family.save();
+
+    logger.info(`Join request rejected: ${requestId} by ${req.user.email}`);
+    broadcast(familyId, 'join_request', 'deleted', { data: { _id: joinRequest._id, status: 'rejected' }, actorId: req.user._id });
+    recordAuditEvent(req, { entity: 'invitation', action: 'join_rejected', entityId: joinRequest._id, details: { userId: joinRequest.user } });
+
+    res.json({
+      success: true,
+      message: 'Richiesta di adesione rifiutata'
+    });
+
+  } catch (error) {
+    logger.error('Reject join request error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante il rifiuto della richiesta'
+    });
+  }
+};
+
+// @desc    Upload banner famiglia
+// @route   POST /api/family/upload-banner
+// @access  Private (family:manage)
+const uploadFamilyBanner = async (req, res) => {
+  try {
+    const familyId = req.family._id;
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'File mancante',
+        message: 'Nessun file banner caricato'
+      });
+    }
+
+    const family = await Family.findById(familyId);
+    if (!family) {
+      return res.status(404).json({
+        error: 'Famiglia non trovata',
+        message: 'La famiglia non esiste'
+      });
+    }
+
+    // Upload su Cloudinary
+    const uploadResult = await new Promise((resolve, reject) => {
+      cloudinary.uploader.upload_stream(
+        {
+          resource_type: 'image',
+          folder: 'family-banners',
+          transformation: [
+            { width: 1200, height: 400, crop: 'fill', quality: 'auto' }
+          ]
+        },
+        (error, result) => {
+          if (error) reject(error);
+          else resolve(result);
+        }
+      ).end(req.file.buffer);
+    });
+
+    const previousBanner = family.banner;
+
+    // Elimina banner precedente se esiste
+    if (family.banner && family.banner.includes('cloudinary.com')) {
+      try {
+        const publicId = family.banner.split('/').pop().split('.')[0];
+        await cloudinary.uploader.destroy(`family-banners/${publicId}`);
+      } catch (deleteError) {
+        logger.warn('Error deleting old banner:', deleteError);
+      }
+    }
+
+    // Aggiorna famiglia con nuovo banner
+    family.banner = uploadResult.secure_url;
+    await family.save();
+
+    logger.info(`Family banner updated: ${familyId} by ${req.user.email}`);
+    broadcast(familyId, 'family', 'updated', { data: toRealtimeFamily(family), actorId: req.user._id });
+    recordAuditEvent(req, { entity: 'family', action: 'banner_uploaded', entityId: familyId, before: { banner: previousBanner }, after: { banner: family.banner } });
+
+    res.json({
       success: true,
       message: 'Banner famiglia aggiornato con successo',
       data: { bannerUrl: uploadResult.secure_url }
@@ -830,7 +1353,7 @@ const uploadFamilyBanner = async (req, res) => {
 
 // @desc    Imposta banner famiglia tramite URL
 // @route   PUT /api/family/set-banner-url
-// @access  Private (Admin only)
+// @access  Private (family:manage)
 const setFamilyBannerUrl = async (req, res) => {
   try {
     // Validazione input
@@ -842,17 +1365,9 @@ const setFamilyBannerUrl = async (req, res) => {
       });
     }
 
-    const { familyId } = req.user;
+    const familyId = req.family._id;
     const { bannerUrl } = req.body;
 
-    // Solo admin famiglia può modificare banner
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Permessi insufficienti',
-        message: 'Solo gli admin famiglia possono modificare il banner'
-      });
-    }
-
     const family = await Family.findById(familyId);
     if (!family) {
       return res.status(404).json({
@@ -861,11 +1376,15 @@ const setFamilyBannerUrl = async (req, res) => {
       });
     }
 
+    const previousBanner = family.banner;
+
     // Aggiorna banner
     family.banner = bannerUrl.trim();
     await family.save();
 
     logger.info(`Family banner URL set: ${familyId} by ${req.user.email}`);
+    broadcast(familyId, 'family', 'updated', { data: toRealtimeFamily(family), actorId: req.user._id });
+    recordAuditEvent(req, { entity: 'family', action: 'banner_set', entityId: familyId, before: { banner: previousBanner }, after: { banner: family.banner } });
 
     res.json({
       success: true,
@@ -884,18 +1403,10 @@ const setFamilyBannerUrl = async (req, res) => {
 
 // @desc    Rimuovi banner famiglia
 // @route   DELETE /api/family/banner
-// @access  Private (Admin only)
+// @access  Private (family:manage)
 const removeFamilyBanner = async (req, res) => {
   try {
-    const { familyId } = req.user;
-
-    // Solo admin famiglia può rimuovere banner
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Permessi insufficienti',
-        message: 'Solo gli admin famiglia possono rimuovere il banner'
-      });
-    }
+    const familyId = req.family._id;
 
     const family = await Family.findById(familyId);
     if (!family) {
@@ -905,6 +1416,8 @@ const removeFamilyBanner = async (req, res) => {
       });
     }
 
+    const previousBanner = family.banner;
+
     // Elimina da Cloudinary se è un'immagine caricata
     if (family.banner && family.banner.includes('cloudinary.com')) {
       try {
@@ -920,6 +1433,8 @@ const removeFamilyBanner = async (req, res) => {
     await family.save();
 
     logger.info(`Family banner removed: ${familyId} by ${req.user.email}`);
+    broadcast(familyId, 'family', 'updated', { data: toRealtimeFamily(family), actorId: req.user._id });
+    recordAuditEvent(req, { entity: 'family', action: 'banner_removed', entityId: familyId, before: { banner: previousBanner }, after: { banner: family.banner } });
 
     res.json({
       success: true,
@@ -935,6 +1450,503 @@ const removeFamilyBanner = async (req, res) => {
   }
 };
 
+// @desc    Richiedi il trasferimento della proprietà a un altro membro
+// @route   POST /api/family/transfer-ownership
+// @access  Private (owner)
+const requestOwnershipTransfer = async (req, res) => {
+  try {
+    // Validazione input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const familyId = req.family._id;
+    const { userId } = req.body;
+
+    if (!OWNER_ONLY_ROLES.includes(req.familyRole)) {
+      return res.status(403).json({
+        error: 'Permessi insufficienti',
+        message: 'Solo il proprietario può trasferire la proprietà della famiglia'
+      });
+    }
+
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({
+        error: 'Operazione non permessa',
+        message: 'Non puoi trasferire la proprietà a te stesso'
+      });
+    }
+
+    const family = await Family.findById(familyId);
+    if (!family) {
+      return res.status(404).json({
+        error: 'Famiglia non trovata',
+        message: 'La famiglia non esiste'
+      });
+    }
+
+    const recipientRole = family.getMemberRole(userId);
+    if (!recipientRole) {
+      return res.status(404).json({
+        error: 'Membro non trovato',
+        message: 'Il membro non esiste o non è attivo'
+      });
+    }
+
+    if (OWNER_ONLY_ROLES.includes(recipientRole)) {
+      return res.status(400).json({
+        error: 'Operazione non permessa',
+        message: 'Il membro è già proprietario della famiglia'
+      });
+    }
+
+    // Una nuova richiesta sostituisce quella in attesa
+    const requestedAt = new Date();
+    family.ownershipTransfer = {
+      to: userId,
+      requestedBy: req.user._id,
+      requestedAt,
+      expiresAt: new Date(requestedAt.getTime() + OWNERSHIP_TRANSFER_TTL_MS)
+    };
+    await family.save();
+
+    try {
+      await notifyOwnershipTransfer(family, req.user);
+    } catch (notificationError) {
+      logger.warn('Ownership transfer notification error:', notificationError.message);
+    }
+
+    logger.info(`Ownership transfer requested: family ${familyId} from ${req.user.email} to ${userId}`);
+    broadcast(familyId, 'ownership_transfer', 'created', { data: family.ownershipTransfer, actorId: req.user._id });
+    recordAuditEvent(req, { entity: 'member', action: 'ownership_transfer_requested', entityId: userId, details: { expiresAt: family.ownershipTransfer.expiresAt } });
+
+    res.status(201).json({
+      success: true,
+      message: 'Richiesta di trasferimento inviata: il membro deve confermarla',
+      data: { ownershipTransfer: family.ownershipTransfer }
+    });
+
+  } catch (error) {
+    logger.error('Request ownership transfer error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante la richiesta di trasferimento della proprietà'
+    });
+  }
+};
+
+// @desc    Accetta il trasferimento della proprietà
+// @route   POST /api/family/transfer-ownership/accept
+// @access  Private (destinatario)
+const acceptOwnershipTransfer = async (req, res) => {
+  try {
+    const familyId = req.family._id;
+
+    const family = await Family.findById(familyId);
+    if (!family) {
+      return res.status(404).json({
+        error: 'Famiglia non trovata',
+        message: 'La famiglia non esiste'
+      });
+    }
+
+    const transfer = family.getPendingOwnershipTransfer();
+    if (!transfer || transfer.to.toString() !== req.user._id.toString()) {
+      return res.status(404).json({
+        error: 'Trasferimento non trovato',
+        message: 'Non ci sono richieste di trasferimento della proprietà in attesa per te'
+      });
+    }
+
+    const recipient = family.members.find(m => m.user.toString() === req.user._id.toString() && m.isActive);
+    const previousOwner = family.members.find(m => m.user.toString() === transfer.requestedBy.toString() && m.isActive);
+
+    // Il proprietario precedente resta nella famiglia come admin
+    const ownerRole = OWNER_ONLY_ROLES[0];
+    recipient.role = ownerRole;
+    if (previousOwner && OWNER_ONLY_ROLES.includes(previousOwner.role)) {
+      previousOwner.role = 'admin';
+    }
+    family.createdBy = recipient.user;
+    family.clearOwnershipTransfer();
+
+    await family.save();
+
+    // Aggiorna anche gli utenti per cui è la famiglia predefinita
+    await User.updateOne({ _id: recipient.user, familyId }, { role: recipient.role });
+    if (previousOwner) {
+      await User.updateOne({ _id: previousOwner.user, familyId }, { role: previousOwner.role });
+    }
+
+    logger.info(`Ownership transfer accepted: family ${familyId} now owned by ${req.user.email}`);
+    recordAuditEvent(req, { entity: 'member', action: 'ownership_transferred', entityId: recipient.user, details: { from: transfer.requestedBy } });
+    broadcast(familyId, 'ownership_transfer', 'updated', {
+      data: { status: 'accepted', from: transfer.requestedBy, to: recipient.user },
+      actorId: req.user._id
+    });
+    [recipient, previousOwner].filter(Boolean).forEach(member => {
+      broadcast(familyId, 'member', 'updated', { data: { userId: member.user, role: member.role }, actorId: req.user._id });
+      disconnectUser(familyId, member.user, 'role_changed');
+    });
+
+    res.json({
+      success: true,
+      message: 'Ora sei il proprietario della famiglia',
+      data: {
+        userId: recipient.user,
+        newRole: recipient.role,
+        previousOwner: previousOwner ? { userId: previousOwner.user, newRole: previousOwner.role } : null
+      }
+    });
+
+  } catch (error) {
+    logger.error('Accept ownership transfer error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante il trasferimento della proprietà'
+    });
+  }
+};
+
+// @desc    Rifiuta il trasferimento della proprietà
+// @route   POST /api/family/transfer-ownership/decline
+// @access  Private (destinatario)
+const declineOwnershipTransfer = async (req, res) => {
+  try {
+    const familyId = req.family._id;
+
+    const family = await Family.findById(familyId);
+    if (!family) {
+      return res.status(404).json({
+        error: 'Famiglia non trovata',
+        message: 'La famiglia non esiste'
+      });
+    }
+
+    const transfer = family.getPendingOwnershipTransfer();
+    if (!transfer || transfer.to.toString() !== req.user._id.toString()) {
+      return res.status(404).json({
+        error: 'Trasferimento non trovato',
+        message: 'Non ci sono richieste di trasferimento della proprietà in attesa per te'
+      });
+    }
+
+    family.clearOwnershipTransfer();
+    await family.save();
+
+    logger.info(`Ownership transfer declined: family ${familyId} by ${req.user.email}`);
+    broadcast(familyId, 'ownership_transfer', 'deleted', { data: { status: 'declined' }, actorId: req.user._id });
+    recordAuditEvent(req, { entity: 'member', action: 'ownership_transfer_declined', entityId: req.user._id, details: { from: transfer.requestedBy } });
+
+    res.json({
+      success: true,
+      message: 'Richiesta di trasferimento rifiutata'
+    });
+
+  } catch (error) {
+    logger.error('Decline ownership transfer error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante il rifiuto del trasferimento'
+    });
+  }
+};
+
+// @desc    Annulla la richiesta di trasferimento della proprietà
+// @route   DELETE /api/family/transfer-ownership
+// @access  Private (owner)
+const cancelOwnershipTransfer = async (req, res) => {
+  try {
+    const familyId = req.family._id;
+
+    if (!OWNER_ONLY_ROLES.includes(req.familyRole)) {
+      return res.status(403).json({
+        error: 'Permessi insufficienti',
+        message: 'Solo il proprietario può annullare il trasferimento della proprietà'
+      });
+    }
+
+    const family = await Family.findById(familyId);
+    if (!family) {
+      return res.status(404).json({
+        error: 'Famiglia non trovata',
+        message: 'La famiglia non esiste'
+      });
+    }
+
+    const transfer = family.getPendingOwnershipTransfer();
+    if (!transfer) {
+      return res.status(404).json({
+        error: 'Trasferimento non trovato',
+        message: 'Non ci sono richieste di trasferimento della proprietà in attesa'
+      });
+    }
+
+    family.clearOwnershipTransfer();
+    await family.save();
+
+    logger.info(`Ownership transfer cancelled: family ${familyId} by ${req.user.email}`);
+    broadcast(familyId, 'ownership_transfer', 'deleted', { data: { status: 'cancelled' }, actorId: req.user._id });
+    recordAuditEvent(req, { entity: 'member', action: 'ownership_transfer_cancelled', entityId: transfer.to });
+
+    res.json({
+      success: true,
+      message: 'Richiesta di trasferimento annullata'
+    });
+
+  } catch (error) {
+    logger.error('Cancel ownership transfer error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante l\'annullamento del trasferimento'
+    });
+  }
+};
+
+// Ruolo in formato API (predefinito o personalizzato)
+const toRoleResponse = (key, definition, builtIn) => ({
+  key,
+  name: definition.name,
+  permissions: definition.permissions,
+  builtIn
+});
+
+// @desc    Ottieni ruoli e permessi disponibili nella famiglia
+// @route   GET /api/family/roles
+// @access  Private
+const getRoles = async (req, res) => {
+  try {
+    const family = req.family;
+
+    const roles = [
+      ...Object.entries(BUILT_IN_ROLES).map(([key, definition]) => toRoleResponse(key, definition, true)),
+      ...family.roles.map(role => toRoleResponse(role.key, role, false))
+    ].map(role => ({
+      ...role,
+      membersCount: family.members.filter(member => member.isActive && member.role === role.key).length
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        roles,
+        permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get roles error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore nel recupero dei ruoli'
+    });
+  }
+};
+
+// @desc    Crea ruolo personalizzato
+// @route   POST /api/family/roles
+// @access  Private (roles:manage)
+const createRole = async (req, res) => {
+  try {
+    // Validazione input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const familyId = req.family._id;
+    const { key, name, permissions } = req.body;
+
+    const family = await Family.findById(familyId);
+    if (!family) {
+      return res.status(404).json({
+        error: 'Famiglia non trovata',
+        message: 'La famiglia non esiste'
+      });
+    }
+
+    if (getRoleDefinition(family, key)) {
+      return res.status(400).json({
+        error: 'Ruolo già esistente',
+        message: 'Esiste già un ruolo con questa chiave'
+      });
+    }
+
+    family.roles.push({ key, name, permissions: [...new Set(permissions)] });
+    await family.save();
+
+    const role = family.roles[family.roles.length - 1];
+
+    logger.info(`Custom role created: ${key} in family ${familyId} by ${req.user.email}`);
+    broadcast(familyId, 'role', 'created', { data: toRoleResponse(role.key, role, false), actorId: req.user._id });
+    recordAuditEvent(req, { entity: 'role', action: 'created', entityId: role._id, after: { key: role.key, name: role.name, permissions: role.permissions } });
+
+    res.status(201).json({
+      success: true,
+      message: 'Ruolo creato con successo',
+      data: { role: toRoleResponse(role.key, role, false) }
+    });
+
+  } catch (error) {
+    logger.error('Create role error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante la creazione del ruolo'
+    });
+  }
+};
+
+// @desc    Aggiorna ruolo personalizzato
+// @route   PUT /api/family/roles/:key
+// @access  Private (roles:manage)
+const updateRole = async (req, res) => {
+  try {
+    // Validazione input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const familyId = req.family._id;
+    const { key } = req.params;
+    const { name, permissions } = req.body;
+
+    const family = await Family.findById(familyId);
+    if (!family) {
+      return res.status(404).json({
+        error: 'Famiglia non trovata',
+        message: 'La famiglia non esiste'
+      });
+    }
+
+    if (BUILT_IN_ROLES[key]) {
+      return res.status(400).json({
+        error: 'Operazione non permessa',
+        message: 'I ruoli predefiniti non possono essere modificati'
+      });
+    }
+
+    const role = family.roles.find(item => item.key === key);
+    if (!role) {
+      return res.status(404).json({
+        error: 'Ruolo non trovato',
+        message: 'Il ruolo richiesto non esiste'
+      });
+    }
+
+    const before = { name: role.name, permissions: [...role.permissions] };
+    if (name !== undefined) role.name = name;
+    if (permissions !== undefined) role.permissions = [...new Set(permissions)];
+    await family.save();
+
+    logger.info(`Custom role updated: ${key} in family ${familyId} by ${req.user.email}`);
+    broadcast(familyId, 'role', 'updated', { data: toRoleResponse(role.key, role, false), actorId: req.user._id });
+    recordAuditEvent(req, { entity: 'role', action: 'updated', entityId: role._id, details: { key }, before, after: { name: role.name, permissions: role.permissions } });
+    family.members
+      .filter(member => member.isActive && member.role === key)
+      .forEach(member => disconnectUser(familyId, member.user, 'role_changed'));
+
+    res.json({
+      success: true,
+      message: 'Ruolo aggiornato con successo',
+      data: { role: toRoleResponse(role.key, role, false) }
+    });
+
+  } catch (error) {
+    logger.error('Update role error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante l\'aggiornamento del ruolo'
+    });
+  }
+};
+
+// @desc    Elimina ruolo personalizzato
+// @route   DELETE /api/family/roles/:key
+// @access  Private (roles:manage)
+const deleteRole = async (req, res) => {
+  try {
+    const familyId = req.family._id;
+    const { key } = req.params;
+
+    const family = await Family.findById(familyId);
+    if (!family) {
+      return res.status(404).json({
+        error: 'Famiglia non trovata',
+        message: 'La famiglia non esiste'
+      });
+    }
+
+    const role = family.roles.find(item => item.key === key);
+    if (!role) {
+      return res.status(404).json({
+        error: 'Ruolo non trovato',
+        message: 'Il ruolo richiesto non esiste o è predefinito'
+      });
+    }
+
+    // Un ruolo in uso va prima sostituito su membri, inviti pendenti, link attivi e richieste di adesione
+    const inUse = family.members.some(member => member.isActive && member.role === key) ||
+      family.invitations.some(invitation => invitation.status === 'pending' && invitation.role === key) ||
+      family.inviteLinks.some(link => link.role === key && family.isInviteLinkUsable(link)) ||
+      family.joinRequests.some(request => request.status === 'pending' && request.role === key);
+
+    if (inUse) {
+      return res.status(400).json({
+        error: 'Ruolo in uso',
+        message: 'Il ruolo è assegnato a membri, inviti pendenti, link di invito attivi o richieste di adesione: revocali o assegna prima un altro ruolo'
+      });
+    }
+
+    role.deleteOne();
+    await family.save();
+
+    logger.info(`Custom role deleted: ${key} in family ${familyId} by ${req.user.email}`);
+    broadcast(familyId, 'role', 'deleted', { data: { key }, actorId: req.user._id });
+    recordAuditEvent(req, { entity: 'role', action: 'deleted', entityId: role._id, before: { key: role.key, name: role.name, permissions: role.permissions } });
+
+    res.json({
+      success: true,
+      message: 'Ruolo eliminato con successo'
+    });
+
+  } catch (error) {
+    logger.error('Delete role error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante l\'eliminazione del ruolo'
+    });
+  }
+};
+
 module.exports = {
   getFamily,
   updateFamily,
@@ -945,8 +1957,20 @@ module.exports = {
   leaveFamily,
   getInvitations,
   cancelInvitation,
+  createInviteLink,
+  revokeInviteLink,
+  approveJoinRequest,
+  rejectJoinRequest,
   uploadFamilyBanner,
   setFamilyBannerUrl,
   removeFamilyBanner,
-  verifyInvite
+  verifyInvite,
+  requestOwnershipTransfer,
+  acceptOwnershipTransfer,
+  declineOwnershipTransfer,
+  cancelOwnershipTransfer,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole
 }; 
\ No newline at end of file
@@ -0,0 +1,410 @@
+const SavingsGoal = require('../models/SavingsGoal');
+const logger = require('../utils/logger');
+const { recordAuditEvent } = require('../services/auditService');
+const { validationResult } = require('express-validator');
+const { DEFAULT_CURRENCY } = require('../config/currencies');
+
+// Le percentuali automatiche degli obiettivi attivi non possono superare il 100% del saldo
+const exceedsAutoPercentage = async (familyId, autoContribution, excludeId = null) => {
+  if (!autoContribution?.enabled) return false;
+  const allocated = await SavingsGoal.getAutoPercentageTotal(familyId, excludeId);
+  return allocated + Number(autoContribution.percentage || 0) > 100;
+};
+
+// @desc    Ottieni gli obiettivi di risparmio della famiglia
+// @route   GET /api/goals
+// @access  Private
+const getGoals = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const familyId = req.family._id;
+    const { status } = req.query;
+
+    const goals = await SavingsGoal.getGoalsForFamily(familyId, status);
+    const now = new Date();
+
+    res.json({
+      success: true,
+      data: {
+        goals: goals.map(goal => goal.toJSONWithProgress(now)),
+        currency: req.family?.settings?.currency || DEFAULT_CURRENCY
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get goals error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore nel recupero degli obiettivi di risparmio'
+    });
+  }
+};
+
+// @desc    Ottieni singolo obiettivo di risparmio
+// @route   GET /api/goals/:id
+// @access  Private
+const getGoal = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const familyId = req.family._id;
+
+    const goal = await SavingsGoal.findOne({ _id: id, familyId, isActive: true })
+      .populate('contributions.userId', 'name email avatar')
+      .populate('createdBy', 'name email');
+
+    if (!goal) {
+      return res.status(404).json({
+        error: 'Obiettivo non trovato',
+        message: 'L\'obiettivo richiesto non esiste o non hai i permessi per visualizzarlo'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        goal: goal.toJSONWithProgress(),
+        currency: req.family?.settings?.currency || DEFAULT_CURRENCY
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get goal error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore nel recupero dell\'obiettivo di risparmio'
+    });
+  }
+};
+
+// @desc    Crea nuovo obiettivo di risparmio
+// @route   POST /api/goals
+// @access  Private (goals:manage)
+const createGoal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const familyId = req.family._id;
+    const { name, description, targetAmount, deadline, autoContribution } = req.body;
+
+    if (await exceedsAutoPercentage(familyId, autoContribution)) {
+      return res.status(400).json({
+        error: 'Percentuale non valida',
+        message: 'La somma delle percentuali automatiche degli obiettivi attivi non può superare il 100%'
+      });
+    }
+
+    const goal = new SavingsGoal({
+      name,
+      description,
+      targetAmount,
+      deadline: deadline || null,
+      autoContribution,
+      familyId,
+      createdBy: req.user._id
+    });
+
+    await goal.save();
+
+    logger.info(`Savings goal created: ${goal.name} (${targetAmount}) by ${req.user.email}`);
+    recordAuditEvent(req, { entity: 'goal', action: 'created', entityId: goal._id, after: goal });
+
+    res.status(201).json({
+      success: true,
+      message: 'Obiettivo di risparmio creato con successo',
+      data: { goal: goal.toJSONWithProgress() }
+    });
+
+  } catch (error) {
+    logger.error('Create goal error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante la creazione dell\'obiettivo di risparmio'
+    });
+  }
+};
+
+// @desc    Aggiorna obiettivo di risparmio
+// @route   PUT /api/goals/:id
+// @access  Private (goals:manage)
+const updateGoal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const { id } = req.params;
+    const familyId = req.family._id;
+    const { name, description, targetAmount, deadline, autoContribution, status } = req.body;
+
+    const goal = await SavingsGoal.findOne({ _id: id, familyId, isActive: true });
+    if (!goal) {
+      return res.status(404).json({
+        error: 'Obiettivo non trovato',
+        message: 'L\'obiettivo richiesto non esiste o non hai i permessi per modificarlo'
+      });
+    }
+
+    const before = goal.toObject();
+
+    if (autoContribution !== undefined) {
+      const merged = {
+        enabled: autoContribution.enabled ?? goal.autoContribution.enabled,
+        percentage: autoContribution.percentage ?? goal.autoContribution.percentage
+      };
+      if (await exceedsAutoPercentage(familyId, merged, goal._id)) {
+        return res.status(400).json({
+          error: 'Percentuale non valida',
+          message: 'La somma delle percentuali automatiche degli obiettivi attivi non può superare il 100%'
+        });
+      }
+      goal.autoContribution = merged;
+    }
+
+    if (name !== undefined) goal.name = name;
+    if (description !== undefined) goal.description = description;
+    if (targetAmount !== undefined) goal.targetAmount = targetAmount;
+    if (deadline !== undefined) goal.deadline = deadline || null;
+
+    // Archiviazione manuale; completamento calcolato dai versamenti
+    if (status === 'archived') {
+      goal.status = 'archived';
+    } else if (status === 'active' && goal.status === 'archived') {
+      goal.status = 'active';
+    }
+    goal.updateStatus();
+
+    await goal.save();
+
+    logger.info(`Savings goal updated: ${goal.name} by ${req.user.email}`);
+    recordAuditEvent(req, { entity: 'goal', action: 'updated', entityId: goal._id, before, after: goal });
+
+    res.json({
+      success: true,
+      message: 'Obiettivo di risparmio aggiornato con successo',
+      data: { goal: goal.toJSONWithProgress() }
+    });
+
+  } catch (error) {
+    logger.error('Update goal error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante l\'aggiornamento dell\'obiettivo di risparmio'
+    });
+  }
+};
+
+// @desc    Elimina obiettivo di risparmio
+// @route   DELETE /api/goals/:id
+// @access  Private (goals:manage)
+const deleteGoal = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const familyId = req.family._id;
+
+    const goal = await SavingsGoal.findOne({ _id: id, familyId, isActive: true });
+    if (!goal) {
+      return res.status(404).json({
+        error: 'Obiettivo non trovato',
+        message: 'L\'obiettivo richiesto non esiste o non hai i permessi per eliminarlo'
+      });
+    }
+
+    const before = goal.toObject();
+
+    // Soft delete
+    goal.isActive = false;
+    await goal.save();
+
+    logger.info(`Savings goal deleted: ${goal.name} by ${req.user.email}`);
+    recordAuditEvent(req, { entity: 'goal', action: 'deleted', entityId: goal._id, before });
+
+    res.json({
+      success: true,
+      message: 'Obiettivo di risparmio eliminato con successo'
+    });
+
+  } catch (error) {
+    logger.error('Delete goal error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante l\'eliminazione dell\'obiettivo di risparmio'
+    });
+  }
+};
+
+// @desc    Aggiungi versamento a un obiettivo di risparmio
+// @route   POST /api/goals/:id/contributions
+// @access  Private
+const addContribution = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const { id } = req.params;
+    const familyId = req.family._id;
+    const { amount, date, note } = req.body;
+
+    const goal = await SavingsGoal.findOne({ _id: id, familyId, isActive: true });
+    if (!goal) {
+      return res.status(404).json({
+        error: 'Obiettivo non trovato',
+        message: 'L\'obiettivo richiesto non esiste o non hai i permessi per visualizzarlo'
+      });
+    }
+
+    if (goal.status === 'archived') {
+      return res.status(400).json({
+        error: 'Obiettivo archiviato',
+        message: 'Non è possibile aggiungere versamenti a un obiettivo archiviato'
+      });
+    }
+
+    goal.contributions.push({
+      amount,
+      date: date || new Date(),
+      type: 'manual',
+      userId: req.user._id,
+      note
+    });
+    goal.updateStatus();
+
+    await goal.save();
+
+    logger.info(`Savings goal contribution: ${amount} to ${goal.name} by ${req.user.email}`);
+    recordAuditEvent(req, { entity: 'goal', action: 'contribution_added', entityId: goal._id, details: { amount, note: note || null } });
+
+    res.status(201).json({
+      success: true,
+      message: goal.status === 'completed' ?
+        'Versamento registrato: obiettivo raggiunto!' :
+        'Versamento registrato con successo',
+      data: { goal: goal.toJSONWithProgress() }
+    });
+
+  } catch (error) {
+    logger.error('Add goal contribution error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante la registrazione del versamento'
+    });
+  }
+};
+
+// @desc    Elimina versamento da un obiettivo di risparmio
+// @route   DELETE /api/goals/:id/contributions/:contributionId
+// @access  Private
+const deleteContribution = async (req, res) => {
+  try {
+    const { id, contributionId } = req.params;
+    const familyId = req.family._id;
+
+    const goal = await SavingsGoal.findOne({ _id: id, familyId, isActive: true });
+    if (!goal) {
+      return res.status(404).json({
+        error: 'Obiettivo non trovato',
+        message: 'L\'obiettivo richiesto non esiste o non hai i permessi per visualizzarlo'
+      });
+    }
+
+    const contribution = goal.contributions.id(contributionId);
+    if (!contribution) {
+      return res.status(404).json({
+        error: 'Versamento non trovato',
+        message: 'Il versamento richiesto non esiste'
+      });
+    }
+
+    // Solo l'autore del versamento o chi gestisce gli obiettivi può eliminarlo (gli automatici solo questi ultimi)
+    const isAuthor = contribution.userId && contribution.userId.toString() === req.user._id.toString();
+    if (!isAuthor && !req.permissions.includes('goals:manage')) {
+      return res.status(403).json({
+        error: 'Permessi insufficienti',
+        message: 'Puoi eliminare solo i versamenti che hai registrato'
+      });
+    }
+
+    contribution.deleteOne();
+    goal.updateStatus();
+    await goal.save();
+
+    logger.info(`Savings goal contribution deleted: ${contributionId} from ${goal.name} by ${req.user.email}`);
+    recordAuditEvent(req, {
+      entity: 'goal',
+      action: 'contribution_deleted',
+      entityId: goal._id,
+      details: { contributionId, amount: contribution.amount, type: contribution.type }
+    });
+
+    res.json({
+      success: true,
+      message: 'Versamento eliminato con successo',
+      data: { goal: goal.toJSONWithProgress() }
+    });
+
+  } catch (error) {
+    logger.error('Delete goal contribution error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante l\'eliminazione del versamento'
+    });
+  }
+};
+
+module.exports = {
+  getGoals,
+  getGoal,
+  createGoal,
+  updateGoal,
+  deleteGoal,
+  addContribution,
+  deleteContribution
+};
@@ -0,0 +1,332 @@
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const Income = require('../models/Income');
+const Category = require('../models/Category');
+const Budget = require('../models/Budget');
+const CategorizationRule = require('../models/CategorizationRule');
+const logger = require('../utils/logger');
+const { recordAuditEvent } = require('../services/auditService');
+const { DEFAULT_CURRENCY } = require('../config/currencies');
+const { validationResult } = require('express-validator');
+const { parseStatement, markDuplicates } = require('../services/importService');
+
+// Le opzioni arrivano come campi multipart: gli oggetti sono serializzati in JSON
+const parseImportOptions = (body) => {
+  const options = {
+    format: body.format || undefined,
+    delimiter: body.delimiter || undefined,
+    dateFormat: body.dateFormat || undefined,
+    numberFormat: body.numberFormat || undefined,
+    hasHeader: body.hasHeader !== undefined ? String(body.hasHeader) !== 'false' : undefined
+  };
+
+  if (body.mapping) {
+    options.mapping = typeof body.mapping === 'string' ? JSON.parse(body.mapping) : body.mapping;
+  }
+
+  // Rimuove le opzioni non specificate per usare i default del parser
+  Object.keys(options).forEach(key => options[key] === undefined && delete options[key]);
+  return options;
+};
+
+// @desc    Analizza un estratto conto e mostra l'anteprima delle righe
+// @route   POST /api/import
+// @access  Private
+const previewImport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'File mancante',
+        message: 'Nessun file di estratto conto caricato'
+      });
+    }
+
+    const familyId = req.family._id;
+
+    let options;
+    try {
+      options = parseImportOptions(req.body);
+    } catch (parseError) {
+      return res.status(400).json({
+        error: 'Mappatura non valida',
+        message: 'La mappatura delle colonne deve essere un oggetto JSON valido'
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = parseStatement(req.file.buffer, options, req.file.originalname);
+    } catch (parseError) {
+      return res.status(400).json({
+        error: 'File non valido',
+        message: parseError.message
+      });
+    }
+
+    const checkedRows = await markDuplicates(familyId, parsed.rows);
+
+    // Suggerisce la categoria delle spese tramite le regole della famiglia
+    const rules = await CategorizationRule.getActiveRules(familyId);
+    const rows = checkedRows.map(row => {
+      if (!row.isValid || row.type !== 'expense') return row;
+      const rule = CategorizationRule.findMatchingRule(rules, row);
+      return {
+        ...row,
+        suggestedCategory: rule ? rule.categoryId : null,
+        suggestedByRule: rule ? rule._id : null
+      };
+    });
+
+    const summary = {
+      total: rows.length,
+      valid: rows.filter(row => row.isValid).length,
+      invalid: rows.filter(row => !row.isValid).length,
+      duplicates: rows.filter(row => row.duplicate).length,
+      repeatedInFile: rows.filter(row => row.repeatedInFile).length,
+      expenses: rows.filter(row => row.isValid && row.type === 'expense').length,
+      incomes: rows.filter(row => row.isValid && row.type === 'income').length
+    };
+
+    logger.info(`Import preview: ${summary.total} rows (${parsed.format}) by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      data: {
+        format: parsed.format,
+        filename: req.file.originalname,
+        rows,
+        summary
+      }
+    });
+
+  } catch (error) {
+    logger.error('Import preview error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante l\'analisi del file'
+    });
+  }
+};
+
+// Annulla un import non riuscito eliminando tutti i documenti del lotto, anche quelli
+// già inseriti. Restituisce false se l'eliminazione non è riuscita.
+const rollbackImport = async (expenseIds, incomeIds) => {
+  try {
+    await Promise.all([
+      expenseIds.length > 0 ? Expense.deleteMany({ _id: { $in: expenseIds } }) : null,
+      incomeIds.length > 0 ? Income.deleteMany({ _id: { $in: incomeIds } }) : null
+    ]);
+    return true;
+  } catch (error) {
+    logger.error('Import rollback error:', error);
+    return false;
+  }
+};
+
+// @desc    Importa le righe selezionate come spese ed entrate
+// @route   POST /api/import/commit
+// @access  Private
+const commitImport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const familyId = req.family._id;
+    const { rows, defaultCategory, skipDuplicates = true } = req.body;
+
+    // Categoria: quella indicata, altrimenti da regola, altrimenti la predefinita
+    const rules = await CategorizationRule.getActiveRules(familyId);
+    const categorizedRows = rows.map(row => {
+      if (row.type !== 'expense' || row.category) return row;
+      const rule = CategorizationRule.findMatchingRule(rules, {
+        ...row,
+        amount: Math.abs(parseFloat(row.amount))
+      });
+      return rule
+        ? { ...row, category: rule.categoryId.toString(), autoCategorizedBy: rule._id }
+        : row;
+    });
+
+    // Verifica che tutte le categorie indicate appartengano alla famiglia
+    const categoryIds = [...new Set(
+      categorizedRows.filter(row => row.type === 'expense')
+        .map(row => row.category || defaultCategory)
+        .filter(Boolean)
+        .map(String)
+    )];
+
+    const validCategories = await Category.find({
+      _id: { $in: categoryIds },
+      $or: [
+        { isDefault: true },
+        { familyId: familyId }
+      ],
+      isActive: true
+    }).select('_id');
+    const validCategoryIds = new Set(validCategories.map(cat => cat._id.toString()));
+
+    // Normalizza le righe e ricontrolla i duplicati al momento del salvataggio
+    const normalized = categorizedRows.map((row, index) => ({
+      ...row,
+      row: row.row || index + 1,
+      date: new Date(row.date),
+      amount: Math.round(Math.abs(parseFloat(row.amount)) * 100) / 100,
+      description: String(row.description).trim(),
+      category: row.type === 'expense' ? String(row.category || defaultCategory || '') : undefined,
+      isValid: true
+    }));
+
+    const checked = await markDuplicates(familyId, normalized);
+
+    // Gli estratti conto sono nella valuta base della famiglia
+    const currency = req.family?.settings?.currency || DEFAULT_CURRENCY;
+
+    const skipped = [];
+    const expensesToCreate = [];
+    const incomesToCreate = [];
+
+    checked.forEach(row => {
+      if (skipDuplicates && row.duplicate) {
+        skipped.push({ row: row.row, reason: 'Transazione già presente' });
+        return;
+      }
+
+      if (row.type === 'expense') {
+        if (!validCategoryIds.has(row.category)) {
+          skipped.push({ row: row.row, reason: 'Categoria mancante o non valida' });
+          return;
+        }
+
+        expensesToCreate.push({
+          _id: new mongoose.Types.ObjectId(),
+          amount: row.amount,
+          currency,
+          exchangeRate: 1,
+          description: row.description,
+          category: row.category,
+          autoCategorizedBy: row.autoCategorizedBy || null,
+          date: row.date,
+          userId: req.user._id,
+          familyId,
+          tags: row.tags || [],
+          notes: row.notes || ''
+        });
+      } else {
+        incomesToCreate.push({
+          _id: new mongoose.Types.ObjectId(),
+          amount: row.amount,
+          currency,
+          exchangeRate: 1,
+          description: row.description,
+          source: row.source || 'other',
+          date: row.date,
+          userId: req.user._id,
+          familyId,
+          tags: row.tags || [],
+          notes: row.notes || ''
+        });
+      }
+    });
+
+    // Inserimento in un'unica operazione per tipo. Gli ID sono assegnati prima: se un
+    // inserimento fallisce si elimina l'intero lotto, così l'import è tutto o niente
+    let createdExpenses;
+    let createdIncomes;
+    try {
+      createdExpenses = expensesToCreate.length > 0 ? await Expense.insertMany(expensesToCreate) : [];
+      createdIncomes = incomesToCreate.length > 0 ? await Income.insertMany(incomesToCreate) : [];
+    } catch (insertError) {
+      const expenseIds = expensesToCreate.map(expense => expense._id);
+      const incomeIds = incomesToCreate.map(income => income._id);
+
+      if (await rollbackImport(expenseIds, incomeIds)) {
+        throw insertError;
+      }
+
+      logger.error('Import commit error (partially saved):', insertError);
+      return res.status(500).json({
+        error: 'Errore interno del server',
+        message: 'Importazione interrotta: alcune transazioni potrebbero essere state salvate',
+        data: { expenseIds, incomeIds }
+      });
+    }
+
+    // insertMany non esegue i middleware post-save: aggiorna statistiche categorie e budget
+    try {
+      await CategorizationRule.recordMatches(
+        createdExpenses.filter(expense => expense.autoCategorizedBy).map(expense => expense.autoCategorizedBy)
+      );
+
+      const categoriesToUpdate = new Set(createdExpenses.map(expense => expense.category.toString()));
+      const periodsToUpdate = new Set(createdExpenses.map(expense => {
+        const date = new Date(expense.date);
+        return `${expense.category}|${date.getFullYear()}-${date.getMonth() + 1}`;
+      }));
+
+      for (const categoryId of categoriesToUpdate) {
+        const category = await Category.findById(categoryId);
+        if (category) await category.updateStats();
+      }
+
+      for (const period of periodsToUpdate) {
+        const [categoryId, yearMonth] = period.split('|');
+        const [year, month] = yearMonth.split('-').map(Number);
+        await Budget.refreshStatsFor(familyId, categoryId, new Date(year, month - 1, 1));
+      }
+    } catch (statsError) {
+      logger.warn('Stats update failed after import:', statsError);
+    }
+
+    logger.info(`Import committed: ${createdExpenses.length} expenses, ${createdIncomes.length} incomes by ${req.user.email}`);
+    if (createdExpenses.length > 0) {
+      recordAuditEvent(req, { entity: 'expense', action: 'imported', details: { count: createdExpenses.length, skipped: skipped.length } });
+    }
+    if (createdIncomes.length > 0) {
+      recordAuditEvent(req, { entity: 'income', action: 'imported', details: { count: createdIncomes.length } });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Importate ${createdExpenses.length} spese e ${createdIncomes.length} entrate`,
+      data: {
+        expenses: createdExpenses,
+        incomes: createdIncomes,
+        skipped
+      }
+    });
+
+  } catch (error) {
+    logger.error('Import commit error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante l\'importazione delle transazioni'
+    });
+  }
+};
+
+module.exports = {
+  previewImport,
+  commitImport
+};
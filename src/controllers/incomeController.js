@@ -1,5 +1,10 @@
 const Income = require('../models/Income');
+const Revision = require('../models/Revision');
 const logger = require('../utils/logger');
+const { processRecurringIncomesForFamily } = require('../services/jobService');
+const { broadcast } = require('../services/realtimeService');
+const { recordAuditEvent } = require('../services/auditService');
+const { getVersionedState, recordRevision, applyRevision } = require('../services/revisionService');
 const { validationResult } = require('express-validator');
 const mongoose = require('mongoose');
 
@@ -8,7 +13,7 @@ const mongoose = require('mongoose');
 // @access  Private
 const getIncomes = async (req, res) => {
   try {
-    const { familyId } = req.user;
+    const familyId = req.family._id;
     const { 
       page = 1, 
       limit = 20, 
@@ -76,12 +81,15 @@ const getIncomes = async (req, res) => {
       {
         $group: {
           _id: null,
-          totalAmount: { $sum: '$amount' },
-          avgAmount: { $avg: '$amount' },
+          totalAmount: { $sum: { $ifNull: ['$baseAmount', '$amount'] } },
+          avgAmount: { $avg: { $ifNull: ['$baseAmount', '$amount'] } },
           count: { $sum: 1 },
           totalNet: { 
             $sum: { 
-              $subtract: ['$amount', { $ifNull: ['$taxInfo.withholdingTax', 0] }] 
+              $subtract: [
+                { $ifNull: ['$baseAmount', '$amount'] },
+                { $multiply: [{ $ifNull: ['$taxInfo.withholdingTax', 0] }, { $ifNull: ['$exchangeRate', 1] }] }
+              ] 
             } 
           }
         }
@@ -117,7 +125,7 @@ const getIncomes = async (req, res) => {
 const getIncome = async (req, res) => {
   try {
     const { id } = req.params;
-    const { familyId } = req.user;
+    const familyId = req.family._id;
 
     const income = await Income.findOne({ 
       _id: id, 
@@ -160,7 +168,7 @@ const createIncome = async (req, res) => {
       });
     }
 
-    const { familyId } = req.user;
+    const familyId = req.family._id;
     const { 
       amount, 
       description, 
@@ -170,12 +178,16 @@ const createIncome = async (req, res) => {
       notes,
       taxInfo,
       isRecurring,
-      recurringPattern
+      recurringPattern,
+      currency,
+      exchangeRate
     } = req.body;
 
     // Crea nuova entrata
     const income = new Income({
       amount,
+      currency: currency || null,
+      exchangeRate: exchangeRate || null,
       description,
       source,
       date: date || new Date(),
@@ -193,7 +205,9 @@ const createIncome = async (req, res) => {
     // Popola i dati per la risposta
     await income.populate('userId', 'name email avatar');
 
-    logger.info(`New income created: ${amount}€ by ${req.user.email}`);
+    logger.info(`New income created: ${amount} ${income.currency} by ${req.user.email}`);
+    broadcast(familyId, 'income', 'created', { data: income, actorId: req.user._id });
+    recordAuditEvent(req, { entity: 'income', action: 'created', entityId: income._id, after: income });
 
     res.status(201).json({
       success: true,
@@ -225,7 +239,7 @@ const createIncome = async (req, res) => {
 const updateIncome = async (req, res) => {
   try {
     const { id } = req.params;
-    const { familyId } = req.user;
+    const familyId = req.family._id;
 
     // Trova l'entrata
     const income = await Income.findOne({ 
@@ -241,14 +255,17 @@ const updateIncome = async (req, res) => {
       });
     }
 
-    // Verifica permessi (solo il creatore o admin famiglia)
-    if (income.userId.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Verifica permessi (solo il creatore o chi può gestire i dati degli altri membri)
+    if (income.userId.toString() !== req.user._id.toString() && !req.permissions.includes('incomes:edit_others')) {
       return res.status(403).json({
         error: 'Permessi insufficienti',
         message: 'Non hai i permessi per modificare questa entrata'
       });
     }
 
+    const before = income.toObject();
+    const previousState = getVersionedState('income', income);
+
     const { 
       amount, 
       description, 
@@ -258,11 +275,15 @@ const updateIncome = async (req, res) => {
       notes,
       taxInfo,
       isRecurring,
-      recurringPattern
+      recurringPattern,
+      currency,
+      exchangeRate
     } = req.body;
 
     // Aggiorna campi
     if (amount !== undefined) income.amount = amount;
+    if (currency !== undefined) income.currency = currency;
+    if (exchangeRate !== undefined) income.exchangeRate = exchangeRate;
     if (description !== undefined) income.description = description;
     if (source !== undefined) income.source = source;
     if (date !== undefined) income.date = date;
@@ -271,19 +292,25 @@ const updateIncome = async (req, res) => {
     if (taxInfo !== undefined) income.taxInfo = taxInfo;
     if (isRecurring !== undefined) {
       income.isRecurring = isRecurring;
+      // Aggiorna i singoli campi per non perdere l'ultima occorrenza generata
       if (isRecurring && recurringPattern) {
-        income.recurringPattern = recurringPattern;
-      } else if (!isRecurring) {
-        income.recurringPattern = undefined;
+        const { frequency, interval, dayOfMonth, endDate } = recurringPattern;
+        if (frequency !== undefined) income.recurringPattern.frequency = frequency;
+        if (interval !== undefined) income.recurringPattern.interval = interval;
+        if (dayOfMonth !== undefined) income.recurringPattern.dayOfMonth = dayOfMonth;
+        if (endDate !== undefined) income.recurringPattern.endDate = endDate;
       }
     }
 
     await income.save();
+    await recordRevision('income', income, previousState, req.user._id);
 
     // Popola i dati per la risposta
     await income.populate('userId', 'name email avatar');
 
     logger.info(`Income updated: ${id} by ${req.user.email}`);
+    broadcast(familyId, 'income', 'updated', { data: income, actorId: req.user._id });
+    recordAuditEvent(req, { entity: 'income', action: 'updated', entityId: income._id, before, after: income });
 
     res.json({
       success: true,
@@ -309,13 +336,157 @@ const updateIncome = async (req, res) => {
   }
 };
 
+// @desc    Ottieni la cronologia delle modifiche di un'entrata
+// @route   GET /api/incomes/:id/history
+// @access  Private
+const getIncomeHistory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const { id } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    const income = await Income.findOne({ _id: id, familyId: req.family._id, isActive: true });
+    if (!income) {
+      return res.status(404).json({
+        error: 'Entrata non trovata',
+        message: 'L\'entrata richiesta non esiste'
+      });
+    }
+
+    const filters = { entity: 'income', entityId: income._id };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [revisions, total] = await Promise.all([
+      Revision.find(filters)
+        .select('-snapshot')
+        .populate('editedBy', 'name email avatar')
+        .sort({ version: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Revision.countDocuments(filters)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        revisions,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get income history error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore nel recupero della cronologia dell\'entrata'
+    });
+  }
+};
+
+// @desc    Ripristina un'entrata com'era prima di una modifica
+// @route   POST /api/incomes/:id/history/:revisionId/revert
+// @access  Private
+const revertIncomeRevision = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const { id, revisionId } = req.params;
+    const familyId = req.family._id;
+
+    const income = await Income.findOne({ _id: id, familyId, isActive: true });
+    if (!income) {
+      return res.status(404).json({
+        error: 'Entrata non trovata',
+        message: 'L\'entrata richiesta non esiste'
+      });
+    }
+
+    // Verifica permessi (stesse regole della modifica)
+    if (income.userId.toString() !== req.user._id.toString() && !req.permissions.includes('incomes:edit_others')) {
+      return res.status(403).json({
+        error: 'Permessi insufficienti',
+        message: 'Non hai i permessi per modificare questa entrata'
+      });
+    }
+
+    const revision = await Revision.findOne({ _id: revisionId, entity: 'income', entityId: income._id });
+    if (!revision) {
+      return res.status(404).json({
+        error: 'Revisione non trovata',
+        message: 'La revisione richiesta non esiste per questa entrata'
+      });
+    }
+
+    const before = income.toObject();
+    const previousState = getVersionedState('income', income);
+
+    applyRevision(income, revision);
+
+    await income.save();
+    await recordRevision('income', income, previousState, req.user._id, { revertedTo: revision._id });
+
+    await income.populate('userId', 'name email avatar');
+
+    logger.info(`Income reverted to revision ${revision.version}: ${id} by ${req.user.email}`);
+    broadcast(familyId, 'income', 'updated', { data: income, actorId: req.user._id });
+    recordAuditEvent(req, {
+      entity: 'income',
+      action: 'reverted',
+      entityId: income._id,
+      before,
+      after: income,
+      details: { revisionId: revision._id, version: revision.version }
+    });
+
+    res.json({
+      success: true,
+      message: 'Entrata ripristinata con successo',
+      data: { income }
+    });
+
+  } catch (error) {
+    logger.error('Revert income error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante il ripristino dell\'entrata'
+    });
+  }
+};
+
 // @desc    Elimina entrata
 // @route   DELETE /api/incomes/:id
 // @access  Private
 const deleteIncome = async (req, res) => {
   try {
     const { id } = req.params;
-    const { familyId } = req.user;
+    const familyId = req.family._id;
 
     // Trova l'entrata
     const income = await Income.findOne({ 
@@ -331,19 +502,25 @@ const deleteIncome = async (req, res) => {
       });
     }
 
-    // Verifica permessi (solo il creatore o admin famiglia)
-    if (income.userId.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Verifica permessi (solo il creatore o chi può gestire i dati degli altri membri)
+    if (income.userId.toString() !== req.user._id.toString() && !req.permissions.includes('incomes:edit_others')) {
       return res.status(403).json({
         error: 'Permessi insufficienti',
         message: 'Non hai i permessi per eliminare questa entrata'
       });
     }
 
-    // Soft delete
+    const before = income.toObject();
+
+    // Soft delete: l'entrata va nel cestino
     income.isActive = false;
+    income.deletedAt = new Date();
+    income.deletedBy = req.user._id;
     await income.save();
 
     logger.info(`Income deleted: ${id} by ${req.user.email}`);
+    broadcast(familyId, 'income', 'deleted', { data: { _id: id }, actorId: req.user._id });
+    recordAuditEvent(req, { entity: 'income', action: 'deleted', entityId: income._id, before });
 
     res.json({
       success: true,
@@ -364,7 +541,7 @@ const deleteIncome = async (req, res) => {
 // @access  Private
 const getIncomeStats = async (req, res) => {
   try {
-    const { familyId } = req.user;
+    const familyId = req.family._id;
     const { year, month } = req.query;
 
     const currentYear = year ? parseInt(year) : new Date().getFullYear();
@@ -420,31 +597,17 @@ const getIncomeStats = async (req, res) => {
 
 // @desc    Processa entrate ricorrenti
 // @route   POST /api/incomes/process-recurring
-// @access  Private (Admin only)
+// @access  Private (recurring:process)
 const processRecurringIncomes = async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Permessi insufficienti',
-        message: 'Solo gli admin possono processare le entrate ricorrenti'
-      });
-    }
+    const familyId = req.family._id;
+    const { processed: processedIncomes } = await processRecurringIncomesForFamily(familyId);
 
-    const recurringIncomes = await Income.getRecurringIncomesDue();
-    const processedIncomes = [];
-
-    for (const income of recurringIncomes) {
-      try {
-        const newIncome = await income.createNextRecurrence();
-        if (newIncome) {
-          processedIncomes.push(newIncome);
-        }
-      } catch (error) {
-        logger.error(`Error processing recurring income ${income._id}:`, error);
-      }
-    }
-
-    logger.info(`Processed ${processedIncomes.length} recurring incomes`);
+    logger.info(`Processed ${processedIncomes.length} recurring incomes for family ${familyId}`);
+    processedIncomes.forEach(income => {
+      broadcast(familyId, 'income', 'created', { data: income, actorId: req.user._id });
+      recordAuditEvent(req, { entity: 'income', action: 'created', entityId: income._id, after: income, details: { recurring: true } });
+    });
 
     res.json({
       success: true,
@@ -467,6 +630,8 @@ module.exports = {
   createIncome,
   updateIncome,
   deleteIncome,
+  getIncomeHistory,
+  revertIncomeRevision,
   getIncomeStats,
   processRecurringIncomes
 }; 
\ No newline at end of file
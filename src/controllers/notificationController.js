@@ -0,0 +1,153 @@
+const Notification = require('../models/Notification');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+// @desc    Ottieni le notifiche dell'utente
+// @route   GET /api/notifications
+// @access  Private
+const getNotifications = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const { unreadOnly, page = 1, limit = 20 } = req.query;
+
+    const filters = { userId: req.user._id };
+    if (unreadOnly === 'true') {
+      filters.readAt = null;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [notifications, total, unread] = await Promise.all([
+      Notification.find(filters)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Notification.countDocuments(filters),
+      Notification.countUnread(req.user._id)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        unread,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get notifications error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore nel recupero delle notifiche'
+    });
+  }
+};
+
+// @desc    Segna una notifica come letta
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+const markAsRead = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const notification = await Notification.findOne({ _id: id, userId: req.user._id });
+    if (!notification) {
+      return res.status(404).json({
+        error: 'Notifica non trovata',
+        message: 'La notifica richiesta non esiste'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Notifica segnata come letta',
+      data: { notification }
+    });
+
+  } catch (error) {
+    logger.error('Mark notification as read error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante l\'aggiornamento della notifica'
+    });
+  }
+};
+
+// @desc    Segna tutte le notifiche come lette
+// @route   PUT /api/notifications/read-all
+// @access  Private
+const markAllAsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { userId: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} notifiche segnate come lette`,
+      data: { updated: result.modifiedCount }
+    });
+
+  } catch (error) {
+    logger.error('Mark all notifications as read error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante l\'aggiornamento delle notifiche'
+    });
+  }
+};
+
+// @desc    Elimina una notifica
+// @route   DELETE /api/notifications/:id
+// @access  Private
+const deleteNotification = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const notification = await Notification.findOneAndDelete({ _id: id, userId: req.user._id });
+    if (!notification) {
+      return res.status(404).json({
+        error: 'Notifica non trovata',
+        message: 'La notifica richiesta non esiste'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notifica eliminata con successo'
+    });
+
+  } catch (error) {
+    logger.error('Delete notification error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante l\'eliminazione della notifica'
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification
+};
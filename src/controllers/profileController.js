@@ -3,9 +3,35 @@ const Family = require('../models/Family');
 const Expense = require('../models/Expense');
 const Income = require('../models/Income');
 const Budget = require('../models/Budget');
-const { generateToken } = require('../config/jwt');
+const Session = require('../models/Session');
+const SecurityEvent = require('../models/SecurityEvent');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const { generateToken, generateOAuthStateToken } = require('../config/jwt');
+const { isGoogleAuthEnabled } = require('../config/passport');
+const {
+  encryptSecret,
+  decryptSecret,
+  generateEnrollment,
+  verifyTotpCode,
+  generateRecoveryCodes,
+  verifyUserCode,
+  countRemainingRecoveryCodes
+} = require('../services/twoFactorService');
+const { TOKEN_SCOPES, createPersonalAccessToken } = require('../services/personalAccessTokenService');
+const { disconnectSessions } = require('../services/realtimeService');
 const { validationResult } = require('express-validator');
 const { deleteImage, extractPublicId } = require('../config/cloudinary');
+const { deleteReceiptsForExpenses } = require('../services/receiptStorageService');
+const { deleteFamilyWithData } = require('../services/familyDataService');
+const { getRolePermissions } = require('../config/permissions');
+const { applySuccession } = require('../services/familySuccessionService');
+const { recordAuditEvent } = require('../services/auditService');
+const { createVerificationToken, sendVerificationEmail } = require('../services/emailVerificationService');
+const {
+  createSession,
+  revokeSession: revokeUserSession,
+  revokeAllSessions
+} = require('../services/sessionService');
 const logger = require('../utils/logger');
 const bcrypt = require('bcryptjs');
 
@@ -35,6 +61,14 @@ const changePassword = async (req, res) => {
       });
     }
 
+    // Gli account creati con Google impostano la prima password con il recupero password
+    if (!user.password) {
+      return res.status(400).json({
+        error: 'Password non impostata',
+        message: 'Il tuo account usa l\'accesso con Google: imposta una password con il recupero password'
+      });
+    }
+
     // Verifica password attuale
     const isCurrentPasswordValid = await bcrypt.compare(currentPassword, user.password);
     if (!isCurrentPasswordValid) {
@@ -59,9 +93,18 @@ const changePassword = async (req, res) => {
 
     logger.info(`Password changed for user: ${user.email}`);
 
+    // Revoca tutte le sessioni (anche quella corrente) e apre una nuova sessione per questo dispositivo
+    await revokeAllSessions(userId, 'password_changed');
+    const { token, refreshToken, expiresIn } = await createSession(user, req);
+
     res.json({
       success: true,
-      message: 'Password cambiata con successo'
+      message: 'Password cambiata con successo. Le altre sessioni sono state disconnesse.',
+      data: {
+        token,
+        refreshToken,
+        expiresIn
+      }
     });
 
   } catch (error) {
@@ -99,20 +142,31 @@ const changeEmail = async (req, res) => {
       });
     }
 
-    // Aggiorna email
-    const user = await User.findByIdAndUpdate(
-      userId,
-      { email },
-      { new: true, runValidators: true }
-    );
+    const user = await User.findById(userId);
+
+    if (user.email === email) {
+      return res.status(400).json({
+        error: 'Email identica',
+        message: 'La nuova email deve essere diversa da quella attuale'
+      });
+    }
 
-    logger.info(`Email changed for user: ${user._id} to ${email}`);
+    // Il nuovo indirizzo resta in attesa finché non viene confermato dal link inviato
+    user.pendingEmail = email;
+    const verificationToken = createVerificationToken(user);
+    await user.save();
+
+    await sendVerificationEmail(user, verificationToken);
+
+    logger.info(`Email change requested for user: ${user._id} to ${email}`);
 
     res.json({
       success: true,
-      message: 'Email aggiornata con successo',
+      message: `Ti abbiamo inviato un link di conferma a ${email}: l'email verrà aggiornata dopo la conferma`,
       data: {
-        user: user.getPublicProfile()
+        user: user.getPublicProfile(),
+        // In sviluppo, restituisci il token per testing
+        ...(process.env.NODE_ENV === 'development' && { verificationToken })
       }
     });
 
@@ -246,6 +300,44 @@ const setAvatarUrl = async (req, res) => {
   }
 };
 
+// @desc    Aggiorna preferenze notifiche
+// @route   PUT /api/profile/notifications
+// @access  Private
+const updateNotificationPreferences = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const { budgetAlertsEmail } = req.body;
+
+    const user = await User.findById(req.user._id);
+    if (budgetAlertsEmail !== undefined) {
+      user.notificationPreferences.budgetAlertsEmail = budgetAlertsEmail;
+    }
+    await user.save();
+
+    logger.info(`Notification preferences updated for user: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Preferenze notifiche aggiornate con successo',
+      data: { user: user.getPublicProfile() }
+    });
+
+  } catch (error) {
+    logger.error('Update notification preferences error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante l\'aggiornamento delle preferenze notifiche'
+    });
+  }
+};
+
 // @desc    Esporta dati utente
 // @route   GET /api/profile/export-data
 // @access  Private
@@ -255,11 +347,11 @@ const exportUserData = async (req, res) => {
     const user = req.user;
 
     // Raccogli tutti i dati dell'utente
-    const [expenses, incomes, budgets, family] = await Promise.all([
-      Expense.find({ userId }).populate('categoryId', 'name color'),
+    const [expenses, incomes, budgets, families] = await Promise.all([
+      Expense.find({ userId }).populate('category', 'name color'),
       Income.find({ userId }),
       Budget.find({ familyId: user.familyId }),
-      user.familyId ? Family.findById(user.familyId).populate('members.user', 'name email') : null
+      Family.findByMember(userId)
     ]);
 
     // Prepara dati per export
@@ -270,16 +362,16 @@ const exportUserData = async (req, res) => {
         createdAt: user.createdAt,
         lastLogin: user.lastLogin
       },
-      family: family ? {
+      families: families.map(family => ({
         name: family.name,
         description: family.description,
-        role: user.role,
-        joinedAt: family.members.find(m => m.user._id.toString() === userId.toString())?.joinedAt
-      } : null,
+        role: family.getMemberRole(userId),
+        joinedAt: family.members.find(m => m.isActive && m.user.toString() === userId.toString())?.joinedAt
+      })),
       expenses: expenses.map(expense => ({
         amount: expense.amount,
         description: expense.description,
-        category: expense.categoryId?.name,
+        category: expense.category?.name,
         date: expense.date,
         notes: expense.notes,
         tags: expense.tags,
@@ -355,8 +447,8 @@ const deleteAccount = async (req, res) => {
       });
     }
 
-    // Verifica password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
+    // Verifica password (gli account solo Google devono prima impostarne una)
+    const isPasswordValid = Boolean(user.password) && await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
       return res.status(400).json({
         error: 'Password non valida',
@@ -364,158 +456,658 @@ const deleteAccount = async (req, res) => {
       });
     }
 
-    // Carica dati famiglia se presente
-    let family = null;
-    if (user.familyId) {
-      family = await Family.findById(user.familyId);
-    }
+    // Esce da tutte le famiglie dell'utente:
+    // - se è l'unico membro attivo, la famiglia viene eliminata con tutti i suoi dati
+    // - se è l'ultimo owner o admin, ruolo e privilegi passano al successore scelto dalla politica di successione
+    const families = await Family.find({ 'members.user': userId });
+    let deletedFamilies = 0;
+    let transferredAdmin = false;
 
-    // CASO 1: Utente è l'unico membro (e quindi amministratore)
-    // --> viene eliminato dal database sia l'utente che la famiglia
-    if (family && family.members.length === 1) {
-      // Elimina avatar se esiste
-      if (user.avatar && user.avatar.includes('cloudinary.com')) {
-        const publicId = extractPublicId(user.avatar);
-        if (publicId) {
-          try {
-            await deleteImage(publicId);
-            logger.info(`Avatar deleted from Cloudinary: ${publicId}`);
-          } catch (err) {
-            logger.warn(`Could not delete avatar from Cloudinary: ${publicId}`, err);
-          }
-        }
+    for (const family of families) {
+      const otherMembers = family.members.filter(member =>
+        member.isActive && member.user.toString() !== userId.toString()
+      );
+
+      if (otherMembers.length === 0) {
+        // Elimina tutti i dati della famiglia (compresi gli scontrini archiviati)
+        await deleteFamilyWithData(family._id);
+        deletedFamilies++;
+        continue;
       }
 
-      // Elimina tutti i dati dell'utente e della famiglia
-      await Promise.all([
-        Expense.deleteMany({ familyId: user.familyId }),
-        Income.deleteMany({ familyId: user.familyId }),
-        Budget.deleteMany({ familyId: user.familyId }),
-        Family.findByIdAndDelete(user.familyId),
-        User.findByIdAndDelete(userId)
-      ]);
-
-      logger.info(`Account and family deleted for sole member: ${user.email}`);
-
-      return res.json({
-        success: true,
-        message: 'Account e famiglia eliminati con successo'
-      });
-    }
-
-    // CASO 2: Utente non è l'unico membro e non è amministratore
-    // --> viene eliminato dalla famiglia e dal database
-    if (family && family.members.length > 1 && user.role !== 'admin') {
-      // Elimina avatar se esiste
-      if (user.avatar && user.avatar.includes('cloudinary.com')) {
-        const publicId = extractPublicId(user.avatar);
-        if (publicId) {
-          try {
-            await deleteImage(publicId);
-            logger.info(`Avatar deleted from Cloudinary: ${publicId}`);
-          } catch (err) {
-            logger.warn(`Could not delete avatar from Cloudinary: ${publicId}`, err);
-          }
-        }
+      const role = family.getMemberRole(userId);
+      const succession = await applySuccession(family, userId);
+      if (succession) {
+        transferredAdmin = true;
       }
 
       // Rimuovi utente dalla famiglia
-      await Family.findByIdAndUpdate(
-        user.familyId,
-        {
-          $pull: { 
-            members: { user: userId }
-          }
+      family.members = family.members.filter(member => member.user.toString() !== userId.toString());
+      await family.save();
+
+      recordAuditEvent(req, { entity: 'member', action: 'account_deleted', entityId: userId, details: { role, successor: succession }, family });
+    }
+
+    // Elimina avatar se esiste
+    if (user.avatar && user.avatar.includes('cloudinary.com')) {
+      const publicId = extractPublicId(user.avatar);
+      if (publicId) {
+        try {
+          await deleteImage(publicId);
+          logger.info(`Avatar deleted from Cloudinary: ${publicId}`);
+        } catch (err) {
+          logger.warn(`Could not delete avatar from Cloudinary: ${publicId}`, err);
         }
-      );
+      }
+    }
+
+    // Elimina tutti i dati dell'utente (compresi gli scontrini archiviati)
+    await deleteReceiptsForExpenses({ userId });
+    await Promise.all([
+      Expense.deleteMany({ userId }),
+      Income.deleteMany({ userId }),
+      Session.deleteMany({ userId }),
+      SecurityEvent.deleteMany({ userId }),
+      PersonalAccessToken.deleteMany({ userId }),
+      User.findByIdAndDelete(userId)
+    ]);
+
+    logger.info(`Account deleted: ${user.email} (${families.length} families, ${deletedFamilies} deleted)`);
+
+    let message = deletedFamilies > 0 ? 'Account e famiglia eliminati con successo' : 'Account eliminato con successo';
+    if (transferredAdmin) {
+      message += '. I privilegi di amministratore sono stati trasferiti automaticamente.';
+    }
+
+    res.json({
+      success: true,
+      message
+    });
+
+  } catch (error) {
+    logger.error('Delete account error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante l\'eliminazione account'
+    });
+  }
+};
+
+// @desc    Famiglie dell'utente con il relativo ruolo (per scegliere la famiglia attiva)
+// @route   GET /api/profile/families
+// @access  Private
+const getFamilies = async (req, res) => {
+  try {
+    const families = await Family.findByMember(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        families: families.map(family => {
+          const role = family.getMemberRole(req.user._id);
+          return {
+            _id: family._id,
+            name: family.name,
+            description: family.description,
+            banner: family.banner,
+            role,
+            permissions: getRolePermissions(family, role),
+            membersCount: family.getActiveMembers().length,
+            isDefault: family._id.toString() === req.user.familyId?.toString()
+          };
+        })
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get families error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore nel recupero delle famiglie'
+    });
+  }
+};
 
-      // Elimina tutti i dati dell'utente
-      await Promise.all([
-        Expense.deleteMany({ userId }),
-        Income.deleteMany({ userId }),
-        User.findByIdAndDelete(userId)
-      ]);
+// @desc    Lista sessioni attive dell'utente (dispositivi collegati)
+// @route   GET /api/profile/sessions
+// @access  Private
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.getActiveSessions(req.user._id);
 
-      logger.info(`Member account deleted: ${user.email}`);
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => session.toPublicJSON(req.sessionId))
+      }
+    });
 
-      return res.json({
-        success: true,
-        message: 'Account eliminato con successo'
+  } catch (error) {
+    logger.error('Get sessions error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore nel recupero delle sessioni'
+    });
+  }
+};
+
+// @desc    Revoca una sessione (disconnette il dispositivo)
+// @route   DELETE /api/profile/sessions/:id
+// @access  Private
+const revokeSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
       });
     }
 
-    // CASO 3: Utente non è l'unico membro ma è l'amministratore
-    // --> i suoi privilegi passano automaticamente al membro successivo e lui viene eliminato
-    if (family && family.members.length > 1 && user.role === 'admin') {
-      // Trova il primo membro che non è l'utente corrente
-      const nextMember = family.members.find(member => 
-        member.user.toString() !== userId.toString()
-      );
+    const { id } = req.params;
+
+    const session = await Session.findOne({ _id: id, userId: req.user._id, revokedAt: null });
+    if (!session) {
+      return res.status(404).json({
+        error: 'Sessione non trovata',
+        message: 'La sessione richiesta non esiste o è già stata revocata'
+      });
+    }
+
+    await revokeUserSession(session, 'user_revoked');
+
+    logger.info(`Session ${id} revoked by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: session._id.toString() === req.sessionId?.toString()
+        ? 'Sessione corrente revocata: effettua di nuovo il login'
+        : 'Sessione revocata con successo'
+    });
+
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante la revoca della sessione'
+    });
+  }
+};
+
+// @desc    Log di sicurezza dell'utente (accessi, tentativi falliti, blocchi, reset password)
+// @route   GET /api/profile/security-events
+// @access  Private
+const getSecurityEvents = async (req, res) => {
+  try {
+    const events = await SecurityEvent.find({ userId: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .select('-userId -__v');
+
+    res.json({
+      success: true,
+      data: { events }
+    });
+
+  } catch (error) {
+    logger.error('Get security events error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore nel recupero del log di sicurezza'
+    });
+  }
+};
 
-      if (!nextMember) {
-        return res.status(400).json({
-          error: 'Errore nella gestione famiglia',
-          message: 'Impossibile trovare un membro a cui trasferire i privilegi di amministratore'
-        });
+// @desc    Lista token personali attivi (script, domotica)
+// @route   GET /api/profile/tokens
+// @access  Private
+const getAccessTokens = async (req, res) => {
+  try {
+    const accessTokens = await PersonalAccessToken.find({ userId: req.user._id, revokedAt: null })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        tokens: accessTokens.map(accessToken => accessToken.toPublicJSON()),
+        availableScopes: TOKEN_SCOPES
       }
+    });
 
-      // Promuovi il prossimo membro ad admin
-      await Family.findOneAndUpdate(
-        { _id: user.familyId, 'members.user': nextMember.user },
-        { $set: { 'members.$.role': 'admin' } }
-      );
+  } catch (error) {
+    logger.error('Get access tokens error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore nel recupero dei token personali'
+    });
+  }
+};
 
-      // Elimina avatar se esiste
-      if (user.avatar && user.avatar.includes('cloudinary.com')) {
-        const publicId = extractPublicId(user.avatar);
-        if (publicId) {
-          try {
-            await deleteImage(publicId);
-            logger.info(`Avatar deleted from Cloudinary: ${publicId}`);
-          } catch (err) {
-            logger.warn(`Could not delete avatar from Cloudinary: ${publicId}`, err);
-          }
-        }
+// @desc    Crea un token personale con permessi limitati
+// @route   POST /api/profile/tokens
+// @access  Private
+const createAccessToken = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const { name, scopes, expiresInDays, rateLimitPerMinute } = req.body;
+
+    const { token, accessToken } = await createPersonalAccessToken(req.user, {
+      name,
+      scopes,
+      expiresInDays,
+      rateLimitPerMinute
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Token creato: copialo ora, non sarà più visibile',
+      data: {
+        token,
+        accessToken: accessToken.toPublicJSON()
       }
+    });
 
-      // Rimuovi utente dalla famiglia
-      await Family.findByIdAndUpdate(
-        user.familyId,
-        {
-          $pull: { 
-            members: { user: userId }
-          }
-        }
-      );
+  } catch (error) {
+    if (error.message.startsWith('Puoi avere al massimo')) {
+      return res.status(400).json({
+        error: 'Limite raggiunto',
+        message: error.message
+      });
+    }
 
-      // Elimina tutti i dati dell'utente
-      await Promise.all([
-        Expense.deleteMany({ userId }),
-        Income.deleteMany({ userId }),
-        User.findByIdAndDelete(userId)
-      ]);
+    logger.error('Create access token error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante la creazione del token'
+    });
+  }
+};
 
-      // Carica il nuovo admin per il log
-      const newAdmin = await User.findById(nextMember.user);
-      logger.info(`Admin account deleted: ${user.email}, privileges transferred to: ${newAdmin?.email}`);
+// @desc    Revoca un token personale
+// @route   DELETE /api/profile/tokens/:id
+// @access  Private
+const revokeAccessToken = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const accessToken = await PersonalAccessToken.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
 
-      return res.json({
-        success: true,
-        message: 'Account eliminato con successo. I privilegi di amministratore sono stati trasferiti automaticamente.'
+    if (!accessToken) {
+      return res.status(404).json({
+        error: 'Token non trovato',
+        message: 'Il token richiesto non esiste o è già stato revocato'
       });
     }
 
-    // Caso fallback (non dovrebbe mai accadere)
-    return res.status(400).json({
-      error: 'Errore nella gestione eliminazione',
-      message: 'Impossibile determinare la strategia di eliminazione per questo account'
+    disconnectSessions([accessToken._id]);
+
+    logger.info(`Personal access token ${accessToken.prefix} revoked by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Token revocato con successo'
     });
 
   } catch (error) {
-    logger.error('Delete account error:', error);
+    logger.error('Revoke access token error:', error);
     res.status(500).json({
       error: 'Errore interno del server',
-      message: 'Errore durante l\'eliminazione account'
+      message: 'Errore durante la revoca del token'
+    });
+  }
+};
+
+// @desc    Genera il link per collegare un account Google al profilo
+// @route   POST /api/profile/google/link
+// @access  Private
+const linkGoogle = async (req, res) => {
+  try {
+    if (!isGoogleAuthEnabled()) {
+      return res.status(503).json({
+        error: 'Servizio non disponibile',
+        message: 'L\'accesso con Google non è configurato'
+      });
+    }
+
+    // Lo state firmato identifica l'utente al ritorno da Google (valido 10 minuti)
+    const state = generateOAuthStateToken('link', req.user._id);
+    const authorizationUrl = `${req.protocol}://${req.get('host')}/api/auth/google?link=${encodeURIComponent(state)}`;
+
+    res.json({
+      success: true,
+      data: { authorizationUrl }
+    });
+
+  } catch (error) {
+    logger.error('Link Google account error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante il collegamento dell\'account Google'
+    });
+  }
+};
+
+// @desc    Scollega l'account Google dal profilo
+// @route   DELETE /api/profile/google
+// @access  Private
+const unlinkGoogle = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!user.googleId) {
+      return res.status(400).json({
+        error: 'Account Google non collegato',
+        message: 'Al tuo profilo non è collegato nessun account Google'
+      });
+    }
+
+    // Senza password l'utente non potrebbe più accedere
+    if (!user.password) {
+      return res.status(400).json({
+        error: 'Password non impostata',
+        message: 'Imposta una password con il recupero password prima di scollegare Google'
+      });
+    }
+
+    user.googleId = undefined;
+    await user.save();
+
+    logger.info(`Google account unlinked for user: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Account Google scollegato con successo',
+      data: {
+        user: user.getPublicProfile()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Unlink Google account error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante lo scollegamento dell\'account Google'
+    });
+  }
+};
+
+// Campi riservati della verifica in due passaggi (esclusi di default dalle query)
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Almeno una delle famiglie dell'utente impone la verifica in due passaggi
+const isTwoFactorRequiredByFamilies = async (userId) => Boolean(await Family.exists({
+  members: { $elemMatch: { user: userId, isActive: true } },
+  'settings.requireTwoFactor': true
+}));
+
+// @desc    Stato della verifica in due passaggi
+// @route   GET /api/profile/2fa
+// @access  Private
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+    const requiredByFamily = await isTwoFactorRequiredByFamilies(user._id);
+
+    res.json({
+      success: true,
+      data: {
+        enabled: Boolean(user.twoFactor?.enabled),
+        enabledAt: user.twoFactor?.enabledAt || null,
+        recoveryCodesRemaining: countRemainingRecoveryCodes(user),
+        requiredByFamily
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get two-factor status error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore nel recupero dello stato della verifica in due passaggi'
+    });
+  }
+};
+
+// @desc    Avvia l'attivazione della verifica in due passaggi (segreto e QR code)
+// @route   POST /api/profile/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        error: 'Verifica già attiva',
+        message: 'La verifica in due passaggi è già attiva: disattivala per configurare un nuovo dispositivo'
+      });
+    }
+
+    const { secret, otpauthUrl, qrCode } = await generateEnrollment(user.email);
+
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+
+    logger.info(`Two-factor setup started for: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Scansiona il QR code con l\'app di autenticazione e conferma con il primo codice',
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode
+      }
+    });
+
+  } catch (error) {
+    logger.error('Setup two-factor error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante la configurazione della verifica in due passaggi'
+    });
+  }
+};
+
+// @desc    Conferma l'attivazione con il primo codice e genera i codici di recupero
+// @route   POST /api/profile/2fa/enable
+// @access  Private
+const enableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const { code } = req.body;
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        error: 'Verifica già attiva',
+        message: 'La verifica in due passaggi è già attiva'
+      });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        error: 'Configurazione mancante',
+        message: 'Avvia prima la configurazione con /api/profile/2fa/setup'
+      });
+    }
+
+    const step = verifyTotpCode(decryptSecret(user.twoFactor.pendingSecret), code);
+    if (step === null) {
+      return res.status(400).json({
+        error: 'Codice non valido',
+        message: 'Il codice inserito non è corretto: controlla l\'orario del dispositivo'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    logger.info(`Two-factor enabled for: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Verifica in due passaggi attivata. Conserva i codici di recupero: non verranno più mostrati',
+      data: {
+        recoveryCodes: codes,
+        user: user.getPublicProfile()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Enable two-factor error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante l\'attivazione della verifica in due passaggi'
+    });
+  }
+};
+
+// @desc    Disattiva la verifica in due passaggi
+// @route   POST /api/profile/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const { password, code } = req.body;
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        error: 'Verifica non attiva',
+        message: 'La verifica in due passaggi non è attiva'
+      });
+    }
+
+    if (await isTwoFactorRequiredByFamilies(user._id)) {
+      return res.status(403).json({
+        error: 'Permessi insufficienti',
+        message: 'Una delle tue famiglie richiede la verifica in due passaggi: non può essere disattivata'
+      });
+    }
+
+    // Gli account solo Google confermano con il codice, gli altri anche con la password
+    if (user.password && !(await bcrypt.compare(password || '', user.password))) {
+      return res.status(400).json({
+        error: 'Password non valida',
+        message: 'La password inserita non è corretta'
+      });
+    }
+
+    if (!verifyUserCode(user, code)) {
+      return res.status(400).json({
+        error: 'Codice non valido',
+        message: 'Il codice di verifica non è corretto o è già stato usato'
+      });
+    }
+
+    user.twoFactor = { enabled: false, enabledAt: null };
+    await user.save();
+
+    logger.info(`Two-factor disabled for: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Verifica in due passaggi disattivata',
+      data: {
+        user: user.getPublicProfile()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Disable two-factor error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante la disattivazione della verifica in due passaggi'
+    });
+  }
+};
+
+// @desc    Rigenera i codici di recupero (i precedenti non sono più validi)
+// @route   POST /api/profile/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const { code } = req.body;
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        error: 'Verifica non attiva',
+        message: 'La verifica in due passaggi non è attiva'
+      });
+    }
+
+    if (!verifyUserCode(user, code)) {
+      return res.status(400).json({
+        error: 'Codice non valido',
+        message: 'Il codice di verifica non è corretto o è già stato usato'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    logger.info(`Two-factor recovery codes regenerated for: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Nuovi codici di recupero generati: conservali in un luogo sicuro',
+      data: {
+        recoveryCodes: codes
+      }
+    });
+
+  } catch (error) {
+    logger.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante la generazione dei codici di recupero'
     });
   }
 };
@@ -525,6 +1117,21 @@ module.exports = {
   changeEmail,
   uploadAvatar,
   setAvatarUrl,
+  updateNotificationPreferences,
   exportUserData,
-  deleteAccount
+  deleteAccount,
+  getFamilies,
+  getSessions,
+  revokeSession,
+  getSecurityEvents,
+  getAccessTokens,
+  createAccessToken,
+  revokeAccessToken,
+  linkGoogle,
+  unlinkGoogle,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
 }; 
\ No newline at end of file
@@ -0,0 +1,36 @@
+const logger = require('../utils/logger');
+const { addClient } = require('../services/realtimeService');
+
+// @desc    Stream Server-Sent Events con le modifiche ai dati della famiglia
+// @route   GET /api/realtime/events
+// @access  Private
+const streamEvents = (req, res) => {
+  try {
+    const familyId = req.family._id;
+    // Lo stream viene chiuso alla revoca della sessione di login o del token personale
+    const removeClient = addClient(familyId, req.user._id, res, req.sessionId || req.accessToken?._id, req.permissions);
+
+    logger.info(`Realtime stream opened for ${req.user.email} (family ${familyId})`);
+
+    req.on('close', () => {
+      removeClient();
+      logger.info(`Realtime stream closed for ${req.user.email} (family ${familyId})`);
+    });
+
+  } catch (error) {
+    logger.error('Realtime stream error:', error);
+
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore nell\'apertura del canale in tempo reale'
+    });
+  }
+};
+
+module.exports = {
+  streamEvents
+};
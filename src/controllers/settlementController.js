@@ -0,0 +1,240 @@
+const Settlement = require('../models/Settlement');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { recordAuditEvent } = require('../services/auditService');
+const { validationResult } = require('express-validator');
+const { calculateBalances, minimizeTransfers } = require('../services/balanceService');
+
+// Verifica che l'utente sia (o sia stato) membro della famiglia
+const isFamilyMember = (family, userId) => {
+  return family.members.some(member => member.user.toString() === userId.toString());
+};
+
+// @desc    Ottieni i saldi tra i membri e i trasferimenti per pareggiare i conti
+// @route   GET /api/family/balances
+// @access  Private
+const getBalances = async (req, res) => {
+  try {
+    const familyId = req.family._id;
+
+    const balances = await calculateBalances(familyId);
+    const transfers = minimizeTransfers(balances);
+
+    const users = await User.find({ _id: { $in: [...balances.keys()] } })
+      .select('name email avatar');
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    const toAmount = (cents) => cents / 100;
+
+    res.json({
+      success: true,
+      data: {
+        balances: [...balances.entries()]
+          .map(([userId, entry]) => ({
+            user: usersById.get(userId) || { _id: userId },
+            paid: toAmount(entry.paid),
+            owed: toAmount(entry.owed),
+            settledOut: toAmount(entry.settledOut),
+            settledIn: toAmount(entry.settledIn),
+            balance: toAmount(entry.balance)
+          }))
+          .sort((a, b) => b.balance - a.balance),
+        transfers: transfers.map(transfer => ({
+          from: usersById.get(transfer.from) || { _id: transfer.from },
+          to: usersById.get(transfer.to) || { _id: transfer.to },
+          amount: toAmount(transfer.amount)
+        })),
+        currency: req.family?.settings?.currency || 'EUR'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get balances error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore nel calcolo dei saldi'
+    });
+  }
+};
+
+// @desc    Ottieni i pagamenti registrati tra i membri
+// @route   GET /api/family/settlements
+// @access  Private
+const getSettlements = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const familyId = req.family._id;
+    const { page = 1, limit = 20, userId } = req.query;
+
+    const filters = { familyId, isActive: true };
+    if (userId) {
+      filters.$or = [{ fromUser: userId }, { toUser: userId }];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [settlements, total] = await Promise.all([
+      Settlement.find(filters)
+        .populate('fromUser', 'name email avatar')
+        .populate('toUser', 'name email avatar')
+        .populate('createdBy', 'name email')
+        .sort({ date: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Settlement.countDocuments(filters)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        settlements,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get settlements error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore nel recupero dei pagamenti'
+    });
+  }
+};
+
+// @desc    Registra un pagamento per saldare un debito
+// @route   POST /api/family/settlements
+// @access  Private
+const createSettlement = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const familyId = req.family._id;
+    const { toUser, amount, date, notes } = req.body;
+    const fromUser = req.body.fromUser || req.user._id.toString();
+
+    if (!isFamilyMember(req.family, fromUser) || !isFamilyMember(req.family, toUser)) {
+      return res.status(400).json({
+        error: 'Membro non valido',
+        message: 'Entrambi gli utenti devono essere membri della famiglia'
+      });
+    }
+
+    // Solo le parti coinvolte o chi gestisce i pagamenti può registrarlo
+    const involved = [fromUser.toString(), toUser.toString()].includes(req.user._id.toString());
+    if (!involved && !req.permissions.includes('settlements:manage')) {
+      return res.status(403).json({
+        error: 'Permessi insufficienti',
+        message: 'Puoi registrare solo i pagamenti in cui sei coinvolto'
+      });
+    }
+
+    const settlement = new Settlement({
+      familyId,
+      fromUser,
+      toUser,
+      amount,
+      date: date || new Date(),
+      notes: notes || '',
+      createdBy: req.user._id
+    });
+
+    await settlement.save();
+    await settlement.populate('fromUser', 'name email avatar');
+    await settlement.populate('toUser', 'name email avatar');
+
+    logger.info(`Settlement recorded: ${amount}€ from ${fromUser} to ${toUser} by ${req.user.email}`);
+    recordAuditEvent(req, { entity: 'settlement', action: 'created', entityId: settlement._id, after: settlement });
+
+    res.status(201).json({
+      success: true,
+      message: 'Pagamento registrato con successo',
+      data: { settlement }
+    });
+
+  } catch (error) {
+    logger.error('Create settlement error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante la registrazione del pagamento'
+    });
+  }
+};
+
+// @desc    Annulla un pagamento registrato
+// @route   DELETE /api/family/settlements/:settlementId
+// @access  Private
+const deleteSettlement = async (req, res) => {
+  try {
+    const { settlementId } = req.params;
+    const familyId = req.family._id;
+
+    const settlement = await Settlement.findOne({ _id: settlementId, familyId, isActive: true });
+    if (!settlement) {
+      return res.status(404).json({
+        error: 'Pagamento non trovato',
+        message: 'Il pagamento richiesto non esiste'
+      });
+    }
+
+    // Verifica permessi (solo il creatore o chi può gestire i dati degli altri membri)
+    if (settlement.createdBy.toString() !== req.user._id.toString() && !req.permissions.includes('settlements:manage')) {
+      return res.status(403).json({
+        error: 'Permessi insufficienti',
+        message: 'Non hai i permessi per annullare questo pagamento'
+      });
+    }
+
+    const before = settlement.toObject();
+    settlement.isActive = false;
+    await settlement.save();
+
+    logger.info(`Settlement cancelled: ${settlementId} by ${req.user.email}`);
+    recordAuditEvent(req, { entity: 'settlement', action: 'deleted', entityId: settlement._id, before });
+
+    res.json({
+      success: true,
+      message: 'Pagamento annullato con successo'
+    });
+
+  } catch (error) {
+    logger.error('Delete settlement error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante l\'annullamento del pagamento'
+    });
+  }
+};
+
+module.exports = {
+  getBalances,
+  getSettlements,
+  createSettlement,
+  deleteSettlement
+};
@@ -0,0 +1,289 @@
+const Budget = require('../models/Budget');
+const logger = require('../utils/logger');
+const { broadcast } = require('../services/realtimeService');
+const { recordAuditEvent } = require('../services/auditService');
+const { checkBudgetAlerts } = require('../services/notificationService');
+const {
+  DEFAULT_TRASH_RETENTION_DAYS,
+  TRASH_TYPES,
+  getTrashFilter,
+  purgeTrashItems
+} = require('../services/trashService');
+const { PERMISSIONS } = require('../config/permissions');
+const { validationResult } = require('express-validator');
+
+// Risposta 403 con lo stesso formato di requirePermission
+const sendPermissionError = (res, permission) => res.status(403).json({
+  error: 'Permessi insufficienti',
+  message: `Il tuo ruolo nella famiglia non permette di: ${PERMISSIONS[permission].toLowerCase()}`,
+  permission
+});
+
+// Filtro sul cestino limitato agli elementi che l'utente può vedere (o gestire, con manage)
+const getUserTrashFilter = (req, type, { manage = false } = {}) => {
+  const config = TRASH_TYPES[type];
+  const filter = getTrashFilter(req.family._id);
+  const othersPermission = manage ? config.editOthersPermission : config.viewOthersPermission;
+
+  if (othersPermission && !req.permissions.includes(othersPermission)) {
+    filter.userId = req.user._id;
+  }
+  return filter;
+};
+
+// Data di eliminazione (per gli elementi eliminati prima del cestino vale l'ultima modifica)
+const getDeletedAt = (item) => item.deletedAt || item.updatedAt;
+
+// @desc    Ottieni spese ed entrate nel cestino
+// @route   GET /api/trash
+// @access  Private
+const getTrash = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const { type, page = 1, limit = 20 } = req.query;
+    const types = type ? [type] : Object.keys(TRASH_TYPES);
+    const retentionDays = req.family.settings?.trashRetentionDays || DEFAULT_TRASH_RETENTION_DAYS;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Per ogni tipo bastano i primi skip + limit elementi per comporre la pagina
+    const results = await Promise.all(types.map(async (itemType) => {
+      const { model } = TRASH_TYPES[itemType];
+      const filter = getUserTrashFilter(req, itemType);
+
+      let query = model.find(filter)
+        .populate('userId', 'name email avatar')
+        .populate('deletedBy', 'name email avatar')
+        .sort({ deletedAt: -1, updatedAt: -1 })
+        .limit(skip + parseInt(limit));
+      if (itemType === 'expense') {
+        query = query.populate('category', 'name color icon');
+      }
+
+      const [items, total] = await Promise.all([query, model.countDocuments(filter)]);
+      return { items: items.map(item => ({ type: itemType, item })), total };
+    }));
+
+    const total = results.reduce((sum, result) => sum + result.total, 0);
+    const items = results
+      .flatMap(result => result.items)
+      .sort((a, b) => getDeletedAt(b.item) - getDeletedAt(a.item))
+      .slice(skip, skip + parseInt(limit))
+      .map(({ type: itemType, item }) => ({
+        type: itemType,
+        ...item.toObject(),
+        deletedAt: getDeletedAt(item),
+        purgeAt: new Date(getDeletedAt(item).getTime() + retentionDays * 24 * 60 * 60 * 1000)
+      }));
+
+    res.json({
+      success: true,
+      data: {
+        items,
+        retentionDays,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get trash error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore nel recupero del cestino'
+    });
+  }
+};
+
+// @desc    Ripristina una spesa o un'entrata dal cestino
+// @route   POST /api/trash/:type/:id/restore
+// @access  Private (expenses:create o incomes:create)
+const restoreTrashItem = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const { type, id } = req.params;
+    const familyId = req.family._id;
+    const config = TRASH_TYPES[type];
+
+    if (!req.permissions.includes(config.createPermission)) {
+      return sendPermissionError(res, config.createPermission);
+    }
+
+    const item = await config.model.findOne({ _id: id, ...getUserTrashFilter(req, type, { manage: true }) });
+    if (!item) {
+      return res.status(404).json({
+        error: 'Elemento non trovato',
+        message: 'L\'elemento non è nel cestino o non hai i permessi per ripristinarlo'
+      });
+    }
+
+    item.isActive = true;
+    item.deletedAt = null;
+    item.deletedBy = null;
+    await item.save();
+
+    // Le statistiche della categoria si aggiornano al salvataggio; quelle dei budget qui
+    if (type === 'expense') {
+      try {
+        const expenseDate = new Date(item.date);
+        const budgets = await Budget.find({
+          familyId,
+          categoryId: item.category,
+          month: expenseDate.getMonth() + 1,
+          year: expenseDate.getFullYear(),
+          isActive: true
+        });
+
+        for (const budget of budgets) {
+          await budget.updateStats();
+          await checkBudgetAlerts(budget);
+        }
+      } catch (budgetError) {
+        logger.warn('Budget stats update failed after expense restore:', budgetError);
+      }
+
+      await item.populate('category', 'name color icon');
+    }
+    await item.populate('userId', 'name email avatar');
+
+    logger.info(`${type} restored from trash: ${id} by ${req.user.email}`);
+    broadcast(familyId, type, 'created', { data: item, actorId: req.user._id });
+    recordAuditEvent(req, { entity: type, action: 'restored', entityId: item._id });
+
+    res.json({
+      success: true,
+      message: 'Elemento ripristinato con successo',
+      data: { type, item }
+    });
+
+  } catch (error) {
+    logger.error('Restore trash item error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante il ripristino dell\'elemento'
+    });
+  }
+};
+
+// @desc    Elimina definitivamente una spesa o un'entrata dal cestino
+// @route   DELETE /api/trash/:type/:id
+// @access  Private (expenses:create o incomes:create)
+const purgeTrashItem = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const { type, id } = req.params;
+    const config = TRASH_TYPES[type];
+
+    if (!req.permissions.includes(config.createPermission)) {
+      return sendPermissionError(res, config.createPermission);
+    }
+
+    const purged = await purgeTrashItems(type, { _id: id, ...getUserTrashFilter(req, type, { manage: true }) });
+    if (purged === 0) {
+      return res.status(404).json({
+        error: 'Elemento non trovato',
+        message: 'L\'elemento non è nel cestino o non hai i permessi per eliminarlo'
+      });
+    }
+
+    logger.info(`${type} purged from trash: ${id} by ${req.user.email}`);
+    recordAuditEvent(req, { entity: type, action: 'purged', entityId: id });
+
+    res.json({
+      success: true,
+      message: 'Elemento eliminato definitivamente'
+    });
+
+  } catch (error) {
+    logger.error('Purge trash item error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante l\'eliminazione definitiva dell\'elemento'
+    });
+  }
+};
+
+// @desc    Svuota il cestino (gli elementi che l'utente può eliminare)
+// @route   DELETE /api/trash
+// @access  Private
+const emptyTrash = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Errori di validazione',
+        message: errors.array().map(err => err.msg).join(', ')
+      });
+    }
+
+    const { type } = req.query;
+    const types = (type ? [type] : Object.keys(TRASH_TYPES))
+      .filter(itemType => req.permissions.includes(TRASH_TYPES[itemType].createPermission));
+
+    const purged = {};
+    for (const itemType of types) {
+      purged[itemType] = await purgeTrashItems(itemType, getUserTrashFilter(req, itemType, { manage: true }));
+      if (purged[itemType] > 0) {
+        recordAuditEvent(req, { entity: itemType, action: 'trash_emptied', details: { count: purged[itemType] } });
+      }
+    }
+
+    const total = Object.values(purged).reduce((sum, count) => sum + count, 0);
+
+    logger.info(`Trash emptied: ${total} items by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: `${total} elementi eliminati definitivamente`,
+      data: { purged }
+    });
+
+  } catch (error) {
+    logger.error('Empty trash error:', error);
+    res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore durante lo svuotamento del cestino'
+    });
+  }
+};
+
+module.exports = {
+  getTrash,
+  restoreTrashItem,
+  purgeTrashItem,
+  emptyTrash
+};
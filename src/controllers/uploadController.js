@@ -0,0 +1,45 @@
+const path = require('path');
+const logger = require('../utils/logger');
+const { resolveLocalPath } = require('../services/receiptStorageService');
+
+// @desc    Restituisce un file dello storage locale (scontrini) della famiglia
+// @route   GET /uploads/receipts/:familyId/*
+// @access  Private
+const serveReceiptFile = (req, res) => {
+  // Il file deve restare nella cartella della famiglia (niente "../" verso altre famiglie)
+  const familyDir = resolveLocalPath(path.join('receipts', req.family._id.toString()));
+  const absolutePath = path.resolve(familyDir, req.params[0]);
+  if (!absolutePath.startsWith(familyDir + path.sep)) {
+    return res.status(400).json({
+      error: 'Percorso non valido',
+      message: 'Percorso file non valido'
+    });
+  }
+
+  // I file contengono dati personali: niente cache condivise (proxy, CDN)
+  res.sendFile(absolutePath, {
+    dotfiles: 'deny',
+    headers: { 'Cache-Control': 'private, max-age=86400' }
+  }, (error) => {
+    if (!error) return;
+
+    if (error.status === 404 || error.code === 'ENOENT') {
+      return res.status(404).json({
+        error: 'File non trovato',
+        message: 'Il file richiesto non esiste'
+      });
+    }
+
+    logger.error('Serve upload error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Errore interno del server',
+        message: 'Errore nella lettura del file'
+      });
+    }
+  });
+};
+
+module.exports = {
+  serveReceiptFile
+};
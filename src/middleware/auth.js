@@ -1,7 +1,88 @@
+const mongoose = require('mongoose');
+const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Family = require('../models/Family');
+const { PERMISSIONS, getRolePermissions } = require('../config/permissions');
 const { verifyToken, extractTokenFromHeader } = require('../config/jwt');
+const { touchSession } = require('../services/sessionService');
+const {
+  isPersonalAccessToken,
+  getRequiredScope,
+  findPersonalAccessToken,
+  touchPersonalAccessToken
+} = require('../services/personalAccessTokenService');
+const { isActionRestricted } = require('../services/emailVerificationService');
 const logger = require('../utils/logger');
 
+// Sessione di login del token, se esiste ed è ancora attiva (non revocata né scaduta)
+const findActiveSession = async (decoded) => {
+  if (!decoded.sessionId) return null;
+
+  const session = await Session.findById(decoded.sessionId);
+  if (!session || !session.isValid() || session.userId.toString() !== String(decoded.userId)) {
+    return null;
+  }
+  return session;
+};
+
+// Limite di richieste al minuto di ciascun token personale (rateLimitPerMinute del token)
+const personalAccessTokenLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: (req) => req.accessToken.rateLimitPerMinute,
+  keyGenerator: (req) => req.accessToken._id.toString(),
+  message: {
+    error: 'Troppe richieste',
+    message: 'Limite di richieste al minuto del token superato, riprova più tardi'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Autenticazione con token personale (script, domotica): vale solo per le API
+// coperte dai suoi permessi
+const authenticateWithAccessToken = async (req, res, next, token) => {
+  const accessToken = await findPersonalAccessToken(token);
+  const user = accessToken ? await User.findById(accessToken.userId).select('-password') : null;
+
+  if (!user || !user.isActive) {
+    logger.warn('Authentication failed: Invalid personal access token', {
+      url: req.originalUrl,
+      method: req.method,
+      ip: req.ip
+    });
+    return res.status(401).json({
+      error: 'Accesso negato',
+      message: 'Token personale non valido, scaduto o revocato'
+    });
+  }
+
+  const scope = getRequiredScope(req);
+
+  if (!scope) {
+    return res.status(403).json({
+      error: 'Accesso negato',
+      message: 'Questa API non è accessibile con un token personale'
+    });
+  }
+
+  if (!accessToken.hasScope(scope)) {
+    return res.status(403).json({
+      error: 'Permesso mancante',
+      message: `Il token non ha il permesso ${scope}`
+    });
+  }
+
+  touchPersonalAccessToken(accessToken, req);
+
+  req.user = user;
+  req.token = token;
+  req.accessToken = accessToken;
+
+  logger.debug(`User authenticated with personal access token ${accessToken.prefix}: ${user.email} for ${req.method} ${req.originalUrl}`);
+  personalAccessTokenLimiter(req, res, next);
+};
+
 // Middleware per verificare autenticazione
 const authenticate = async (req, res, next) => {
   try {
@@ -20,6 +101,10 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    if (isPersonalAccessToken(token)) {
+      return await authenticateWithAccessToken(req, res, next, token);
+    }
+
     // Verifica token
     const decoded = verifyToken(token);
     
@@ -39,9 +124,28 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    // Verifica che la sessione non sia stata revocata (logout, cambio password)
+    const session = await findActiveSession(decoded);
+
+    if (!session) {
+      logger.warn('Authentication failed: Session revoked or expired', {
+        userId: decoded.userId,
+        url: req.originalUrl,
+        method: req.method,
+        ip: req.ip
+      });
+      return res.status(401).json({
+        error: 'Accesso negato',
+        message: 'Sessione scaduta o revocata'
+      });
+    }
+
+    touchSession(session);
+
     // Aggiungi utente alla richiesta
     req.user = user;
     req.token = token;
+    req.sessionId = session._id;
     
     logger.debug(`User authenticated: ${user.email} for ${req.method} ${req.originalUrl}`);
     next();
@@ -62,86 +166,110 @@ const authenticate = async (req, res, next) => {
   }
 };
 
-// Middleware per verificare ruolo admin famiglia
-const requireFamilyAdmin = async (req, res, next) => {
-  try {
-    if (!req.user.familyId) {
-      return res.status(403).json({
-        error: 'Accesso negato',
-        message: 'Utente non appartiene a nessuna famiglia'
-      });
-    }
+// La famiglia richiede la verifica in due passaggi ma l'utente non l'ha attivata
+const isMissingRequiredTwoFactor = (family, user) => Boolean(family.settings?.requireTwoFactor) && !user.twoFactor?.enabled;
 
-    const Family = require('../models/Family');
-    const family = await Family.findById(req.user.familyId);
-    
-    if (!family) {
-      return res.status(404).json({
-        error: 'Famiglia non trovata'
-      });
-    }
+const sendTwoFactorRequired = (res) => res.status(403).json({
+  error: 'Verifica in due passaggi richiesta',
+  message: 'La famiglia richiede la verifica in due passaggi: attivala dal tuo profilo per continuare'
+});
 
-    const isAdmin = family.isUserAdmin(req.user._id);
-    
-    if (!isAdmin) {
-      return res.status(403).json({
-        error: 'Accesso negato',
-        message: 'Privilegi di amministratore richiesti'
-      });
-    }
+// Famiglia attiva della richiesta: percorso /api/families/:familyId/..., header
+// X-Family-Id oppure, in mancanza, la famiglia predefinita dell'utente
+const getActiveFamilyId = (req) => req.activeFamilyId || req.get('x-family-id') || req.user.familyId;
 
-    req.family = family;
-    next();
+// Carica la famiglia attiva e verifica che l'utente ne sia membro: imposta req.family,
+// req.familyRole e req.permissions, altrimenti invia la risposta di errore e restituisce false
+const resolveFamilyMembership = async (req, res) => {
+  const familyId = getActiveFamilyId(req);
 
-  } catch (error) {
-    logger.error('Family admin check error:', error.message);
-    
-    return res.status(500).json({
-      error: 'Errore interno del server',
-      message: 'Errore nella verifica dei privilegi'
+  if (!familyId) {
+    res.status(403).json({
+      error: 'Accesso negato',
+      message: 'Utente non appartiene a nessuna famiglia'
+    });
+    return false;
+  }
+
+  if (!mongoose.isValidObjectId(familyId)) {
+    res.status(400).json({
+      error: 'Famiglia non valida',
+      message: 'ID famiglia non valido'
+    });
+    return false;
+  }
+
+  const family = await Family.findById(familyId);
+
+  if (!family) {
+    res.status(404).json({
+      error: 'Famiglia non trovata'
+    });
+    return false;
+  }
+
+  const role = family.getMemberRole(req.user._id);
+
+  if (!role) {
+    res.status(403).json({
+      error: 'Accesso negato',
+      message: 'Utente non è membro di questa famiglia'
     });
+    return false;
   }
+
+  if (isMissingRequiredTwoFactor(family, req.user)) {
+    sendTwoFactorRequired(res);
+    return false;
+  }
+
+  req.family = family;
+  req.familyRole = role;
+  req.permissions = getRolePermissions(family, role);
+  return true;
 };
 
-// Middleware per verificare appartenenza alla famiglia
+// Middleware per verificare appartenenza alla famiglia attiva
 const requireFamilyMember = async (req, res, next) => {
   try {
-    if (!req.user.familyId) {
-      return res.status(403).json({
-        error: 'Accesso negato',
-        message: 'Utente non appartiene a nessuna famiglia'
-      });
+    if (await resolveFamilyMembership(req, res)) {
+      next();
     }
 
-    const Family = require('../models/Family');
-    const family = await Family.findById(req.user.familyId);
+  } catch (error) {
+    logger.error('Family member check error:', error.message);
     
-    if (!family) {
-      return res.status(404).json({
-        error: 'Famiglia non trovata'
-      });
+    return res.status(500).json({
+      error: 'Errore interno del server',
+      message: 'Errore nella verifica dell\'appartenenza alla famiglia'
+    });
+  }
+};
+
+// Middleware per verificare un permesso del ruolo nella famiglia attiva
+// (carica la famiglia se requireFamilyMember non è già stato eseguito)
+const requirePermission = (permission) => async (req, res, next) => {
+  try {
+    if (!req.family && !(await resolveFamilyMembership(req, res))) {
+      return;
     }
 
-    const isMember = family.members.some(
-      member => member.user.toString() === req.user._id.toString() && member.isActive
-    );
-    
-    if (!isMember) {
+    if (!req.permissions.includes(permission)) {
       return res.status(403).json({
-        error: 'Accesso negato',
-        message: 'Utente non è membro di questa famiglia'
+        error: 'Permessi insufficienti',
+        message: `Il tuo ruolo nella famiglia non permette di: ${PERMISSIONS[permission].toLowerCase()}`,
+        permission
       });
     }
 
-    req.family = family;
     next();
 
   } catch (error) {
-    logger.error('Family member check error:', error.message);
+    logger.error('Family permission check error:', error.message);
     
     return res.status(500).json({
       error: 'Errore interno del server',
-      message: 'Errore nella verifica dell\'appartenenza alla famiglia'
+      message: 'Errore nella verifica dei privilegi'
     });
   }
 };
@@ -154,10 +282,12 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
       const decoded = verifyToken(token);
       const user = await User.findById(decoded.userId).select('-password');
+      const session = user && user.isActive ? await findActiveSession(decoded) : null;
       
-      if (user && user.isActive) {
+      if (session) {
         req.user = user;
         req.token = token;
+        req.sessionId = session._id;
       }
     }
     
@@ -170,9 +300,47 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Middleware per accettare il token come parametro query (?token=) se manca l'header
+// Authorization: usato solo dove il client non può impostare header (EventSource)
+const allowQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.token === 'string' && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+    // Evita che il token compaia nei log che riportano l'URL
+    req.originalUrl = req.originalUrl.replace(/([?&]token=)[^&]*/, '$1[REDACTED]');
+  }
+  next();
+};
+
+// Middleware per indicare la famiglia attiva nel percorso: /api/families/:familyId/expenses
+// equivale a /api/expenses con header X-Family-Id
+const selectFamilyFromPath = (req, res, next) => {
+  const match = req.url.match(/^\/api\/families\/([^/?]+)(\/.*)?$/);
+  if (match) {
+    req.activeFamilyId = match[1];
+    req.url = `/api${match[2] || '/'}`;
+  }
+  next();
+};
+
+// Middleware per vietare un'operazione agli account con email non verificata
+// (solo se l'operazione è in UNVERIFIED_EMAIL_RESTRICTIONS)
+const requireVerifiedEmail = (action) => (req, res, next) => {
+  if (req.user.emailVerified || !isActionRestricted(action)) {
+    return next();
+  }
+
+  return res.status(403).json({
+    error: 'Email non verificata',
+    message: 'Conferma il tuo indirizzo email per completare questa operazione'
+  });
+};
+
 module.exports = {
   authenticate,
-  requireFamilyAdmin,
   requireFamilyMember,
-  optionalAuth
+  requirePermission,
+  optionalAuth,
+  allowQueryToken,
+  selectFamilyFromPath,
+  requireVerifiedEmail
 }; 
\ No newline at end of file
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+// Risorse della famiglia registrate nel log attività
+const AUDIT_ENTITIES = [
+  'expense',
+  'income',
+  'budget',
+  'category',
+  'categorization_rule',
+  'exchange_rate',
+  'goal',
+  'settlement',
+  'family',
+  'member',
+  'invitation',
+  'role'
+];
+
+const auditEventSchema = new mongoose.Schema({
+  familyId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Family',
+    required: [true, 'La famiglia è obbligatoria']
+  },
+
+  // Autore dell'operazione (null per le operazioni automatiche)
+  actorId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  entity: {
+    type: String,
+    enum: {
+      values: AUDIT_ENTITIES,
+      message: 'Tipo di risorsa non valido'
+    },
+    required: [true, 'Il tipo di risorsa è obbligatorio']
+  },
+
+  entityId: {
+    type: mongoose.Schema.ObjectId,
+    default: null
+  },
+
+  // created, updated, deleted o un'azione specifica (es. imported, approved)
+  action: {
+    type: String,
+    required: [true, 'L\'azione è obbligatoria'],
+    trim: true,
+    maxlength: [50, 'L\'azione non può superare i 50 caratteri']
+  },
+
+  // Campi modificati con valore precedente e nuovo
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    }
+  }],
+
+  // Dettagli aggiuntivi (es. numero di righe importate)
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  ip: {
+    type: String,
+    default: null
+  },
+
+  userAgent: {
+    type: String,
+    maxlength: [500, 'Lo user agent non può superare i 500 caratteri'],
+    default: null
+  },
+
+  // Calcolata dalla conservazione impostata dalla famiglia (settings.auditRetentionDays)
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index per performance
+auditEventSchema.index({ familyId: 1, createdAt: -1 });
+auditEventSchema.index({ familyId: 1, entity: 1, createdAt: -1 });
+auditEventSchema.index({ familyId: 1, actorId: 1, createdAt: -1 });
+auditEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Metodo statico per ricalcolare la scadenza degli eventi dopo un cambio di conservazione
+auditEventSchema.statics.applyRetention = async function(familyId, retentionDays) {
+  return this.updateMany(
+    { familyId },
+    [{ $set: { expiresAt: { $add: ['$createdAt', retentionDays * 24 * 60 * 60 * 1000] } } }]
+  );
+};
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
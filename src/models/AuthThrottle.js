@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Contatore dei tentativi falliti per IP o per account (login, recupero e reset password)
+const authThrottleSchema = new mongoose.Schema({
+  // Es. login:ip:203.0.113.5 oppure login:account:mario@example.com
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  failures: {
+    type: Number,
+    default: 0
+  },
+
+  lastFailureAt: {
+    type: Date,
+    default: null
+  },
+
+  // Fine della finestra di osservazione: il contatore viene poi rimosso da MongoDB
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+authThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthThrottle', authThrottleSchema);
@@ -62,6 +62,18 @@ const budgetSchema = new mongoose.Schema({
     min: [0, 'La soglia deve essere tra 0 e 100'],
     max: [100, 'La soglia deve essere tra 0 e 100']
   },
+
+  // Notifiche inviate per il periodo: azzerate quando la spesa torna sotto la soglia
+  alerts: {
+    warningNotifiedAt: {
+      type: Date,
+      default: null
+    },
+    exceededNotifiedAt: {
+      type: Date,
+      default: null
+    }
+  },
   
   isActive: {
     type: Boolean,
@@ -175,7 +187,7 @@ budgetSchema.methods.updateStats = async function() {
     {
       $group: {
         _id: null,
-        totalSpent: { $sum: '$amount' }
+        totalSpent: { $sum: { $ifNull: ['$baseAmount', '$amount'] } }
       }
     }
   ]);
@@ -251,6 +263,24 @@ budgetSchema.statics.getBudgetSummary = async function(familyId, year, month) {
   return summary;
 };
 
+// Metodo statico per aggiornare le statistiche dei budget di una categoria in un mese
+budgetSchema.statics.refreshStatsFor = async function(familyId, categoryId, date) {
+  const refDate = new Date(date);
+  const budgets = await this.find({
+    familyId,
+    categoryId,
+    month: refDate.getMonth() + 1,
+    year: refDate.getFullYear(),
+    isActive: true
+  });
+
+  for (const budget of budgets) {
+    await budget.updateStats();
+  }
+
+  return budgets;
+};
+
 // Metodo statico per creare budget automatici dal mese precedente
 budgetSchema.statics.createFromPreviousMonth = async function(familyId, year, month) {
   let prevYear = year;
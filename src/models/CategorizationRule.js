@@ -0,0 +1,212 @@
+const mongoose = require('mongoose');
+const safeRegex = require('safe-regex2');
+
+// Le espressioni regolari vengono eseguite su ogni nuova spesa: solo brevi e senza
+// quantificatori annidati (backtracking catastrofico)
+const MAX_REGEX_LENGTH = 100;
+
+const isSafePattern = (pattern) => pattern.length <= MAX_REGEX_LENGTH && safeRegex(pattern);
+
+const categorizationRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Il nome della regola è obbligatorio'],
+    trim: true,
+    maxlength: [50, 'Il nome non può superare i 50 caratteri']
+  },
+
+  familyId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Family',
+    required: [true, 'La famiglia è obbligatoria']
+  },
+
+  categoryId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Category',
+    required: [true, 'La categoria è obbligatoria']
+  },
+
+  // Condizioni (tutte quelle specificate devono essere soddisfatte)
+  conditions: {
+    text: {
+      field: {
+        type: String,
+        enum: ['description', 'merchant', 'any'],
+        default: 'any'
+      },
+      operator: {
+        type: String,
+        enum: ['contains', 'regex'],
+        default: 'contains'
+      },
+      value: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Il testo della condizione non può superare i 200 caratteri']
+      },
+      caseSensitive: {
+        type: Boolean,
+        default: false
+      }
+    },
+    minAmount: {
+      type: Number,
+      min: [0, 'L\'importo minimo non può essere negativo'],
+      default: null
+    },
+    maxAmount: {
+      type: Number,
+      min: [0, 'L\'importo massimo non può essere negativo'],
+      default: null
+    },
+    tag: {
+      type: String,
+      trim: true,
+      maxlength: [20, 'Il tag non può superare i 20 caratteri'],
+      default: null
+    }
+  },
+
+  // Priorità più alta = valutata per prima
+  priority: {
+    type: Number,
+    default: 0
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Statistiche utilizzo
+  matchCount: {
+    type: Number,
+    default: 0
+  },
+
+  lastMatchedAt: {
+    type: Date,
+    default: null
+  }
+
+}, {
+  timestamps: true
+});
+
+// Index per performance
+categorizationRuleSchema.index({ familyId: 1, isActive: 1, priority: -1 });
+categorizationRuleSchema.index({ categoryId: 1 });
+
+// Validazione: almeno una condizione e regex compilabile
+categorizationRuleSchema.pre('validate', function(next) {
+  const { text, minAmount, maxAmount, tag } = this.conditions || {};
+  const hasText = text && text.value;
+
+  if (!hasText && minAmount == null && maxAmount == null && !tag) {
+    this.invalidate('conditions', 'La regola deve avere almeno una condizione');
+  }
+
+  if (minAmount != null && maxAmount != null && minAmount > maxAmount) {
+    this.invalidate('conditions.maxAmount', 'L\'importo massimo deve essere maggiore del minimo');
+  }
+
+  if (hasText && text.operator === 'regex') {
+    try {
+      new RegExp(text.value);
+      if (!isSafePattern(text.value)) {
+        this.invalidate(
+          'conditions.text.value',
+          `Espressione regolare troppo complessa (massimo ${MAX_REGEX_LENGTH} caratteri, senza quantificatori annidati)`
+        );
+      }
+    } catch (error) {
+      this.invalidate('conditions.text.value', 'Espressione regolare non valida');
+    }
+  }
+
+  next();
+});
+
+// Metodo per verificare se una spesa soddisfa la regola
+categorizationRuleSchema.methods.matches = function(expense) {
+  const { text, minAmount, maxAmount, tag } = this.conditions;
+
+  if (minAmount != null && expense.amount < minAmount) return false;
+  if (maxAmount != null && expense.amount > maxAmount) return false;
+
+  if (tag) {
+    const tags = (expense.tags || []).map(t => t.toLowerCase());
+    if (!tags.includes(tag.toLowerCase())) return false;
+  }
+
+  if (text && text.value) {
+    const merchant = expense.receipt?.merchant || '';
+    const candidates = text.field === 'description'
+      ? [expense.description]
+      : text.field === 'merchant'
+        ? [merchant]
+        : [expense.description, merchant];
+
+    const haystacks = candidates.filter(Boolean);
+
+    if (text.operator === 'regex') {
+      // Le regole salvate prima del controllo di sicurezza non vengono eseguite
+      if (!isSafePattern(text.value)) return false;
+      const regex = new RegExp(text.value, text.caseSensitive ? '' : 'i');
+      if (!haystacks.some(value => regex.test(value))) return false;
+    } else {
+      const needle = text.caseSensitive ? text.value : text.value.toLowerCase();
+      const found = haystacks.some(value =>
+        (text.caseSensitive ? value : value.toLowerCase()).includes(needle)
+      );
+      if (!found) return false;
+    }
+  }
+
+  return true;
+};
+
+// Metodo statico per ottenere le regole attive in ordine di valutazione
+categorizationRuleSchema.statics.getActiveRules = async function(familyId) {
+  return await this.find({ familyId, isActive: true }).sort({ priority: -1, createdAt: 1 });
+};
+
+// Metodo statico per trovare la prima regola applicabile da un elenco già caricato
+categorizationRuleSchema.statics.findMatchingRule = function(rules, expense) {
+  return rules.find(rule => rule.matches(expense)) || null;
+};
+
+// Metodo statico per categorizzare una singola spesa
+categorizationRuleSchema.statics.categorize = async function(familyId, expense) {
+  const rules = await this.getActiveRules(familyId);
+  return this.findMatchingRule(rules, expense);
+};
+
+// Metodo statico per registrare l'utilizzo delle regole
+categorizationRuleSchema.statics.recordMatches = async function(ruleIds) {
+  const counts = ruleIds.reduce((acc, id) => {
+    const key = id.toString();
+    acc[key] = (acc[key] || 0) + 1;
+    return acc;
+  }, {});
+
+  const operations = Object.entries(counts).map(([id, count]) => ({
+    updateOne: {
+      filter: { _id: id },
+      update: { $inc: { matchCount: count }, $set: { lastMatchedAt: new Date() } }
+    }
+  }));
+
+  if (operations.length > 0) {
+    await this.bulkWrite(operations);
+  }
+};
+
+module.exports = mongoose.model('CategorizationRule', categorizationRuleSchema);
@@ -79,13 +79,14 @@ categorySchema.methods.updateStats = async function() {
     {
       $match: {
         category: this._id,
-        familyId: this.familyId
+        familyId: this.familyId,
+        isActive: true
       }
     },
     {
       $group: {
         _id: null,
-        totalExpenses: { $sum: '$amount' },
+        totalExpenses: { $sum: { $ifNull: ['$baseAmount', '$amount'] } },
         lastUsed: { $max: '$date' }
       }
     }
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } = require('../config/currencies');
+
+const exchangeRateSchema = new mongoose.Schema({
+  familyId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Family',
+    required: [true, 'La famiglia è obbligatoria']
+  },
+
+  // 1 fromCurrency = rate toCurrency
+  fromCurrency: {
+    type: String,
+    required: [true, 'La valuta di origine è obbligatoria'],
+    uppercase: true,
+    enum: {
+      values: SUPPORTED_CURRENCIES,
+      message: 'Valuta di origine non supportata'
+    }
+  },
+
+  toCurrency: {
+    type: String,
+    required: [true, 'La valuta di destinazione è obbligatoria'],
+    uppercase: true,
+    enum: {
+      values: SUPPORTED_CURRENCIES,
+      message: 'Valuta di destinazione non supportata'
+    }
+  },
+
+  rate: {
+    type: Number,
+    required: [true, 'Il tasso di cambio è obbligatorio'],
+    min: [0.000001, 'Il tasso di cambio deve essere maggiore di 0']
+  },
+
+  // Giorno di validità (mezzanotte locale)
+  date: {
+    type: Date,
+    required: [true, 'La data è obbligatoria']
+  },
+
+  source: {
+    type: String,
+    enum: ['manual', 'import'],
+    default: 'manual'
+  },
+
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  }
+
+}, {
+  timestamps: true
+});
+
+// Index per performance (un solo tasso per coppia e giorno)
+exchangeRateSchema.index({ familyId: 1, fromCurrency: 1, toCurrency: 1, date: -1 }, { unique: true });
+
+// Normalizza la data al giorno e impedisce coppie con la stessa valuta
+exchangeRateSchema.pre('validate', function(next) {
+  if (this.date) {
+    const date = new Date(this.date);
+    this.date = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
+  if (this.fromCurrency && this.fromCurrency === this.toCurrency) {
+    this.invalidate('toCurrency', 'Le valute di origine e destinazione devono essere diverse');
+  }
+  next();
+});
+
+// Metodo statico per ottenere il tasso valido in una data.
+// Usa il tasso più recente non successivo alla data (diretto o inverso);
+// se non esiste, il primo tasso disponibile dopo la data.
+exchangeRateSchema.statics.getRate = async function(familyId, fromCurrency, toCurrency, date = new Date()) {
+  if (fromCurrency === toCurrency) return 1;
+
+  const day = new Date(date);
+  day.setHours(23, 59, 59, 999);
+
+  const pairs = {
+    $or: [
+      { fromCurrency, toCurrency },
+      { fromCurrency: toCurrency, toCurrency: fromCurrency }
+    ]
+  };
+
+  const toDirectRate = (exchangeRate) => exchangeRate.fromCurrency === fromCurrency
+    ? exchangeRate.rate
+    : 1 / exchangeRate.rate;
+
+  const previous = await this.findOne({ familyId, ...pairs, date: { $lte: day } })
+    .sort({ date: -1 });
+  if (previous) return toDirectRate(previous);
+
+  const next = await this.findOne({ familyId, ...pairs, date: { $gt: day } })
+    .sort({ date: 1 });
+  return next ? toDirectRate(next) : null;
+};
+
+// Metodo statico per convertire una transazione (Expense o Income) nella valuta base della famiglia.
+// Se valuta e tasso sono già impostati vengono usati così come sono.
+exchangeRateSchema.statics.applyConversion = async function(transaction) {
+  const conversionChanged = transaction.isModified('currency') || transaction.isModified('date');
+  if (!transaction.isNew && conversionChanged && !transaction.isModified('exchangeRate')) {
+    transaction.exchangeRate = null;
+  }
+
+  if (!transaction.currency || transaction.exchangeRate == null) {
+    const Family = require('./Family');
+    const family = await Family.findById(transaction.familyId).select('settings.currency');
+    const baseCurrency = family?.settings?.currency || DEFAULT_CURRENCY;
+
+    if (!transaction.currency) transaction.currency = baseCurrency;
+
+    const rate = await this.getRate(transaction.familyId, transaction.currency, baseCurrency, transaction.date);
+    if (rate == null) {
+      transaction.invalidate(
+        'currency',
+        `Tasso di cambio ${transaction.currency}/${baseCurrency} non disponibile: aggiungilo o indica il tasso`
+      );
+      return;
+    }
+    transaction.exchangeRate = rate;
+  }
+
+  transaction.baseAmount = Math.round(transaction.amount * transaction.exchangeRate * 100) / 100;
+};
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
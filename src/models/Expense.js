@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES } = require('../config/currencies');
 
 const expenseSchema = new mongoose.Schema({
   amount: {
@@ -7,6 +8,30 @@ const expenseSchema = new mongoose.Schema({
     min: [0.01, 'L\'importo deve essere maggiore di 0'],
     max: [999999.99, 'L\'importo non può superare 999.999,99']
   },
+
+  // Valuta della transazione (se assente, la valuta base della famiglia)
+  currency: {
+    type: String,
+    uppercase: true,
+    enum: {
+      values: SUPPORTED_CURRENCIES,
+      message: 'Valuta non supportata'
+    },
+    default: null
+  },
+
+  // Tasso applicato: 1 unità di currency = exchangeRate unità della valuta base
+  exchangeRate: {
+    type: Number,
+    min: [0.000001, 'Il tasso di cambio deve essere maggiore di 0'],
+    default: null
+  },
+
+  // Importo convertito nella valuta base, usato per statistiche e budget
+  baseAmount: {
+    type: Number,
+    default: null
+  },
   
   description: {
     type: String,
@@ -20,6 +45,13 @@ const expenseSchema = new mongoose.Schema({
     ref: 'Category',
     required: [true, 'La categoria è obbligatoria']
   },
+
+  // Regola che ha assegnato automaticamente la categoria (null se scelta manualmente)
+  autoCategorizedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'CategorizationRule',
+    default: null
+  },
   
   date: {
     type: Date,
@@ -38,6 +70,33 @@ const expenseSchema = new mongoose.Schema({
     ref: 'Family',
     required: [true, 'La famiglia è obbligatoria']
   },
+
+  // Ripartizione tra i membri (chi ha pagato è userId)
+  splitMethod: {
+    type: String,
+    enum: ['equal', 'percentage', 'exact'],
+    default: null
+  },
+
+  splits: [{
+    _id: false,
+    userId: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'Il membro della ripartizione è obbligatorio']
+    },
+    percentage: {
+      type: Number,
+      min: [0, 'La percentuale non può essere negativa'],
+      max: [100, 'La percentuale non può superare 100'],
+      default: null
+    },
+    amount: {
+      type: Number,
+      min: [0, 'La quota non può essere negativa'],
+      default: 0
+    }
+  }],
   
   // Informazioni scontrino/ricevuta
   receipt: {
@@ -53,7 +112,47 @@ const expenseSchema = new mongoose.Schema({
       type: String,
       trim: true,
       maxlength: [100, 'Il nome del negozio non può superare i 100 caratteri']
-    }
+    },
+    // File caricati (foto scontrini e fatture PDF)
+    attachments: [{
+      url: {
+        type: String,
+        required: true
+      },
+      thumbnailUrl: {
+        type: String,
+        default: null
+      },
+      storage: {
+        type: String,
+        enum: ['cloudinary', 'local'],
+        required: true
+      },
+      // public_id Cloudinary o percorso relativo alla cartella upload
+      storageKey: {
+        type: String,
+        required: true
+      },
+      thumbnailKey: {
+        type: String,
+        default: null
+      },
+      originalName: {
+        type: String,
+        trim: true,
+        maxlength: [255, 'Il nome del file non può superare i 255 caratteri']
+      },
+      mimeType: String,
+      size: Number,
+      uploadedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+      },
+      uploadedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
   },
   
   // Metadati
@@ -107,12 +206,43 @@ const expenseSchema = new mongoose.Schema({
     endDate: {
       type: Date,
       default: null
-    }
+    },
+    nextOccurrence: {
+      type: Date,
+      default: null
+    },
+    lastGenerated: {
+      type: Date,
+      default: null
+    },
+    // Occorrenze da saltare (es. affitto già pagato in anticipo)
+    skippedOccurrences: [{
+      type: Date
+    }]
   },
-  
+
+  // Spesa ricorrente da cui è stata generata questa occorrenza
+  recurringParent: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Expense',
+    default: null
+  },
+
   isActive: {
     type: Boolean,
     default: true
+  },
+
+  // Cestino: quando e da chi è stata eliminata (eliminazione definitiva dopo settings.trashRetentionDays)
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+
+  deletedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
   }
 
 }, {
@@ -125,6 +255,10 @@ expenseSchema.index({ userId: 1, date: -1 });
 expenseSchema.index({ category: 1, date: -1 });
 expenseSchema.index({ familyId: 1, category: 1, date: -1 });
 expenseSchema.index({ 'location.coordinates': '2dsphere' });
+expenseSchema.index({ isRecurring: 1, 'recurringPattern.nextOccurrence': 1 });
+expenseSchema.index({ recurringParent: 1, date: 1 });
+expenseSchema.index({ familyId: 1, 'splits.userId': 1 });
+expenseSchema.index({ familyId: 1, isActive: 1, deletedAt: -1 });
 
 // Index per ricerche testuali
 expenseSchema.index({
@@ -140,7 +274,7 @@ expenseSchema.virtual('monthYear').get(function() {
 });
 
 // Metodo per formattare l'importo
-expenseSchema.methods.getFormattedAmount = function(currency = 'EUR') {
+expenseSchema.methods.getFormattedAmount = function(currency = this.currency || 'EUR') {
   return new Intl.NumberFormat('it-IT', {
     style: 'currency',
     currency: currency
@@ -158,6 +292,122 @@ expenseSchema.methods.getPeriod = function() {
   };
 };
 
+// Metodo per calcolare la prossima occorrenza a partire da una data
+expenseSchema.methods.calculateNextOccurrence = function(fromDate) {
+  if (!this.isRecurring) return null;
+
+  const { frequency, interval = 1 } = this.recurringPattern;
+  const baseDate = new Date(fromDate || this.date);
+  const nextDate = new Date(baseDate);
+
+  switch (frequency) {
+    case 'daily':
+      nextDate.setDate(nextDate.getDate() + interval);
+      break;
+    case 'weekly':
+      nextDate.setDate(nextDate.getDate() + (7 * interval));
+      break;
+    case 'monthly': {
+      // Mantiene il giorno della spesa originale (es. 31) limitandolo alla fine del mese
+      const anchorDay = new Date(this.date).getDate();
+      nextDate.setDate(1);
+      nextDate.setMonth(nextDate.getMonth() + interval);
+      const lastDay = new Date(nextDate.getFullYear(), nextDate.getMonth() + 1, 0).getDate();
+      nextDate.setDate(Math.min(anchorDay, lastDay));
+      break;
+    }
+    case 'yearly':
+      nextDate.setFullYear(nextDate.getFullYear() + interval);
+      break;
+    default:
+      return null;
+  }
+
+  return nextDate;
+};
+
+// Metodo per verificare se un'occorrenza è stata saltata
+expenseSchema.methods.isOccurrenceSkipped = function(date) {
+  const day = new Date(date).toDateString();
+  return (this.recurringPattern.skippedOccurrences || []).some(
+    skipped => new Date(skipped).toDateString() === day
+  );
+};
+
+// Metodo per creare l'occorrenza successiva di una spesa ricorrente
+expenseSchema.methods.createNextRecurrence = async function() {
+  if (!this.isRecurring || !this.recurringPattern.nextOccurrence) return null;
+
+  const occurrenceDate = new Date(this.recurringPattern.nextOccurrence);
+
+  // Controlla se abbiamo superato la data di fine
+  if (this.recurringPattern.endDate && occurrenceDate > this.recurringPattern.endDate) {
+    return null;
+  }
+
+  let nextExpense = null;
+
+  if (!this.isOccurrenceSkipped(occurrenceDate)) {
+    // Evita duplicati se l'occorrenza è già stata generata
+    const existing = await this.constructor.findOne({
+      recurringParent: this._id,
+      date: occurrenceDate
+    });
+
+    if (!existing) {
+      nextExpense = await new this.constructor({
+        amount: this.amount,
+        currency: this.currency,
+        description: this.description,
+        category: this.category,
+        date: occurrenceDate,
+        userId: this.userId,
+        familyId: this.familyId,
+        tags: this.tags,
+        notes: this.notes,
+        splitMethod: this.splitMethod,
+        splits: this.splits.map(split => ({
+          userId: split.userId,
+          percentage: split.percentage,
+          amount: split.amount
+        })),
+        receipt: this.receipt && this.receipt.merchant
+          ? { merchant: this.receipt.merchant }
+          : undefined,
+        recurringParent: this._id
+      }).save();
+    }
+  }
+
+  // Aggiorna la prossima occorrenza e rimuovi i salti ormai superati
+  this.recurringPattern.lastGenerated = occurrenceDate;
+  this.recurringPattern.nextOccurrence = this.calculateNextOccurrence(occurrenceDate);
+  this.recurringPattern.skippedOccurrences = (this.recurringPattern.skippedOccurrences || [])
+    .filter(skipped => new Date(skipped) > occurrenceDate);
+  await this.save();
+
+  return nextExpense;
+};
+
+// Metodo per generare tutte le occorrenze scadute fino a una data
+expenseSchema.methods.processDueOccurrences = async function(untilDate = new Date()) {
+  const created = [];
+
+  while (
+    this.isRecurring &&
+    this.recurringPattern.nextOccurrence &&
+    this.recurringPattern.nextOccurrence <= untilDate &&
+    (!this.recurringPattern.endDate || this.recurringPattern.nextOccurrence <= this.recurringPattern.endDate)
+  ) {
+    const nextExpense = await this.createNextRecurrence();
+    if (nextExpense) {
+      created.push(nextExpense);
+    }
+  }
+
+  return created;
+};
+
 // Metodi statici per statistiche
 expenseSchema.statics.getMonthlyStats = async function(familyId, year, month) {
   const startDate = new Date(year, month - 1, 1);
@@ -174,9 +424,9 @@ expenseSchema.statics.getMonthlyStats = async function(familyId, year, month) {
     {
       $group: {
         _id: '$category',
-        totalAmount: { $sum: '$amount' },
+        totalAmount: { $sum: { $ifNull: ['$baseAmount', '$amount'] } },
         count: { $sum: 1 },
-        avgAmount: { $avg: '$amount' }
+        avgAmount: { $avg: { $ifNull: ['$baseAmount', '$amount'] } }
       }
     },
     {
@@ -216,7 +466,7 @@ expenseSchema.statics.getYearlyStats = async function(familyId, year) {
           month: { $month: '$date' },
           category: '$category'
         },
-        totalAmount: { $sum: '$amount' },
+        totalAmount: { $sum: { $ifNull: ['$baseAmount', '$amount'] } },
         count: { $sum: 1 }
       }
     },
@@ -254,7 +504,7 @@ expenseSchema.statics.getUserStats = async function(familyId, userId, startDate,
     {
       $group: {
         _id: '$category',
-        totalAmount: { $sum: '$amount' },
+        totalAmount: { $sum: { $ifNull: ['$baseAmount', '$amount'] } },
         count: { $sum: 1 }
       }
     },
@@ -277,6 +527,142 @@ expenseSchema.statics.getUserStats = async function(familyId, userId, startDate,
   return stats;
 };
 
+// Metodo statico per suggerire la categoria usata più spesso con un negozio
+expenseSchema.statics.suggestCategoryForMerchant = async function(familyId, merchant, limit = 50) {
+  if (!merchant) return null;
+
+  const escaped = merchant.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`^${escaped}$`, 'i');
+
+  const [suggestion] = await this.aggregate([
+    {
+      $match: {
+        familyId: new mongoose.Types.ObjectId(familyId),
+        isActive: true,
+        $or: [
+          { 'receipt.merchant': pattern },
+          { description: pattern }
+        ]
+      }
+    },
+    { $sort: { date: -1 } },
+    { $limit: limit },
+    {
+      $group: {
+        _id: '$category',
+        count: { $sum: 1 },
+        lastUsed: { $max: '$date' }
+      }
+    },
+    { $sort: { count: -1, lastUsed: -1 } },
+    { $limit: 1 }
+  ]);
+
+  return suggestion ? { categoryId: suggestion._id, matches: suggestion.count } : null;
+};
+
+// Metodo statico per ottenere spese ricorrenti da processare
+expenseSchema.statics.getRecurringExpensesDue = async function(familyId = null, untilDate = new Date()) {
+  // Una ricorrenza terminata può avere ancora occorrenze arretrate entro la data di fine
+  const filters = {
+    isRecurring: true,
+    isActive: true,
+    'recurringPattern.nextOccurrence': { $lte: untilDate },
+    $or: [
+      { 'recurringPattern.endDate': null },
+      { $expr: { $lte: ['$recurringPattern.nextOccurrence', '$recurringPattern.endDate'] } }
+    ]
+  };
+
+  if (familyId) filters.familyId = familyId;
+
+  return await this.find(filters);
+};
+
+// Conversione nella valuta base della famiglia
+expenseSchema.pre('validate', async function() {
+  const ExchangeRate = require('./ExchangeRate');
+  await ExchangeRate.applyConversion(this);
+});
+
+// Validazione e calcolo delle quote di ripartizione (in centesimi per evitare arrotondamenti)
+expenseSchema.pre('validate', function(next) {
+  if (!this.splits || this.splits.length === 0) {
+    this.splitMethod = null;
+    return next();
+  }
+
+  if (!this.splitMethod) this.splitMethod = 'equal';
+
+  const userIds = this.splits.map(split => split.userId && split.userId.toString());
+  if (new Set(userIds).size !== userIds.length) {
+    this.invalidate('splits', 'Ogni membro può comparire una sola volta nella ripartizione');
+    return next();
+  }
+
+  const totalCents = Math.round(this.amount * 100);
+  const count = this.splits.length;
+
+  if (this.splitMethod === 'equal') {
+    const baseCents = Math.floor(totalCents / count);
+    const remainder = totalCents - baseCents * count;
+    this.splits.forEach((split, index) => {
+      split.percentage = null;
+      split.amount = (baseCents + (index < remainder ? 1 : 0)) / 100;
+    });
+  } else if (this.splitMethod === 'percentage') {
+    const totalPercentage = this.splits.reduce((sum, split) => sum + (split.percentage || 0), 0);
+    if (Math.abs(totalPercentage - 100) > 0.01) {
+      this.invalidate('splits', 'La somma delle percentuali deve essere 100');
+      return next();
+    }
+
+    // L'ultima quota assorbe il resto dovuto agli arrotondamenti
+    let assignedCents = 0;
+    this.splits.forEach((split, index) => {
+      const cents = index === count - 1
+        ? totalCents - assignedCents
+        : Math.round(totalCents * (split.percentage || 0) / 100);
+      assignedCents += cents;
+      split.amount = cents / 100;
+    });
+  } else {
+    const splitCents = this.splits.reduce((sum, split) => sum + Math.round((split.amount || 0) * 100), 0);
+    if (splitCents !== totalCents) {
+      this.invalidate('splits', 'La somma delle quote deve essere uguale all\'importo della spesa');
+      return next();
+    }
+    this.splits.forEach(split => {
+      split.percentage = null;
+    });
+  }
+
+  next();
+});
+
+// Middleware pre-save per calcolare prossima occorrenza
+expenseSchema.pre('save', function(next) {
+  if (!this.isRecurring) {
+    this.recurringPattern.nextOccurrence = null;
+    return next();
+  }
+
+  const scheduleChanged = this.isNew ||
+    this.isModified('isRecurring') ||
+    this.isModified('date') ||
+    this.isModified('recurringPattern.frequency') ||
+    this.isModified('recurringPattern.interval');
+
+  if (scheduleChanged || !this.recurringPattern.nextOccurrence) {
+    // Riparte dall'ultima occorrenza generata per non creare duplicati
+    const baseDate = this.recurringPattern.lastGenerated && this.recurringPattern.lastGenerated > this.date
+      ? this.recurringPattern.lastGenerated
+      : this.date;
+    this.recurringPattern.nextOccurrence = this.calculateNextOccurrence(baseDate);
+  }
+  next();
+});
+
 // Middleware post-save per aggiornare statistiche categoria
 expenseSchema.post('save', async function() {
   const Category = require('./Category');
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } = require('../config/currencies');
+const { ALL_PERMISSIONS, BUILT_IN_ROLES, OWNER_ONLY_ROLES, roleHasPermission } = require('../config/permissions');
 
 const familySchema = new mongoose.Schema({
   name: {
@@ -31,9 +33,9 @@ const familySchema = new mongoose.Schema({
       ref: 'User',
       required: true
     },
+    // Ruolo predefinito (owner, admin, member, viewer, child) o personalizzato (roles)
     role: {
       type: String,
-      enum: ['admin', 'member'],
       default: 'member'
     },
     joinedAt: {
@@ -70,9 +72,9 @@ const familySchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    // Ruolo predefinito (owner, admin, member, viewer, child) o personalizzato (roles)
     role: {
       type: String,
-      enum: ['admin', 'member'],
       default: 'member'
     },
     invitedBy: {
@@ -105,11 +107,147 @@ const familySchema = new mongoose.Schema({
     }
   }],
   
+  // Link di invito riutilizzabili (anche come QR code), in aggiunta agli inviti per email
+  inviteLinks: [{
+    // Hash SHA-256 del token, come per gli inviti per email (link e QR code solo alla creazione)
+    token: {
+      type: String,
+      required: true
+    },
+    // Ruolo predefinito (owner escluso) o personalizzato (roles)
+    role: {
+      type: String,
+      default: 'member'
+    },
+    // Adesioni consentite (null = illimitate)
+    maxUses: {
+      type: Number,
+      min: [1, 'Il numero massimo di utilizzi deve essere almeno 1'],
+      default: null
+    },
+    uses: {
+      type: Number,
+      default: 0
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    // Se attivo, chi usa il link resta in attesa dell'approvazione di un admin
+    requiresApproval: {
+      type: Boolean,
+      default: false
+    },
+    createdBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    revokedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Richieste di adesione arrivate da link di invito con approvazione
+  joinRequests: [{
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    inviteLink: {
+      type: mongoose.Schema.ObjectId,
+      required: true
+    },
+    role: {
+      type: String,
+      default: 'member'
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending'
+    },
+    reviewedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Ruoli personalizzati della famiglia, in aggiunta a quelli predefiniti
+  roles: [{
+    key: {
+      type: String,
+      required: [true, 'La chiave del ruolo è obbligatoria'],
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z][a-z0-9_-]{1,29}$/, 'La chiave del ruolo può contenere solo lettere minuscole, numeri, _ e - (2-30 caratteri)'],
+      validate: {
+        validator: key => !BUILT_IN_ROLES[key],
+        message: 'La chiave coincide con un ruolo predefinito'
+      }
+    },
+    name: {
+      type: String,
+      required: [true, 'Il nome del ruolo è obbligatorio'],
+      trim: true,
+      maxlength: [50, 'Il nome del ruolo non può superare i 50 caratteri']
+    },
+    permissions: {
+      type: [String],
+      validate: {
+        validator: permissions => permissions.every(permission => ALL_PERMISSIONS.includes(permission)),
+        message: 'Permesso non valido'
+      }
+    }
+  }],
+
+  // Trasferimento di proprietà in attesa di conferma del destinatario
+  ownershipTransfer: {
+    to: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    requestedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    requestedAt: {
+      type: Date,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    }
+  },
+
   settings: {
     currency: {
       type: String,
-      default: 'EUR',
-      enum: ['EUR', 'USD', 'GBP', 'CHF']
+      default: DEFAULT_CURRENCY,
+      enum: SUPPORTED_CURRENCIES
     },
     budgetNotifications: {
       type: Boolean,
@@ -118,6 +256,25 @@ const familySchema = new mongoose.Schema({
     monthlyReports: {
       type: Boolean,
       default: true
+    },
+    // Se attivo, i membri senza verifica in due passaggi non accedono ai dati della famiglia
+    requireTwoFactor: {
+      type: Boolean,
+      default: false
+    },
+    // Giorni di conservazione del log attività
+    auditRetentionDays: {
+      type: Number,
+      default: 365,
+      min: [30, 'La conservazione del log attività deve essere di almeno 30 giorni'],
+      max: [3650, 'La conservazione del log attività non può superare i 3650 giorni']
+    },
+    // Giorni dopo i quali spese ed entrate nel cestino vengono eliminate definitivamente
+    trashRetentionDays: {
+      type: Number,
+      default: 30,
+      min: [1, 'Il cestino deve conservare gli elementi per almeno 1 giorno'],
+      max: [365, 'Il cestino non può conservare gli elementi per più di 365 giorni']
     }
   },
   
@@ -135,6 +292,7 @@ familySchema.index({ createdBy: 1 });
 familySchema.index({ 'members.user': 1 });
 familySchema.index({ 'invitations.email': 1 });
 familySchema.index({ 'invitations.token': 1 });
+familySchema.index({ 'inviteLinks.token': 1 });
 
 // Metodo per aggiungere un membro
 familySchema.methods.addMember = function(userId, role = 'member') {
@@ -211,13 +369,101 @@ familySchema.methods.createInvitation = function(email, invitedBy, role = 'membe
   return this.save().then(() => token);
 };
 
-// Metodo per verificare se un utente è admin
-familySchema.methods.isUserAdmin = function(userId) {
+// Metodo per marcare come scaduti gli inviti pendenti oltre la scadenza
+familySchema.methods.expireInvitations = async function(referenceDate = new Date()) {
+  let expiredCount = 0;
+
+  this.invitations.forEach(invitation => {
+    if (invitation.status === 'pending' && invitation.expiresAt <= referenceDate) {
+      invitation.status = 'expired';
+      expiredCount++;
+    }
+  });
+
+  if (expiredCount > 0) {
+    await this.save();
+  }
+
+  return expiredCount;
+};
+
+// Metodo per verificare se un link di invito accetta ancora adesioni
+familySchema.methods.isInviteLinkUsable = function(link) {
+  if (!link || link.revokedAt) return false;
+  if (link.expiresAt && link.expiresAt <= new Date()) return false;
+  return link.maxUses === null || link.uses < link.maxUses;
+};
+
+// Metodo per verificare se un membro attivo ha un permesso
+familySchema.methods.memberHasPermission = function(userId, permission) {
+  const role = this.getMemberRole(userId);
+  return Boolean(role) && roleHasPermission(this, role, permission);
+};
+
+// Metodo per ottenere i membri attivi con un permesso (escluso eventualmente un utente)
+familySchema.methods.getMembersWithPermission = function(permission, excludeUserId = null) {
+  return this.members.filter(member =>
+    member.isActive &&
+    member.user &&
+    (!excludeUserId || member.user.toString() !== excludeUserId.toString()) &&
+    roleHasPermission(this, member.role, permission)
+  );
+};
+
+// Metodo per ottenere il ruolo di un membro attivo (null se non è membro)
+familySchema.methods.getMemberRole = function(userId) {
   const member = this.members.find(
-    member => member.user.toString() === userId.toString() && member.isActive
+    member => member.user && member.user.toString() === userId.toString() && member.isActive
   );
-  
-  return member && member.role === 'admin';
+
+  return member ? member.role : null;
+};
+
+// Metodo per verificare se l'uscita di un membro richiede un successore: è l'ultimo owner
+// o l'ultimo che può gestire i membri e nella famiglia restano altri membri attivi
+familySchema.methods.requiresSuccessor = function(userId) {
+  const role = this.getMemberRole(userId);
+  if (!role) return false;
+
+  const otherMembers = this.getActiveMembers().filter(member => member.user.toString() !== userId.toString());
+  if (otherMembers.length === 0) return false;
+
+  const isLastOwner = OWNER_ONLY_ROLES.includes(role) &&
+    !otherMembers.some(member => OWNER_ONLY_ROLES.includes(member.role));
+  const isLastManager = roleHasPermission(this, role, 'members:manage') &&
+    this.getMembersWithPermission('members:manage', userId).length === 0;
+
+  return isLastOwner || isLastManager;
+};
+
+// Metodo per scegliere il successore di un membro uscente: il destinatario di un trasferimento
+// di proprietà in attesa, poi chi gestisce già i membri, poi il membro attivo da più tempo
+// (i ruoli child solo in mancanza d'altri)
+familySchema.methods.findSuccessor = function(userId) {
+  const candidates = this.getActiveMembers().filter(member => member.user.toString() !== userId.toString());
+  const transfer = this.getPendingOwnershipTransfer();
+
+  const rank = (member) => {
+    if (transfer && transfer.to.toString() === member.user.toString()) return 0;
+    if (roleHasPermission(this, member.role, 'members:manage')) return 1;
+    return member.role === 'child' ? 3 : 2;
+  };
+
+  return candidates.sort((a, b) => rank(a) - rank(b) || a.joinedAt - b.joinedAt)[0] || null;
+};
+
+// Metodo per ottenere il trasferimento di proprietà in attesa (null se assente o scaduto)
+familySchema.methods.getPendingOwnershipTransfer = function() {
+  const transfer = this.ownershipTransfer;
+  if (!transfer?.to || !transfer.expiresAt || transfer.expiresAt <= new Date()) return null;
+  // Copia: resta leggibile anche dopo clearOwnershipTransfer
+  const { to, requestedBy, requestedAt, expiresAt } = transfer;
+  return { to, requestedBy, requestedAt, expiresAt };
+};
+
+// Metodo per annullare il trasferimento di proprietà in attesa (senza salvare)
+familySchema.methods.clearOwnershipTransfer = function() {
+  this.ownershipTransfer = { to: null, requestedBy: null, requestedAt: null, expiresAt: null };
 };
 
 // Metodo per ottenere membri attivi
@@ -230,59 +476,67 @@ familySchema.methods.getFormerMembers = function() {
   return this.members.filter(member => !member.isActive && member.user);
 };
 
-// Metodo per ottenere statistiche famiglia
-familySchema.methods.getStats = async function() {
+// Metodo per ottenere entrate, spese e saldo di un mese (importi in valuta base)
+familySchema.methods.getMonthlyBalance = async function(year, month) {
   const Expense = require('./Expense');
   const Income = require('./Income');
-  const Budget = require('./Budget');
-  
-  const currentMonth = new Date().getMonth() + 1;
-  const currentYear = new Date().getFullYear();
-  
-  try {
-    // Statistiche spese correnti
-    const expenseStats = await Expense.aggregate([
-      { 
-        $match: { 
-          familyId: this._id,
-          $expr: {
-            $and: [
-              { $eq: [{ $month: '$date' }, currentMonth] },
-              { $eq: [{ $year: '$date' }, currentYear] }
-            ]
-          }
-        }
-      },
+
+  const monthMatch = {
+    familyId: this._id,
+    isActive: true,
+    $expr: {
+      $and: [
+        { $eq: [{ $month: '$date' }, month] },
+        { $eq: [{ $year: '$date' }, year] }
+      ]
+    }
+  };
+
+  const [expenseStats, incomeStats] = await Promise.all([
+    Expense.aggregate([
+      { $match: monthMatch },
       {
         $group: {
           _id: null,
-          totalExpenses: { $sum: '$amount' },
+          totalExpenses: { $sum: { $ifNull: ['$baseAmount', '$amount'] } },
           count: { $sum: 1 }
         }
       }
-    ]);
-
-    // Statistiche entrate correnti
-    const incomeStats = await Income.aggregate([
-      { 
-        $match: { 
-          familyId: this._id,
-          $expr: {
-            $and: [
-              { $eq: [{ $month: '$date' }, currentMonth] },
-              { $eq: [{ $year: '$date' }, currentYear] }
-            ]
-          }
-        }
-      },
+    ]),
+    Income.aggregate([
+      { $match: monthMatch },
       {
         $group: {
           _id: null,
-          totalIncomes: { $sum: '$amount' },
+          totalIncomes: { $sum: { $ifNull: ['$baseAmount', '$amount'] } },
           count: { $sum: 1 }
         }
       }
-    ]);
+    ])
+  ]);
+
+  const expenses = expenseStats[0] || { totalExpenses: 0, count: 0 };
+  const incomes = incomeStats[0] || { totalIncomes: 0, count: 0 };
+
+  return {
+    expenses: expenses.totalExpenses,
+    incomes: incomes.totalIncomes,
+    balance: incomes.totalIncomes - expenses.totalExpenses,
+    expenseCount: expenses.count,
+    incomeCount: incomes.count
+  };
+};
+
+// Metodo per ottenere statistiche famiglia
+familySchema.methods.getStats = async function() {
+  const Budget = require('./Budget');
+  
+  const currentMonth = new Date().getMonth() + 1;
+  const currentYear = new Date().getFullYear();
+  
+  try {
+    // Statistiche spese ed entrate correnti
+    const monthlyBalance = await this.getMonthlyBalance(currentYear, currentMonth);
 
     // Statistiche budget correnti
     const budgetStats = await Budget.aggregate([
@@ -303,18 +557,10 @@ familySchema.methods.getStats = async function() {
       }
     ]);
 
-    const expenses = expenseStats[0] || { totalExpenses: 0, count: 0 };
-    const incomes = incomeStats[0] || { totalIncomes: 0, count: 0 };
     const budgets = budgetStats[0] || { totalBudget: 0, totalSpent: 0, count: 0 };
 
     return {
-      currentMonth: {
-        expenses: expenses.totalExpenses,
-        incomes: incomes.totalIncomes,
-        balance: incomes.totalIncomes - expenses.totalExpenses,
-        expenseCount: expenses.count,
-        incomeCount: incomes.count
-      },
+      currentMonth: monthlyBalance,
       budget: {
         total: budgets.totalBudget,
         spent: budgets.totalSpent,
@@ -325,7 +571,7 @@ familySchema.methods.getStats = async function() {
       },
       members: {
         total: this.members.filter(m => m.isActive).length,
-        admins: this.members.filter(m => m.isActive && m.role === 'admin').length
+        admins: this.getMembersWithPermission('members:manage').length
       }
     };
   } catch (error) {
@@ -338,4 +584,56 @@ familySchema.methods.getStats = async function() {
   }
 };
 
+// Metodo statico per trovare le famiglie di cui un utente è membro attivo
+familySchema.statics.findByMember = function(userId) {
+  return this.find({
+    members: { $elemMatch: { user: userId, isActive: true } }
+  }).sort({ createdAt: 1 });
+};
+
+// Metodo statico per salvare come hash i token dei link di invito creati in chiaro
+// (i link già condivisi continuano a funzionare)
+familySchema.statics.hashLegacyInviteLinkTokens = async function() {
+  const crypto = require('crypto');
+  const isHash = (token) => /^[0-9a-f]{64}$/.test(token);
+  const families = await this.find({ 'inviteLinks.token': { $not: /^[0-9a-f]{64}$/ } });
+
+  for (const family of families) {
+    family.inviteLinks.forEach(link => {
+      if (!isHash(link.token)) {
+        link.token = crypto.createHash('sha256').update(link.token).digest('hex');
+      }
+    });
+    await family.save();
+  }
+
+  return families.length;
+};
+
+// Metodo statico per assegnare il ruolo owner nelle famiglie create prima dei ruoli con permessi,
+// dove il creatore è rimasto admin: diventa owner il creatore se è ancora attivo, altrimenti
+// il successore scelto con findSuccessor
+familySchema.statics.assignLegacyOwners = async function() {
+  const User = require('./User');
+  const families = await this.find({
+    members: { $not: { $elemMatch: { role: 'owner', isActive: true } } },
+    'members.isActive': true
+  });
+  let updated = 0;
+
+  for (const family of families) {
+    const owner = family.getActiveMembers().find(member => member.user.toString() === String(family.createdBy)) ||
+      family.findSuccessor(family.createdBy);
+    if (!owner) continue;
+
+    owner.role = 'owner';
+    family.createdBy = owner.user;
+    await family.save();
+    await User.updateOne({ _id: owner.user, familyId: family._id }, { $set: { role: 'owner' } });
+    updated++;
+  }
+
+  return updated;
+};
+
 module.exports = mongoose.model('Family', familySchema); 
\ No newline at end of file
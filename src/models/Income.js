@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES } = require('../config/currencies');
 
 const incomeSchema = new mongoose.Schema({
   amount: {
@@ -7,6 +8,30 @@ const incomeSchema = new mongoose.Schema({
     min: [0.01, 'L\'importo deve essere maggiore di 0'],
     max: [999999.99, 'L\'importo non può superare 999.999,99']
   },
+
+  // Valuta della transazione (se assente, la valuta base della famiglia)
+  currency: {
+    type: String,
+    uppercase: true,
+    enum: {
+      values: SUPPORTED_CURRENCIES,
+      message: 'Valuta non supportata'
+    },
+    default: null
+  },
+
+  // Tasso applicato: 1 unità di currency = exchangeRate unità della valuta base
+  exchangeRate: {
+    type: Number,
+    min: [0.000001, 'Il tasso di cambio deve essere maggiore di 0'],
+    default: null
+  },
+
+  // Importo convertito nella valuta base, usato per statistiche e budget
+  baseAmount: {
+    type: Number,
+    default: null
+  },
   
   description: {
     type: String,
@@ -79,8 +104,19 @@ const incomeSchema = new mongoose.Schema({
     nextOccurrence: {
       type: Date,
       default: null
+    },
+    lastGenerated: {
+      type: Date,
+      default: null
     }
   },
+
+  // Entrata ricorrente da cui è stata generata questa occorrenza
+  recurringParent: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Income',
+    default: null
+  },
   
   // Metadati
   tags: [{
@@ -116,6 +152,18 @@ const incomeSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+
+  // Cestino: quando e da chi è stata eliminata (eliminazione definitiva dopo settings.trashRetentionDays)
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+
+  deletedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
   }
 
 }, {
@@ -128,6 +176,8 @@ incomeSchema.index({ userId: 1, date: -1 });
 incomeSchema.index({ source: 1, date: -1 });
 incomeSchema.index({ familyId: 1, source: 1, date: -1 });
 incomeSchema.index({ isRecurring: 1, 'recurringPattern.nextOccurrence': 1 });
+incomeSchema.index({ recurringParent: 1, date: 1 });
+incomeSchema.index({ familyId: 1, isActive: 1, deletedAt: -1 });
 
 // Index per ricerche testuali
 incomeSchema.index({
@@ -142,7 +192,7 @@ incomeSchema.virtual('monthYear').get(function() {
 });
 
 // Metodo per formattare l'importo
-incomeSchema.methods.getFormattedAmount = function(currency = 'EUR') {
+incomeSchema.methods.getFormattedAmount = function(currency = this.currency || 'EUR') {
   return new Intl.NumberFormat('it-IT', {
     style: 'currency',
     currency: currency
@@ -157,13 +207,23 @@ incomeSchema.methods.getNetAmount = function() {
   return this.amount;
 };
 
-// Metodo per calcolare la prossima occorrenza
-incomeSchema.methods.calculateNextOccurrence = function() {
+// Metodo per calcolare la prossima occorrenza a partire da una data
+incomeSchema.methods.calculateNextOccurrence = function(fromDate) {
   if (!this.isRecurring) return null;
   
-  const { frequency, interval, dayOfMonth } = this.recurringPattern;
-  const currentDate = new Date(this.date);
-  let nextDate = new Date(currentDate);
+  const { frequency, interval = 1, dayOfMonth } = this.recurringPattern;
+  const baseDate = new Date(fromDate || this.date);
+  const nextDate = new Date(baseDate);
+
+  // Aggiunge mesi mantenendo il giorno di riferimento (dayOfMonth o quello dell'entrata originale)
+  // limitato alla fine del mese
+  const addMonths = (months) => {
+    const anchorDay = dayOfMonth || new Date(this.date).getDate();
+    nextDate.setDate(1);
+    nextDate.setMonth(nextDate.getMonth() + months);
+    const lastDay = new Date(nextDate.getFullYear(), nextDate.getMonth() + 1, 0).getDate();
+    nextDate.setDate(Math.min(anchorDay, lastDay));
+  };
   
   switch (frequency) {
     case 'weekly':
@@ -173,17 +233,16 @@ incomeSchema.methods.calculateNextOccurrence = function() {
       nextDate.setDate(nextDate.getDate() + (14 * interval));
       break;
     case 'monthly':
-      nextDate.setMonth(nextDate.getMonth() + interval);
-      if (dayOfMonth) {
-        nextDate.setDate(dayOfMonth);
-      }
+      addMonths(interval);
       break;
     case 'quarterly':
-      nextDate.setMonth(nextDate.getMonth() + (3 * interval));
+      addMonths(3 * interval);
       break;
     case 'yearly':
       nextDate.setFullYear(nextDate.getFullYear() + interval);
       break;
+    default:
+      return null;
   }
   
   return nextDate;
@@ -205,9 +264,9 @@ incomeSchema.statics.getMonthlyStats = async function(familyId, year, month) {
     {
       $group: {
         _id: '$source',
-        totalAmount: { $sum: '$amount' },
+        totalAmount: { $sum: { $ifNull: ['$baseAmount', '$amount'] } },
         count: { $sum: 1 },
-        avgAmount: { $avg: '$amount' }
+        avgAmount: { $avg: { $ifNull: ['$baseAmount', '$amount'] } }
       }
     },
     {
@@ -236,7 +295,7 @@ incomeSchema.statics.getYearlyStats = async function(familyId, year) {
           month: { $month: '$date' },
           source: '$source'
         },
-        totalAmount: { $sum: '$amount' },
+        totalAmount: { $sum: { $ifNull: ['$baseAmount', '$amount'] } },
         count: { $sum: 1 }
       }
     },
@@ -274,7 +333,7 @@ incomeSchema.statics.getUserStats = async function(familyId, userId, startDate,
     {
       $group: {
         _id: '$source',
-        totalAmount: { $sum: '$amount' },
+        totalAmount: { $sum: { $ifNull: ['$baseAmount', '$amount'] } },
         count: { $sum: 1 }
       }
     },
@@ -287,60 +346,113 @@ incomeSchema.statics.getUserStats = async function(familyId, userId, startDate,
 };
 
 // Metodo statico per ottenere entrate ricorrenti da processare
-incomeSchema.statics.getRecurringIncomesDue = async function() {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  
-  return await this.find({
+// (anche le serie già terminate, se hanno occorrenze scadute prima della data di fine)
+incomeSchema.statics.getRecurringIncomesDue = async function(familyId = null, untilDate = new Date()) {
+  const filters = {
     isRecurring: true,
     isActive: true,
-    'recurringPattern.nextOccurrence': { $lte: today },
+    'recurringPattern.nextOccurrence': { $lte: untilDate },
     $or: [
       { 'recurringPattern.endDate': null },
-      { 'recurringPattern.endDate': { $gte: today } }
+      { $expr: { $lte: ['$recurringPattern.nextOccurrence', '$recurringPattern.endDate'] } }
     ]
-  }).populate('userId familyId');
+  };
+
+  if (familyId) filters.familyId = familyId;
+
+  return await this.find(filters);
 };
 
+// Conversione nella valuta base della famiglia
+incomeSchema.pre('validate', async function() {
+  const ExchangeRate = require('./ExchangeRate');
+  await ExchangeRate.applyConversion(this);
+});
+
 // Middleware pre-save per calcolare prossima occorrenza
 incomeSchema.pre('save', function(next) {
-  if (this.isRecurring && this.isModified('recurringPattern')) {
-    this.recurringPattern.nextOccurrence = this.calculateNextOccurrence();
+  if (!this.isRecurring) {
+    this.recurringPattern.nextOccurrence = null;
+    return next();
+  }
+
+  const scheduleChanged = this.isNew ||
+    this.isModified('isRecurring') ||
+    this.isModified('date') ||
+    this.isModified('recurringPattern.frequency') ||
+    this.isModified('recurringPattern.interval') ||
+    this.isModified('recurringPattern.dayOfMonth');
+
+  if (scheduleChanged || !this.recurringPattern.nextOccurrence) {
+    // Riparte dall'ultima occorrenza generata per non creare duplicati
+    const baseDate = this.recurringPattern.lastGenerated && this.recurringPattern.lastGenerated > this.date
+      ? this.recurringPattern.lastGenerated
+      : this.date;
+    this.recurringPattern.nextOccurrence = this.calculateNextOccurrence(baseDate);
   }
   next();
 });
 
-// Metodo per creare la prossima entrata ricorrente
+// Metodo per creare l'occorrenza successiva di un'entrata ricorrente
 incomeSchema.methods.createNextRecurrence = async function() {
-  if (!this.isRecurring) return null;
+  if (!this.isRecurring || !this.recurringPattern.nextOccurrence) return null;
   
-  const nextDate = this.calculateNextOccurrence();
-  if (!nextDate) return null;
+  const occurrenceDate = new Date(this.recurringPattern.nextOccurrence);
   
   // Controlla se abbiamo superato la data di fine
-  if (this.recurringPattern.endDate && nextDate > this.recurringPattern.endDate) {
+  if (this.recurringPattern.endDate && occurrenceDate > this.recurringPattern.endDate) {
     return null;
   }
-  
-  const nextIncome = new this.constructor({
-    amount: this.amount,
-    description: this.description,
-    source: this.source,
-    date: nextDate,
-    userId: this.userId,
-    familyId: this.familyId,
-    isRecurring: this.isRecurring,
-    recurringPattern: this.recurringPattern,
-    tags: this.tags,
-    notes: this.notes,
-    taxInfo: this.taxInfo
+
+  // Evita duplicati se l'occorrenza è già stata generata
+  const existing = await this.constructor.findOne({
+    recurringParent: this._id,
+    date: occurrenceDate
   });
+
+  // Le occorrenze generate non sono ricorrenti: la serie resta sull'entrata originale
+  let nextIncome = null;
+  if (!existing) {
+    nextIncome = await new this.constructor({
+      amount: this.amount,
+      currency: this.currency,
+      description: this.description,
+      source: this.source,
+      date: occurrenceDate,
+      userId: this.userId,
+      familyId: this.familyId,
+      tags: this.tags,
+      notes: this.notes,
+      taxInfo: this.taxInfo,
+      recurringParent: this._id
+    }).save();
+  }
   
   // Aggiorna la prossima occorrenza
-  this.recurringPattern.nextOccurrence = nextIncome.calculateNextOccurrence();
+  this.recurringPattern.lastGenerated = occurrenceDate;
+  this.recurringPattern.nextOccurrence = this.calculateNextOccurrence(occurrenceDate);
   await this.save();
   
-  return await nextIncome.save();
+  return nextIncome;
+};
+
+// Metodo per generare tutte le occorrenze scadute fino a una data
+incomeSchema.methods.processDueOccurrences = async function(untilDate = new Date()) {
+  const created = [];
+
+  while (
+    this.isRecurring &&
+    this.recurringPattern.nextOccurrence &&
+    this.recurringPattern.nextOccurrence <= untilDate &&
+    (!this.recurringPattern.endDate || this.recurringPattern.nextOccurrence <= this.recurringPattern.endDate)
+  ) {
+    const nextIncome = await this.createNextRecurrence();
+    if (nextIncome) {
+      created.push(nextIncome);
+    }
+  }
+
+  return created;
 };
 
 module.exports = mongoose.model('Income', incomeSchema); 
\ No newline at end of file
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: [true, 'Il nome del job è obbligatorio'],
+    trim: true
+  },
+
+  familyId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Family',
+    default: null
+  },
+
+  // Chiave univoca per periodo (es. processRecurringIncomes:<familyId>:2025-06-01)
+  runKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+
+  trigger: {
+    type: String,
+    enum: ['scheduler', 'manual'],
+    default: 'scheduler'
+  },
+
+  attempts: {
+    type: Number,
+    default: 1
+  },
+
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+
+  processedCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Errori riscontrati durante l'esecuzione (non bloccanti o fatali)
+  errorDetails: [{
+    message: {
+      type: String,
+      trim: true
+    },
+    ref: {
+      type: String,
+      default: null
+    },
+    occurredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+
+}, {
+  timestamps: true
+});
+
+// Index per performance
+jobRunSchema.index({ familyId: 1, startedAt: -1 });
+jobRunSchema.index({ job: 1, startedAt: -1 });
+
+// Virtual per la durata dell'esecuzione
+jobRunSchema.virtual('durationMs').get(function() {
+  if (!this.finishedAt) return null;
+  return this.finishedAt.getTime() - this.startedAt.getTime();
+});
+
+jobRunSchema.set('toJSON', { virtuals: true });
+
+// Metodo per registrare un errore (mantiene solo gli ultimi 50)
+jobRunSchema.methods.addError = function(message, ref = null) {
+  this.errorDetails.push({ message, ref });
+
+  if (this.errorDetails.length > 50) {
+    this.errorDetails = this.errorDetails.slice(-50);
+  }
+
+  return this;
+};
+
+// Metodo statico per acquisire l'esecuzione di un job in modo idempotente.
+// Restituisce null se il job per quel periodo è già completato o in corso.
+jobRunSchema.statics.acquire = async function({ job, familyId = null, runKey, trigger = 'scheduler', staleAfterMs = 60 * 60 * 1000 }) {
+  try {
+    return await this.create({ job, familyId, runKey, trigger });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // Riprova solo esecuzioni fallite o rimaste bloccate (es. riavvio del server)
+  return await this.findOneAndUpdate(
+    {
+      runKey,
+      $or: [
+        { status: 'failed' },
+        { status: 'running', startedAt: { $lt: new Date(Date.now() - staleAfterMs) } }
+      ]
+    },
+    {
+      $set: {
+        status: 'running',
+        trigger,
+        startedAt: new Date(),
+        finishedAt: null,
+        processedCount: 0,
+        errorDetails: []
+      },
+      $inc: { attempts: 1 }
+    },
+    { new: true }
+  );
+};
+
+// Metodo per chiudere l'esecuzione
+jobRunSchema.methods.finish = function(processedCount, fatalError = null) {
+  this.processedCount = processedCount;
+  this.finishedAt = new Date();
+  this.status = fatalError ? 'failed' : 'completed';
+
+  if (fatalError) {
+    this.addError(fatalError.message);
+  }
+
+  return this.save();
+};
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  // Destinatario
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Il destinatario è obbligatorio']
+  },
+
+  familyId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Family',
+    required: [true, 'La famiglia è obbligatoria']
+  },
+
+  type: {
+    type: String,
+    enum: {
+      values: ['budget_warning', 'budget_exceeded', 'ownership_transfer'],
+      message: 'Tipo di notifica non valido'
+    },
+    required: [true, 'Il tipo di notifica è obbligatorio']
+  },
+
+  title: {
+    type: String,
+    required: [true, 'Il titolo è obbligatorio'],
+    trim: true,
+    maxlength: [150, 'Il titolo non può superare i 150 caratteri']
+  },
+
+  message: {
+    type: String,
+    required: [true, 'Il messaggio è obbligatorio'],
+    trim: true,
+    maxlength: [500, 'Il messaggio non può superare i 500 caratteri']
+  },
+
+  // Riferimenti alla risorsa che ha generato la notifica
+  data: {
+    budgetId: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Budget'
+    },
+    categoryId: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Category'
+    },
+    period: String,
+    percentageUsed: Number
+  },
+
+  readAt: {
+    type: Date,
+    default: null
+  },
+
+  // Valorizzato quando l'email è stata inviata con successo
+  emailSentAt: {
+    type: Date,
+    default: null
+  }
+
+}, {
+  timestamps: true
+});
+
+// Index per performance
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+// Metodo statico per contare le notifiche non lette di un utente
+notificationSchema.statics.countUnread = async function(userId) {
+  return this.countDocuments({ userId, readAt: null });
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+const personalAccessTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'L\'utente è obbligatorio']
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Il nome del token è obbligatorio'],
+    trim: true,
+    maxlength: [100, 'Il nome del token non può superare i 100 caratteri']
+  },
+
+  // Hash SHA-256 del token (il token in chiaro viene mostrato una sola volta)
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  // Primi caratteri del token, per riconoscerlo nella lista
+  prefix: {
+    type: String,
+    required: true
+  },
+
+  // Permessi del token (es. expenses:write, dashboard:read)
+  scopes: {
+    type: [String],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'Indica almeno un permesso'
+    }
+  },
+
+  // Richieste consentite al minuto
+  rateLimitPerMinute: {
+    type: Number,
+    min: [1, 'Il limite deve essere almeno 1 richiesta al minuto'],
+    max: [1000, 'Il limite non può superare 1000 richieste al minuto'],
+    default: 60
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+
+  // Scadenza opzionale: senza scadenza il token vale finché non viene revocato
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+
+}, {
+  timestamps: true
+});
+
+// Index per performance
+personalAccessTokenSchema.index({ tokenHash: 1 }, { unique: true });
+personalAccessTokenSchema.index({ userId: 1, revokedAt: 1 });
+
+// Metodo per verificare se il token è ancora utilizzabile
+personalAccessTokenSchema.methods.isValid = function(now = new Date()) {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > now);
+};
+
+// Metodo per verificare se il token concede un permesso (write include read sulla stessa risorsa)
+personalAccessTokenSchema.methods.hasScope = function(scope) {
+  if (this.scopes.includes(scope)) return true;
+  const [resource, access] = scope.split(':');
+  return access === 'read' && this.scopes.includes(`${resource}:write`);
+};
+
+// Metodo per ottenere i dati pubblici del token
+personalAccessTokenSchema.methods.toPublicJSON = function() {
+  return {
+    _id: this._id,
+    name: this.name,
+    prefix: this.prefix,
+    scopes: this.scopes,
+    rateLimitPerMinute: this.rateLimitPerMinute,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp,
+    expiresAt: this.expiresAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const revisionSchema = new mongoose.Schema({
+  familyId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Family',
+    required: [true, 'La famiglia è obbligatoria']
+  },
+
+  entity: {
+    type: String,
+    enum: {
+      values: ['expense', 'income'],
+      message: 'Tipo di risorsa non valido'
+    },
+    required: [true, 'Il tipo di risorsa è obbligatorio']
+  },
+
+  entityId: {
+    type: mongoose.Schema.ObjectId,
+    required: [true, 'La risorsa è obbligatoria']
+  },
+
+  // Numero progressivo della modifica per la risorsa
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  action: {
+    type: String,
+    enum: ['updated', 'reverted'],
+    default: 'updated'
+  },
+
+  // Campi modificati con valore precedente e nuovo
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    }
+  }],
+
+  // Valori di tutti i campi versionati prima della modifica (usati per il ripristino)
+  snapshot: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    }
+  }],
+
+  editedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Revisione ripristinata (solo per action 'reverted')
+  revertedTo: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Revision',
+    default: null
+  }
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index per performance e unicità
+revisionSchema.index({ entityId: 1, version: -1 }, { unique: true });
+revisionSchema.index({ familyId: 1 });
+
+// Metodo statico per ottenere il numero della prossima revisione
+revisionSchema.statics.getNextVersion = async function(entityId) {
+  const last = await this.findOne({ entityId }).sort({ version: -1 }).select('version');
+  return last ? last.version + 1 : 1;
+};
+
+module.exports = mongoose.model('Revision', revisionSchema);
@@ -0,0 +1,311 @@
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Periodo minimo (giorni) per stimare il ritmo di risparmio
+const MIN_RATE_WINDOW_DAYS = 30;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Chiave del periodo mensile (YYYY-MM)
+const getPeriodKey = (year, month) => `${year}-${String(month).padStart(2, '0')}`;
+
+const contributionSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: [true, 'L\'importo del versamento è obbligatorio'],
+    min: [0.01, 'L\'importo deve essere maggiore di 0'],
+    max: [999999.99, 'L\'importo non può superare 999.999,99']
+  },
+
+  date: {
+    type: Date,
+    required: [true, 'La data è obbligatoria'],
+    default: Date.now
+  },
+
+  // manual = inserito da un membro, auto = quota del saldo mensile
+  type: {
+    type: String,
+    enum: {
+      values: ['manual', 'auto'],
+      message: 'Tipo di versamento non valido'
+    },
+    default: 'manual'
+  },
+
+  // Mese di riferimento dei versamenti automatici (YYYY-MM)
+  period: {
+    type: String,
+    default: null
+  },
+
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'La nota non può superare i 200 caratteri']
+  }
+}, {
+  timestamps: true
+});
+
+const savingsGoalSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Il nome dell\'obiettivo è obbligatorio'],
+    trim: true,
+    maxlength: [100, 'Il nome non può superare i 100 caratteri']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'La descrizione non può superare i 500 caratteri']
+  },
+
+  // Importo da raggiungere nella valuta base della famiglia
+  targetAmount: {
+    type: Number,
+    required: [true, 'L\'importo obiettivo è obbligatorio'],
+    min: [0.01, 'L\'importo deve essere maggiore di 0'],
+    max: [9999999.99, 'L\'importo non può superare 9.999.999,99']
+  },
+
+  deadline: {
+    type: Date,
+    default: null
+  },
+
+  contributions: [contributionSchema],
+
+  // Versamento automatico: percentuale del saldo positivo di ogni mese chiuso
+  autoContribution: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    percentage: {
+      type: Number,
+      min: [0, 'La percentuale non può essere negativa'],
+      max: [100, 'La percentuale non può superare 100'],
+      default: 0
+    }
+  },
+
+  status: {
+    type: String,
+    enum: {
+      values: ['active', 'completed', 'archived'],
+      message: 'Stato obiettivo non valido'
+    },
+    default: 'active'
+  },
+
+  completedAt: {
+    type: Date,
+    default: null
+  },
+
+  familyId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Family',
+    required: [true, 'La famiglia è obbligatoria']
+  },
+
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+
+}, {
+  timestamps: true
+});
+
+// Index per performance
+savingsGoalSchema.index({ familyId: 1, isActive: 1, status: 1 });
+savingsGoalSchema.index({ familyId: 1, 'autoContribution.enabled': 1 });
+
+// Validazione: versamento automatico attivo richiede una percentuale
+savingsGoalSchema.pre('validate', function(next) {
+  if (this.autoContribution?.enabled && !(this.autoContribution.percentage > 0)) {
+    this.invalidate('autoContribution.percentage', 'La percentuale del versamento automatico deve essere maggiore di 0');
+  }
+  next();
+});
+
+// Metodo per il totale versato
+savingsGoalSchema.methods.getSavedAmount = function() {
+  return round2(this.contributions.reduce((total, contribution) => total + contribution.amount, 0));
+};
+
+// Metodo per aggiornare lo stato in base al totale versato
+savingsGoalSchema.methods.updateStatus = function() {
+  if (this.status === 'archived') return;
+
+  if (this.getSavedAmount() >= this.targetAmount) {
+    if (this.status !== 'completed') {
+      this.status = 'completed';
+      this.completedAt = new Date();
+    }
+  } else {
+    this.status = 'active';
+    this.completedAt = null;
+  }
+};
+
+// Metodo per calcolare avanzamento e data prevista di completamento.
+// Il ritmo di risparmio è la media giornaliera dei versamenti dalla creazione
+// (o dal primo versamento, se precedente), su almeno MIN_RATE_WINDOW_DAYS giorni.
+savingsGoalSchema.methods.getProgress = function(referenceDate = new Date()) {
+  const saved = this.getSavedAmount();
+  const remaining = round2(Math.max(0, this.targetAmount - saved));
+  const percentage = Math.min(100, Math.round((saved / this.targetAmount) * 100));
+
+  const startTime = Math.min(
+    new Date(this.createdAt || referenceDate).getTime(),
+    ...this.contributions.map(contribution => new Date(contribution.date).getTime())
+  );
+  const elapsedDays = Math.max(MIN_RATE_WINDOW_DAYS, (referenceDate.getTime() - startTime) / DAY_MS);
+  const dailyRate = saved / elapsedDays;
+
+  let projectedCompletionDate = null;
+  if (remaining === 0) {
+    projectedCompletionDate = this.completedAt || referenceDate;
+  } else if (dailyRate > 0) {
+    projectedCompletionDate = new Date(referenceDate.getTime() + Math.ceil(remaining / dailyRate) * DAY_MS);
+  }
+
+  // Versamento mensile necessario per rispettare la scadenza
+  let requiredMonthly = null;
+  let onTrack = null;
+  if (this.deadline) {
+    const monthsLeft = Math.max(1, (new Date(this.deadline).getTime() - referenceDate.getTime()) / (DAY_MS * 30.44));
+    requiredMonthly = round2(remaining / monthsLeft);
+    onTrack = projectedCompletionDate !== null && projectedCompletionDate <= new Date(this.deadline);
+  }
+
+  return {
+    saved,
+    remaining,
+    percentage,
+    monthlyRate: round2(dailyRate * 30.44),
+    projectedCompletionDate,
+    requiredMonthly,
+    onTrack
+  };
+};
+
+// Metodo per serializzare l'obiettivo con l'avanzamento
+savingsGoalSchema.methods.toJSONWithProgress = function(referenceDate = new Date()) {
+  return {
+    ...this.toObject(),
+    progress: this.getProgress(referenceDate)
+  };
+};
+
+// Metodo statico per ottenere gli obiettivi della famiglia
+savingsGoalSchema.statics.getGoalsForFamily = async function(familyId, status = null) {
+  const filters = { familyId, isActive: true };
+  if (status) filters.status = status;
+
+  return this.find(filters)
+    .populate('contributions.userId', 'name email avatar')
+    .sort({ status: 1, deadline: 1, createdAt: -1 });
+};
+
+// Metodo statico per la somma delle percentuali automatiche degli obiettivi attivi
+savingsGoalSchema.statics.getAutoPercentageTotal = async function(familyId, excludeId = null) {
+  const filters = {
+    familyId: new mongoose.Types.ObjectId(familyId),
+    isActive: true,
+    status: 'active',
+    'autoContribution.enabled': true
+  };
+  if (excludeId) filters._id = { $ne: new mongoose.Types.ObjectId(excludeId) };
+
+  const result = await this.aggregate([
+    { $match: filters },
+    { $group: { _id: null, total: { $sum: '$autoContribution.percentage' } } }
+  ]);
+
+  return result[0]?.total || 0;
+};
+
+// Metodo statico per i versamenti automatici del mese precedente a referenceDate.
+// Ogni obiettivo riceve al massimo un versamento automatico per mese.
+savingsGoalSchema.statics.applyAutoContributions = async function(family, referenceDate = new Date()) {
+  const periodStart = new Date(referenceDate.getFullYear(), referenceDate.getMonth() - 1, 1);
+  const periodEnd = new Date(referenceDate.getFullYear(), referenceDate.getMonth(), 1);
+  const year = periodStart.getFullYear();
+  const month = periodStart.getMonth() + 1;
+  const period = getPeriodKey(year, month);
+
+  const goals = await this.find({
+    familyId: family._id,
+    isActive: true,
+    status: 'active',
+    'autoContribution.enabled': true,
+    createdAt: { $lt: periodEnd },
+    contributions: { $not: { $elemMatch: { type: 'auto', period } } }
+  });
+
+  if (goals.length === 0) {
+    return { processed: 0, errors: [] };
+  }
+
+  const { balance } = await family.getMonthlyBalance(year, month);
+  if (balance <= 0) {
+    return { processed: 0, errors: [] };
+  }
+
+  let processed = 0;
+  const errors = [];
+
+  for (const goal of goals) {
+    try {
+      const remaining = round2(goal.targetAmount - goal.getSavedAmount());
+      const amount = round2(Math.min(remaining, balance * goal.autoContribution.percentage / 100));
+      if (amount < 0.01) continue;
+
+      const update = {
+        $push: {
+          contributions: {
+            amount,
+            date: new Date(periodEnd.getTime() - 1),
+            type: 'auto',
+            period,
+            note: `Versamento automatico ${goal.autoContribution.percentage}% del saldo di ${period}`
+          }
+        }
+      };
+      if (amount >= remaining) {
+        update.$set = { status: 'completed', completedAt: new Date() };
+      }
+
+      // La condizione sul periodo evita doppi versamenti in caso di esecuzioni concorrenti
+      const result = await this.updateOne({
+        _id: goal._id,
+        contributions: { $not: { $elemMatch: { type: 'auto', period } } }
+      }, update);
+
+      if (result.modifiedCount > 0) processed++;
+    } catch (error) {
+      errors.push({ message: error.message, ref: goal._id.toString() });
+    }
+  }
+
+  return { processed, errors };
+};
+
+module.exports = mongoose.model('SavingsGoal', savingsGoalSchema);
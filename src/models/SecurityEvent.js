@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Tipi di evento registrati nel log di sicurezza
+const SECURITY_EVENT_TYPES = [
+  'login_succeeded',
+  'login_failed',
+  'two_factor_failed',
+  'account_locked',
+  'account_unlocked',
+  'password_reset_requested',
+  'password_reset'
+];
+
+// Conservazione degli eventi: vengono eliminati automaticamente dopo 90 giorni
+const SECURITY_EVENT_RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+const securityEventSchema = new mongoose.Schema({
+  // Utente interessato (null se l'email non corrisponde a nessun account)
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Email usata nel tentativo
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+
+  type: {
+    type: String,
+    enum: {
+      values: SECURITY_EVENT_TYPES,
+      message: 'Tipo di evento non valido'
+    },
+    required: [true, 'Il tipo di evento è obbligatorio']
+  },
+
+  ip: {
+    type: String,
+    default: null
+  },
+
+  userAgent: {
+    type: String,
+    maxlength: [500, 'Lo user agent non può superare i 500 caratteri'],
+    default: null
+  },
+
+  // Dettagli dell'evento (es. motivo del fallimento, tentativi consecutivi)
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index per performance
+securityEventSchema.index({ userId: 1, createdAt: -1 });
+securityEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: SECURITY_EVENT_RETENTION_SECONDS });
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
+// Tipi di evento validi, riusati dalle validazioni dei filtri
+module.exports.SECURITY_EVENT_TYPES = SECURITY_EVENT_TYPES;
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'L\'utente è obbligatorio']
+  },
+
+  // Hash SHA-256 del refresh token corrente (il token in chiaro non viene salvato)
+  refreshTokenHash: {
+    type: String,
+    required: [true, 'Il refresh token è obbligatorio'],
+    select: false
+  },
+
+  // Hash del token sostituito dall'ultima rotazione: se viene riusato la sessione è compromessa
+  previousTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+
+  // Informazioni sul dispositivo
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Il nome del dispositivo non può superare i 100 caratteri'],
+    default: null
+  },
+
+  ip: {
+    type: String,
+    default: null
+  },
+
+  userAgent: {
+    type: String,
+    maxlength: [500, 'Lo user agent non può superare i 500 caratteri'],
+    default: null
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Scadenza del refresh token: prorogata a ogni rotazione
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'password_changed', 'password_reset', 'token_reuse', 'account_deleted'],
+    default: null
+  }
+
+}, {
+  timestamps: true
+});
+
+// Index per performance
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousTokenHash: 1 }, { sparse: true });
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Le sessioni scadute vengono rimosse automaticamente da MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Metodo per verificare se la sessione è ancora utilizzabile
+sessionSchema.methods.isValid = function(now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+// Metodo per revocare la sessione
+sessionSchema.methods.revoke = async function(reason) {
+  if (this.revokedAt) return this;
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return await this.save();
+};
+
+// Metodo per ottenere i dati pubblici della sessione
+sessionSchema.methods.toPublicJSON = function(currentSessionId = null) {
+  return {
+    _id: this._id,
+    deviceName: this.deviceName,
+    ip: this.ip,
+    userAgent: this.userAgent,
+    lastUsedAt: this.lastUsedAt,
+    createdAt: this.createdAt,
+    expiresAt: this.expiresAt,
+    isCurrent: currentSessionId ? this._id.toString() === currentSessionId.toString() : false
+  };
+};
+
+// Metodo statico per ottenere le sessioni attive di un utente
+sessionSchema.statics.getActiveSessions = async function(userId) {
+  return await this.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Metodo statico per revocare tutte le sessioni attive di un utente
+sessionSchema.statics.revokeAllForUser = async function(userId, reason, exceptSessionId = null) {
+  const filters = { userId, revokedAt: null };
+  if (exceptSessionId) filters._id = { $ne: exceptSessionId };
+
+  const sessions = await this.find(filters).select('_id');
+  if (sessions.length === 0) return [];
+
+  await this.updateMany(
+    { _id: { $in: sessions.map(session => session._id) } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  return sessions.map(session => session._id);
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const settlementSchema = new mongoose.Schema({
+  familyId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Family',
+    required: [true, 'La famiglia è obbligatoria']
+  },
+
+  // Chi salda il debito
+  fromUser: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Il membro che paga è obbligatorio']
+  },
+
+  // Chi riceve il pagamento
+  toUser: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Il membro che riceve è obbligatorio']
+  },
+
+  amount: {
+    type: Number,
+    required: [true, 'L\'importo è obbligatorio'],
+    min: [0.01, 'L\'importo deve essere maggiore di 0'],
+    max: [999999.99, 'L\'importo non può superare 999.999,99']
+  },
+
+  date: {
+    type: Date,
+    required: [true, 'La data è obbligatoria'],
+    default: Date.now
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Le note non possono superare i 500 caratteri']
+  },
+
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+
+}, {
+  timestamps: true
+});
+
+// Index per performance
+settlementSchema.index({ familyId: 1, date: -1 });
+settlementSchema.index({ familyId: 1, fromUser: 1 });
+settlementSchema.index({ familyId: 1, toUser: 1 });
+
+// Validazione: non si può saldare un debito con se stessi
+settlementSchema.pre('validate', function(next) {
+  if (this.fromUser && this.toUser && this.fromUser.toString() === this.toUser.toString()) {
+    this.invalidate('toUser', 'Il pagamento deve avvenire tra due membri diversi');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Settlement', settlementSchema);
@@ -21,22 +21,58 @@ const userSchema = new mongoose.Schema({
     ]
   },
   
+  // Conferma dell'indirizzo email (link inviato alla registrazione)
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Nuovo indirizzo in attesa di conferma: sostituisce email solo dopo la verifica
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null,
+    match: [
+      /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+      'Inserisci un\'email valida'
+    ]
+  },
+
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  
+  // Facoltativa per gli account creati con Google
   password: {
     type: String,
-    required: [true, 'La password è obbligatoria'],
+    required: [function() { return !this.googleId; }, 'La password è obbligatoria'],
     minlength: [6, 'La password deve essere di almeno 6 caratteri'],
     select: false // Non include la password nelle query di default
   },
   
+  // Famiglia predefinita: usata quando la richiesta non indica la famiglia attiva.
+  // L'appartenenza e il ruolo in ogni famiglia sono in Family.members
   familyId: {
     type: mongoose.Schema.ObjectId,
     ref: 'Family',
     default: null
   },
   
+  // Ruolo nella famiglia predefinita
   role: {
     type: String,
-    enum: ['admin', 'member'],
     default: 'member'
   },
   
@@ -44,6 +80,12 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+
+  // Account Google collegato (claim "sub" del profilo OpenID)
+  googleId: {
+    type: String,
+    default: undefined
+  },
   
   isActive: {
     type: Boolean,
@@ -54,6 +96,72 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+
+  // Verifica in due passaggi (TOTP): i segreti sono cifrati e non vengono mai restituiti
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Segreto generato durante l'attivazione, confermato dal primo codice valido
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        codeHash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    // Ultimo passo temporale usato: lo stesso codice non può essere riutilizzato
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // Protezione da attacchi a forza bruta: tentativi di accesso falliti e blocco temporaneo
+  loginSecurity: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedAt: {
+      type: Date,
+      default: null
+    },
+    lockedUntil: {
+      type: Date,
+      default: null
+    },
+    // Hash del token del link di sblocco inviato per email
+    unlockToken: {
+      type: String,
+      select: false
+    },
+    unlockTokenExpires: {
+      type: Date,
+      select: false
+    }
+  },
+
+  // Preferenze notifiche (le notifiche in-app sono sempre attive)
+  notificationPreferences: {
+    budgetAlertsEmail: {
+      type: Boolean,
+      default: false
+    }
+  },
   
   resetPasswordToken: String,
   resetPasswordExpires: Date
@@ -64,6 +172,9 @@ const userSchema = new mongoose.Schema({
 
 // Index per performance - rimuovo email perché già unique nel campo
 userSchema.index({ familyId: 1 });
+userSchema.index({ googleId: 1 }, { unique: true, sparse: true });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+userSchema.index({ 'loginSecurity.unlockToken': 1 }, { sparse: true });
 
 // Middleware pre-save per hash della password
 userSchema.pre('save', async function(next) {
@@ -93,21 +204,57 @@ userSchema.methods.getPublicProfile = function() {
     _id: this._id,
     name: this.name,
     email: this.email,
+    emailVerified: this.emailVerified,
+    pendingEmail: this.pendingEmail,
     familyId: this.familyId,
     role: this.role,
     avatar: this.avatar,
+    googleLinked: Boolean(this.googleId),
+    twoFactorEnabled: Boolean(this.twoFactor?.enabled),
     isActive: this.isActive,
     lastLogin: this.lastLogin,
+    notificationPreferences: this.notificationPreferences,
     createdAt: this.createdAt,
     updatedAt: this.updatedAt
   };
 };
 
+// Metodo per verificare se l'account è bloccato per troppi tentativi falliti
+userSchema.methods.isLocked = function() {
+  return Boolean(this.loginSecurity?.lockedUntil && this.loginSecurity.lockedUntil > Date.now());
+};
+
+// Metodo statico per sostituire la famiglia predefinita quando l'utente non ne fa più parte
+userSchema.statics.replaceDefaultFamily = async function(userId, leftFamilyId) {
+  const Family = require('./Family');
+  const user = await this.findById(userId);
+
+  if (!user || String(user.familyId) !== String(leftFamilyId)) {
+    return user;
+  }
+
+  const [nextFamily] = await Family.findByMember(userId);
+  user.familyId = nextFamily ? nextFamily._id : null;
+  user.role = nextFamily ? nextFamily.getMemberRole(userId) : 'member';
+  return await user.save();
+};
+
+// Metodo statico per considerare verificati gli account registrati prima della verifica email
+// (non hanno il campo emailVerified)
+userSchema.statics.verifyLegacyAccounts = async function() {
+  const result = await this.updateMany(
+    { emailVerified: { $exists: false } },
+    [{ $set: { emailVerified: true, emailVerifiedAt: { $ifNull: ['$emailVerifiedAt', '$createdAt'] } } }]
+  );
+  return result.modifiedCount;
+};
+
 // Metodo statico per trovare utente per login
 userSchema.statics.findByCredentials = async function(email, password) {
   const user = await this.findOne({ email, isActive: true }).select('+password');
   
-  if (!user) {
+  // Gli account creati con Google non hanno una password finché non la impostano
+  if (!user || !user.password) {
     throw new Error('Credenziali non valide');
   }
   
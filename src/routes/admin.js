@@ -0,0 +1,72 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { getJobRuns, getSecurityEvents } = require('../controllers/adminController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { DAILY_JOBS } = require('../services/jobService');
+const { SECURITY_EVENT_TYPES } = require('../models/SecurityEvent');
+
+const router = express.Router();
+
+// Middleware: tutte le routes richiedono autenticazione e privilegi admin famiglia
+router.use(authenticate);
+router.use(requirePermission('admin:view'));
+
+// Validazioni per filtri storico job
+const getJobRunsValidation = [
+  query('job')
+    .optional()
+    .isIn(Object.keys(DAILY_JOBS))
+    .withMessage('Job non valido'),
+  query('status')
+    .optional()
+    .isIn(['running', 'completed', 'failed'])
+    .withMessage('Stato non valido'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('La pagina deve essere un numero intero positivo'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Il limite deve essere tra 1 e 100')
+];
+
+// @route   GET /api/admin/jobs
+// @desc    Ottieni lo storico delle esecuzioni dei job pianificati
+// @access  Private (admin:view)
+router.get('/jobs', getJobRunsValidation, getJobRuns);
+
+// Validazioni per filtri eventi di sicurezza
+const getSecurityEventsValidation = [
+  query('type')
+    .optional()
+    .isIn(SECURITY_EVENT_TYPES)
+    .withMessage('Tipo di evento non valido'),
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('ID utente non valido'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Data di inizio non valida'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Data di fine non valida'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('La pagina deve essere un numero intero positivo'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Il limite deve essere tra 1 e 100')
+];
+
+// @route   GET /api/admin/security-events
+// @desc    Tentativi di accesso falliti recenti sui membri della famiglia
+// @access  Private (admin:view)
+router.get('/security-events', getSecurityEventsValidation, getSecurityEvents);
+
+module.exports = router;
@@ -1,6 +1,21 @@
 const express = require('express');
-const { register, login, getMe, createFamily, forgotPassword, resetPassword } = require('../controllers/authController');
-const { authenticate } = require('../middleware/auth');
+const {
+  register,
+  login,
+  getMe,
+  createFamily,
+  forgotPassword,
+  resetPassword,
+  unlockAccountWithToken,
+  refreshToken,
+  logout,
+  verifyEmail,
+  resendVerificationEmail,
+  verifyTwoFactorLogin,
+  googleAuth,
+  googleCallback
+} = require('../controllers/authController');
+const { authenticate, optionalAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -34,4 +49,44 @@ router.post('/forgot-password', forgotPassword);
 // @access  Public
 router.post('/reset-password/:token', resetPassword);
 
+// @route   POST /api/auth/unlock/:token
+// @desc    Sblocca l'account bloccato per troppi tentativi falliti
+// @access  Public
+router.post('/unlock/:token', unlockAccountWithToken);
+
+// @route   POST /api/auth/refresh
+// @desc    Rinnova il token di accesso (rotazione del refresh token)
+// @access  Public
+router.post('/refresh', refreshToken);
+
+// @route   POST /api/auth/logout
+// @desc    Revoca la sessione corrente
+// @access  Public
+router.post('/logout', optionalAuth, logout);
+
+// @route   POST /api/auth/verify-email/:token
+// @desc    Conferma l'indirizzo email (registrazione o cambio email)
+// @access  Public
+router.post('/verify-email/:token', verifyEmail);
+
+// @route   POST /api/auth/resend-verification
+// @desc    Invia di nuovo il link di conferma email
+// @access  Private
+router.post('/resend-verification', authenticate, resendVerificationEmail);
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Completa il login con il codice TOTP o un codice di recupero
+// @access  Public
+router.post('/2fa/verify', verifyTwoFactorLogin);
+
+// @route   GET /api/auth/google
+// @desc    Redirect al consenso Google (login, registrazione o collegamento con ?link=)
+// @access  Public
+router.get('/google', googleAuth);
+
+// @route   GET /api/auth/google/callback
+// @desc    Callback OAuth di Google
+// @access  Public
+router.get('/google/callback', googleCallback);
+
 module.exports = router; 
\ No newline at end of file
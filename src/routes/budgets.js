@@ -10,7 +10,7 @@ const {
   autoCreateBudgets,
   refreshBudgetStats
 } = require('../controllers/budgetController');
-const { authenticate, requireFamilyMember, requireFamilyAdmin } = require('../middleware/auth');
+const { authenticate, requireFamilyMember, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -87,8 +87,8 @@ router.get('/summary', getBudgetSummary);
 
 // @route   POST /api/budgets/auto-create
 // @desc    Crea budget automatici dal mese precedente
-// @access  Private (Admin only)
-router.post('/auto-create', requireFamilyAdmin, autoCreateBudgetsValidation, autoCreateBudgets);
+// @access  Private (budgets:manage)
+router.post('/auto-create', requirePermission('budgets:manage'), autoCreateBudgetsValidation, autoCreateBudgets);
 
 // @route   POST /api/budgets/refresh-stats
 // @desc    Aggiorna tutte le statistiche budget
@@ -107,17 +107,17 @@ router.get('/:id', getBudget);
 
 // @route   POST /api/budgets
 // @desc    Crea nuovo budget
-// @access  Private (Admin only)
-router.post('/', requireFamilyAdmin, createBudgetValidation, createBudget);
+// @access  Private (budgets:manage)
+router.post('/', requirePermission('budgets:manage'), createBudgetValidation, createBudget);
 
 // @route   PUT /api/budgets/:id
 // @desc    Aggiorna budget
-// @access  Private (Admin only)
-router.put('/:id', requireFamilyAdmin, updateBudgetValidation, updateBudget);
+// @access  Private (budgets:manage)
+router.put('/:id', requirePermission('budgets:manage'), updateBudgetValidation, updateBudget);
 
 // @route   DELETE /api/budgets/:id
 // @desc    Elimina budget
-// @access  Private (Admin only)
-router.delete('/:id', requireFamilyAdmin, deleteBudget);
+// @access  Private (budgets:manage)
+router.delete('/:id', requirePermission('budgets:manage'), deleteBudget);
 
 module.exports = router; 
\ No newline at end of file
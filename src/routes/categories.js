@@ -9,7 +9,14 @@ const {
   getCategoryStats,
   reorderCategories
 } = require('../controllers/categoryController');
-const { authenticate, requireFamilyMember, requireFamilyAdmin } = require('../middleware/auth');
+const {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  applyRules
+} = require('../controllers/categorizationRuleController');
+const { authenticate, requireFamilyMember, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -83,6 +90,99 @@ const reorderCategoriesValidation = [
     .withMessage('L\'ordine deve essere un numero intero positivo')
 ];
 
+// Validazioni per regole di categorizzazione
+const ruleValidation = (isUpdate = false) => {
+  const required = (chain) => isUpdate ? chain.optional() : chain;
+  return [
+    required(body('name'))
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Il nome della regola è obbligatorio e non può superare i 50 caratteri'),
+    required(body('categoryId'))
+      .isMongoId()
+      .withMessage('ID categoria non valido'),
+    required(body('conditions'))
+      .isObject()
+      .withMessage('Le condizioni devono essere un oggetto'),
+    body('conditions.text.field')
+      .optional()
+      .isIn(['description', 'merchant', 'any'])
+      .withMessage('Campo di testo non valido'),
+    body('conditions.text.operator')
+      .optional()
+      .isIn(['contains', 'regex'])
+      .withMessage('Operatore non valido'),
+    body('conditions.text.value')
+      .optional()
+      .isString()
+      .isLength({ max: 200 })
+      .withMessage('Il testo della condizione non può superare i 200 caratteri'),
+    body('conditions.minAmount')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('L\'importo minimo deve essere un numero positivo'),
+    body('conditions.maxAmount')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('L\'importo massimo deve essere un numero positivo'),
+    body('priority')
+      .optional()
+      .isInt()
+      .withMessage('La priorità deve essere un numero intero'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive deve essere un booleano')
+  ];
+};
+
+// Validazioni per riapplicazione regole
+const applyRulesValidation = [
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('dryRun deve essere un booleano'),
+  body('includeManual')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('includeManual deve essere un booleano'),
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Formato data di inizio non valido'),
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Formato data di fine non valido')
+];
+
+// @route   GET /api/categories/rules
+// @desc    Ottieni le regole di categorizzazione
+// @access  Private
+router.get('/rules', getRules);
+
+// @route   POST /api/categories/rules/apply
+// @desc    Riapplica le regole alle spese passate (dryRun per l'anteprima)
+// @access  Private (categories:manage)
+router.post('/rules/apply', requirePermission('categories:manage'), applyRulesValidation, applyRules);
+
+// @route   POST /api/categories/rules
+// @desc    Crea regola di categorizzazione
+// @access  Private (categories:manage)
+router.post('/rules', requirePermission('categories:manage'), ruleValidation(), createRule);
+
+// @route   PUT /api/categories/rules/:ruleId
+// @desc    Aggiorna regola di categorizzazione
+// @access  Private (categories:manage)
+router.put('/rules/:ruleId', requirePermission('categories:manage'), ruleValidation(true), updateRule);
+
+// @route   DELETE /api/categories/rules/:ruleId
+// @desc    Elimina regola di categorizzazione
+// @access  Private (categories:manage)
+router.delete('/rules/:ruleId', requirePermission('categories:manage'), deleteRule);
+
 // @route   GET /api/categories/stats
 // @desc    Ottieni statistiche categorie
 // @access  Private
@@ -90,8 +190,8 @@ router.get('/stats', getCategoryStats);
 
 // @route   PUT /api/categories/reorder
 // @desc    Aggiorna ordine categorie
-// @access  Private (Admin only)
-router.put('/reorder', requireFamilyAdmin, reorderCategoriesValidation, reorderCategories);
+// @access  Private (categories:manage)
+router.put('/reorder', requirePermission('categories:manage'), reorderCategoriesValidation, reorderCategories);
 
 // @route   GET /api/categories
 // @desc    Ottieni tutte le categorie della famiglia
@@ -106,16 +206,16 @@ router.get('/:id', getCategory);
 // @route   POST /api/categories
 // @desc    Crea nuova categoria
 // @access  Private
-router.post('/', createCategoryValidation, createCategory);
+router.post('/', requirePermission('categories:create'), createCategoryValidation, createCategory);
 
 // @route   PUT /api/categories/:id
 // @desc    Aggiorna categoria
-// @access  Private (Admin only)
-router.put('/:id', requireFamilyAdmin, updateCategoryValidation, updateCategory);
+// @access  Private (categories:manage)
+router.put('/:id', requirePermission('categories:manage'), updateCategoryValidation, updateCategory);
 
 // @route   DELETE /api/categories/:id
 // @desc    Elimina categoria
-// @access  Private (Admin only)
-router.delete('/:id', requireFamilyAdmin, deleteCategory);
+// @access  Private (categories:manage)
+router.delete('/:id', requirePermission('categories:manage'), deleteCategory);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,18 +1,21 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requireFamilyMember } = require('../middleware/auth');
 const Expense = require('../models/Expense');
 const Income = require('../models/Income');
 const Budget = require('../models/Budget');
 const Category = require('../models/Category');
+const Family = require('../models/Family');
+const SavingsGoal = require('../models/SavingsGoal');
+const { DEFAULT_CURRENCY } = require('../config/currencies');
 const mongoose = require('mongoose');
 
 // @route   GET /api/dashboard
 // @desc    Get all dashboard data in a single call with optional filters
 // @access  Private
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, requireFamilyMember, async (req, res) => {
   try {
-    const familyId = req.user.familyId;
+    const familyId = req.family._id;
     const { userId, startDate, endDate } = req.query;
     
     // Debug temporaneo - rimuovere dopo il test
@@ -50,7 +53,12 @@ router.get('/', authenticate, async (req, res) => {
       isActive: true,
       ...userFilter
     };
-    
+
+    // Senza il permesso di vedere le entrate della famiglia, solo le proprie
+    if (!req.permissions.includes('incomes:view')) {
+      baseIncomeMatch.userId = req.user._id;
+    }
+
     // Aggiungi filtro date se specificato
     if (Object.keys(dateFilter).length > 0) {
       baseExpenseMatch.date = dateFilter;
@@ -65,7 +73,7 @@ router.get('/', authenticate, async (req, res) => {
         {
           $group: {
             _id: null,
-            totalAmount: { $sum: '$amount' }
+            totalAmount: { $sum: { $ifNull: ['$baseAmount', '$amount'] } }
           }
         }
       ]),
@@ -76,7 +84,7 @@ router.get('/', authenticate, async (req, res) => {
         {
           $group: {
             _id: null,
-            totalAmount: { $sum: '$amount' }
+            totalAmount: { $sum: { $ifNull: ['$baseAmount', '$amount'] } }
           }
         }
       ]),
@@ -100,7 +108,7 @@ router.get('/', authenticate, async (req, res) => {
             _id: '$category',
             categoryName: { $first: '$categoryInfo.name' },
             categoryColor: { $first: '$categoryInfo.color' },
-            totalAmount: { $sum: '$amount' }
+            totalAmount: { $sum: { $ifNull: ['$baseAmount', '$amount'] } }
           }
         },
         {
@@ -171,7 +179,7 @@ router.get('/', authenticate, async (req, res) => {
           {
             $group: {
               _id: null,
-              total: { $sum: '$amount' }
+              total: { $sum: { $ifNull: ['$baseAmount', '$amount'] } }
             }
           }
         ]);
@@ -182,7 +190,7 @@ router.get('/', authenticate, async (req, res) => {
           {
             $group: {
               _id: null,
-              total: { $sum: '$amount' }
+              total: { $sum: { $ifNull: ['$baseAmount', '$amount'] } }
             }
           }
         ]);
@@ -230,11 +238,11 @@ router.get('/', authenticate, async (req, res) => {
         const [monthExpenses, monthIncomes] = await Promise.all([
           Expense.aggregate([
             { $match: monthExpenseMatch },
-            { $group: { _id: null, total: { $sum: '$amount' } } }
+            { $group: { _id: null, total: { $sum: { $ifNull: ['$baseAmount', '$amount'] } } } }
           ]),
           Income.aggregate([
             { $match: monthIncomeMatch },
-            { $group: { _id: null, total: { $sum: '$amount' } } }
+            { $group: { _id: null, total: { $sum: { $ifNull: ['$baseAmount', '$amount'] } } } }
           ])
         ]);
         
@@ -299,9 +307,24 @@ router.get('/', authenticate, async (req, res) => {
       };
     });
 
+    // Tutti gli importi aggregati sono nella valuta base della famiglia
+    const family = await Family.findById(familyId).select('settings.currency').lean();
+
+    // Avanzamento degli obiettivi di risparmio in corso
+    const activeGoals = await SavingsGoal.getGoalsForFamily(familyId, 'active');
+    const savingsGoals = activeGoals.map(goal => ({
+      _id: goal._id,
+      name: goal.name,
+      targetAmount: goal.targetAmount,
+      deadline: goal.deadline,
+      autoContribution: goal.autoContribution,
+      ...goal.getProgress()
+    }));
+
     // Risposta unificata
     const dashboardData = {
       stats: {
+        currency: family?.settings?.currency || DEFAULT_CURRENCY,
         monthlyExpenses: totalExpenseAmount,
         monthlyIncome: totalIncomeAmount,
         balance,
@@ -315,6 +338,7 @@ router.get('/', authenticate, async (req, res) => {
       monthlyTrend: monthlyTrendData,
       recentTransactions,
       budgetAlerts,
+      savingsGoals,
       // Aggiungi info sui filtri applicati
       appliedFilters: {
         userId: userId || null,
@@ -0,0 +1,108 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const multer = require('multer');
+const {
+  getExchangeRates,
+  createExchangeRate,
+  importExchangeRates,
+  deleteExchangeRate
+} = require('../controllers/exchangeRateController');
+const { authenticate, requireFamilyMember, requirePermission } = require('../middleware/auth');
+const { SUPPORTED_CURRENCIES } = require('../config/currencies');
+const { DATE_FORMATS } = require('../services/importService');
+
+const router = express.Router();
+
+// Middleware: tutte le routes richiedono autenticazione e appartenenza famiglia
+router.use(authenticate);
+router.use(requireFamilyMember);
+
+// Configurazione multer per upload file tassi
+const storage = multer.memoryStorage();
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedExtensions = ['csv', 'txt', 'json'];
+    const extension = file.originalname.split('.').pop().toLowerCase();
+    if (allowedExtensions.includes(extension)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Tipo file non supportato. Sono supportati solo CSV e JSON'), false);
+    }
+  }
+});
+
+// Validazioni per lista tassi
+const getExchangeRatesValidation = [
+  query('currency')
+    .optional()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage('Valuta non supportata'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Data di inizio non valida'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Data di fine non valida'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('La pagina deve essere un numero intero positivo'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Il limite deve essere tra 1 e 200')
+];
+
+// Validazioni per creazione tasso
+const createExchangeRateValidation = [
+  body('fromCurrency')
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage('Valuta di origine non supportata'),
+  body('toCurrency')
+    .optional()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage('Valuta di destinazione non supportata'),
+  body('rate')
+    .isFloat({ gt: 0 })
+    .withMessage('Il tasso di cambio deve essere un numero positivo'),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Formato data non valido')
+];
+
+// Validazioni per import file tassi
+const importExchangeRatesValidation = [
+  body('dateFormat')
+    .optional()
+    .isIn(DATE_FORMATS)
+    .withMessage('Formato data non valido')
+];
+
+// @route   GET /api/exchange-rates
+// @desc    Ottieni tassi di cambio della famiglia
+// @access  Private
+router.get('/', getExchangeRatesValidation, getExchangeRates);
+
+// @route   POST /api/exchange-rates/import
+// @desc    Importa tassi di cambio da file CSV o JSON
+// @access  Private (exchange_rates:manage)
+router.post('/import', requirePermission('exchange_rates:manage'), upload.single('file'), importExchangeRatesValidation, importExchangeRates);
+
+// @route   POST /api/exchange-rates
+// @desc    Crea o aggiorna tasso di cambio
+// @access  Private (exchange_rates:manage)
+router.post('/', requirePermission('exchange_rates:manage'), createExchangeRateValidation, createExchangeRate);
+
+// @route   DELETE /api/exchange-rates/:id
+// @desc    Elimina tasso di cambio
+// @access  Private (exchange_rates:manage)
+router.delete('/:id', requirePermission('exchange_rates:manage'), deleteExchangeRate);
+
+module.exports = router;
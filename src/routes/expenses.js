@@ -1,14 +1,25 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const {
   getExpenses,
   getExpense,
   createExpense,
   updateExpense,
   deleteExpense,
-  getExpenseStats
+  getExpenseHistory,
+  revertExpenseRevision,
+  getExpenseStats,
+  processRecurringExpenses,
+  skipRecurringOccurrence,
+  restoreRecurringOccurrence,
+  uploadReceipt,
+  deleteReceipt,
+  scanReceipt,
+  recognizeReceiptAttachment
 } = require('../controllers/expenseController');
-const { authenticate, requireFamilyMember } = require('../middleware/auth');
+const { authenticate, requireFamilyMember, requirePermission } = require('../middleware/auth');
+const { SUPPORTED_CURRENCIES } = require('../config/currencies');
+const { receiptUpload, receiptScanUpload } = require('../services/receiptStorageService');
 
 const router = express.Router();
 
@@ -16,16 +27,43 @@ const router = express.Router();
 router.use(authenticate);
 router.use(requireFamilyMember);
 
+// Upload scontrini: gli errori di multer (tipo o dimensione file) diventano 400
+const handleUpload = (upload) => (req, res, next) => {
+  upload(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        error: 'Upload non valido',
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? 'Il file supera la dimensione massima di 10MB'
+          : error.message
+      });
+    }
+    next();
+  });
+};
+
+const handleReceiptUpload = handleUpload(receiptUpload);
+const handleReceiptScanUpload = handleUpload(receiptScanUpload);
+
 // Validazioni per creazione spesa
 const createExpenseValidation = [
   body('amount')
     .isFloat({ min: 0.01 })
     .withMessage('L\'importo deve essere un numero positivo'),
+  body('currency')
+    .optional()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage('Valuta non supportata'),
+  body('exchangeRate')
+    .optional({ nullable: true })
+    .isFloat({ gt: 0 })
+    .withMessage('Il tasso di cambio deve essere un numero positivo'),
   body('description')
     .trim()
     .isLength({ min: 1, max: 200 })
     .withMessage('La descrizione è obbligatoria e non può superare i 200 caratteri'),
   body('category')
+    .optional()
     .isMongoId()
     .withMessage('ID categoria non valido'),
   body('date')
@@ -52,7 +90,42 @@ const createExpenseValidation = [
   body('receipt.imageUrl')
     .optional()
     .isURL()
-    .withMessage('URL immagine scontrino non valido')
+    .withMessage('URL immagine scontrino non valido'),
+  body('splitMethod')
+    .optional({ nullable: true })
+    .isIn(['equal', 'percentage', 'exact'])
+    .withMessage('Metodo di ripartizione non valido'),
+  body('splits')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('La ripartizione deve essere un array di membri'),
+  body('splits.*.userId')
+    .isMongoId()
+    .withMessage('ID membro della ripartizione non valido'),
+  body('splits.*.percentage')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('La percentuale deve essere tra 0 e 100'),
+  body('splits.*.amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('La quota deve essere un numero positivo'),
+  body('isRecurring')
+    .optional()
+    .isBoolean()
+    .withMessage('isRecurring deve essere un booleano'),
+  body('recurringPattern.frequency')
+    .optional()
+    .isIn(['daily', 'weekly', 'monthly', 'yearly'])
+    .withMessage('Frequenza ricorrenza non valida'),
+  body('recurringPattern.interval')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('L\'intervallo di ricorrenza deve essere un numero intero positivo'),
+  body('recurringPattern.endDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Formato data di fine ricorrenza non valido')
 ];
 
 // Validazioni per aggiornamento spesa
@@ -61,6 +134,14 @@ const updateExpenseValidation = [
     .optional()
     .isFloat({ min: 0.01 })
     .withMessage('L\'importo deve essere un numero positivo'),
+  body('currency')
+    .optional()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage('Valuta non supportata'),
+  body('exchangeRate')
+    .optional({ nullable: true })
+    .isFloat({ gt: 0 })
+    .withMessage('Il tasso di cambio deve essere un numero positivo'),
   body('description')
     .optional()
     .trim()
@@ -82,7 +163,90 @@ const updateExpenseValidation = [
     .optional()
     .trim()
     .isLength({ max: 500 })
-    .withMessage('Le note non possono superare i 500 caratteri')
+    .withMessage('Le note non possono superare i 500 caratteri'),
+  body('splitMethod')
+    .optional({ nullable: true })
+    .isIn(['equal', 'percentage', 'exact'])
+    .withMessage('Metodo di ripartizione non valido'),
+  body('splits')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('La ripartizione deve essere un array di membri'),
+  body('splits.*.userId')
+    .isMongoId()
+    .withMessage('ID membro della ripartizione non valido'),
+  body('splits.*.percentage')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('La percentuale deve essere tra 0 e 100'),
+  body('splits.*.amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('La quota deve essere un numero positivo'),
+  body('isRecurring')
+    .optional()
+    .isBoolean()
+    .withMessage('isRecurring deve essere un booleano'),
+  body('recurringPattern.frequency')
+    .optional()
+    .isIn(['daily', 'weekly', 'monthly', 'yearly'])
+    .withMessage('Frequenza ricorrenza non valida'),
+  body('recurringPattern.interval')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('L\'intervallo di ricorrenza deve essere un numero intero positivo'),
+  body('recurringPattern.endDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Formato data di fine ricorrenza non valido')
+];
+
+// Validazioni per la cronologia delle modifiche
+const historyValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('ID non valido'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('La pagina deve essere un numero intero positivo'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Il limite deve essere tra 1 e 100')
+];
+
+// Validazioni per il ripristino di una revisione
+const revertRevisionValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('ID non valido'),
+  param('revisionId')
+    .isMongoId()
+    .withMessage('ID revisione non valido')
+];
+
+// Validazioni per OCR di un allegato
+const receiptOcrValidation = [
+  body('attachmentId')
+    .optional()
+    .isMongoId()
+    .withMessage('ID allegato non valido')
+];
+
+// Validazioni per salto occorrenza ricorrente
+const skipOccurrenceValidation = [
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Formato data non valido')
+];
+
+// Validazioni per ripristino occorrenza ricorrente
+const restoreOccurrenceValidation = [
+  body('date')
+    .isISO8601()
+    .withMessage('La data dell\'occorrenza è obbligatoria')
 ];
 
 // @route   GET /api/expenses/stats
@@ -90,6 +254,16 @@ const updateExpenseValidation = [
 // @access  Private
 router.get('/stats', getExpenseStats);
 
+// @route   POST /api/expenses/process-recurring
+// @desc    Processa spese ricorrenti
+// @access  Private (recurring:process)
+router.post('/process-recurring', requirePermission('recurring:process'), processRecurringExpenses);
+
+// @route   POST /api/expenses/receipt/scan
+// @desc    Legge una foto di scontrino (campo multipart "file") e restituisce una bozza di spesa
+// @access  Private
+router.post('/receipt/scan', requirePermission('expenses:create'), handleReceiptScanUpload, scanReceipt);
+
 // @route   GET /api/expenses
 // @desc    Ottieni tutte le spese della famiglia
 // @access  Private
@@ -103,16 +277,56 @@ router.get('/:id', getExpense);
 // @route   POST /api/expenses
 // @desc    Crea nuova spesa
 // @access  Private
-router.post('/', createExpenseValidation, createExpense);
+router.post('/', requirePermission('expenses:create'), createExpenseValidation, createExpense);
 
 // @route   PUT /api/expenses/:id
 // @desc    Aggiorna spesa
 // @access  Private
-router.put('/:id', updateExpenseValidation, updateExpense);
+router.put('/:id', requirePermission('expenses:create'), updateExpenseValidation, updateExpense);
 
 // @route   DELETE /api/expenses/:id
 // @desc    Elimina spesa
 // @access  Private
-router.delete('/:id', deleteExpense);
+router.delete('/:id', requirePermission('expenses:create'), deleteExpense);
+
+// @route   GET /api/expenses/:id/history
+// @desc    Ottieni la cronologia delle modifiche
+// @access  Private
+router.get('/:id/history', historyValidation, getExpenseHistory);
+
+// @route   POST /api/expenses/:id/history/:revisionId/revert
+// @desc    Ripristina i valori precedenti a una modifica
+// @access  Private
+router.post('/:id/history/:revisionId/revert', requirePermission('expenses:create'), revertRevisionValidation, revertExpenseRevision);
+
+// @route   POST /api/expenses/:id/skip-occurrence
+// @desc    Salta una singola occorrenza di una spesa ricorrente
+// @access  Private
+router.post('/:id/skip-occurrence', requirePermission('expenses:create'), skipOccurrenceValidation, skipRecurringOccurrence);
+
+// @route   DELETE /api/expenses/:id/skip-occurrence
+// @desc    Ripristina un'occorrenza saltata
+// @access  Private
+router.delete('/:id/skip-occurrence', requirePermission('expenses:create'), restoreOccurrenceValidation, restoreRecurringOccurrence);
+
+// @route   POST /api/expenses/:id/receipt
+// @desc    Carica foto scontrini o fatture PDF (campo multipart "files")
+// @access  Private
+router.post('/:id/receipt', requirePermission('expenses:create'), handleReceiptUpload, uploadReceipt);
+
+// @route   DELETE /api/expenses/:id/receipt
+// @desc    Elimina tutti gli allegati dello scontrino
+// @access  Private
+router.delete('/:id/receipt', requirePermission('expenses:create'), deleteReceipt);
+
+// @route   POST /api/expenses/:id/receipt/ocr
+// @desc    Esegue l'OCR di un allegato e salva il risultato nella spesa
+// @access  Private
+router.post('/:id/receipt/ocr', requirePermission('expenses:create'), receiptOcrValidation, recognizeReceiptAttachment);
+
+// @route   DELETE /api/expenses/:id/receipt/:attachmentId
+// @desc    Elimina un singolo allegato
+// @access  Private
+router.delete('/:id/receipt/:attachmentId', requirePermission('expenses:create'), deleteReceipt);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,55 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { exportTransactions } = require('../controllers/exportController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { EXPORT_FORMATS } = require('../services/exportService');
+
+const router = express.Router();
+
+// Middleware: tutte le routes richiedono autenticazione e appartenenza famiglia
+router.use(authenticate);
+router.use(requirePermission('data:export'));
+
+// Validazioni per esportazione (stessi filtri della lista spese)
+const exportValidation = [
+  query('format')
+    .optional()
+    .isIn(EXPORT_FORMATS)
+    .withMessage('Formato di esportazione non valido (csv, xlsx o pdf)'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Data di inizio non valida'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Data di fine non valida'),
+  query('category')
+    .optional()
+    .isMongoId()
+    .withMessage('ID categoria non valido'),
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('ID utente non valido'),
+  query('minAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('L\'importo minimo deve essere un numero positivo'),
+  query('maxAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('L\'importo massimo deve essere un numero positivo'),
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Il testo di ricerca non può superare i 100 caratteri')
+];
+
+// @route   GET /api/export
+// @desc    Esporta spese, entrate e budget della famiglia (CSV, XLSX o PDF)
+// @access  Private
+router.get('/', exportValidation, exportTransactions);
+
+module.exports = router;
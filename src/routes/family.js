@@ -1,5 +1,5 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const multer = require('multer');
 const {
   getFamily,
@@ -11,12 +11,33 @@ const {
   leaveFamily,
   getInvitations,
   cancelInvitation,
+  createInviteLink,
+  revokeInviteLink,
+  approveJoinRequest,
+  rejectJoinRequest,
   uploadFamilyBanner,
   setFamilyBannerUrl,
   removeFamilyBanner,
-  verifyInvite
+  verifyInvite,
+  requestOwnershipTransfer,
+  acceptOwnershipTransfer,
+  declineOwnershipTransfer,
+  cancelOwnershipTransfer,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole
 } = require('../controllers/familyController');
-const { authenticate, requireFamilyMember, requireFamilyAdmin } = require('../middleware/auth');
+const {
+  getBalances,
+  getSettlements,
+  createSettlement,
+  deleteSettlement
+} = require('../controllers/settlementController');
+const { getActivity } = require('../controllers/activityController');
+const { authenticate, requireFamilyMember, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const { SUPPORTED_CURRENCIES } = require('../config/currencies');
+const { ALL_PERMISSIONS } = require('../config/permissions');
 
 const router = express.Router();
 
@@ -50,7 +71,7 @@ const updateFamilyValidation = [
     .withMessage('La descrizione non può superare i 500 caratteri'),
   body('settings.currency')
     .optional()
-    .isIn(['EUR', 'USD', 'GBP'])
+    .isIn(SUPPORTED_CURRENCIES)
     .withMessage('Valuta non supportata'),
   body('settings.notifications.email')
     .optional()
@@ -59,7 +80,21 @@ const updateFamilyValidation = [
   body('settings.notifications.budgetAlerts')
     .optional()
     .isBoolean()
-    .withMessage('Avvisi budget deve essere un booleano')
+    .withMessage('Avvisi budget deve essere un booleano'),
+  body('settings.requireTwoFactor')
+    .optional()
+    .isBoolean()
+    .withMessage('requireTwoFactor deve essere un booleano'),
+  body('settings.auditRetentionDays')
+    .optional()
+    .isInt({ min: 30, max: 3650 })
+    .withMessage('La conservazione del log attività deve essere tra 30 e 3650 giorni')
+    .toInt(),
+  body('settings.trashRetentionDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('La conservazione del cestino deve essere tra 1 e 365 giorni')
+    .toInt()
 ];
 
 // Validazioni per invito membro
@@ -70,17 +105,95 @@ const inviteMemberValidation = [
     .withMessage('Email non valida'),
   body('role')
     .optional()
-    .isIn(['admin', 'member'])
+    .isString()
+    .trim()
+    .notEmpty()
     .withMessage('Ruolo non valido')
 ];
 
+// Validazioni per link di invito
+const inviteLinkValidation = [
+  body('role')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Ruolo non valido'),
+  body('maxUses')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Il numero massimo di utilizzi deve essere tra 1 e 1000')
+    .toInt(),
+  body('expiresInDays')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 365 })
+    .withMessage('La scadenza deve essere tra 1 e 365 giorni')
+    .toInt(),
+  body('requiresApproval')
+    .optional()
+    .isBoolean()
+    .withMessage('requiresApproval deve essere un booleano')
+    .toBoolean()
+];
+
 // Validazioni per aggiornamento ruolo
 const updateMemberRoleValidation = [
   body('role')
-    .isIn(['admin', 'member'])
+    .isString()
+    .trim()
+    .notEmpty()
     .withMessage('Ruolo non valido')
 ];
 
+// Validazioni per uscita dalla famiglia
+const leaveFamilyValidation = [
+  body('successorId')
+    .optional()
+    .isMongoId()
+    .withMessage('ID successore non valido')
+];
+
+// Validazioni per trasferimento proprietà
+const transferOwnershipValidation = [
+  body('userId')
+    .isMongoId()
+    .withMessage('ID membro non valido')
+];
+
+// Validazioni per ruoli personalizzati
+const createRoleValidation = [
+  body('key')
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9_-]{1,29}$/)
+    .withMessage('La chiave del ruolo può contenere solo lettere minuscole, numeri, _ e - (2-30 caratteri)'),
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Il nome del ruolo deve essere tra 1 e 50 caratteri'),
+  body('permissions')
+    .isArray()
+    .withMessage('I permessi devono essere una lista'),
+  body('permissions.*')
+    .isIn(ALL_PERMISSIONS)
+    .withMessage('Permesso non valido')
+];
+
+const updateRoleValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Il nome del ruolo deve essere tra 1 e 50 caratteri'),
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('I permessi devono essere una lista'),
+  body('permissions.*')
+    .isIn(ALL_PERMISSIONS)
+    .withMessage('Permesso non valido')
+];
+
 // Validazioni per banner URL
 const bannerUrlValidation = [
   body('bannerUrl')
@@ -88,6 +201,77 @@ const bannerUrlValidation = [
     .withMessage('URL banner non valido')
 ];
 
+// Validazioni per registrazione pagamento
+const settlementValidation = [
+  body('fromUser')
+    .optional()
+    .isMongoId()
+    .withMessage('ID membro che paga non valido'),
+  body('toUser')
+    .isMongoId()
+    .withMessage('ID membro che riceve non valido'),
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('L\'importo deve essere un numero positivo'),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Formato data non valido'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Le note non possono superare i 500 caratteri')
+];
+
+// Validazioni per lista pagamenti
+const getSettlementsValidation = [
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('ID utente non valido'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('La pagina deve essere un numero intero positivo'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Il limite deve essere tra 1 e 100')
+];
+
+// Validazioni per log attività
+const getActivityValidation = [
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('ID utente non valido'),
+  query('entity')
+    .optional()
+    .isIn(['expense', 'income', 'budget', 'category', 'categorization_rule', 'exchange_rate', 'goal', 'settlement', 'family', 'member', 'invitation', 'role'])
+    .withMessage('Tipo di risorsa non valido'),
+  query('entityId')
+    .optional()
+    .isMongoId()
+    .withMessage('ID risorsa non valido'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Data di inizio non valida'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Data di fine non valida'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('La pagina deve essere un numero intero positivo'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Il limite deve essere tra 1 e 100')
+];
+
 // @route   GET /api/family
 // @desc    Ottieni informazioni famiglia corrente
 // @access  Private
@@ -95,23 +279,68 @@ router.get('/', authenticate, requireFamilyMember, getFamily);
 
 // @route   PUT /api/family
 // @desc    Aggiorna famiglia
-// @access  Private (Admin only)
-router.put('/', authenticate, requireFamilyAdmin, updateFamilyValidation, updateFamily);
+// @access  Private (family:manage)
+router.put('/', authenticate, requirePermission('family:manage'), updateFamilyValidation, updateFamily);
+
+// @route   GET /api/family/balances
+// @desc    Ottieni saldi tra i membri e trasferimenti per pareggiare i conti
+// @access  Private
+router.get('/balances', authenticate, requireFamilyMember, getBalances);
+
+// @route   GET /api/family/activity
+// @desc    Ottieni log attività della famiglia (filtrabile per membro e tipo di risorsa)
+// @access  Private
+router.get('/activity', authenticate, requireFamilyMember, getActivityValidation, getActivity);
+
+// @route   GET /api/family/settlements
+// @desc    Ottieni pagamenti registrati tra i membri
+// @access  Private
+router.get('/settlements', authenticate, requireFamilyMember, getSettlementsValidation, getSettlements);
+
+// @route   POST /api/family/settlements
+// @desc    Registra pagamento per saldare un debito
+// @access  Private
+router.post('/settlements', authenticate, requirePermission('settlements:create'), settlementValidation, createSettlement);
+
+// @route   DELETE /api/family/settlements/:settlementId
+// @desc    Annulla pagamento registrato
+// @access  Private
+router.delete('/settlements/:settlementId', authenticate, requireFamilyMember, deleteSettlement);
 
 // @route   GET /api/family/invitations
-// @desc    Ottieni inviti pendenti
-// @access  Private (Admin only)
-router.get('/invitations', authenticate, requireFamilyAdmin, getInvitations);
+// @desc    Ottieni inviti pendenti, link di invito e richieste di adesione
+// @access  Private (members:invite)
+router.get('/invitations', authenticate, requirePermission('members:invite'), getInvitations);
+
+// @route   POST /api/family/invitations/links
+// @desc    Crea link di invito riutilizzabile
+// @access  Private (members:invite)
+router.post('/invitations/links', authenticate, requirePermission('members:invite'), requireVerifiedEmail('invite_member'), inviteLinkValidation, createInviteLink);
+
+// @route   DELETE /api/family/invitations/links/:linkId
+// @desc    Revoca link di invito
+// @access  Private (members:invite)
+router.delete('/invitations/links/:linkId', authenticate, requirePermission('members:invite'), revokeInviteLink);
+
+// @route   POST /api/family/invitations/requests/:requestId/approve
+// @desc    Approva richiesta di adesione da link di invito
+// @access  Private (members:invite)
+router.post('/invitations/requests/:requestId/approve', authenticate, requirePermission('members:invite'), approveJoinRequest);
+
+// @route   POST /api/family/invitations/requests/:requestId/reject
+// @desc    Rifiuta richiesta di adesione da link di invito
+// @access  Private (members:invite)
+router.post('/invitations/requests/:requestId/reject', authenticate, requirePermission('members:invite'), rejectJoinRequest);
 
 // @route   POST /api/family/invite
 // @desc    Invita nuovo membro alla famiglia
-// @access  Private (Admin only)
-router.post('/invite', authenticate, requireFamilyAdmin, inviteMemberValidation, inviteMember);
+// @access  Private (members:invite)
+router.post('/invite', authenticate, requirePermission('members:invite'), requireVerifiedEmail('invite_member'), inviteMemberValidation, inviteMember);
 
 // @route   POST /api/family/join/:token
 // @desc    Accetta invito famiglia
 // @access  Private
-router.post('/join/:token', authenticate, joinFamily);
+router.post('/join/:token', authenticate, requireVerifiedEmail('join_family'), joinFamily);
 
 // @route   GET /api/family/invite/:token
 // @desc    Verifica dettagli invito famiglia
@@ -121,36 +350,76 @@ router.get('/invite/:token', verifyInvite);
 // @route   POST /api/family/leave
 // @desc    Lascia famiglia
 // @access  Private
-router.post('/leave', authenticate, requireFamilyMember, leaveFamily);
+router.post('/leave', authenticate, requireFamilyMember, leaveFamilyValidation, leaveFamily);
+
+// @route   POST /api/family/transfer-ownership
+// @desc    Richiedi il trasferimento della proprietà a un altro membro
+// @access  Private (owner)
+router.post('/transfer-ownership', authenticate, requireFamilyMember, transferOwnershipValidation, requestOwnershipTransfer);
+
+// @route   POST /api/family/transfer-ownership/accept
+// @desc    Accetta il trasferimento della proprietà
+// @access  Private (destinatario)
+router.post('/transfer-ownership/accept', authenticate, requireFamilyMember, acceptOwnershipTransfer);
+
+// @route   POST /api/family/transfer-ownership/decline
+// @desc    Rifiuta il trasferimento della proprietà
+// @access  Private (destinatario)
+router.post('/transfer-ownership/decline', authenticate, requireFamilyMember, declineOwnershipTransfer);
+
+// @route   DELETE /api/family/transfer-ownership
+// @desc    Annulla la richiesta di trasferimento della proprietà
+// @access  Private (owner)
+router.delete('/transfer-ownership', authenticate, requireFamilyMember, cancelOwnershipTransfer);
+
+// @route   GET /api/family/roles
+// @desc    Ottieni ruoli e permessi disponibili
+// @access  Private
+router.get('/roles', authenticate, requireFamilyMember, getRoles);
+
+// @route   POST /api/family/roles
+// @desc    Crea ruolo personalizzato
+// @access  Private (roles:manage)
+router.post('/roles', authenticate, requirePermission('roles:manage'), createRoleValidation, createRole);
+
+// @route   PUT /api/family/roles/:key
+// @desc    Aggiorna ruolo personalizzato
+// @access  Private (roles:manage)
+router.put('/roles/:key', authenticate, requirePermission('roles:manage'), updateRoleValidation, updateRole);
+
+// @route   DELETE /api/family/roles/:key
+// @desc    Elimina ruolo personalizzato
+// @access  Private (roles:manage)
+router.delete('/roles/:key', authenticate, requirePermission('roles:manage'), deleteRole);
 
 // @route   PUT /api/family/members/:userId
 // @desc    Aggiorna ruolo membro
-// @access  Private (Admin only)
-router.put('/members/:userId', authenticate, requireFamilyAdmin, updateMemberRoleValidation, updateMemberRole);
+// @access  Private (members:manage)
+router.put('/members/:userId', authenticate, requirePermission('members:manage'), updateMemberRoleValidation, updateMemberRole);
 
 // @route   DELETE /api/family/members/:userId
 // @desc    Rimuovi membro dalla famiglia
-// @access  Private (Admin only)
-router.delete('/members/:userId', authenticate, requireFamilyAdmin, removeMember);
+// @access  Private (members:manage)
+router.delete('/members/:userId', authenticate, requirePermission('members:manage'), removeMember);
 
 // @route   DELETE /api/family/invitations/:invitationId
 // @desc    Cancella invito
-// @access  Private (Admin only)
-router.delete('/invitations/:invitationId', authenticate, requireFamilyAdmin, cancelInvitation);
+// @access  Private (members:invite)
+router.delete('/invitations/:invitationId', authenticate, requirePermission('members:invite'), cancelInvitation);
 
 // @route   POST /api/family/upload-banner
 // @desc    Upload banner famiglia
-// @access  Private (Admin only)
-router.post('/upload-banner', authenticate, requireFamilyAdmin, upload.single('banner'), uploadFamilyBanner);
+// @access  Private (family:manage)
+router.post('/upload-banner', authenticate, requirePermission('family:manage'), upload.single('banner'), uploadFamilyBanner);
 
 // @route   PUT /api/family/set-banner-url
 // @desc    Imposta banner famiglia tramite URL
-// @access  Private (Admin only)
-router.put('/set-banner-url', authenticate, requireFamilyAdmin, bannerUrlValidation, setFamilyBannerUrl);
+// @access  Private (family:manage)
+router.put('/set-banner-url', authenticate, requirePermission('family:manage'), bannerUrlValidation, setFamilyBannerUrl);
 
 // @route   DELETE /api/family/banner
 // @desc    Rimuovi banner famiglia
-// @access  Private (Admin only)
-router.delete('/banner', authenticate, requireFamilyAdmin, removeFamilyBanner);
+// @access  Private (family:manage)
+router.delete('/banner', authenticate, requirePermission('family:manage'), removeFamilyBanner);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,143 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const {
+  getGoals,
+  getGoal,
+  createGoal,
+  updateGoal,
+  deleteGoal,
+  addContribution,
+  deleteContribution
+} = require('../controllers/goalController');
+const { authenticate, requireFamilyMember, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Middleware: tutte le routes richiedono autenticazione e appartenenza famiglia
+router.use(authenticate);
+router.use(requireFamilyMember);
+
+// Validazioni comuni per il versamento automatico
+const autoContributionValidation = [
+  body('autoContribution')
+    .optional()
+    .isObject()
+    .withMessage('Configurazione versamento automatico non valida'),
+  body('autoContribution.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('autoContribution.enabled deve essere un booleano'),
+  body('autoContribution.percentage')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('La percentuale deve essere tra 0 e 100')
+];
+
+// Validazioni per lista obiettivi
+const getGoalsValidation = [
+  query('status')
+    .optional()
+    .isIn(['active', 'completed', 'archived'])
+    .withMessage('Stato obiettivo non valido')
+];
+
+// Validazioni per creazione obiettivo
+const createGoalValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Il nome deve essere tra 1 e 100 caratteri'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('La descrizione non può superare i 500 caratteri'),
+  body('targetAmount')
+    .isFloat({ min: 0.01 })
+    .withMessage('L\'importo obiettivo deve essere un numero positivo'),
+  body('deadline')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Formato scadenza non valido'),
+  ...autoContributionValidation
+];
+
+// Validazioni per aggiornamento obiettivo
+const updateGoalValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Il nome deve essere tra 1 e 100 caratteri'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('La descrizione non può superare i 500 caratteri'),
+  body('targetAmount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('L\'importo obiettivo deve essere un numero positivo'),
+  body('deadline')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Formato scadenza non valido'),
+  body('status')
+    .optional()
+    .isIn(['active', 'archived'])
+    .withMessage('Lo stato deve essere active o archived'),
+  ...autoContributionValidation
+];
+
+// Validazioni per versamento
+const contributionValidation = [
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('L\'importo deve essere un numero positivo'),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Formato data non valido'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('La nota non può superare i 200 caratteri')
+];
+
+// @route   GET /api/goals
+// @desc    Ottieni obiettivi di risparmio con avanzamento
+// @access  Private
+router.get('/', getGoalsValidation, getGoals);
+
+// @route   POST /api/goals
+// @desc    Crea obiettivo di risparmio
+// @access  Private (goals:manage)
+router.post('/', requirePermission('goals:manage'), createGoalValidation, createGoal);
+
+// @route   POST /api/goals/:id/contributions
+// @desc    Aggiungi versamento manuale
+// @access  Private
+router.post('/:id/contributions', requirePermission('goals:contribute'), contributionValidation, addContribution);
+
+// @route   DELETE /api/goals/:id/contributions/:contributionId
+// @desc    Elimina versamento
+// @access  Private (autore o admin)
+router.delete('/:id/contributions/:contributionId', deleteContribution);
+
+// @route   GET /api/goals/:id
+// @desc    Ottieni singolo obiettivo
+// @access  Private
+router.get('/:id', getGoal);
+
+// @route   PUT /api/goals/:id
+// @desc    Aggiorna obiettivo di risparmio
+// @access  Private (goals:manage)
+router.put('/:id', requirePermission('goals:manage'), updateGoalValidation, updateGoal);
+
+// @route   DELETE /api/goals/:id
+// @desc    Elimina obiettivo di risparmio
+// @access  Private (goals:manage)
+router.delete('/:id', requirePermission('goals:manage'), deleteGoal);
+
+module.exports = router;
@@ -0,0 +1,113 @@
+const express = require('express');
+const { body } = require('express-validator');
+const multer = require('multer');
+const { previewImport, commitImport } = require('../controllers/importController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { DATE_FORMATS } = require('../services/importService');
+
+const router = express.Router();
+
+// Middleware: tutte le routes richiedono autenticazione e appartenenza famiglia
+router.use(authenticate);
+router.use(requirePermission('data:import'));
+
+// Configurazione multer per upload estratti conto
+const storage = multer.memoryStorage();
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedExtensions = ['csv', 'txt', 'ofx', 'qfx', 'qif'];
+    const extension = file.originalname.split('.').pop().toLowerCase();
+    if (allowedExtensions.includes(extension)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Tipo file non supportato. Sono supportati solo CSV, OFX/QFX e QIF'), false);
+    }
+  }
+});
+
+// Upload estratto conto: gli errori di multer (tipo o dimensione file) diventano 400
+const handleStatementUpload = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        error: 'Upload non valido',
+        message: error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE'
+          ? 'Il file supera la dimensione massima di 5MB'
+          : error.message
+      });
+    }
+    next();
+  });
+};
+
+// Validazioni per anteprima import
+const previewImportValidation = [
+  body('format')
+    .optional()
+    .isIn(['csv', 'ofx', 'qif'])
+    .withMessage('Formato non valido'),
+  body('dateFormat')
+    .optional()
+    .isIn(DATE_FORMATS)
+    .withMessage('Formato data non valido'),
+  body('numberFormat')
+    .optional()
+    .isIn(['it', 'en'])
+    .withMessage('Formato numerico non valido'),
+  body('delimiter')
+    .optional()
+    .isLength({ min: 1, max: 1 })
+    .withMessage('Il separatore deve essere un singolo carattere')
+];
+
+// Validazioni per conferma import
+const commitImportValidation = [
+  body('rows')
+    .isArray({ min: 1, max: 1000 })
+    .withMessage('Seleziona tra 1 e 1000 righe da importare'),
+  body('rows.*.type')
+    .isIn(['expense', 'income'])
+    .withMessage('Tipo transazione non valido'),
+  body('rows.*.date')
+    .isISO8601()
+    .withMessage('Formato data non valido'),
+  body('rows.*.amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('L\'importo deve essere un numero positivo'),
+  body('rows.*.description')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('La descrizione è obbligatoria e non può superare i 200 caratteri'),
+  body('rows.*.category')
+    .optional()
+    .isMongoId()
+    .withMessage('ID categoria non valido'),
+  body('rows.*.source')
+    .optional()
+    .isIn(['salary', 'freelance', 'bonus', 'investment', 'rental', 'gift', 'refund', 'other'])
+    .withMessage('Fonte di entrata non valida'),
+  body('defaultCategory')
+    .optional()
+    .isMongoId()
+    .withMessage('ID categoria predefinita non valido'),
+  body('skipDuplicates')
+    .optional()
+    .isBoolean()
+    .withMessage('skipDuplicates deve essere un booleano')
+];
+
+// @route   POST /api/import
+// @desc    Analizza un estratto conto (CSV, OFX, QIF) e mostra l'anteprima
+// @access  Private
+router.post('/', handleStatementUpload, previewImportValidation, previewImport);
+
+// @route   POST /api/import/commit
+// @desc    Importa le righe selezionate come spese ed entrate
+// @access  Private
+router.post('/commit', commitImportValidation, commitImport);
+
+module.exports = router;
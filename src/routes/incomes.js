@@ -1,15 +1,18 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const {
   getIncomes,
   getIncome,
   createIncome,
   updateIncome,
   deleteIncome,
+  getIncomeHistory,
+  revertIncomeRevision,
   getIncomeStats,
   processRecurringIncomes
 } = require('../controllers/incomeController');
-const { authenticate, requireFamilyMember, requireFamilyAdmin } = require('../middleware/auth');
+const { authenticate, requireFamilyMember, requirePermission } = require('../middleware/auth');
+const { SUPPORTED_CURRENCIES } = require('../config/currencies');
 
 const router = express.Router();
 
@@ -22,6 +25,14 @@ const createIncomeValidation = [
   body('amount')
     .isFloat({ min: 0.01 })
     .withMessage('L\'importo deve essere un numero positivo'),
+  body('currency')
+    .optional()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage('Valuta non supportata'),
+  body('exchangeRate')
+    .optional({ nullable: true })
+    .isFloat({ gt: 0 })
+    .withMessage('Il tasso di cambio deve essere un numero positivo'),
   body('description')
     .trim()
     .isLength({ min: 1, max: 200 })
@@ -70,6 +81,14 @@ const updateIncomeValidation = [
     .optional()
     .isFloat({ min: 0.01 })
     .withMessage('L\'importo deve essere un numero positivo'),
+  body('currency')
+    .optional()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage('Valuta non supportata'),
+  body('exchangeRate')
+    .optional({ nullable: true })
+    .isFloat({ gt: 0 })
+    .withMessage('Il tasso di cambio deve essere un numero positivo'),
   body('description')
     .optional()
     .trim()
@@ -98,39 +117,74 @@ const updateIncomeValidation = [
     .withMessage('isRecurring deve essere un booleano')
 ];
 
+// Validazioni per la cronologia delle modifiche
+const historyValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('ID non valido'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('La pagina deve essere un numero intero positivo'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Il limite deve essere tra 1 e 100')
+];
+
+// Validazioni per il ripristino di una revisione
+const revertRevisionValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('ID non valido'),
+  param('revisionId')
+    .isMongoId()
+    .withMessage('ID revisione non valido')
+];
+
 // @route   GET /api/incomes/stats
 // @desc    Ottieni statistiche entrate
 // @access  Private
-router.get('/stats', getIncomeStats);
+router.get('/stats', requirePermission('incomes:view'), getIncomeStats);
 
 // @route   POST /api/incomes/process-recurring
 // @desc    Processa entrate ricorrenti
-// @access  Private (Admin only)
-router.post('/process-recurring', requireFamilyAdmin, processRecurringIncomes);
+// @access  Private (recurring:process)
+router.post('/process-recurring', requirePermission('recurring:process'), processRecurringIncomes);
 
 // @route   GET /api/incomes
 // @desc    Ottieni tutte le entrate della famiglia
 // @access  Private
-router.get('/', getIncomes);
+router.get('/', requirePermission('incomes:view'), getIncomes);
 
 // @route   GET /api/incomes/:id
 // @desc    Ottieni singola entrata
 // @access  Private
-router.get('/:id', getIncome);
+router.get('/:id', requirePermission('incomes:view'), getIncome);
 
 // @route   POST /api/incomes
 // @desc    Crea nuova entrata
 // @access  Private
-router.post('/', createIncomeValidation, createIncome);
+router.post('/', requirePermission('incomes:create'), createIncomeValidation, createIncome);
 
 // @route   PUT /api/incomes/:id
 // @desc    Aggiorna entrata
 // @access  Private
-router.put('/:id', updateIncomeValidation, updateIncome);
+router.put('/:id', requirePermission('incomes:create'), updateIncomeValidation, updateIncome);
 
 // @route   DELETE /api/incomes/:id
 // @desc    Elimina entrata
 // @access  Private
-router.delete('/:id', deleteIncome);
+router.delete('/:id', requirePermission('incomes:create'), deleteIncome);
+
+// @route   GET /api/incomes/:id/history
+// @desc    Ottieni la cronologia delle modifiche
+// @access  Private
+router.get('/:id/history', requirePermission('incomes:view'), historyValidation, getIncomeHistory);
+
+// @route   POST /api/incomes/:id/history/:revisionId/revert
+// @desc    Ripristina i valori precedenti a una modifica
+// @access  Private
+router.post('/:id/history/:revisionId/revert', requirePermission('incomes:create'), revertRevisionValidation, revertIncomeRevision);
 
 module.exports = router; 
\ No newline at end of file
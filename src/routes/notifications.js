@@ -0,0 +1,52 @@
+const express = require('express');
+const { query } = require('express-validator');
+const {
+  getNotifications,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification
+} = require('../controllers/notificationController');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Middleware: le notifiche sono personali, basta l'autenticazione
+router.use(authenticate);
+
+// Validazioni per lista notifiche
+const getNotificationsValidation = [
+  query('unreadOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('unreadOnly deve essere un booleano'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('La pagina deve essere un numero intero positivo'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Il limite deve essere tra 1 e 100')
+];
+
+// @route   GET /api/notifications
+// @desc    Ottieni notifiche dell'utente
+// @access  Private
+router.get('/', getNotificationsValidation, getNotifications);
+
+// @route   PUT /api/notifications/read-all
+// @desc    Segna tutte le notifiche come lette
+// @access  Private
+router.put('/read-all', markAllAsRead);
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Segna notifica come letta
+// @access  Private
+router.put('/:id/read', markAsRead);
+
+// @route   DELETE /api/notifications/:id
+// @desc    Elimina notifica
+// @access  Private
+router.delete('/:id', deleteNotification);
+
+module.exports = router;
@@ -5,12 +5,28 @@ const {
   changeEmail, 
   uploadAvatar, 
   setAvatarUrl,
+  updateNotificationPreferences,
   exportUserData, 
-  deleteAccount 
+  deleteAccount,
+  getFamilies,
+  getSessions,
+  revokeSession,
+  getSecurityEvents,
+  getAccessTokens,
+  createAccessToken,
+  revokeAccessToken,
+  linkGoogle,
+  unlinkGoogle,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
 } = require('../controllers/profileController');
 const { authenticate } = require('../middleware/auth');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const { avatarStorage } = require('../config/cloudinary');
+const { TOKEN_SCOPES } = require('../services/personalAccessTokenService');
 
 const router = express.Router();
 
@@ -57,6 +73,55 @@ const setAvatarUrlValidation = [
     .withMessage('L\'URL deve essere tra 10 e 500 caratteri')
 ];
 
+const notificationPreferencesValidation = [
+  body('budgetAlertsEmail')
+    .optional()
+    .isBoolean()
+    .withMessage('budgetAlertsEmail deve essere un booleano')
+];
+
+const revokeSessionValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('ID sessione non valido')
+];
+
+const createAccessTokenValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Il nome del token deve essere tra 1 e 100 caratteri'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('Indica almeno un permesso'),
+  body('scopes.*')
+    .isIn(TOKEN_SCOPES)
+    .withMessage('Permesso non valido'),
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('La validità deve essere tra 1 e 365 giorni')
+    .toInt(),
+  body('rateLimitPerMinute')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Il limite deve essere tra 1 e 1000 richieste al minuto')
+    .toInt()
+];
+
+const revokeAccessTokenValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('ID token non valido')
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Il codice di verifica è obbligatorio')
+];
+
 const deleteAccountValidation = [
   body('password')
     .notEmpty()
@@ -83,6 +148,11 @@ router.post('/upload-avatar', authenticate, upload.single('avatar'), uploadAvata
 // @access  Private
 router.put('/set-avatar-url', authenticate, setAvatarUrlValidation, setAvatarUrl);
 
+// @route   PUT /api/profile/notifications
+// @desc    Aggiorna preferenze notifiche
+// @access  Private
+router.put('/notifications', authenticate, notificationPreferencesValidation, updateNotificationPreferences);
+
 // @route   GET /api/profile/export-data
 // @desc    Esporta dati utente
 // @access  Private
@@ -93,4 +163,74 @@ router.get('/export-data', authenticate, exportUserData);
 // @access  Private
 router.delete('/delete-account', authenticate, deleteAccountValidation, deleteAccount);
 
+// @route   GET /api/profile/families
+// @desc    Famiglie dell'utente e ruolo in ciascuna (selettore famiglia attiva)
+// @access  Private
+router.get('/families', authenticate, getFamilies);
+
+// @route   GET /api/profile/sessions
+// @desc    Lista sessioni attive (dispositivi collegati)
+// @access  Private
+router.get('/sessions', authenticate, getSessions);
+
+// @route   DELETE /api/profile/sessions/:id
+// @desc    Revoca una sessione
+// @access  Private
+router.delete('/sessions/:id', authenticate, revokeSessionValidation, revokeSession);
+
+// @route   GET /api/profile/tokens
+// @desc    Lista token personali attivi e permessi disponibili
+// @access  Private
+router.get('/tokens', authenticate, getAccessTokens);
+
+// @route   POST /api/profile/tokens
+// @desc    Crea un token personale (mostrato una sola volta)
+// @access  Private
+router.post('/tokens', authenticate, createAccessTokenValidation, createAccessToken);
+
+// @route   DELETE /api/profile/tokens/:id
+// @desc    Revoca un token personale
+// @access  Private
+router.delete('/tokens/:id', authenticate, revokeAccessTokenValidation, revokeAccessToken);
+
+// @route   GET /api/profile/security-events
+// @desc    Log di sicurezza dell'utente (ultimi 50 eventi)
+// @access  Private
+router.get('/security-events', authenticate, getSecurityEvents);
+
+// @route   POST /api/profile/google/link
+// @desc    Link per collegare un account Google
+// @access  Private
+router.post('/google/link', authenticate, linkGoogle);
+
+// @route   DELETE /api/profile/google
+// @desc    Scollega l'account Google
+// @access  Private
+router.delete('/google', authenticate, unlinkGoogle);
+
+// @route   GET /api/profile/2fa
+// @desc    Stato della verifica in due passaggi
+// @access  Private
+router.get('/2fa', authenticate, getTwoFactorStatus);
+
+// @route   POST /api/profile/2fa/setup
+// @desc    Genera segreto TOTP e QR code
+// @access  Private
+router.post('/2fa/setup', authenticate, setupTwoFactor);
+
+// @route   POST /api/profile/2fa/enable
+// @desc    Attiva la verifica in due passaggi con il primo codice
+// @access  Private
+router.post('/2fa/enable', authenticate, twoFactorCodeValidation, enableTwoFactor);
+
+// @route   POST /api/profile/2fa/disable
+// @desc    Disattiva la verifica in due passaggi (password e codice)
+// @access  Private
+router.post('/2fa/disable', authenticate, twoFactorCodeValidation, disableTwoFactor);
+
+// @route   POST /api/profile/2fa/recovery-codes
+// @desc    Rigenera i codici di recupero
+// @access  Private
+router.post('/2fa/recovery-codes', authenticate, twoFactorCodeValidation, regenerateRecoveryCodes);
+
 module.exports = router; 
\ No newline at end of file
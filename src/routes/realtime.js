@@ -0,0 +1,17 @@
+const express = require('express');
+const { streamEvents } = require('../controllers/realtimeController');
+const { authenticate, requireFamilyMember, allowQueryToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// EventSource non permette header personalizzati: il JWT può essere passato anche come ?token=
+router.use(allowQueryToken);
+router.use(authenticate);
+router.use(requireFamilyMember);
+
+// @route   GET /api/realtime/events
+// @desc    Stream SSE degli eventi created/updated/deleted della famiglia
+// @access  Private
+router.get('/events', streamEvents);
+
+module.exports = router;
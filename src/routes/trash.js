@@ -0,0 +1,63 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const {
+  getTrash,
+  restoreTrashItem,
+  purgeTrashItem,
+  emptyTrash
+} = require('../controllers/trashController');
+const { authenticate, requireFamilyMember } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Middleware: tutte le routes richiedono autenticazione e appartenenza famiglia
+router.use(authenticate);
+router.use(requireFamilyMember);
+
+// Validazioni per lista e svuotamento del cestino
+const trashQueryValidation = [
+  query('type')
+    .optional()
+    .isIn(['expense', 'income'])
+    .withMessage('Tipo non valido (expense o income)'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('La pagina deve essere un numero intero positivo'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Il limite deve essere tra 1 e 100')
+];
+
+// Validazioni per il singolo elemento
+const trashItemValidation = [
+  param('type')
+    .isIn(['expense', 'income'])
+    .withMessage('Tipo non valido (expense o income)'),
+  param('id')
+    .isMongoId()
+    .withMessage('ID non valido')
+];
+
+// @route   GET /api/trash
+// @desc    Ottieni spese ed entrate nel cestino
+// @access  Private
+router.get('/', trashQueryValidation, getTrash);
+
+// @route   DELETE /api/trash
+// @desc    Svuota il cestino
+// @access  Private
+router.delete('/', trashQueryValidation, emptyTrash);
+
+// @route   POST /api/trash/:type/:id/restore
+// @desc    Ripristina spesa o entrata dal cestino
+// @access  Private (expenses:create o incomes:create)
+router.post('/:type/:id/restore', trashItemValidation, restoreTrashItem);
+
+// @route   DELETE /api/trash/:type/:id
+// @desc    Elimina definitivamente spesa o entrata dal cestino
+// @access  Private (expenses:create o incomes:create)
+router.delete('/:type/:id', trashItemValidation, purgeTrashItem);
+
+module.exports = router;
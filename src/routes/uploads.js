@@ -0,0 +1,22 @@
+const express = require('express');
+const { serveReceiptFile } = require('../controllers/uploadController');
+const { authenticate, requireFamilyMember, allowQueryToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// I tag <img> non permettono header personalizzati: il JWT può essere passato anche come ?token=
+router.use(allowQueryToken);
+router.use(authenticate);
+
+// La famiglia è quella indicata nel percorso del file: l'utente deve esserne membro
+const selectFamilyFromFilePath = (req, res, next) => {
+  req.activeFamilyId = req.params.familyId;
+  next();
+};
+
+// @route   GET /uploads/receipts/:familyId/*
+// @desc    Scontrini e miniature salvati con lo storage locale
+// @access  Private (membri della famiglia)
+router.get('/receipts/:familyId/*', selectFamilyFromFilePath, requireFamilyMember, serveReceiptFile);
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const AuditEvent = require('../models/AuditEvent');
+const logger = require('../utils/logger');
+
+// Conservazione predefinita del log attività (sovrascrivibile con settings.auditRetentionDays)
+const DEFAULT_AUDIT_RETENTION_DAYS = 365;
+
+// Campi tecnici esclusi dal confronto
+const IGNORED_FIELDS = ['_id', '__v', 'familyId', 'createdAt', 'updatedAt'];
+
+// Valori più lunghi (es. testo OCR) vengono registrati solo come modificati
+const MAX_VALUE_LENGTH = 1000;
+
+const toPlainObject = (value) => {
+  if (!value) return {};
+  const plain = typeof value.toObject === 'function' ? value.toObject({ depopulate: true }) : value;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+const compactValue = (value) => {
+  if (value === undefined) return null;
+  const serialized = JSON.stringify(value);
+  return serialized && serialized.length > MAX_VALUE_LENGTH ? '[valore troppo lungo]' : value;
+};
+
+/**
+ * Campi di primo livello modificati tra due versioni di una risorsa.
+ * Senza versione precedente (creazione) o successiva (eliminazione) riporta tutti i campi.
+ * @param {Object|null} before - Documento o oggetto prima della modifica
+ * @param {Object|null} after - Documento o oggetto dopo la modifica
+ * @returns {Array<{field: string, before: *, after: *}>}
+ */
+const diffChanges = (before, after) => {
+  const previous = toPlainObject(before);
+  const next = toPlainObject(after);
+  const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+
+  return [...fields]
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => JSON.stringify(previous[field]) !== JSON.stringify(next[field]))
+    .map(field => ({
+      field,
+      before: compactValue(previous[field]),
+      after: compactValue(next[field])
+    }));
+};
+
+/**
+ * Registra un'operazione nel log attività della famiglia.
+ * Non blocca la richiesta: gli errori vengono solo registrati.
+ * @param {Object} req - Richiesta Express (famiglia attiva, utente, IP e user agent)
+ * @param {Object} event - Dati dell'evento
+ * @param {string} event.entity - Tipo di risorsa (expense, budget, member, ...)
+ * @param {string} event.action - created, updated, deleted o azione specifica
+ * @param {ObjectId|string} [event.entityId] - Risorsa interessata
+ * @param {Object} [event.before] - Versione precedente (aggiornamenti ed eliminazioni)
+ * @param {Object} [event.after] - Nuova versione (creazioni e aggiornamenti)
+ * @param {Object} [event.details] - Dettagli aggiuntivi
+ * @param {Object} [event.family] - Famiglia, se diversa da quella attiva della richiesta
+ */
+const recordAuditEvent = (req, { entity, action, entityId = null, before = null, after = null, details = null, family = null }) => {
+  const targetFamily = family || req.family;
+  if (!targetFamily) return;
+
+  const retentionDays = targetFamily.settings?.auditRetentionDays || DEFAULT_AUDIT_RETENTION_DAYS;
+
+  AuditEvent.create({
+    familyId: targetFamily._id,
+    actorId: req.user?._id || null,
+    entity,
+    entityId,
+    action,
+    changes: before || after ? diffChanges(before, after) : [],
+    details,
+    ip: req.ip || null,
+    userAgent: req.get('user-agent')?.slice(0, 500) || null,
+    expiresAt: new Date(Date.now() + retentionDays * 24 * 60 * 60 * 1000)
+  }).catch(error => logger.warn(`Audit event not saved (${entity}.${action}):`, error.message));
+};
+
+module.exports = {
+  DEFAULT_AUDIT_RETENTION_DAYS,
+  diffChanges,
+  recordAuditEvent
+};
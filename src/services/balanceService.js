@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const Settlement = require('../models/Settlement');
+
+/**
+ * Calcola il saldo netto di ogni membro dalle spese ripartite e dai pagamenti registrati.
+ * Saldo positivo = deve ricevere, negativo = deve dare.
+ * @param {ObjectId|string} familyId - ID famiglia
+ * @returns {Promise<Map<string, {paid: number, owed: number, settledOut: number, settledIn: number, balance: number}>>}
+ *   Importi in centesimi indicizzati per ID utente
+ */
+const calculateBalances = async (familyId) => {
+  const familyObjectId = new mongoose.Types.ObjectId(familyId);
+  const splitMatch = {
+    familyId: familyObjectId,
+    isActive: true,
+    'splits.0': { $exists: true }
+  };
+  const toCents = { $round: [{ $multiply: ['$amount', 100] }, 0] };
+  // Le spese sono convertite nella valuta base della famiglia
+  const baseToCents = { $round: [{ $multiply: [{ $ifNull: ['$baseAmount', '$amount'] }, 100] }, 0] };
+  const splitToCents = {
+    $round: [{ $multiply: ['$splits.amount', { $ifNull: ['$exchangeRate', 1] }, 100] }, 0]
+  };
+
+  const [paid, owed, settledOut, settledIn] = await Promise.all([
+    Expense.aggregate([
+      { $match: splitMatch },
+      { $group: { _id: '$userId', total: { $sum: baseToCents } } }
+    ]),
+    Expense.aggregate([
+      { $match: splitMatch },
+      { $unwind: '$splits' },
+      { $group: { _id: '$splits.userId', total: { $sum: splitToCents } } }
+    ]),
+    Settlement.aggregate([
+      { $match: { familyId: familyObjectId, isActive: true } },
+      { $group: { _id: '$fromUser', total: { $sum: toCents } } }
+    ]),
+    Settlement.aggregate([
+      { $match: { familyId: familyObjectId, isActive: true } },
+      { $group: { _id: '$toUser', total: { $sum: toCents } } }
+    ])
+  ]);
+
+  const balances = new Map();
+  const getEntry = (userId) => {
+    const key = userId.toString();
+    if (!balances.has(key)) {
+      balances.set(key, { paid: 0, owed: 0, settledOut: 0, settledIn: 0, balance: 0 });
+    }
+    return balances.get(key);
+  };
+
+  paid.forEach(({ _id, total }) => { getEntry(_id).paid += total; });
+  owed.forEach(({ _id, total }) => { getEntry(_id).owed += total; });
+  settledOut.forEach(({ _id, total }) => { getEntry(_id).settledOut += total; });
+  settledIn.forEach(({ _id, total }) => { getEntry(_id).settledIn += total; });
+
+  balances.forEach(entry => {
+    entry.balance = entry.paid - entry.owed + entry.settledOut - entry.settledIn;
+  });
+
+  return balances;
+};
+
+/**
+ * Riduce i saldi a un elenco di trasferimenti: ad ogni passo il maggior debitore
+ * paga il maggior creditore, quindi servono al massimo (membri - 1) trasferimenti
+ * @param {Map<string, {balance: number}>} balances - Saldi in centesimi per ID utente
+ * @returns {Array<{from: string, to: string, amount: number}>} Importi in centesimi
+ */
+const minimizeTransfers = (balances) => {
+  const debtors = [];
+  const creditors = [];
+
+  balances.forEach(({ balance }, userId) => {
+    if (balance < 0) debtors.push({ userId, amount: -balance });
+    if (balance > 0) creditors.push({ userId, amount: balance });
+  });
+
+  const byAmountDesc = (a, b) => b.amount - a.amount || a.userId.localeCompare(b.userId);
+  const transfers = [];
+
+  while (debtors.length > 0 && creditors.length > 0) {
+    debtors.sort(byAmountDesc);
+    creditors.sort(byAmountDesc);
+
+    const debtor = debtors[0];
+    const creditor = creditors[0];
+    const amount = Math.min(debtor.amount, creditor.amount);
+
+    transfers.push({ from: debtor.userId, to: creditor.userId, amount });
+
+    debtor.amount -= amount;
+    creditor.amount -= amount;
+    if (debtor.amount === 0) debtors.shift();
+    if (creditor.amount === 0) creditors.shift();
+  }
+
+  return transfers;
+};
+
+module.exports = {
+  calculateBalances,
+  minimizeTransfers
+};
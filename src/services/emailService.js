@@ -55,7 +55,88 @@ const sendFamilyInvite = async ({ to, inviteUrl, familyName, inviterName }) => {
   return sendEmail({ to, subject, html });
 };
 
+/**
+ * Invia email di avviso budget (soglia di allerta raggiunta o budget superato)
+ * @param {Object} options - Opzioni avviso
+ * @param {string} options.to - Email destinatario
+ * @param {string} options.name - Nome destinatario
+ * @param {string} options.title - Titolo dell'avviso
+ * @param {string} options.message - Testo dell'avviso
+ * @param {string} [options.dashboardUrl] - Link alla dashboard
+ * @returns {Promise<void>}
+ */
+const sendBudgetAlert = async ({ to, name, title, message, dashboardUrl }) => {
+  const subject = title;
+  const html = `
+    <h2>${title}</h2>
+    <p>Ciao ${name}!</p>
+    <p>${message}</p>
+    ${dashboardUrl ? `<a href="${dashboardUrl}" style="background: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Vai alla dashboard</a>` : ''}
+    <p>Puoi disattivare questi avvisi dalle impostazioni del profilo.</p>
+    <br>
+    <p>Team FamilyBudget</p>
+  `;
+
+  return sendEmail({ to, subject, html });
+};
+
+/**
+ * Invia email di conferma dell'indirizzo (registrazione o cambio email)
+ * @param {Object} options - Opzioni verifica
+ * @param {string} options.to - Indirizzo da confermare
+ * @param {string} options.name - Nome destinatario
+ * @param {string} options.verifyUrl - URL di conferma
+ * @param {boolean} [options.isEmailChange] - true se è un cambio di indirizzo
+ * @returns {Promise<void>}
+ */
+const sendEmailVerification = async ({ to, name, verifyUrl, isEmailChange = false }) => {
+  const subject = isEmailChange ? 'Conferma il nuovo indirizzo email - FamilyBudget' : 'Conferma la tua email - FamilyBudget';
+  const html = `
+    <h2>${isEmailChange ? 'Conferma il nuovo indirizzo email' : 'Benvenuto su FamilyBudget!'}</h2>
+    <p>Ciao ${name},</p>
+    <p>${isEmailChange
+      ? 'Hai richiesto di usare questo indirizzo per il tuo account FamilyBudget.'
+      : 'Grazie per esserti registrato. Conferma il tuo indirizzo email per usare tutte le funzioni.'}</p>
+    <a href="${verifyUrl}" style="background: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Conferma email</a>
+    <p>Il link scadrà tra 24 ore.</p>
+    <p>Se non hai richiesto questa operazione, ignora questa email.</p>
+    <br>
+    <p>Team FamilyBudget</p>
+  `;
+
+  return sendEmail({ to, subject, html });
+};
+
+/**
+ * Avvisa l'utente che l'account è stato bloccato per troppi tentativi di accesso falliti
+ * @param {Object} options - Opzioni avviso
+ * @param {string} options.to - Email destinatario
+ * @param {string} options.name - Nome destinatario
+ * @param {string} options.unlockUrl - URL per sbloccare subito l'account
+ * @param {Date} options.lockedUntil - Fine del blocco automatico
+ * @returns {Promise<void>}
+ */
+const sendAccountLocked = async ({ to, name, unlockUrl, lockedUntil }) => {
+  const subject = 'Account temporaneamente bloccato - FamilyBudget';
+  const html = `
+    <h2>Account temporaneamente bloccato</h2>
+    <p>Ciao ${name},</p>
+    <p>Abbiamo registrato troppi tentativi di accesso falliti al tuo account FamilyBudget.</p>
+    <p>Per protezione l'accesso è bloccato fino alle ${lockedUntil.toLocaleTimeString('it-IT', { hour: '2-digit', minute: '2-digit' })} del ${lockedUntil.toLocaleDateString('it-IT')}.</p>
+    <p>Se eri tu, puoi sbloccare subito l'account:</p>
+    <a href="${unlockUrl}" style="background: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Sblocca account</a>
+    <p>Se non sei stato tu, qualcuno potrebbe conoscere la tua email: ti consigliamo di cambiare password e attivare la verifica in due passaggi.</p>
+    <br>
+    <p>Team FamilyBudget</p>
+  `;
+
+  return sendEmail({ to, subject, html });
+};
+
 module.exports = {
   sendEmail,
-  sendFamilyInvite
+  sendFamilyInvite,
+  sendBudgetAlert,
+  sendEmailVerification,
+  sendAccountLocked
 }; 
\ No newline at end of file
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const { sendEmailVerification } = require('./emailService');
+const logger = require('../utils/logger');
+
+// Validità del link di conferma email
+const VERIFICATION_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Operazioni che possono essere vietate agli account con email non verificata
+const RESTRICTABLE_ACTIONS = ['join_family', 'invite_member'];
+const DEFAULT_RESTRICTIONS = 'join_family';
+
+const hashVerificationToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Operazioni vietate agli account non verificati:
+ * UNVERIFIED_EMAIL_RESTRICTIONS=join_family,invite_member (vuoto = nessuna)
+ * @returns {Array<string>}
+ */
+const getRestrictedActions = () => {
+  const configured = process.env.UNVERIFIED_EMAIL_RESTRICTIONS ?? DEFAULT_RESTRICTIONS;
+  return configured
+    .split(',')
+    .map(action => action.trim())
+    .filter(action => RESTRICTABLE_ACTIONS.includes(action));
+};
+
+/**
+ * Verifica se un'operazione è vietata agli account con email non verificata
+ * @param {string} action - Operazione (join_family, invite_member)
+ * @returns {boolean}
+ */
+const isActionRestricted = (action) => getRestrictedActions().includes(action);
+
+/**
+ * Genera un nuovo token di conferma e ne salva l'hash sull'utente (senza salvarlo)
+ * @param {Object} user - Documento User
+ * @returns {string} Token in chiaro da inviare per email
+ */
+const createVerificationToken = (user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  user.emailVerificationToken = hashVerificationToken(token);
+  user.emailVerificationExpires = new Date(Date.now() + VERIFICATION_TOKEN_TTL_MS);
+  return token;
+};
+
+/**
+ * Invia il link di conferma all'indirizzo da verificare (pendingEmail se presente).
+ * Non blocca la richiesta: in sviluppo, senza email configurata, il link viene solo registrato.
+ * @param {Object} user - Documento User
+ * @param {string} token - Token generato con createVerificationToken
+ */
+const sendVerificationEmail = async (user, token) => {
+  const to = user.pendingEmail || user.email;
+  const verifyUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email/${token}`;
+
+  if (!process.env.SENDGRID_API_KEY || !process.env.EMAIL_FROM) {
+    if (process.env.NODE_ENV === 'development') {
+      logger.warn(`Email not configured. Verification link for ${to}: ${verifyUrl}`);
+    }
+    return;
+  }
+
+  try {
+    await sendEmailVerification({
+      to,
+      name: user.name,
+      verifyUrl,
+      isEmailChange: Boolean(user.pendingEmail)
+    });
+    logger.info(`Verification email sent to: ${to}`);
+  } catch (error) {
+    logger.error('Verification email sending error:', error);
+  }
+};
+
+module.exports = {
+  RESTRICTABLE_ACTIONS,
+  hashVerificationToken,
+  getRestrictedActions,
+  isActionRestricted,
+  createVerificationToken,
+  sendVerificationEmail
+};
@@ -0,0 +1,147 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const { SUPPORTED_CURRENCIES } = require('../config/currencies');
+const { parseDate, splitCsvLine, detectDelimiter } = require('./importService');
+
+// Intestazioni accettate per le colonne del file tassi
+const RATE_COLUMNS = {
+  date: ['date', 'data'],
+  fromCurrency: ['from', 'da', 'currency', 'valuta'],
+  toCurrency: ['to', 'a', 'base'],
+  rate: ['rate', 'tasso', 'cambio']
+};
+
+// Tasso con separatore decimale "," o "." (es. "1,0856" o "1.0856")
+const parseRate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const rate = typeof value === 'number' ? value : parseFloat(String(value).trim().replace(',', '.'));
+  return Number.isFinite(rate) && rate > 0 ? rate : null;
+};
+
+// Data ISO (yyyy-mm-dd) oppure nel formato indicato
+const parseRateDate = (value, dateFormat) => {
+  const text = String(value || '').trim();
+  return parseDate(text, /^\d{4}-\d{1,2}-\d{1,2}/.test(text) ? 'yyyy-mm-dd' : dateFormat);
+};
+
+const buildRateRow = (row, { date, fromCurrency, toCurrency, rate }, options) => {
+  const parsed = {
+    row,
+    date: parseRateDate(date, options.dateFormat),
+    fromCurrency: String(fromCurrency || '').trim().toUpperCase(),
+    toCurrency: String(toCurrency || options.baseCurrency || '').trim().toUpperCase(),
+    rate: parseRate(rate),
+    errors: []
+  };
+
+  if (!parsed.date) parsed.errors.push('Data non valida');
+  if (!SUPPORTED_CURRENCIES.includes(parsed.fromCurrency)) parsed.errors.push('Valuta di origine non supportata');
+  if (!SUPPORTED_CURRENCIES.includes(parsed.toCurrency)) parsed.errors.push('Valuta di destinazione non supportata');
+  if (parsed.fromCurrency && parsed.fromCurrency === parsed.toCurrency) {
+    parsed.errors.push('Le valute di origine e destinazione devono essere diverse');
+  }
+  if (parsed.rate === null) parsed.errors.push('Tasso di cambio non valido');
+
+  parsed.isValid = parsed.errors.length === 0;
+  return parsed;
+};
+
+/**
+ * Converte un file di tassi di cambio (CSV con intestazione o JSON) in righe normalizzate.
+ * Colonne: data, valuta di origine, valuta di destinazione (opzionale, default valuta base), tasso.
+ * @param {Buffer} buffer - Contenuto del file
+ * @param {string} filename - Nome file (per riconoscere il formato)
+ * @param {Object} [options]
+ * @param {string} [options.baseCurrency] - Valuta di destinazione se non indicata nel file
+ * @param {string} [options.dateFormat] - Formato data se non ISO
+ * @returns {Array<Object>}
+ */
+const parseRatesFile = (buffer, filename = '', options = {}) => {
+  const settings = { dateFormat: 'dd/mm/yyyy', ...options };
+  const content = buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+  if (filename.toLowerCase().endsWith('.json')) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error('File JSON non valido');
+    }
+
+    const items = Array.isArray(data) ? data : data.rates;
+    if (!Array.isArray(items)) {
+      throw new Error('Il file JSON deve contenere un array di tassi');
+    }
+
+    return items.map((item, index) => buildRateRow(index + 1, {
+      date: item.date,
+      fromCurrency: item.from || item.fromCurrency,
+      toCurrency: item.to || item.toCurrency,
+      rate: item.rate
+    }, settings));
+  }
+
+  const lines = content.split(/\r?\n/).filter(line => line.trim().length > 0);
+  if (lines.length < 2) {
+    throw new Error('Il file non contiene tassi di cambio');
+  }
+
+  const delimiter = detectDelimiter(lines[0]);
+  const headers = splitCsvLine(lines[0], delimiter).map(header => header.toLowerCase());
+  const columns = Object.fromEntries(Object.entries(RATE_COLUMNS).map(([key, names]) =>
+    [key, headers.findIndex(header => names.includes(header))]
+  ));
+
+  if (columns.date === -1 || columns.fromCurrency === -1 || columns.rate === -1) {
+    throw new Error('Intestazioni non valide: servono almeno data, valuta e tasso');
+  }
+
+  return lines.slice(1).map((line, index) => {
+    const fields = splitCsvLine(line, delimiter);
+    return buildRateRow(index + 2, {
+      date: fields[columns.date],
+      fromCurrency: fields[columns.fromCurrency],
+      toCurrency: columns.toCurrency !== -1 ? fields[columns.toCurrency] : null,
+      rate: fields[columns.rate]
+    }, settings);
+  });
+};
+
+/**
+ * Salva i tassi validi sostituendo quelli già presenti per la stessa coppia e data
+ * @param {ObjectId|string} familyId - ID famiglia
+ * @param {Array<Object>} rows - Righe da parseRatesFile
+ * @param {ObjectId|string} userId - Utente che esegue l'import
+ * @returns {Promise<{imported: number, updated: number}>}
+ */
+const saveImportedRates = async (familyId, rows, userId) => {
+  const operations = rows.filter(row => row.isValid).map(row => ({
+    updateOne: {
+      filter: {
+        familyId,
+        fromCurrency: row.fromCurrency,
+        toCurrency: row.toCurrency,
+        date: row.date
+      },
+      update: {
+        $set: { rate: row.rate, source: 'import' },
+        $setOnInsert: { createdBy: userId }
+      },
+      upsert: true
+    }
+  }));
+
+  if (operations.length === 0) {
+    return { imported: 0, updated: 0 };
+  }
+
+  const result = await ExchangeRate.bulkWrite(operations);
+  return {
+    imported: result.upsertedCount,
+    updated: result.modifiedCount
+  };
+};
+
+module.exports = {
+  parseRatesFile,
+  saveImportedRates
+};
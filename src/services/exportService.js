@@ -0,0 +1,485 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const Income = require('../models/Income');
+const Budget = require('../models/Budget');
+const { DEFAULT_CURRENCY } = require('../config/currencies');
+
+// Formati di esportazione supportati
+const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf'
+};
+
+const INCOME_SOURCES = {
+  salary: 'Stipendio',
+  freelance: 'Lavoro autonomo',
+  bonus: 'Bonus',
+  investment: 'Investimenti',
+  rental: 'Affitti',
+  gift: 'Regali',
+  refund: 'Rimborsi',
+  other: 'Altro'
+};
+
+const MONTH_NAMES = [
+  'Gennaio', 'Febbraio', 'Marzo', 'Aprile', 'Maggio', 'Giugno',
+  'Luglio', 'Agosto', 'Settembre', 'Ottobre', 'Novembre', 'Dicembre'
+];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Data nel formato dd/mm/yyyy, lo stesso atteso di default dall'import CSV
+const formatDate = (date) => {
+  const d = new Date(date);
+  return `${pad(d.getDate())}/${pad(d.getMonth() + 1)}/${d.getFullYear()}`;
+};
+
+// Importo nel formato italiano senza separatore delle migliaia (es. -1234,50)
+const formatAmount = (amount) => Number(amount).toFixed(2).replace('.', ',');
+
+const getMonthKey = (year, month) => `${year}-${pad(month)}`;
+
+// Importo nella valuta base della famiglia (i dati precedenti al multi-valuta non hanno baseAmount)
+const getBaseAmount = (transaction) => transaction.baseAmount ?? transaction.amount;
+
+/**
+ * Costruisce i filtri di esportazione a partire dagli stessi parametri di GET /api/expenses
+ * @param {ObjectId|string} familyId - ID famiglia
+ * @param {Object} query - category, userId, startDate, endDate, search, minAmount, maxAmount
+ * @returns {{expenses: Object, incomes: Object|null, budgets: Object}}
+ */
+const buildExportFilters = (familyId, query = {}) => {
+  const { category, userId, startDate, endDate, search, minAmount, maxAmount } = query;
+
+  const transactionFilters = { familyId, isActive: true };
+
+  if (userId) {
+    transactionFilters.userId = new mongoose.Types.ObjectId(userId);
+  }
+
+  if (startDate || endDate) {
+    transactionFilters.date = {};
+    if (startDate) transactionFilters.date.$gte = new Date(startDate);
+    if (endDate) transactionFilters.date.$lte = new Date(endDate);
+  }
+
+  if (minAmount || maxAmount) {
+    transactionFilters.amount = {};
+    if (minAmount) transactionFilters.amount.$gte = parseFloat(minAmount);
+    if (maxAmount) transactionFilters.amount.$lte = parseFloat(maxAmount);
+  }
+
+  if (search) {
+    transactionFilters.$text = { $search: search };
+  }
+
+  const expenses = { ...transactionFilters };
+  if (category) expenses.category = category;
+
+  // Le entrate non hanno categoria: con un filtro per categoria vengono escluse
+  const incomes = category ? null : { ...transactionFilters };
+
+  // Budget dei mesi compresi nel periodo (confronto su anno * 12 + mese)
+  const budgets = { familyId, isActive: true };
+  if (category) budgets.categoryId = category;
+
+  const periodConditions = [];
+  const periodIndex = { $add: [{ $multiply: ['$year', 12] }, '$month'] };
+  if (startDate) {
+    const start = new Date(startDate);
+    periodConditions.push({ $gte: [periodIndex, start.getFullYear() * 12 + start.getMonth() + 1] });
+  }
+  if (endDate) {
+    const end = new Date(endDate);
+    periodConditions.push({ $lte: [periodIndex, end.getFullYear() * 12 + end.getMonth() + 1] });
+  }
+  if (periodConditions.length > 0) {
+    budgets.$expr = { $and: periodConditions };
+  }
+
+  return { expenses, incomes, budgets };
+};
+
+// Cursori ordinati per data sulle transazioni filtrate
+const expenseCursor = (filters) => Expense.find(filters)
+  .populate('category', 'name')
+  .populate('userId', 'name')
+  .sort({ date: 1 })
+  .cursor();
+
+const incomeCursor = (filters) => Income.find(filters)
+  .populate('userId', 'name')
+  .sort({ date: 1 })
+  .cursor();
+
+const loadBudgets = (filters) => Budget.find(filters)
+  .populate('categoryId', 'name')
+  .sort({ year: 1, month: 1 });
+
+// Scrive sullo stream rispettando il backpressure della risposta
+const write = (stream, chunk) => new Promise((resolve, reject) => {
+  if (stream.destroyed) {
+    return reject(new Error('Connessione chiusa durante l\'esportazione'));
+  }
+  if (stream.write(chunk)) return resolve();
+
+  const onDrain = () => {
+    stream.off('close', onClose);
+    resolve();
+  };
+  const onClose = () => {
+    stream.off('drain', onDrain);
+    reject(new Error('Connessione chiusa durante l\'esportazione'));
+  };
+  stream.once('drain', onDrain);
+  stream.once('close', onClose);
+});
+
+// Unisce due cursori già ordinati per data in un'unica sequenza cronologica
+async function* mergeByDate(expenses, incomes) {
+  try {
+    let expense = expenses ? await expenses.next() : null;
+    let income = incomes ? await incomes.next() : null;
+
+    while (expense || income) {
+      if (income && (!expense || income.date < expense.date)) {
+        yield { type: 'income', doc: income };
+        income = await incomes.next();
+      } else {
+        yield { type: 'expense', doc: expense };
+        expense = await expenses.next();
+      }
+    }
+  } finally {
+    // Chiude i cursori anche in caso di interruzione dell'esportazione
+    await Promise.all([expenses, incomes].filter(Boolean).map(cursor => cursor.close()));
+  }
+}
+
+/**
+ * Esporta le transazioni in CSV (separatore ";"), seguite dalla sezione budget.
+ * Le colonne Data/Importo/Descrizione sono compatibili con l'import CSV;
+ * Importo è nella valuta base, l'importo originale è nelle colonne successive.
+ * @param {Writable} stream - Stream di destinazione (es. risposta HTTP)
+ * @param {Object} filters - Filtri da buildExportFilters
+ */
+const writeCsv = async (stream, filters) => {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[;"\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const line = (values) => values.map(escape).join(';') + '\r\n';
+
+  // BOM per la corretta lettura degli accenti in Excel
+  await write(stream, '\uFEFF');
+  await write(stream, line([
+    'Data', 'Tipo', 'Descrizione', 'Categoria', 'Importo', 'Importo originale', 'Valuta', 'Utente', 'Note', 'Tag'
+  ]));
+
+  const transactions = mergeByDate(
+    expenseCursor(filters.expenses),
+    filters.incomes ? incomeCursor(filters.incomes) : null
+  );
+
+  for await (const { type, doc } of transactions) {
+    const isExpense = type === 'expense';
+    await write(stream, line([
+      formatDate(doc.date),
+      isExpense ? 'Spesa' : 'Entrata',
+      doc.description,
+      isExpense ? doc.category?.name : INCOME_SOURCES[doc.source],
+      formatAmount(isExpense ? -getBaseAmount(doc) : getBaseAmount(doc)),
+      formatAmount(isExpense ? -doc.amount : doc.amount),
+      doc.currency,
+      doc.userId?.name,
+      doc.notes,
+      (doc.tags || []).join(', ')
+    ]));
+  }
+
+  const budgets = await loadBudgets(filters.budgets);
+  if (budgets.length > 0) {
+    await write(stream, '\r\n');
+    await write(stream, line(['Mese', 'Budget', 'Categoria', 'Importo', 'Speso', 'Residuo', 'Utilizzo %']));
+
+    for (const budget of budgets) {
+      await write(stream, line([
+        getMonthKey(budget.year, budget.month),
+        'Budget',
+        budget.categoryId?.name,
+        formatAmount(budget.amount),
+        formatAmount(budget.spent),
+        formatAmount(budget.remaining),
+        budget.percentageUsed
+      ]));
+    }
+  }
+
+  stream.end();
+};
+
+/**
+ * Esporta spese, entrate e budget in un file XLSX con un foglio per tipo
+ * @param {Writable} stream - Stream di destinazione (es. risposta HTTP)
+ * @param {Object} filters - Filtri da buildExportFilters
+ * @param {Object} [options]
+ * @param {string} [options.baseCurrency] - Valuta base della famiglia
+ */
+const writeXlsx = async (stream, filters, { baseCurrency = DEFAULT_CURRENCY } = {}) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  const currencyFormat = '#,##0.00';
+  const baseHeader = `Importo (${baseCurrency})`;
+
+  const addSheet = (name, columns) => {
+    const sheet = workbook.addWorksheet(name);
+    sheet.columns = columns;
+    sheet.getRow(1).font = { bold: true };
+    return sheet;
+  };
+
+  const expenseSheet = addSheet('Spese', [
+    { header: 'Data', key: 'date', width: 12, style: { numFmt: 'dd/mm/yyyy' } },
+    { header: 'Descrizione', key: 'description', width: 40 },
+    { header: 'Categoria', key: 'category', width: 20 },
+    { header: baseHeader, key: 'baseAmount', width: 14, style: { numFmt: currencyFormat } },
+    { header: 'Importo originale', key: 'amount', width: 14, style: { numFmt: currencyFormat } },
+    { header: 'Valuta', key: 'currency', width: 8 },
+    { header: 'Utente', key: 'user', width: 20 },
+    { header: 'Note', key: 'notes', width: 40 },
+    { header: 'Tag', key: 'tags', width: 20 }
+  ]);
+
+  for await (const expense of expenseCursor(filters.expenses)) {
+    expenseSheet.addRow({
+      date: expense.date,
+      description: expense.description,
+      category: expense.category?.name,
+      baseAmount: getBaseAmount(expense),
+      amount: expense.amount,
+      currency: expense.currency,
+      user: expense.userId?.name,
+      notes: expense.notes,
+      tags: (expense.tags || []).join(', ')
+    }).commit();
+  }
+  expenseSheet.commit();
+
+  const incomeSheet = addSheet('Entrate', [
+    { header: 'Data', key: 'date', width: 12, style: { numFmt: 'dd/mm/yyyy' } },
+    { header: 'Descrizione', key: 'description', width: 40 },
+    { header: 'Fonte', key: 'source', width: 20 },
+    { header: baseHeader, key: 'baseAmount', width: 14, style: { numFmt: currencyFormat } },
+    { header: 'Importo originale', key: 'amount', width: 14, style: { numFmt: currencyFormat } },
+    { header: 'Valuta', key: 'currency', width: 8 },
+    { header: 'Utente', key: 'user', width: 20 },
+    { header: 'Note', key: 'notes', width: 40 },
+    { header: 'Tag', key: 'tags', width: 20 }
+  ]);
+
+  if (filters.incomes) {
+    for await (const income of incomeCursor(filters.incomes)) {
+      incomeSheet.addRow({
+        date: income.date,
+        description: income.description,
+        source: INCOME_SOURCES[income.source],
+        baseAmount: getBaseAmount(income),
+        amount: income.amount,
+        currency: income.currency,
+        user: income.userId?.name,
+        notes: income.notes,
+        tags: (income.tags || []).join(', ')
+      }).commit();
+    }
+  }
+  incomeSheet.commit();
+
+  const budgetSheet = addSheet('Budget', [
+    { header: 'Mese', key: 'period', width: 10 },
+    { header: 'Categoria', key: 'category', width: 20 },
+    { header: `Budget (${baseCurrency})`, key: 'amount', width: 14, style: { numFmt: currencyFormat } },
+    { header: 'Speso', key: 'spent', width: 14, style: { numFmt: currencyFormat } },
+    { header: 'Residuo', key: 'remaining', width: 14, style: { numFmt: currencyFormat } },
+    { header: 'Utilizzo %', key: 'percentageUsed', width: 12 }
+  ]);
+
+  const budgets = await loadBudgets(filters.budgets);
+  budgets.forEach(budget => {
+    budgetSheet.addRow({
+      period: getMonthKey(budget.year, budget.month),
+      category: budget.categoryId?.name,
+      amount: budget.amount,
+      spent: budget.spent,
+      remaining: budget.remaining,
+      percentageUsed: budget.percentageUsed
+    }).commit();
+  });
+  budgetSheet.commit();
+
+  await workbook.commit();
+};
+
+/**
+ * Esporta un estratto conto mensile stampabile in PDF: per ogni mese
+ * elenco delle transazioni, totali e situazione dei budget
+ * @param {Writable} stream - Stream di destinazione (es. risposta HTTP)
+ * @param {Object} filters - Filtri da buildExportFilters
+ * @param {Object} [options]
+ * @param {string} [options.familyName] - Nome famiglia per l'intestazione
+ * @param {string} [options.startDate] - Inizio periodo
+ * @param {string} [options.endDate] - Fine periodo
+ * @param {string} [options.baseCurrency] - Valuta base della famiglia (valuta dei totali)
+ */
+const writePdf = async (stream, filters, { familyName, startDate, endDate, baseCurrency = DEFAULT_CURRENCY } = {}) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  doc.pipe(stream);
+
+  const columns = { date: 40, description: 105, category: 320, amount: 445 };
+  const amountWidth = doc.page.width - doc.page.margins.right - columns.amount;
+  const bottom = () => doc.page.height - doc.page.margins.bottom - 20;
+  const ensureSpace = () => {
+    if (doc.y > bottom()) doc.addPage();
+  };
+
+  const row = (values, { bold = false } = {}) => {
+    ensureSpace();
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    doc.text(values.date || '', columns.date, y, { width: 60 });
+    doc.text(values.description || '', columns.description, y, { width: 205, ellipsis: true, height: 11 });
+    doc.text(values.category || '', columns.category, y, { width: 120, ellipsis: true, height: 11 });
+    doc.text(values.amount || '', columns.amount, y, { width: amountWidth, align: 'right' });
+    doc.x = doc.page.margins.left;
+    doc.y = y + 14;
+  };
+
+  // Intestazione
+  const period = startDate || endDate
+    ? `Periodo: ${startDate ? formatDate(startDate) : '...'} - ${endDate ? formatDate(endDate) : '...'}`
+    : 'Tutte le transazioni';
+  doc.font('Helvetica-Bold').fontSize(16).text(`Estratto conto${familyName ? ` - ${familyName}` : ''}`);
+  doc.font('Helvetica').fontSize(10).text(period);
+  doc.text(`Generato il ${formatDate(new Date())}`);
+  doc.moveDown();
+
+  // Budget raggruppati per mese
+  const budgetsByMonth = new Map();
+  const budgets = await loadBudgets(filters.budgets);
+  budgets.forEach(budget => {
+    const key = getMonthKey(budget.year, budget.month);
+    if (!budgetsByMonth.has(key)) budgetsByMonth.set(key, []);
+    budgetsByMonth.get(key).push(budget);
+  });
+
+  const writeBudgets = (key) => {
+    const monthBudgets = budgetsByMonth.get(key);
+    if (!monthBudgets) return;
+
+    doc.moveDown(0.5);
+    row({ description: 'Budget', category: 'Speso / Budget', amount: 'Residuo' }, { bold: true });
+    monthBudgets.forEach(budget => {
+      row({
+        description: budget.categoryId?.name,
+        category: `${formatAmount(budget.spent)} / ${formatAmount(budget.amount)} (${budget.percentageUsed}%)`,
+        amount: formatAmount(budget.remaining)
+      });
+    });
+    budgetsByMonth.delete(key);
+  };
+
+  const writeMonthHeader = (key) => {
+    const [year, month] = key.split('-').map(Number);
+    if (doc.y > bottom() - 60) doc.addPage();
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(12).text(`${MONTH_NAMES[month - 1]} ${year}`, doc.page.margins.left);
+    doc.moveDown(0.3);
+    row({ date: 'Data', description: 'Descrizione', category: 'Categoria / Fonte', amount: `Importo (${baseCurrency})` }, { bold: true });
+  };
+
+  // Mesi con soli budget e nessuna transazione precedenti alla chiave indicata
+  const writeBudgetOnlyMonths = (untilKey) => {
+    [...budgetsByMonth.keys()]
+      .filter(key => untilKey === undefined || key < untilKey)
+      .sort()
+      .forEach(key => {
+        writeMonthHeader(key);
+        row({ description: 'Nessuna transazione' });
+        writeBudgets(key);
+      });
+  };
+
+  let currentKey = null;
+  let totals = null;
+  const grandTotals = { incomes: 0, expenses: 0 };
+
+  const closeMonth = () => {
+    if (!currentKey) return;
+    doc.moveDown(0.3);
+    row({ description: 'Totale entrate', amount: formatAmount(totals.incomes) }, { bold: true });
+    row({ description: 'Totale spese', amount: formatAmount(-totals.expenses) }, { bold: true });
+    row({ description: 'Saldo del mese', amount: formatAmount(totals.incomes - totals.expenses) }, { bold: true });
+    writeBudgets(currentKey);
+  };
+
+  const transactions = mergeByDate(
+    expenseCursor(filters.expenses),
+    filters.incomes ? incomeCursor(filters.incomes) : null
+  );
+
+  for await (const { type, doc: transaction } of transactions) {
+    const date = new Date(transaction.date);
+    const key = getMonthKey(date.getFullYear(), date.getMonth() + 1);
+
+    if (key !== currentKey) {
+      closeMonth();
+      writeBudgetOnlyMonths(key);
+      writeMonthHeader(key);
+      currentKey = key;
+      totals = { incomes: 0, expenses: 0 };
+    }
+
+    const isExpense = type === 'expense';
+    const baseAmount = getBaseAmount(transaction);
+    totals[isExpense ? 'expenses' : 'incomes'] += baseAmount;
+    grandTotals[isExpense ? 'expenses' : 'incomes'] += baseAmount;
+
+    // Per le transazioni in valuta estera riporta anche l'importo originale
+    const isForeign = transaction.currency && transaction.currency !== baseCurrency;
+
+    row({
+      date: formatDate(transaction.date),
+      description: isForeign
+        ? `${transaction.description} (${formatAmount(transaction.amount)} ${transaction.currency})`
+        : transaction.description,
+      category: isExpense ? transaction.category?.name : INCOME_SOURCES[transaction.source],
+      amount: formatAmount(isExpense ? -baseAmount : baseAmount)
+    });
+  }
+
+  closeMonth();
+  writeBudgetOnlyMonths();
+
+  // Riepilogo finale
+  if (doc.y > bottom() - 60) doc.addPage();
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(12).text('Riepilogo periodo', doc.page.margins.left);
+  doc.moveDown(0.3);
+  row({ description: 'Totale entrate', amount: formatAmount(grandTotals.incomes) });
+  row({ description: 'Totale spese', amount: formatAmount(-grandTotals.expenses) });
+  row({ description: 'Saldo', amount: formatAmount(grandTotals.incomes - grandTotals.expenses) }, { bold: true });
+
+  doc.end();
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  CONTENT_TYPES,
+  buildExportFilters,
+  writeCsv,
+  writeXlsx,
+  writePdf
+};
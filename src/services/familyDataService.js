@@ -0,0 +1,46 @@
+const Family = require('../models/Family');
+const Expense = require('../models/Expense');
+const Income = require('../models/Income');
+const Budget = require('../models/Budget');
+const Category = require('../models/Category');
+const CategorizationRule = require('../models/CategorizationRule');
+const SavingsGoal = require('../models/SavingsGoal');
+const Settlement = require('../models/Settlement');
+const Notification = require('../models/Notification');
+const ExchangeRate = require('../models/ExchangeRate');
+const AuditEvent = require('../models/AuditEvent');
+const Revision = require('../models/Revision');
+const JobRun = require('../models/JobRun');
+const { deleteReceiptsForExpenses } = require('./receiptStorageService');
+
+// Tutte le collezioni con dati di una famiglia (campo familyId).
+// Un nuovo modello legato alla famiglia va aggiunto qui per essere eliminato con lei.
+const FAMILY_DATA_MODELS = [
+  Expense,
+  Income,
+  Budget,
+  Category,
+  CategorizationRule,
+  SavingsGoal,
+  Settlement,
+  Notification,
+  ExchangeRate,
+  AuditEvent,
+  Revision,
+  JobRun
+];
+
+/**
+ * Elimina una famiglia con tutti i suoi dati, compresi gli scontrini archiviati
+ * @param {ObjectId|string} familyId - Famiglia da eliminare
+ */
+const deleteFamilyWithData = async (familyId) => {
+  await deleteReceiptsForExpenses({ familyId });
+  await Promise.all(FAMILY_DATA_MODELS.map(model => model.deleteMany({ familyId })));
+  await Family.findByIdAndDelete(familyId);
+};
+
+module.exports = {
+  FAMILY_DATA_MODELS,
+  deleteFamilyWithData
+};
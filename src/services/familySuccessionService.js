@@ -0,0 +1,53 @@
+const User = require('../models/User');
+const { OWNER_ONLY_ROLES, roleHasPermission } = require('../config/permissions');
+const logger = require('../utils/logger');
+
+/**
+ * Applica la politica di successione prima che un membro lasci la famiglia (uscita volontaria,
+ * rimozione o eliminazione dell'account), senza salvare la famiglia.
+ * Se il membro è l'ultimo owner o l'ultimo che può gestire i membri, il successore indicato
+ * (o, senza indicazione, quello scelto con family.findSuccessor) riceve il ruolo owner se
+ * l'uscente era proprietario, altrimenti admin. Un trasferimento di proprietà in attesa che
+ * coinvolge il membro uscente viene annullato.
+ * @param {Object} family - Documento Family
+ * @param {ObjectId|string} userId - Membro uscente
+ * @param {ObjectId|string} [successorId] - Successore indicato dal membro uscente
+ * @returns {Promise<{userId: string, role: string}|null>} Successore promosso, null se non serve
+ */
+const applySuccession = async (family, userId, successorId = null) => {
+  const transfer = family.getPendingOwnershipTransfer();
+  if (transfer && [transfer.to.toString(), transfer.requestedBy.toString()].includes(userId.toString())) {
+    family.clearOwnershipTransfer();
+  }
+
+  if (!family.requiresSuccessor(userId)) return null;
+
+  const successor = successorId
+    ? family.getActiveMembers().find(member =>
+      member.user.toString() === successorId.toString() && member.user.toString() !== userId.toString()
+    )
+    : family.findSuccessor(userId);
+
+  if (!successor) {
+    throw new Error('Il successore deve essere un altro membro attivo della famiglia');
+  }
+
+  const departingRole = family.getMemberRole(userId);
+  if (OWNER_ONLY_ROLES.includes(departingRole)) {
+    successor.role = departingRole;
+    family.createdBy = successor.user;
+  } else if (!roleHasPermission(family, successor.role, 'members:manage')) {
+    successor.role = 'admin';
+  }
+
+  // Aggiorna anche l'utente, se è la sua famiglia predefinita
+  await User.updateOne({ _id: successor.user, familyId: family._id }, { role: successor.role });
+
+  logger.info(`Family ${family._id} succession: ${successor.user} is now ${successor.role} after ${userId} left`);
+
+  return { userId: successor.user.toString(), role: successor.role };
+};
+
+module.exports = {
+  applySuccession
+};
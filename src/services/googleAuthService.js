@@ -0,0 +1,136 @@
+const User = require('../models/User');
+const { revokeAllSessions } = require('./sessionService');
+const { revokeAllPersonalAccessTokens } = require('./personalAccessTokenService');
+const logger = require('../utils/logger');
+
+// Campi riservati (select: false) da rimuovere quando un accesso Google prende possesso
+// di un account con email non verificata
+const ACCOUNT_TAKEOVER_UNSET = {
+  password: 1,
+  emailVerificationToken: 1,
+  emailVerificationExpires: 1,
+  'twoFactor.secret': 1,
+  'twoFactor.pendingSecret': 1,
+  'twoFactor.recoveryCodes': 1,
+  'twoFactor.lastUsedStep': 1,
+  'loginSecurity.unlockToken': 1,
+  'loginSecurity.unlockTokenExpires': 1
+};
+
+// Email del profilo Google, solo se verificata da Google
+const getVerifiedEmail = (profile) => {
+  const email = profile.emails?.[0];
+  if (!email?.value) return null;
+  const verified = email.verified === true || email.verified === 'true';
+  return verified ? email.value.toLowerCase() : null;
+};
+
+const getDisplayName = (profile, email) => {
+  const name = profile.displayName || [profile.name?.givenName, profile.name?.familyName].filter(Boolean).join(' ');
+  return (name || email.split('@')[0]).slice(0, 50);
+};
+
+/**
+ * Trova o crea l'utente per un accesso con Google.
+ * Un utente esistente con la stessa email (verificata da Google) viene collegato al profilo.
+ * @param {Object} profile - Profilo passport-google-oauth20
+ * @returns {Promise<{user: Object, created: boolean, linked: boolean}>}
+ */
+const findOrCreateGoogleUser = async (profile) => {
+  let user = await User.findOne({ googleId: profile.id });
+  let created = false;
+  let linked = false;
+
+  if (!user) {
+    const email = getVerifiedEmail(profile);
+    if (!email) {
+      throw new Error('L\'account Google non ha un\'email verificata');
+    }
+
+    user = await User.findOne({ email });
+
+    if (user) {
+      if (user.googleId) {
+        throw new Error('Questo utente è già collegato a un altro account Google');
+      }
+      user.googleId = profile.id;
+      linked = true;
+      // L'indirizzo è stato verificato da Google. Se l'account non era verificato potrebbe
+      // essere stato registrato da altri con questa email: password, verifica in due
+      // passaggi, cambio email in sospeso, blocchi, sessioni e token personali non valgono più.
+      if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+        user.pendingEmail = null;
+        user.twoFactor.enabled = false;
+        user.twoFactor.enabledAt = null;
+        user.loginSecurity.failedAttempts = 0;
+        user.loginSecurity.lastFailedAt = null;
+        user.loginSecurity.lockedUntil = null;
+        // I campi riservati non sono caricati nel documento: vanno rimossi esplicitamente
+        await User.updateOne({ _id: user._id }, { $unset: ACCOUNT_TAKEOVER_UNSET });
+        await revokeAllSessions(user._id, 'password_reset');
+        await revokeAllPersonalAccessTokens(user._id);
+      }
+    } else {
+      user = new User({
+        name: getDisplayName(profile, email),
+        email,
+        googleId: profile.id,
+        emailVerified: true,
+        emailVerifiedAt: new Date()
+      });
+      created = true;
+    }
+
+    if (!user.avatar && profile.photos?.[0]?.value) {
+      user.avatar = profile.photos[0].value;
+    }
+  }
+
+  if (!user.isActive) {
+    throw new Error('Account disattivato');
+  }
+
+  user.lastLogin = new Date();
+  await user.save();
+
+  if (created) {
+    logger.info(`New user registered with Google: ${user.email}`);
+  } else if (linked) {
+    logger.info(`Google account linked by email to: ${user.email}`);
+  }
+
+  return { user, created, linked };
+};
+
+/**
+ * Collega un profilo Google a un utente già autenticato
+ * @param {ObjectId|string} userId - Utente che richiede il collegamento
+ * @param {Object} profile - Profilo passport-google-oauth20
+ * @returns {Promise<Object>} Utente aggiornato
+ */
+const linkGoogleAccount = async (userId, profile) => {
+  const owner = await User.findOne({ googleId: profile.id });
+  if (owner && owner._id.toString() !== userId.toString()) {
+    throw new Error('Questo account Google è già collegato a un altro utente');
+  }
+
+  const user = await User.findById(userId);
+  if (!user || !user.isActive) {
+    throw new Error('Utente non trovato o non attivo');
+  }
+
+  if (user.googleId !== profile.id) {
+    user.googleId = profile.id;
+    await user.save();
+    logger.info(`Google account linked to: ${user.email}`);
+  }
+
+  return user;
+};
+
+module.exports = {
+  findOrCreateGoogleUser,
+  linkGoogleAccount
+};
@@ -0,0 +1,384 @@
+const Expense = require('../models/Expense');
+const Income = require('../models/Income');
+
+// Formati data supportati per CSV e QIF
+const DATE_FORMATS = ['dd/mm/yyyy', 'mm/dd/yyyy', 'yyyy-mm-dd'];
+
+/**
+ * Converte un importo testuale in numero
+ * @param {string|number} value - Importo (es. "1.234,56", "-12,50", "1,234.56")
+ * @param {string} [numberFormat] - 'it' (1.234,56) o 'en' (1,234.56)
+ * @returns {number|null}
+ */
+const parseAmount = (value, numberFormat = 'it') => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (!value) return null;
+
+  let cleaned = String(value).trim().replace(/[€$£\s]|CHF/g, '');
+
+  // Gestione segno tra parentesi o in coda (es. "(12,50)" o "12,50-")
+  let negative = false;
+  if (/^\(.*\)$/.test(cleaned)) {
+    negative = true;
+    cleaned = cleaned.slice(1, -1);
+  }
+  if (cleaned.endsWith('-')) {
+    negative = true;
+    cleaned = cleaned.slice(0, -1);
+  }
+
+  if (numberFormat === 'it') {
+    cleaned = cleaned.replace(/\./g, '').replace(',', '.');
+  } else {
+    cleaned = cleaned.replace(/,/g, '');
+  }
+
+  if (!/^[+-]?\d+(\.\d+)?$/.test(cleaned)) return null;
+
+  const amount = parseFloat(cleaned);
+  return negative ? -amount : amount;
+};
+
+/**
+ * Converte una data testuale in Date (mezzanotte locale)
+ * @param {string} value - Data (es. "31/01/2025")
+ * @param {string} [dateFormat] - Uno di DATE_FORMATS
+ * @returns {Date|null}
+ */
+const parseDate = (value, dateFormat = 'dd/mm/yyyy') => {
+  if (!value) return null;
+
+  const parts = String(value).trim().split(/[/.\-' ]/).filter(Boolean).map(Number);
+  if (parts.length < 3 || parts.some(Number.isNaN)) return null;
+
+  let day, month, year;
+  switch (dateFormat) {
+    case 'mm/dd/yyyy':
+      [month, day, year] = parts;
+      break;
+    case 'yyyy-mm-dd':
+      [year, month, day] = parts;
+      break;
+    default:
+      [day, month, year] = parts;
+  }
+
+  if (year < 100) year += 2000;
+
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+
+  return date;
+};
+
+// Divide una riga CSV rispettando i campi tra virgolette
+const splitCsvLine = (line, delimiter) => {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (char === '"') {
+      if (inQuotes && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        inQuotes = !inQuotes;
+      }
+    } else if (char === delimiter && !inQuotes) {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  fields.push(current.trim());
+  return fields;
+};
+
+// Individua il separatore più probabile dalla prima riga
+const detectDelimiter = (line) => {
+  const candidates = [';', ',', '\t', '|'];
+  return candidates.reduce((best, candidate) =>
+    splitCsvLine(line, candidate).length > splitCsvLine(line, best).length ? candidate : best
+  , candidates[0]);
+};
+
+// Risolve una colonna indicata per nome intestazione o per indice
+const resolveColumn = (column, headers) => {
+  if (column === undefined || column === null || column === '') return -1;
+  if (Number.isInteger(column) || /^\d+$/.test(String(column))) return parseInt(column);
+
+  const target = String(column).trim().toLowerCase();
+  return headers.findIndex(header => header.toLowerCase() === target);
+};
+
+/**
+ * Converte un file CSV in righe normalizzate
+ * @param {string} content - Contenuto del file
+ * @param {Object} [options]
+ * @param {Object} [options.mapping] - Colonne: date, amount, description, debit, credit
+ * @param {string} [options.delimiter] - Separatore (auto se assente)
+ * @param {boolean} [options.hasHeader] - La prima riga contiene le intestazioni
+ * @param {string} [options.dateFormat] - Formato data
+ * @param {string} [options.numberFormat] - 'it' o 'en'
+ * @returns {Array<Object>}
+ */
+const parseCsv = (content, options = {}) => {
+  const {
+    mapping = {},
+    hasHeader = true,
+    dateFormat = 'dd/mm/yyyy',
+    numberFormat = 'it'
+  } = options;
+
+  const lines = content.split(/\r?\n/).filter(line => line.trim().length > 0);
+  if (lines.length === 0) return [];
+
+  const delimiter = options.delimiter || detectDelimiter(lines[0]);
+  const headers = hasHeader ? splitCsvLine(lines[0], delimiter) : [];
+  const dataLines = hasHeader ? lines.slice(1) : lines;
+
+  // Mappatura di default per gli estratti conto più comuni
+  const columns = {
+    date: resolveColumn(mapping.date ?? 'Data', headers),
+    amount: resolveColumn(mapping.amount ?? 'Importo', headers),
+    description: resolveColumn(mapping.description ?? 'Descrizione', headers),
+    debit: resolveColumn(mapping.debit, headers),
+    credit: resolveColumn(mapping.credit, headers)
+  };
+
+  if (columns.date === -1 || columns.description === -1 ||
+      (columns.amount === -1 && columns.debit === -1 && columns.credit === -1)) {
+    throw new Error('Mappatura colonne non valida: servono data, descrizione e importo (o dare/avere)');
+  }
+
+  return dataLines.map((line, index) => {
+    const fields = splitCsvLine(line, delimiter);
+    const rowNumber = index + (hasHeader ? 2 : 1);
+
+    let amount = null;
+    if (columns.amount !== -1) {
+      amount = parseAmount(fields[columns.amount], numberFormat);
+    } else {
+      const debit = parseAmount(fields[columns.debit], numberFormat);
+      const credit = parseAmount(fields[columns.credit], numberFormat);
+      if (debit) amount = -Math.abs(debit);
+      else if (credit) amount = Math.abs(credit);
+    }
+
+    return buildRow({
+      row: rowNumber,
+      date: parseDate(fields[columns.date], dateFormat),
+      amount,
+      description: fields[columns.description]
+    });
+  });
+};
+
+// Estrae il valore di un tag OFX (funziona sia con SGML che con XML)
+const getOfxTag = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : null;
+};
+
+// Converte una data OFX (YYYYMMDD[HHMMSS[.XXX][TZ]])
+const parseOfxDate = (value) => {
+  if (!value || !/^\d{8}/.test(value)) return null;
+  return new Date(
+    parseInt(value.slice(0, 4)),
+    parseInt(value.slice(4, 6)) - 1,
+    parseInt(value.slice(6, 8))
+  );
+};
+
+/**
+ * Converte un file OFX/QFX in righe normalizzate
+ * @param {string} content - Contenuto del file
+ * @returns {Array<Object>}
+ */
+const parseOfx = (content) => {
+  const blocks = content.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+  return blocks.map((block, index) => {
+    const name = getOfxTag(block, 'NAME');
+    const memo = getOfxTag(block, 'MEMO');
+
+    return buildRow({
+      row: index + 1,
+      date: parseOfxDate(getOfxTag(block, 'DTPOSTED')),
+      amount: parseAmount(getOfxTag(block, 'TRNAMT'), 'en'),
+      description: name || memo,
+      externalId: getOfxTag(block, 'FITID')
+    });
+  });
+};
+
+/**
+ * Converte un file QIF in righe normalizzate
+ * @param {string} content - Contenuto del file
+ * @param {Object} [options]
+ * @param {string} [options.dateFormat] - Formato data
+ * @returns {Array<Object>}
+ */
+const parseQif = (content, options = {}) => {
+  const { dateFormat = 'dd/mm/yyyy' } = options;
+  const records = content.split(/^\^\s*$/m);
+  const rows = [];
+
+  records.forEach(record => {
+    const fields = {};
+    record.split(/\r?\n/).forEach(line => {
+      if (!line || line.startsWith('!')) return;
+      fields[line[0]] = line.slice(1).trim();
+    });
+
+    if (!fields.D && !fields.T) return;
+
+    // Gli importi QIF usano il punto come separatore decimale
+    const amountValue = fields.T || fields.U;
+    rows.push(buildRow({
+      row: rows.length + 1,
+      date: parseDate(fields.D, dateFormat),
+      amount: parseAmount(amountValue, amountValue && amountValue.includes(',') && !amountValue.includes('.') ? 'it' : 'en'),
+      description: fields.P || fields.M
+    }));
+  });
+
+  return rows;
+};
+
+// Costruisce una riga normalizzata con gli eventuali errori di parsing
+const buildRow = ({ row, date, amount, description, externalId = null }) => {
+  const errors = [];
+
+  if (!date) errors.push('Data non valida');
+  if (amount === null || amount === 0) errors.push('Importo non valido');
+  if (!description) errors.push('Descrizione mancante');
+
+  return {
+    row,
+    date,
+    amount: amount !== null ? Math.round(Math.abs(amount) * 100) / 100 : null,
+    type: amount !== null && amount > 0 ? 'income' : 'expense',
+    description: description ? description.slice(0, 200) : '',
+    externalId,
+    errors,
+    isValid: errors.length === 0
+  };
+};
+
+/**
+ * Individua il formato del file dall'estensione o dal contenuto
+ * @param {string} filename - Nome file originale
+ * @param {string} content - Contenuto del file
+ * @returns {string} 'csv', 'ofx' o 'qif'
+ */
+const detectFormat = (filename = '', content = '') => {
+  const extension = filename.split('.').pop().toLowerCase();
+  if (['ofx', 'qfx'].includes(extension) || /<OFX>/i.test(content)) return 'ofx';
+  if (extension === 'qif' || /^!Type:/m.test(content)) return 'qif';
+  return 'csv';
+};
+
+/**
+ * Converte un file di estratto conto in righe normalizzate
+ * @param {Buffer} buffer - Contenuto del file
+ * @param {Object} [options] - Opzioni (format, mapping, delimiter, hasHeader, dateFormat, numberFormat)
+ * @param {string} [filename] - Nome file originale
+ * @returns {{format: string, rows: Array<Object>}}
+ */
+const parseStatement = (buffer, options = {}, filename = '') => {
+  // Rimuove l'eventuale BOM UTF-8
+  const content = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const format = options.format || detectFormat(filename, content);
+
+  let rows;
+  switch (format) {
+    case 'ofx':
+      rows = parseOfx(content);
+      break;
+    case 'qif':
+      rows = parseQif(content, options);
+      break;
+    default:
+      rows = parseCsv(content, options);
+  }
+
+  return { format, rows };
+};
+
+// Chiave per il confronto dei duplicati: giorno + importo + descrizione
+const getDuplicateKey = (type, date, amount, description) => {
+  const day = new Date(date);
+  const dayKey = `${day.getFullYear()}-${day.getMonth() + 1}-${day.getDate()}`;
+  return `${type}|${dayKey}|${Number(amount).toFixed(2)}|${String(description).trim().toLowerCase()}`;
+};
+
+/**
+ * Marca le righe già presenti tra spese/entrate della famiglia (duplicate) e quelle
+ * ripetute nel file (repeatedInFile, solo informativo: due caffè uguali nello stesso
+ * giorno sono transazioni distinte)
+ * @param {ObjectId|string} familyId - ID famiglia
+ * @param {Array<Object>} rows - Righe normalizzate
+ * @returns {Promise<Array<Object>>} Righe con duplicate, duplicateOf e repeatedInFile
+ */
+const markDuplicates = async (familyId, rows) => {
+  const validRows = rows.filter(row => row.isValid);
+  if (validRows.length === 0) {
+    return rows.map(row => ({ ...row, duplicate: false, duplicateOf: null, repeatedInFile: false }));
+  }
+
+  const dates = validRows.map(row => row.date.getTime());
+  const startDate = new Date(Math.min(...dates));
+  const endDate = new Date(Math.max(...dates));
+  endDate.setHours(23, 59, 59, 999);
+
+  const range = { familyId, isActive: true, date: { $gte: startDate, $lte: endDate } };
+  const [expenses, incomes] = await Promise.all([
+    Expense.find(range).select('date amount description').lean(),
+    Income.find(range).select('date amount description').lean()
+  ]);
+
+  const existing = new Map();
+  expenses.forEach(exp => existing.set(getDuplicateKey('expense', exp.date, exp.amount, exp.description), exp._id));
+  incomes.forEach(inc => existing.set(getDuplicateKey('income', inc.date, inc.amount, inc.description), inc._id));
+
+  const seenInFile = new Set();
+
+  return rows.map(row => {
+    if (!row.isValid) return { ...row, duplicate: false, duplicateOf: null, repeatedInFile: false };
+
+    const key = getDuplicateKey(row.type, row.date, row.amount, row.description);
+    const duplicateOf = existing.get(key) || null;
+    const repeatedInFile = seenInFile.has(key);
+    seenInFile.add(key);
+
+    return {
+      ...row,
+      duplicate: !!duplicateOf,
+      duplicateOf,
+      repeatedInFile
+    };
+  });
+};
+
+module.exports = {
+  DATE_FORMATS,
+  parseAmount,
+  parseDate,
+  splitCsvLine,
+  detectDelimiter,
+  parseCsv,
+  parseOfx,
+  parseQif,
+  parseStatement,
+  detectFormat,
+  getDuplicateKey,
+  markDuplicates
+};
@@ -0,0 +1,194 @@
+const Family = require('../models/Family');
+const Income = require('../models/Income');
+const Expense = require('../models/Expense');
+const Budget = require('../models/Budget');
+const JobRun = require('../models/JobRun');
+const SavingsGoal = require('../models/SavingsGoal');
+const logger = require('../utils/logger');
+const { purgeExpiredTrash } = require('./trashService');
+
+/**
+ * Genera le occorrenze scadute delle spese ricorrenti di una famiglia
+ * e aggiorna le statistiche dei budget interessati
+ * @param {ObjectId|string} familyId - ID famiglia
+ * @param {Date} [untilDate] - Data limite per le occorrenze
+ * @returns {Promise<{processed: Array, errors: Array}>}
+ */
+const processRecurringExpensesForFamily = async (familyId, untilDate = new Date()) => {
+  const recurringExpenses = await Expense.getRecurringExpensesDue(familyId, untilDate);
+  const processed = [];
+  const errors = [];
+
+  for (const expense of recurringExpenses) {
+    try {
+      const newExpenses = await expense.processDueOccurrences(untilDate);
+      processed.push(...newExpenses);
+    } catch (error) {
+      logger.error(`Error processing recurring expense ${expense._id}:`, error);
+      errors.push({ message: error.message, ref: expense._id.toString() });
+    }
+  }
+
+  // Aggiorna le statistiche dei budget interessati
+  try {
+    const periodsToUpdate = new Set(processed.map(expense => {
+      const date = new Date(expense.date);
+      return `${expense.category}|${date.getFullYear()}-${date.getMonth() + 1}`;
+    }));
+
+    for (const period of periodsToUpdate) {
+      const [categoryId, yearMonth] = period.split('|');
+      const [year, month] = yearMonth.split('-').map(Number);
+      await Budget.refreshStatsFor(familyId, categoryId, new Date(year, month - 1, 1));
+    }
+  } catch (budgetError) {
+    logger.warn('Budget stats update failed after recurring expenses processing:', budgetError);
+  }
+
+  return { processed, errors };
+};
+
+/**
+ * Genera le occorrenze scadute delle entrate ricorrenti di una famiglia
+ * @param {ObjectId|string} familyId - ID famiglia
+ * @param {Date} [untilDate] - Data limite per le occorrenze
+ * @returns {Promise<{processed: Array, errors: Array}>}
+ */
+const processRecurringIncomesForFamily = async (familyId, untilDate = new Date()) => {
+  const recurringIncomes = await Income.getRecurringIncomesDue(familyId, untilDate);
+  const processed = [];
+  const errors = [];
+
+  for (const income of recurringIncomes) {
+    try {
+      const newIncomes = await income.processDueOccurrences(untilDate);
+      processed.push(...newIncomes);
+    } catch (error) {
+      logger.error(`Error processing recurring income ${income._id}:`, error);
+      errors.push({ message: error.message, ref: income._id.toString() });
+    }
+  }
+
+  return { processed, errors };
+};
+
+// Job giornalieri eseguiti per ogni famiglia attiva, nell'ordine di dichiarazione
+// (i budget del mese vengono creati prima di generare le spese ricorrenti,
+// i versamenti automatici sugli obiettivi dopo le transazioni ricorrenti).
+// Ogni job riceve la famiglia e la data di riferimento e restituisce { processed, errors }.
+const DAILY_JOBS = {
+  autoCreateBudgets: async (family, date) => {
+    const newBudgets = await Budget.createFromPreviousMonth(
+      family._id,
+      date.getFullYear(),
+      date.getMonth() + 1
+    );
+    return { processed: newBudgets.length, errors: [] };
+  },
+
+  processRecurringIncomes: async (family, date) => {
+    const { processed, errors } = await processRecurringIncomesForFamily(family._id, date);
+    return { processed: processed.length, errors };
+  },
+
+  processRecurringExpenses: async (family, date) => {
+    const { processed, errors } = await processRecurringExpensesForFamily(family._id, date);
+    return { processed: processed.length, errors };
+  },
+
+  // Versamenti automatici sugli obiettivi di risparmio per il mese appena chiuso
+  applyGoalContributions: async (family, date) => {
+    return SavingsGoal.applyAutoContributions(family, date);
+  },
+
+  expireInvitations: async (family, date) => {
+    const expired = await family.expireInvitations(date);
+    return { processed: expired, errors: [] };
+  },
+
+  // Eliminazione definitiva di spese ed entrate rimaste nel cestino oltre settings.trashRetentionDays
+  purgeTrash: async (family, date) => {
+    return purgeExpiredTrash(family, date);
+  }
+};
+
+// Chiave del periodo giornaliero (data locale YYYY-MM-DD)
+const getDailyPeriodKey = (date) => {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Esegue un job giornaliero per una famiglia registrandone l'esecuzione in JobRun.
+ * Se il job è già stato eseguito per il giorno indicato non viene ripetuto.
+ * @param {string} jobName - Nome del job (chiave di DAILY_JOBS)
+ * @param {Object} family - Documento Family
+ * @param {Object} [options]
+ * @param {Date} [options.date] - Data di riferimento
+ * @param {string} [options.trigger] - 'scheduler' o 'manual'
+ * @returns {Promise<Object|null>} JobRun completato o null se già eseguito
+ */
+const runJobForFamily = async (jobName, family, { date = new Date(), trigger = 'scheduler' } = {}) => {
+  const job = DAILY_JOBS[jobName];
+  if (!job) {
+    throw new Error(`Job sconosciuto: ${jobName}`);
+  }
+
+  const jobRun = await JobRun.acquire({
+    job: jobName,
+    familyId: family._id,
+    runKey: `${jobName}:${family._id}:${getDailyPeriodKey(date)}`,
+    trigger
+  });
+
+  if (!jobRun) {
+    logger.debug(`Job ${jobName} already run for family ${family._id} on ${getDailyPeriodKey(date)}`);
+    return null;
+  }
+
+  try {
+    const { processed, errors } = await job(family, date);
+    errors.forEach(err => jobRun.addError(err.message, err.ref));
+    await jobRun.finish(processed);
+
+    if (processed > 0 || errors.length > 0) {
+      logger.info(`Job ${jobName} for family ${family._id}: ${processed} processed, ${errors.length} errors`);
+    }
+  } catch (error) {
+    logger.error(`Job ${jobName} failed for family ${family._id}:`, error);
+    await jobRun.finish(0, error);
+  }
+
+  return jobRun;
+};
+
+/**
+ * Esegue tutti i job giornalieri per tutte le famiglie attive
+ * @param {Date} [date] - Data di riferimento
+ * @returns {Promise<number>} Numero di esecuzioni effettuate
+ */
+const runDailyJobs = async (date = new Date()) => {
+  const families = await Family.find({ isActive: true });
+  let runs = 0;
+
+  for (const family of families) {
+    for (const jobName of Object.keys(DAILY_JOBS)) {
+      try {
+        const jobRun = await runJobForFamily(jobName, family, { date });
+        if (jobRun) runs++;
+      } catch (error) {
+        // Un errore su una famiglia non deve bloccare le altre
+        logger.error(`Unable to run job ${jobName} for family ${family._id}:`, error);
+      }
+    }
+  }
+
+  return runs;
+};
+
+module.exports = {
+  DAILY_JOBS,
+  processRecurringExpensesForFamily,
+  processRecurringIncomesForFamily,
+  runJobForFamily,
+  runDailyJobs
+};
@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const AuthThrottle = require('../models/AuthThrottle');
+const SecurityEvent = require('../models/SecurityEvent');
+const { sendAccountLocked } = require('./emailService');
+const logger = require('../utils/logger');
+
+// Tentativi liberi per finestra prima dei ritardi progressivi, per IP e per account
+const THROTTLE_POLICIES = {
+  login: { freeAttempts: 5, windowMs: 15 * 60 * 1000 },
+  forgot_password: { freeAttempts: 3, windowMs: 60 * 60 * 1000 },
+  reset_password: { freeAttempts: 5, windowMs: 60 * 60 * 1000 }
+};
+
+// Ritardo massimo imposto tra due tentativi
+const MAX_DELAY_SECONDS = 15 * 60;
+
+// Blocco dell'account dopo troppi tentativi falliti ravvicinati
+const LOGIN_MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 10;
+const LOGIN_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES) || 30;
+const FAILED_ATTEMPTS_WINDOW_MS = 60 * 60 * 1000;
+const UNLOCK_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+const hashUnlockToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : null);
+
+/**
+ * Chiavi dei contatori per una richiesta: IP e, se presente, account
+ * @param {string} scope - login, forgot_password, reset_password
+ * @param {Object} req - Richiesta Express
+ * @param {string} [email] - Email dell'account
+ * @returns {Array<string>}
+ */
+const getThrottleKeys = (scope, req, email = null) => {
+  const keys = [`${scope}:ip:${req.ip}`];
+  const normalized = normalizeEmail(email);
+  if (normalized) keys.push(`${scope}:account:${normalized}`);
+  return keys;
+};
+
+// Ritardo imposto dopo N fallimenti: raddoppia a ogni tentativo oltre quelli liberi
+const getDelaySeconds = (scope, failures) => {
+  const excess = failures - THROTTLE_POLICIES[scope].freeAttempts;
+  if (excess <= 0) return 0;
+  return Math.min(2 ** (excess - 1), MAX_DELAY_SECONDS);
+};
+
+/**
+ * Secondi da attendere prima di un nuovo tentativo (0 se consentito)
+ * @param {string} scope - login, forgot_password, reset_password
+ * @param {Array<string>} keys - Chiavi generate con getThrottleKeys
+ * @returns {Promise<number>}
+ */
+const getRetryAfter = async (scope, keys) => {
+  const now = Date.now();
+  const throttles = await AuthThrottle.find({ key: { $in: keys }, expiresAt: { $gt: new Date(now) } });
+
+  return throttles.reduce((max, throttle) => {
+    const delayMs = getDelaySeconds(scope, throttle.failures) * 1000;
+    const waitMs = throttle.lastFailureAt.getTime() + delayMs - now;
+    return Math.max(max, Math.ceil(waitMs / 1000));
+  }, 0);
+};
+
+/**
+ * Registra un tentativo fallito sui contatori. La finestra si rinnova a ogni fallimento.
+ * Non blocca la richiesta: gli errori vengono solo registrati.
+ * @param {string} scope - login, forgot_password, reset_password
+ * @param {Array<string>} keys - Chiavi generate con getThrottleKeys
+ */
+const recordThrottleFailure = async (scope, keys) => {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + THROTTLE_POLICIES[scope].windowMs);
+
+  try {
+    await Promise.all(keys.map(key => AuthThrottle.updateOne(
+      { key },
+      [{
+        $set: {
+          // Un contatore con la finestra scaduta (non ancora rimosso dal TTL) riparte da 1
+          failures: { $cond: [{ $gt: ['$expiresAt', now] }, { $add: ['$failures', 1] }, 1] },
+          lastFailureAt: now,
+          expiresAt
+        }
+      }],
+      { upsert: true }
+    )));
+  } catch (error) {
+    logger.warn(`Auth throttle not updated (${scope}):`, error.message);
+  }
+};
+
+/**
+ * Azzera i contatori indicati (es. quello dell'account dopo un login riuscito)
+ * @param {Array<string>} keys - Chiavi da azzerare
+ */
+const clearThrottle = async (keys) => {
+  await AuthThrottle.deleteMany({ key: { $in: keys } });
+};
+
+/**
+ * Registra un evento nel log di sicurezza dell'utente.
+ * Non blocca la richiesta: gli errori vengono solo registrati.
+ * @param {Object} options - Dati dell'evento
+ * @param {string} options.type - Tipo di evento
+ * @param {Object} options.req - Richiesta Express (IP e user agent)
+ * @param {Object} [options.user] - Utente interessato
+ * @param {string} [options.email] - Email usata nel tentativo
+ * @param {Object} [options.details] - Dettagli aggiuntivi
+ */
+const logSecurityEvent = async ({ type, req, user = null, email = null, details = null }) => {
+  try {
+    await SecurityEvent.create({
+      userId: user?._id || null,
+      email: normalizeEmail(email) || user?.email || null,
+      type,
+      ip: req.ip || null,
+      userAgent: req.get('user-agent')?.slice(0, 500) || null,
+      details
+    });
+  } catch (error) {
+    logger.warn(`Security event not saved (${type}):`, error.message);
+  }
+};
+
+// Invia il link di sblocco; senza email configurata, in sviluppo il link viene solo registrato
+const sendUnlockEmail = async (user, token, lockedUntil) => {
+  const unlockUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/unlock-account/${token}`;
+
+  if (!process.env.SENDGRID_API_KEY || !process.env.EMAIL_FROM) {
+    if (process.env.NODE_ENV === 'development') {
+      logger.warn(`Email not configured. Unlock link for ${user.email}: ${unlockUrl}`);
+    }
+    return;
+  }
+
+  try {
+    await sendAccountLocked({ to: user.email, name: user.name, unlockUrl, lockedUntil });
+    logger.info(`Account unlock email sent to: ${user.email}`);
+  } catch (error) {
+    logger.error('Account unlock email sending error:', error);
+  }
+};
+
+/**
+ * Blocco attivo sull'account con questa email
+ * @param {string} email - Email dell'account
+ * @returns {Promise<Date|null>} Fine del blocco, null se l'account non è bloccato
+ */
+const getActiveLock = async (email) => {
+  const user = await User.findOne({
+    email: normalizeEmail(email),
+    'loginSecurity.lockedUntil': { $gt: new Date() }
+  }).select('loginSecurity.lockedUntil');
+
+  return user ? user.loginSecurity.lockedUntil : null;
+};
+
+/**
+ * Registra un accesso fallito sull'account (password o codice 2FA errati).
+ * Raggiunto il limite l'account viene bloccato e l'utente riceve il link di sblocco.
+ * @param {Object} options - Dati del tentativo
+ * @param {string} options.email - Email usata nel tentativo
+ * @param {Object} options.req - Richiesta Express
+ * @param {string} [options.type] - login_failed oppure two_factor_failed
+ * @returns {Promise<{locked: boolean, lockedUntil: Date|null}>}
+ */
+const recordFailedLogin = async ({ email, req, type = 'login_failed' }) => {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - FAILED_ATTEMPTS_WINDOW_MS);
+
+  // Incremento atomico: i tentativi vecchi di oltre un'ora non contano
+  const user = await User.findOneAndUpdate(
+    { email: normalizeEmail(email) },
+    [{
+      $set: {
+        'loginSecurity.failedAttempts': {
+          $cond: [
+            { $gt: ['$loginSecurity.lastFailedAt', windowStart] },
+            { $add: [{ $ifNull: ['$loginSecurity.failedAttempts', 0] }, 1] },
+            1
+          ]
+        },
+        'loginSecurity.lastFailedAt': now
+      }
+    }],
+    { new: true }
+  );
+
+  const failedAttempts = user?.loginSecurity.failedAttempts || 0;
+  await logSecurityEvent({ type, req, user, email, details: user ? { failedAttempts } : { unknownAccount: true } });
+
+  if (!user || failedAttempts < LOGIN_MAX_FAILED_ATTEMPTS) {
+    return { locked: false, lockedUntil: null };
+  }
+
+  const lockedUntil = new Date(now.getTime() + LOGIN_LOCK_MINUTES * 60 * 1000);
+  const unlockToken = crypto.randomBytes(32).toString('hex');
+
+  // Solo la richiesta che blocca l'account invia l'email
+  const lock = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ 'loginSecurity.lockedUntil': null }, { 'loginSecurity.lockedUntil': { $lte: now } }]
+    },
+    {
+      $set: {
+        'loginSecurity.failedAttempts': 0,
+        'loginSecurity.lockedUntil': lockedUntil,
+        'loginSecurity.unlockToken': hashUnlockToken(unlockToken),
+        'loginSecurity.unlockTokenExpires': new Date(now.getTime() + UNLOCK_TOKEN_TTL_MS)
+      }
+    }
+  );
+
+  if (lock.modifiedCount > 0) {
+    logger.warn(`Account locked after ${failedAttempts} failed attempts: ${user.email}`, { ip: req.ip });
+    await logSecurityEvent({ type: 'account_locked', req, user, details: { failedAttempts, lockedUntil } });
+    await sendUnlockEmail(user, unlockToken, lockedUntil);
+  }
+
+  return { locked: true, lockedUntil };
+};
+
+/**
+ * Registra un accesso riuscito: azzera i tentativi falliti dell'account
+ * @param {Object} user - Documento User
+ * @param {Object} req - Richiesta Express
+ * @param {Object} [details] - Dettagli aggiuntivi (es. metodo di verifica)
+ */
+const recordSuccessfulLogin = async (user, req, details = null) => {
+  if (user.loginSecurity?.failedAttempts > 0) {
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'loginSecurity.failedAttempts': 0, 'loginSecurity.lastFailedAt': null } }
+    );
+  }
+
+  await clearThrottle([`login:account:${user.email}`]);
+  await logSecurityEvent({ type: 'login_succeeded', req, user, details });
+};
+
+/**
+ * Rimuove blocco e tentativi falliti dall'utente (senza salvarlo)
+ * @param {Object} user - Documento User
+ */
+const clearAccountLock = (user) => {
+  user.loginSecurity = {
+    failedAttempts: 0,
+    lastFailedAt: null,
+    lockedUntil: null,
+    unlockToken: undefined,
+    unlockTokenExpires: undefined
+  };
+};
+
+/**
+ * Sblocca l'account con il link ricevuto per email
+ * @param {string} token - Token di sblocco in chiaro
+ * @param {Object} req - Richiesta Express
+ * @returns {Promise<Object|null>} Utente sbloccato, null se il token non è valido
+ */
+const unlockAccount = async (token, req) => {
+  const user = await User.findOne({
+    'loginSecurity.unlockToken': hashUnlockToken(token),
+    'loginSecurity.unlockTokenExpires': { $gt: new Date() }
+  });
+
+  if (!user) return null;
+
+  clearAccountLock(user);
+  await user.save();
+  await clearThrottle([`login:account:${user.email}`]);
+  await logSecurityEvent({ type: 'account_unlocked', req, user });
+
+  logger.info(`Account unlocked by email link: ${user.email}`);
+  return user;
+};
+
+module.exports = {
+  getThrottleKeys,
+  getRetryAfter,
+  recordThrottleFailure,
+  clearThrottle,
+  logSecurityEvent,
+  getActiveLock,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  clearAccountLock,
+  unlockAccount
+};
@@ -0,0 +1,46 @@
+const User = require('../models/User');
+const Family = require('../models/Family');
+const logger = require('../utils/logger');
+
+// Aggiornamenti dei dati esistenti eseguiti all'avvio, prima di accettare richieste.
+// Ogni migrazione è idempotente (agisce solo sui documenti ancora da aggiornare)
+// e restituisce il numero di documenti modificati.
+const MIGRATIONS = {
+  // Gli account registrati prima della verifica email restano utilizzabili
+  verifyLegacyAccounts: () => User.verifyLegacyAccounts(),
+
+  // Le famiglie create prima dei ruoli con permessi devono avere un owner
+  // (gestione dei ruoli e trasferimento della proprietà sono riservati a lui)
+  assignLegacyOwners: () => Family.assignLegacyOwners(),
+
+  // I token dei link di invito si salvano solo come hash
+  hashLegacyInviteLinkTokens: () => Family.hashLegacyInviteLinkTokens()
+};
+
+/**
+ * Esegue tutte le migrazioni nell'ordine di dichiarazione.
+ * Un errore viene registrato e non blocca le migrazioni successive.
+ * @returns {Promise<Object>} Documenti modificati per migrazione
+ */
+const runMigrations = async () => {
+  const results = {};
+
+  for (const [name, migration] of Object.entries(MIGRATIONS)) {
+    try {
+      results[name] = await migration();
+      if (results[name] > 0) {
+        logger.info(`Migration ${name}: ${results[name]} documents updated`);
+      }
+    } catch (error) {
+      logger.error(`Migration ${name} failed:`, error);
+      results[name] = null;
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  MIGRATIONS,
+  runMigrations
+};
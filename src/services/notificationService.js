@@ -0,0 +1,172 @@
+const Budget = require('../models/Budget');
+const Category = require('../models/Category');
+const Family = require('../models/Family');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { sendBudgetAlert } = require('./emailService');
+const { broadcast } = require('./realtimeService');
+const logger = require('../utils/logger');
+
+const ALERT_TITLES = {
+  warning: (categoryName) => `Budget "${categoryName}" quasi esaurito`,
+  exceeded: (categoryName) => `Budget "${categoryName}" superato`
+};
+
+// Livello di allerta raggiunto dal budget (null se sotto soglia)
+const getAlertLevel = (budget) => {
+  if (budget.percentageUsed >= 100) return 'exceeded';
+  if (budget.percentageUsed >= budget.alertThreshold) return 'warning';
+  return null;
+};
+
+const buildAlertMessage = (level, budget, categoryName, currency) => {
+  const format = (value) => new Intl.NumberFormat('it-IT', { style: 'currency', currency }).format(value);
+  const period = `${String(budget.month).padStart(2, '0')}/${budget.year}`;
+  const percentage = Math.round(budget.percentageUsed);
+
+  if (level === 'exceeded') {
+    return `Il budget "${categoryName}" di ${period} è stato superato: spesi ${format(budget.spent)} su ${format(budget.amount)} (${percentage}%).`;
+  }
+  return `Il budget "${categoryName}" di ${period} ha raggiunto il ${percentage}% (soglia ${budget.alertThreshold}%): spesi ${format(budget.spent)} su ${format(budget.amount)}.`;
+};
+
+/**
+ * Azzera le soglie notificate che il budget non supera più (es. spesa eliminata
+ * o importo aumentato), così un nuovo superamento genera una nuova notifica
+ * @param {Object} budget - Documento Budget con statistiche aggiornate
+ */
+const rearmAlerts = async (budget) => {
+  const reset = {};
+  if (budget.alerts?.warningNotifiedAt && budget.percentageUsed < budget.alertThreshold) {
+    reset['alerts.warningNotifiedAt'] = null;
+  }
+  if (budget.alerts?.exceededNotifiedAt && budget.percentageUsed < 100) {
+    reset['alerts.exceededNotifiedAt'] = null;
+  }
+
+  if (Object.keys(reset).length > 0) {
+    await Budget.updateOne({ _id: budget._id }, { $set: reset });
+  }
+};
+
+/**
+ * Invia le email di avviso ai membri che le hanno attivate.
+ * Non blocca la richiesta: gli errori vengono solo registrati.
+ */
+const sendAlertEmails = (recipients, notifications, { title, message }) => {
+  const dashboardUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/dashboard`;
+
+  recipients
+    .filter(user => user.notificationPreferences?.budgetAlertsEmail)
+    .forEach(user => {
+      const notification = notifications.find(item => item.userId.toString() === user._id.toString());
+
+      sendBudgetAlert({ to: user.email, name: user.name, title, message, dashboardUrl })
+        .then(() => notification && Notification.updateOne(
+          { _id: notification._id },
+          { $set: { emailSentAt: new Date() } }
+        ))
+        .catch(error => logger.warn(`Budget alert email not sent to ${user.email}:`, error.message));
+    });
+};
+
+/**
+ * Controlla se un budget ha appena superato la soglia di allerta o il 100%
+ * e, una sola volta per superamento, crea le notifiche in-app per i membri
+ * attivi della famiglia e invia l'email a chi l'ha attivata.
+ * Da chiamare dopo budget.updateStats().
+ * @param {Object} budget - Documento Budget con statistiche aggiornate
+ * @returns {Promise<Array>} Notifiche create
+ */
+const checkBudgetAlerts = async (budget) => {
+  await rearmAlerts(budget);
+
+  const level = getAlertLevel(budget);
+  if (!level) return [];
+
+  const family = await Family.findById(budget.familyId).select('name members settings');
+  if (!family || !family.settings?.budgetNotifications) return [];
+
+  // Registra il superamento in modo atomico: solo la prima richiesta invia la notifica.
+  // Superando direttamente il 100% l'avviso di soglia non viene più inviato.
+  const notifiedField = `alerts.${level}NotifiedAt`;
+  const now = new Date();
+  const update = { [notifiedField]: now };
+  if (level === 'exceeded') {
+    update['alerts.warningNotifiedAt'] = budget.alerts?.warningNotifiedAt || now;
+  }
+
+  const claim = await Budget.updateOne(
+    { _id: budget._id, [notifiedField]: null },
+    { $set: update }
+  );
+  if (claim.modifiedCount === 0) return [];
+
+  const category = await Category.findById(budget.categoryId).select('name');
+  const categoryName = category?.name || 'Categoria';
+  const currency = family.settings?.currency || 'EUR';
+
+  const title = ALERT_TITLES[level](categoryName);
+  const message = buildAlertMessage(level, budget, categoryName, currency);
+
+  const memberIds = family.members.filter(member => member.isActive).map(member => member.user);
+  const recipients = await User.find({ _id: { $in: memberIds }, isActive: true })
+    .select('name email notificationPreferences');
+
+  const notifications = await Notification.insertMany(recipients.map(user => ({
+    userId: user._id,
+    familyId: family._id,
+    type: `budget_${level}`,
+    title,
+    message,
+    data: {
+      budgetId: budget._id,
+      categoryId: budget.categoryId,
+      period: `${budget.year}-${String(budget.month).padStart(2, '0')}`,
+      percentageUsed: Math.round(budget.percentageUsed)
+    }
+  })));
+
+  broadcast(family._id, 'notification', 'created', {
+    data: { type: `budget_${level}`, title, message, budgetId: budget._id }
+  });
+
+  sendAlertEmails(recipients, notifications, { title, message });
+
+  logger.info(`Budget ${level} alert sent for budget ${budget._id} to ${recipients.length} members`);
+
+  return notifications;
+};
+
+/**
+ * Avvisa il destinatario di una richiesta di trasferimento della proprietà della famiglia
+ * @param {Object} family - Documento Family con il trasferimento in attesa
+ * @param {Object} requester - Utente che ha richiesto il trasferimento
+ * @returns {Promise<Object>} Notifica creata
+ */
+const notifyOwnershipTransfer = async (family, requester) => {
+  const title = `Proprietà della famiglia "${family.name}"`;
+  const message = `${requester.name} vuole trasferirti la proprietà della famiglia "${family.name}". Accetta o rifiuta la richiesta dalla pagina della famiglia.`;
+
+  const notification = await Notification.create({
+    userId: family.ownershipTransfer.to,
+    familyId: family._id,
+    type: 'ownership_transfer',
+    title,
+    message
+  });
+
+  broadcast(family._id, 'notification', 'created', {
+    data: { type: 'ownership_transfer', title, message, userId: family.ownershipTransfer.to },
+    actorId: requester._id
+  });
+
+  logger.info(`Ownership transfer notification sent for family ${family._id} to ${family.ownershipTransfer.to}`);
+
+  return notification;
+};
+
+module.exports = {
+  checkBudgetAlerts,
+  notifyOwnershipTransfer
+};
@@ -0,0 +1,199 @@
+const sharp = require('sharp');
+const { createWorker } = require('tesseract.js');
+const italianData = require('@tesseract.js-data/ita');
+const logger = require('../utils/logger');
+
+// Motore OCR locale (Tesseract in WebAssembly): nessuna chiamata a servizi esterni,
+// il modello della lingua italiana è incluso nelle dipendenze
+const OCR_ENGINE = 'tesseract';
+const OCR_LANGUAGE = italianData.code;
+// Codice errore per immagini che non possono essere decodificate
+const INVALID_IMAGE = 'INVALID_IMAGE';
+// Larghezza a cui viene normalizzata l'immagine prima del riconoscimento
+const OCR_IMAGE_WIDTH = 1600;
+
+// Parole che indicano righe di intestazione fiscale e non il nome del negozio
+const HEADER_NOISE = /(documento|commerciale|scontrino|fiscale|p\.?\s*iva|partita|c\.?\s*f\.?|cod\.?\s*fisc|tel\.?|via |viale |piazza |corso |www\.|@)/i;
+const TOTAL_KEYWORDS = /(totale\s+complessivo|totale\s+euro|totale|importo\s+pagato|tot\.?\s*eur|total)/i;
+const EXCLUDED_TOTAL = /(subtotale|sub\s*totale|resto|contante|pagamento|elettronico|sconto|iva)/i;
+const AMOUNT_PATTERN = /-?\d{1,3}(?:[.\s]\d{3})*[.,]\d{2}(?!\d)|-?\d+[.,]\d{2}(?!\d)/g;
+const DATE_PATTERN = /\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})\b/;
+
+let workerPromise = null;
+// Le richieste vengono eseguite una alla volta sullo stesso worker
+let queue = Promise.resolve();
+
+const getWorker = () => {
+  if (!workerPromise) {
+    workerPromise = createWorker(OCR_LANGUAGE, 1, {
+      langPath: italianData.langPath,
+      gzip: italianData.gzip,
+      cacheMethod: 'none'
+    }).catch(error => {
+      workerPromise = null;
+      throw error;
+    });
+  }
+  return workerPromise;
+};
+
+/**
+ * Converte un importo nel formato italiano ("1.234,56") o anglosassone ("1234.56")
+ * @param {string} value
+ * @returns {number|null}
+ */
+const parseAmount = (value) => {
+  if (!value) return null;
+  const compact = String(value).replace(/\s/g, '');
+  if (!/[.,]\d{2}$/.test(compact)) return null;
+
+  // Le ultime due cifre sono i decimali, gli altri separatori sono migliaia
+  const integerPart = compact.slice(0, -3).replace(/[.,]/g, '');
+  const amount = parseFloat(`${integerPart}.${compact.slice(-2)}`);
+  return Number.isFinite(amount) ? amount : null;
+};
+
+const findAmounts = (line) => (line.match(AMOUNT_PATTERN) || []).map(parseAmount).filter(amount => amount !== null);
+
+const parseReceiptDate = (text) => {
+  const match = text.match(DATE_PATTERN);
+  if (!match) return null;
+
+  const day = parseInt(match[1]);
+  const month = parseInt(match[2]);
+  let year = parseInt(match[3]);
+  if (year < 100) year += 2000;
+
+  const date = new Date(year, month - 1, day);
+  if (date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+  return date;
+};
+
+const parseMerchant = (lines) => {
+  const candidate = lines
+    .slice(0, 6)
+    .find(line => /[a-zà-ù]{3,}/i.test(line) && !HEADER_NOISE.test(line) && findAmounts(line).length === 0);
+  return candidate ? candidate.replace(/\s{2,}/g, ' ').trim().slice(0, 100) : null;
+};
+
+const parseTotal = (lines) => {
+  const totals = lines
+    .filter(line => TOTAL_KEYWORDS.test(line) && !EXCLUDED_TOTAL.test(line))
+    .map(line => ({
+      amounts: findAmounts(line),
+      isComplete: /complessivo/i.test(line)
+    }))
+    .filter(item => item.amounts.length > 0);
+
+  const preferred = totals.find(item => item.isComplete) || totals[totals.length - 1];
+  if (preferred) return preferred.amounts[preferred.amounts.length - 1];
+
+  // Nessuna riga "totale" riconosciuta: usa l'importo più alto dello scontrino
+  const allAmounts = lines.flatMap(findAmounts).filter(amount => amount > 0);
+  return allAmounts.length > 0 ? Math.max(...allAmounts) : null;
+};
+
+const parseVatLines = (lines) => {
+  return lines
+    .filter(line => /\biva\b/i.test(line))
+    .map(line => {
+      const rateMatch = line.match(/(\d{1,2}(?:[.,]\d{1,2})?)\s*%/);
+      const amounts = findAmounts(line.replace(/(\d{1,2}(?:[.,]\d{1,2})?)\s*%/, ''));
+      return {
+        text: line,
+        rate: rateMatch ? parseFloat(rateMatch[1].replace(',', '.')) : null,
+        amount: amounts.length > 0 ? amounts[amounts.length - 1] : null
+      };
+    })
+    .filter(vat => vat.amount !== null);
+};
+
+/**
+ * Estrae negozio, data, totale e righe IVA dal testo di uno scontrino
+ * @param {string} text - Testo riconosciuto
+ * @returns {{merchant: string|null, date: Date|null, total: number|null, vat: Array<Object>}}
+ */
+const parseReceiptText = (text = '') => {
+  const lines = text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line.length > 0);
+
+  return {
+    merchant: parseMerchant(lines),
+    date: parseReceiptDate(text),
+    total: parseTotal(lines),
+    vat: parseVatLines(lines)
+  };
+};
+
+/**
+ * Esegue l'OCR di un'immagine di scontrino con il motore locale
+ * @param {Buffer|string} image - Contenuto o percorso dell'immagine (JPEG, PNG, WebP)
+ * @returns {Promise<Object>} ocrData da salvare in expense.receipt.ocrData
+ * @throws {Error} con code INVALID_IMAGE se il file non è un'immagine decodificabile
+ */
+const recognizeReceipt = async (image) => {
+  // Scala di grigi e contrasto normalizzato migliorano il riconoscimento delle stampanti termiche
+  let prepared;
+  try {
+    prepared = await sharp(image)
+      .rotate()
+      .resize({ width: OCR_IMAGE_WIDTH, withoutEnlargement: false })
+      .grayscale()
+      .normalize()
+      .png()
+      .toBuffer();
+  } catch (sharpError) {
+    // Il contenuto non è un'immagine leggibile (mimetype dichiarato ma file non valido)
+    logger.debug('Receipt image rejected by sharp:', sharpError.message);
+    const error = new Error('Il file caricato non è un\'immagine valida');
+    error.code = INVALID_IMAGE;
+    throw error;
+  }
+
+  const run = queue.then(async () => {
+    const worker = await getWorker();
+    const startedAt = Date.now();
+    const { data } = await worker.recognize(prepared);
+    logger.debug(`Receipt OCR completed in ${Date.now() - startedAt}ms`);
+    return data;
+  });
+  // Un errore non deve bloccare le richieste successive
+  queue = run.catch(() => {});
+
+  const data = await run;
+  const parsed = parseReceiptText(data.text);
+
+  return {
+    engine: OCR_ENGINE,
+    language: OCR_LANGUAGE,
+    confidence: Math.round(data.confidence),
+    text: data.text,
+    parsed,
+    processedAt: new Date()
+  };
+};
+
+/**
+ * Termina il worker OCR (graceful shutdown)
+ */
+const terminateOcr = async () => {
+  if (!workerPromise) return;
+  try {
+    const worker = await workerPromise;
+    await worker.terminate();
+  } catch (error) {
+    logger.warn('OCR worker termination failed:', error.message);
+  } finally {
+    workerPromise = null;
+  }
+};
+
+module.exports = {
+  INVALID_IMAGE,
+  parseAmount,
+  parseReceiptText,
+  recognizeReceipt,
+  terminateOcr
+};
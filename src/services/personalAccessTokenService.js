@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const logger = require('../utils/logger');
+const { disconnectSessions } = require('./realtimeService');
+
+// I token personali si distinguono dai JWT per il prefisso
+const TOKEN_PREFIX = 'fbp_';
+const MAX_TOKENS_PER_USER = 20;
+// Intervallo minimo tra due aggiornamenti di lastUsedAt
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+// Permessi assegnabili ai token: <risorsa>:read oppure <risorsa>:write (write include read)
+const TOKEN_SCOPES = [
+  'expenses:read',
+  'expenses:write',
+  'incomes:read',
+  'incomes:write',
+  'categories:read',
+  'categories:write',
+  'budgets:read',
+  'budgets:write',
+  'goals:read',
+  'goals:write',
+  'notifications:read',
+  'notifications:write',
+  'exchange-rates:read',
+  'exchange-rates:write',
+  'dashboard:read',
+  'export:read',
+  'import:write',
+  'realtime:read'
+];
+
+// API raggiungibili con un token personale. Autenticazione, profilo, famiglia e
+// amministrazione restano riservati alle sessioni di login.
+const TOKEN_RESOURCES = {
+  '/api/expenses': 'expenses',
+  '/api/incomes': 'incomes',
+  '/api/categories': 'categories',
+  '/api/budgets': 'budgets',
+  '/api/goals': 'goals',
+  '/api/notifications': 'notifications',
+  '/api/exchange-rates': 'exchange-rates',
+  '/api/dashboard': 'dashboard',
+  '/api/export': 'export',
+  '/api/import': 'import',
+  '/api/realtime': 'realtime'
+};
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Verifica se il token della richiesta è un token personale (e non un JWT)
+ * @param {string} token - Token dall'header Authorization
+ * @returns {boolean}
+ */
+const isPersonalAccessToken = (token) => typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+
+/**
+ * Permesso richiesto per una richiesta autenticata con token personale
+ * @param {Object} req - Richiesta Express (baseUrl e metodo)
+ * @returns {string|null} Permesso richiesto, null se l'API non accetta token personali
+ */
+const getRequiredScope = (req) => {
+  const resource = TOKEN_RESOURCES[req.baseUrl];
+  if (!resource) return null;
+  return `${resource}:${READ_METHODS.includes(req.method) ? 'read' : 'write'}`;
+};
+
+/**
+ * Crea un nuovo token personale
+ * @param {Object} user - Documento User
+ * @param {Object} options - Dati del token
+ * @param {string} options.name - Nome descrittivo (es. "Dashboard cucina")
+ * @param {Array<string>} options.scopes - Permessi concessi
+ * @param {number} [options.expiresInDays] - Giorni di validità (senza valore non scade)
+ * @param {number} [options.rateLimitPerMinute] - Richieste consentite al minuto
+ * @returns {Promise<{token: string, accessToken: Object}>} Token in chiaro (mostrato una sola volta) e documento
+ */
+const createPersonalAccessToken = async (user, { name, scopes, expiresInDays, rateLimitPerMinute }) => {
+  const activeTokens = await PersonalAccessToken.countDocuments({ userId: user._id, revokedAt: null });
+  if (activeTokens >= MAX_TOKENS_PER_USER) {
+    throw new Error(`Puoi avere al massimo ${MAX_TOKENS_PER_USER} token attivi`);
+  }
+
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(30).toString('base64url')}`;
+
+  const accessToken = await PersonalAccessToken.create({
+    userId: user._id,
+    name,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    scopes: [...new Set(scopes)],
+    rateLimitPerMinute,
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+  });
+
+  logger.info(`Personal access token created for ${user.email}: ${accessToken.prefix} [${accessToken.scopes.join(', ')}]`);
+
+  return { token, accessToken };
+};
+
+/**
+ * Trova il token personale valido (non revocato né scaduto) corrispondente al token in chiaro
+ * @param {string} token - Token dall'header Authorization
+ * @returns {Promise<Object|null>} Documento PersonalAccessToken
+ */
+const findPersonalAccessToken = async (token) => {
+  const accessToken = await PersonalAccessToken.findOne({ tokenHash: hashToken(token) });
+  return accessToken && accessToken.isValid() ? accessToken : null;
+};
+
+/**
+ * Aggiorna ultimo utilizzo e IP del token al massimo una volta al minuto.
+ * Non blocca la richiesta: gli errori vengono solo registrati.
+ * @param {Object} accessToken - Documento PersonalAccessToken
+ * @param {Object} req - Richiesta Express
+ */
+const touchPersonalAccessToken = (accessToken, req) => {
+  if (accessToken.lastUsedAt && Date.now() - accessToken.lastUsedAt.getTime() < LAST_USED_UPDATE_INTERVAL_MS) return;
+
+  PersonalAccessToken.updateOne(
+    { _id: accessToken._id },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip || null } }
+  ).catch(error => logger.warn(`Personal access token ${accessToken._id} last use not updated:`, error.message));
+};
+
+/**
+ * Revoca tutti i token personali attivi di un utente e chiude i relativi stream in tempo reale
+ * @param {ObjectId|string} userId - Utente
+ * @returns {Promise<number>} Numero di token revocati
+ */
+const revokeAllPersonalAccessTokens = async (userId) => {
+  const tokenIds = await PersonalAccessToken.distinct('_id', { userId, revokedAt: null });
+  if (tokenIds.length === 0) return 0;
+
+  await PersonalAccessToken.updateMany(
+    { _id: { $in: tokenIds } },
+    { $set: { revokedAt: new Date() } }
+  );
+  disconnectSessions(tokenIds);
+
+  logger.info(`${tokenIds.length} personal access tokens revoked for user ${userId}`);
+  return tokenIds.length;
+};
+
+module.exports = {
+  TOKEN_SCOPES,
+  isPersonalAccessToken,
+  getRequiredScope,
+  createPersonalAccessToken,
+  findPersonalAccessToken,
+  touchPersonalAccessToken,
+  revokeAllPersonalAccessTokens
+};
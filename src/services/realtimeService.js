@@ -0,0 +1,199 @@
+const logger = require('../utils/logger');
+
+// Eventi riservati a chi ha il permesso di vedere la risorsa
+const ENTITY_PERMISSIONS = {
+  income: 'incomes:view',
+  // Nome ed email di chi chiede di entrare: solo per chi gestisce gli inviti
+  join_request: 'members:invite'
+};
+
+// Intervallo dei commenti di keep-alive: evita la chiusura delle connessioni inattive da parte dei proxy
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+// Tempo suggerito ai client EventSource per la riconnessione
+const RETRY_MS = 5000;
+
+// Connessioni aperte per famiglia: familyId -> Set<{ userId, sessionId, permissions, res }>
+const rooms = new Map();
+let heartbeatTimer = null;
+let nextEventId = 1;
+
+const writeEvent = (res, event, data, id = null) => {
+  let message = '';
+  if (id !== null) message += `id: ${id}\n`;
+  message += `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  res.write(message);
+};
+
+const startHeartbeat = () => {
+  if (heartbeatTimer) return;
+
+  heartbeatTimer = setInterval(() => {
+    rooms.forEach(clients => {
+      clients.forEach(client => client.res.write(': ping\n\n'));
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+
+  // Non mantenere vivo il processo solo per il keep-alive
+  heartbeatTimer.unref();
+};
+
+const stopHeartbeatIfIdle = () => {
+  if (rooms.size === 0 && heartbeatTimer) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+};
+
+/**
+ * Registra una risposta HTTP come stream Server-Sent Events nella stanza della famiglia
+ * @param {ObjectId|string} familyId - ID famiglia
+ * @param {ObjectId|string} userId - Utente connesso
+ * @param {Object} res - Risposta Express
+ * @param {ObjectId|string} [sessionId] - Sessione di login (o token personale) che ha aperto lo stream
+ * @param {Array<string>} [permissions] - Permessi del ruolo dell'utente nella famiglia
+ * @returns {Function} Funzione che rimuove il client dalla stanza
+ */
+const addClient = (familyId, userId, res, sessionId = null, permissions = []) => {
+  const room = familyId.toString();
+  const client = { userId: userId.toString(), sessionId: sessionId ? sessionId.toString() : null, permissions, res };
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disattiva il buffering dei reverse proxy (nginx)
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+  writeEvent(res, 'connected', { familyId: room, userId: client.userId });
+
+  if (!rooms.has(room)) {
+    rooms.set(room, new Set());
+  }
+  rooms.get(room).add(client);
+  startHeartbeat();
+
+  return () => {
+    const clients = rooms.get(room);
+    if (!clients) return;
+    clients.delete(client);
+    if (clients.size === 0) rooms.delete(room);
+    stopHeartbeatIfIdle();
+  };
+};
+
+/**
+ * Invia un evento a tutti i membri connessi della famiglia che possono vedere la risorsa.
+ * Gli errori di invio non interrompono la richiesta che ha generato l'evento.
+ * @param {ObjectId|string} familyId - ID famiglia
+ * @param {string} entity - Tipo di risorsa (expense, income, budget, category, family)
+ * @param {string} action - created, updated o deleted
+ * @param {Object} payload
+ * @param {Object} [payload.data] - Risorsa (o suo identificativo) interessata
+ * @param {ObjectId|string} [payload.actorId] - Utente che ha eseguito l'operazione
+ */
+const broadcast = (familyId, entity, action, { data = null, actorId = null } = {}) => {
+  if (!familyId) return;
+
+  const clients = rooms.get(familyId.toString());
+  if (!clients || clients.size === 0) return;
+
+  const event = `${entity}.${action}`;
+  const id = nextEventId++;
+  const message = {
+    entity,
+    action,
+    data,
+    actorId: actorId ? actorId.toString() : null,
+    timestamp: new Date().toISOString()
+  };
+
+  const requiredPermission = ENTITY_PERMISSIONS[entity];
+
+  clients.forEach(client => {
+    if (requiredPermission && !client.permissions.includes(requiredPermission)) return;
+    try {
+      writeEvent(client.res, event, message, id);
+    } catch (error) {
+      logger.warn(`Realtime event ${event} not delivered to user ${client.userId}:`, error.message);
+    }
+  });
+};
+
+/**
+ * Chiude le connessioni di un utente (es. rimosso dalla famiglia o con un nuovo ruolo)
+ * @param {ObjectId|string} familyId - ID famiglia
+ * @param {ObjectId|string} userId - Utente da disconnettere
+ * @param {string} [reason] - Motivo comunicato al client (membership_revoked, role_changed)
+ * @returns {number} Connessioni chiuse
+ */
+const disconnectUser = (familyId, userId, reason = 'membership_revoked') => {
+  const clients = rooms.get(familyId.toString());
+  if (!clients) return 0;
+
+  let closed = 0;
+  clients.forEach(client => {
+    if (client.userId === userId.toString()) {
+      writeEvent(client.res, 'disconnected', { reason });
+      client.res.end();
+      closed++;
+    }
+  });
+  return closed;
+};
+
+/**
+ * Chiude le connessioni aperte con sessioni o token personali revocati (logout, cambio password)
+ * @param {Array<ObjectId|string>} sessionIds - Sessioni o token personali revocati
+ * @returns {number} Connessioni chiuse
+ */
+const disconnectSessions = (sessionIds = []) => {
+  const revoked = new Set(sessionIds.map(id => id.toString()));
+  if (revoked.size === 0) return 0;
+
+  let closed = 0;
+  rooms.forEach(clients => {
+    clients.forEach(client => {
+      if (client.sessionId && revoked.has(client.sessionId)) {
+        writeEvent(client.res, 'disconnected', { reason: 'session_revoked' });
+        client.res.end();
+        closed++;
+      }
+    });
+  });
+  return closed;
+};
+
+/**
+ * Chiude tutte le connessioni aperte (graceful shutdown)
+ */
+const closeAll = () => {
+  rooms.forEach(clients => {
+    clients.forEach(client => client.res.end());
+  });
+  rooms.clear();
+  stopHeartbeatIfIdle();
+};
+
+/**
+ * Numero di connessioni aperte, per famiglia o totale
+ * @param {ObjectId|string} [familyId]
+ * @returns {number}
+ */
+const getClientCount = (familyId = null) => {
+  if (familyId) {
+    return rooms.get(familyId.toString())?.size || 0;
+  }
+  let total = 0;
+  rooms.forEach(clients => { total += clients.size; });
+  return total;
+};
+
+module.exports = {
+  addClient,
+  broadcast,
+  disconnectUser,
+  disconnectSessions,
+  closeAll,
+  getClientCount
+};
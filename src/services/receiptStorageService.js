@@ -0,0 +1,249 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const sharp = require('sharp');
+const Expense = require('../models/Expense');
+const logger = require('../utils/logger');
+
+// Formati accettati per scontrini e fatture
+const RECEIPT_MIME_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'application/pdf'];
+// Formati leggibili dall'OCR (i PDF non vengono analizzati)
+const OCR_MIME_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+const MAX_RECEIPT_SIZE = 10 * 1024 * 1024; // 10MB
+const MAX_FILES_PER_UPLOAD = 5;
+const MAX_ATTACHMENTS_PER_EXPENSE = 10;
+const THUMBNAIL_SIZE = 300;
+
+// Cartella dei file caricati con il driver locale (servita su /uploads)
+const UPLOADS_DIR = path.resolve(process.env.UPLOADS_DIR || path.join(__dirname, '../../uploads'));
+const UPLOADS_URL_PATH = '/uploads';
+
+/**
+ * Driver di archiviazione: RECEIPT_STORAGE=cloudinary|local.
+ * Senza configurazione usa Cloudinary se è configurato, altrimenti il disco locale (sviluppo e test).
+ * @returns {'cloudinary'|'local'}
+ */
+const getStorageDriver = () => {
+  if (process.env.RECEIPT_STORAGE) return process.env.RECEIPT_STORAGE;
+  if (process.env.NODE_ENV === 'test' || !process.env.CLOUDINARY_CLOUD_NAME) return 'local';
+  return 'cloudinary';
+};
+
+const localStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const directory = path.join(UPLOADS_DIR, 'receipts', req.family._id.toString());
+    fs.mkdir(directory, { recursive: true }, (error) => cb(error, directory));
+  },
+  filename: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase() || (file.mimetype === 'application/pdf' ? '.pdf' : '.jpg');
+    cb(null, `receipt_${req.params.id}_${Date.now()}_${crypto.randomBytes(8).toString('hex')}${extension}`);
+  }
+});
+
+// Il driver Cloudinary viene caricato solo se usato
+const getMulterStorage = () => {
+  if (getStorageDriver() === 'cloudinary') {
+    return require('../config/cloudinary').receiptStorage;
+  }
+  return localStorage;
+};
+
+// Middleware multer per il campo multipart "files"
+const receiptUpload = multer({
+  storage: getMulterStorage(),
+  limits: {
+    fileSize: MAX_RECEIPT_SIZE,
+    files: MAX_FILES_PER_UPLOAD
+  },
+  fileFilter: (req, file, cb) => {
+    if (RECEIPT_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Tipo file non supportato. Sono supportati solo JPEG, PNG, WebP e PDF'), false);
+    }
+  }
+}).array('files', MAX_FILES_PER_UPLOAD);
+
+// Middleware multer per la scansione OCR: l'immagine resta in memoria e non viene salvata
+const receiptScanUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_RECEIPT_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (OCR_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Tipo file non supportato. Sono supportati solo JPEG, PNG e WebP'), false);
+    }
+  }
+}).single('file');
+
+// Percorso assoluto di un file locale, limitato alla cartella degli upload
+const resolveLocalPath = (storageKey) => {
+  const absolutePath = path.resolve(UPLOADS_DIR, storageKey);
+  if (!absolutePath.startsWith(UPLOADS_DIR + path.sep)) {
+    throw new Error('Percorso file non valido');
+  }
+  return absolutePath;
+};
+
+const toLocalUrl = (storageKey) => `${UPLOADS_URL_PATH}/${storageKey.split(path.sep).join('/')}`;
+
+// Miniatura JPEG accanto all'originale (i PDF non hanno miniatura in locale)
+const createLocalThumbnail = async (file) => {
+  if (file.mimetype === 'application/pdf') return null;
+
+  const parsed = path.parse(file.path);
+  const thumbnailPath = path.join(parsed.dir, `${parsed.name}_thumb.jpg`);
+  await sharp(file.path)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 80 })
+    .toFile(thumbnailPath);
+
+  return path.relative(UPLOADS_DIR, thumbnailPath);
+};
+
+/**
+ * Converte un file caricato da multer nell'allegato da salvare sulla spesa
+ * @param {Object} file - File multer
+ * @param {ObjectId|string} userId - Utente che carica il file
+ * @returns {Promise<Object>} Allegato per expense.receipt.attachments
+ */
+const buildAttachment = async (file, userId) => {
+  const attachment = {
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+    uploadedBy: userId,
+    uploadedAt: new Date()
+  };
+
+  if (getStorageDriver() === 'cloudinary') {
+    const { getThumbnailUrl } = require('../config/cloudinary');
+    return {
+      ...attachment,
+      storage: 'cloudinary',
+      storageKey: file.filename,
+      url: file.path,
+      thumbnailUrl: getThumbnailUrl(file.filename)
+    };
+  }
+
+  const storageKey = path.relative(UPLOADS_DIR, file.path);
+  let thumbnailKey = null;
+  try {
+    thumbnailKey = await createLocalThumbnail(file);
+  } catch (error) {
+    logger.warn(`Receipt thumbnail not created for ${storageKey}:`, error.message);
+  }
+
+  return {
+    ...attachment,
+    storage: 'local',
+    storageKey,
+    thumbnailKey,
+    url: toLocalUrl(storageKey),
+    thumbnailUrl: thumbnailKey ? toLocalUrl(thumbnailKey) : null
+  };
+};
+
+/**
+ * Legge il contenuto originale di un allegato (disco locale o URL Cloudinary)
+ * @param {Object} attachment - Allegato di expense.receipt.attachments
+ * @returns {Promise<Buffer>}
+ */
+const readAttachmentFile = async (attachment) => {
+  if (attachment.storage === 'local') {
+    return await fs.promises.readFile(resolveLocalPath(attachment.storageKey));
+  }
+
+  const response = await fetch(attachment.url);
+  if (!response.ok) {
+    throw new Error(`Download allegato fallito (HTTP ${response.status})`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+};
+
+/**
+ * Elimina dall'archivio i file di un allegato (originale e miniatura)
+ * @param {Object} attachment - Allegato di expense.receipt.attachments
+ */
+const deleteAttachmentFiles = async (attachment) => {
+  if (attachment.storage === 'cloudinary') {
+    const { deleteImage } = require('../config/cloudinary');
+    await deleteImage(attachment.storageKey);
+    return;
+  }
+
+  const keys = [attachment.storageKey, attachment.thumbnailKey].filter(Boolean);
+  for (const key of keys) {
+    try {
+      await fs.promises.unlink(resolveLocalPath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+};
+
+/**
+ * Elimina i file di più allegati senza interrompere la richiesta in caso di errore
+ * @param {Array<Object>} attachments - Allegati da eliminare
+ */
+const deleteAttachmentsSafely = async (attachments = []) => {
+  for (const attachment of attachments) {
+    try {
+      await deleteAttachmentFiles(attachment);
+    } catch (error) {
+      logger.warn(`Receipt file not deleted (${attachment.storage}:${attachment.storageKey}):`, error.message);
+    }
+  }
+};
+
+/**
+ * Elimina i file allegati alle spese che corrispondono al filtro
+ * (da chiamare prima di eliminare definitivamente le spese)
+ * @param {Object} filter - Filtro Mongoose sulle spese
+ * @returns {Promise<number>} Numero di allegati eliminati
+ */
+const deleteReceiptsForExpenses = async (filter) => {
+  const expenses = await Expense.find({ ...filter, 'receipt.attachments.0': { $exists: true } })
+    .select('receipt.attachments')
+    .lean();
+
+  const attachments = expenses.flatMap(expense => expense.receipt.attachments);
+  await deleteAttachmentsSafely(attachments);
+  return attachments.length;
+};
+
+/**
+ * Elimina i file appena caricati da multer quando la richiesta viene rifiutata
+ * @param {Array<Object>} files - req.files
+ */
+const discardUploadedFiles = async (files = []) => {
+  const driver = getStorageDriver();
+  await deleteAttachmentsSafely(files.map(file => (
+    driver === 'cloudinary'
+      ? { storage: 'cloudinary', storageKey: file.filename }
+      : { storage: 'local', storageKey: path.relative(UPLOADS_DIR, file.path) }
+  )));
+};
+
+module.exports = {
+  UPLOADS_DIR,
+  UPLOADS_URL_PATH,
+  MAX_ATTACHMENTS_PER_EXPENSE,
+  OCR_MIME_TYPES,
+  getStorageDriver,
+  resolveLocalPath,
+  receiptUpload,
+  receiptScanUpload,
+  buildAttachment,
+  readAttachmentFile,
+  deleteAttachmentsSafely,
+  deleteReceiptsForExpenses,
+  discardUploadedFiles
+};
@@ -0,0 +1,122 @@
+const Revision = require('../models/Revision');
+const logger = require('../utils/logger');
+const { diffChanges } = require('./auditService');
+
+// Tentativi di assegnare il numero di versione quando due modifiche concorrenti
+// ottengono lo stesso numero (indice univoco entityId + version)
+const MAX_VERSION_ATTEMPTS = 5;
+
+// Campi modificabili che vengono versionati (percorsi del documento)
+const REVISION_FIELDS = {
+  expense: [
+    'amount',
+    'currency',
+    'exchangeRate',
+    'description',
+    'category',
+    'date',
+    'tags',
+    'notes',
+    'location',
+    'receipt.imageUrl',
+    'receipt.merchant',
+    'splitMethod',
+    'splits',
+    'isRecurring',
+    'recurringPattern.frequency',
+    'recurringPattern.interval',
+    'recurringPattern.endDate'
+  ],
+  income: [
+    'amount',
+    'currency',
+    'exchangeRate',
+    'description',
+    'source',
+    'date',
+    'tags',
+    'notes',
+    'taxInfo',
+    'isRecurring',
+    'recurringPattern.frequency',
+    'recurringPattern.interval',
+    'recurringPattern.dayOfMonth',
+    'recurringPattern.endDate'
+  ]
+};
+
+/**
+ * Valori attuali dei campi versionati di una spesa o entrata
+ * @param {string} entity - 'expense' o 'income'
+ * @param {Object} doc - Documento Expense o Income
+ * @returns {Object} Valori indicizzati per percorso (es. 'recurringPattern.frequency')
+ */
+const getVersionedState = (entity, doc) => {
+  const state = {};
+  REVISION_FIELDS[entity].forEach(field => {
+    // Per i riferimenti popolati (es. category) si salva solo l'ID
+    const value = doc.populated(field) || doc.get(field);
+    state[field] = value === undefined ? null : JSON.parse(JSON.stringify(value));
+  });
+  return state;
+};
+
+/**
+ * Registra una revisione se la modifica ha cambiato almeno un campo versionato.
+ * Non blocca la richiesta: gli errori vengono solo registrati.
+ * @param {string} entity - 'expense' o 'income'
+ * @param {Object} doc - Documento dopo la modifica
+ * @param {Object} previousState - Stato precedente (da getVersionedState)
+ * @param {ObjectId|string} userId - Autore della modifica
+ * @param {Object} [options]
+ * @param {ObjectId|string} [options.revertedTo] - Revisione ripristinata
+ * @returns {Promise<Object|null>} Revisione creata, null se nessun campo è cambiato
+ */
+const recordRevision = async (entity, doc, previousState, userId, { revertedTo = null } = {}) => {
+  try {
+    const changes = diffChanges(previousState, getVersionedState(entity, doc));
+    if (changes.length === 0) return null;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await Revision.create({
+          familyId: doc.familyId,
+          entity,
+          entityId: doc._id,
+          version: await Revision.getNextVersion(doc._id),
+          action: revertedTo ? 'reverted' : 'updated',
+          changes,
+          snapshot: Object.entries(previousState).map(([field, value]) => ({ field, value })),
+          editedBy: userId,
+          revertedTo
+        });
+      } catch (error) {
+        // Versione già presa da una modifica concorrente: si riprova con la successiva
+        if (error.code !== 11000 || attempt >= MAX_VERSION_ATTEMPTS) throw error;
+      }
+    }
+  } catch (error) {
+    logger.error(`Revision not saved for ${entity} ${doc._id}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Riporta il documento ai valori salvati nella revisione (senza salvare)
+ * @param {Object} doc - Documento Expense o Income
+ * @param {Object} revision - Revisione da ripristinare
+ */
+const applyRevision = (doc, revision) => {
+  revision.snapshot.forEach(({ field, value }) => {
+    if (REVISION_FIELDS[revision.entity].includes(field)) {
+      doc.set(field, value);
+    }
+  });
+};
+
+module.exports = {
+  REVISION_FIELDS,
+  getVersionedState,
+  recordRevision,
+  applyRevision
+};
@@ -0,0 +1,79 @@
+const { runDailyJobs } = require('./jobService');
+const logger = require('../utils/logger');
+
+// Ogni controllo esegue solo i job non ancora completati per la giornata,
+// quindi l'intervallo può essere più breve di un giorno senza duplicare il lavoro.
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000; // 1 ora
+const STARTUP_DELAY_MS = 30 * 1000; // 30 secondi
+
+let timer = null;
+let isRunning = false;
+
+const tick = async () => {
+  if (isRunning) {
+    logger.warn('Job scheduler tick skipped: previous run still in progress');
+    return;
+  }
+
+  isRunning = true;
+  try {
+    const runs = await runDailyJobs(new Date());
+    if (runs > 0) {
+      logger.info(`Job scheduler completed ${runs} job runs`);
+    }
+  } catch (error) {
+    logger.error('Job scheduler error:', error);
+  } finally {
+    isRunning = false;
+  }
+};
+
+const scheduleNext = (delay) => {
+  timer = setTimeout(async () => {
+    await tick();
+    if (timer) {
+      scheduleNext(parseInt(process.env.JOBS_INTERVAL_MS) || DEFAULT_INTERVAL_MS);
+    }
+  }, delay);
+
+  // Non mantenere vivo il processo solo per lo scheduler
+  timer.unref();
+};
+
+/**
+ * Avvia lo scheduler dei job giornalieri
+ * Disattivabile con JOBS_ENABLED=false (es. in test o su istanze secondarie)
+ * @returns {boolean} true se lo scheduler è stato avviato
+ */
+const startScheduler = () => {
+  if (timer) return true;
+
+  if (process.env.JOBS_ENABLED === 'false' || process.env.NODE_ENV === 'test') {
+    logger.info('Job scheduler disabled');
+    return false;
+  }
+
+  const startupDelay = process.env.JOBS_STARTUP_DELAY_MS !== undefined
+    ? parseInt(process.env.JOBS_STARTUP_DELAY_MS)
+    : STARTUP_DELAY_MS;
+
+  scheduleNext(startupDelay);
+  logger.info('⏰ Job scheduler started');
+  return true;
+};
+
+/**
+ * Ferma lo scheduler (graceful shutdown)
+ */
+const stopScheduler = () => {
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+    logger.info('Job scheduler stopped');
+  }
+};
+
+module.exports = {
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { generateToken, ACCESS_TOKEN_EXPIRE } = require('../config/jwt');
+const { disconnectSessions } = require('./realtimeService');
+const logger = require('../utils/logger');
+
+// Durata del refresh token: ogni rotazione la riporta al valore pieno
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+// Intervallo minimo tra due aggiornamenti di lastUsedAt dalle richieste autenticate
+const LAST_USED_UPDATE_INTERVAL_MS = 5 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getRefreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+
+const getClientInfo = (req) => ({
+  ip: req.ip || null,
+  userAgent: req.get('user-agent')?.slice(0, 500) || null
+});
+
+// Coppia token di accesso + refresh token restituita al client
+const buildTokens = (user, session, refreshToken) => ({
+  token: generateToken({
+    userId: user._id,
+    email: user.email,
+    familyId: user.familyId,
+    sessionId: session._id
+  }),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_EXPIRE
+});
+
+/**
+ * Crea una nuova sessione di login per il dispositivo della richiesta
+ * @param {Object} user - Documento User
+ * @param {Object} req - Richiesta Express (IP, user agent, body.deviceName)
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: string, session: Object}>}
+ */
+const createSession = async (user, req) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const deviceName = typeof req.body?.deviceName === 'string' ? req.body.deviceName.trim().slice(0, 100) : null;
+
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    deviceName: deviceName || null,
+    ...getClientInfo(req),
+    lastUsedAt: new Date(),
+    expiresAt: getRefreshExpiry()
+  });
+
+  return { ...buildTokens(user, session, refreshToken), session };
+};
+
+/**
+ * Trova la sessione a cui appartiene un refresh token
+ * @param {string} refreshToken - Refresh token inviato dal client
+ * @returns {Promise<Object|null>} Documento Session
+ */
+const findSessionByRefreshToken = async (refreshToken) => {
+  return await Session.findOne({ refreshTokenHash: hashToken(refreshToken) });
+};
+
+/**
+ * Revoca una singola sessione e chiude i suoi stream in tempo reale
+ * @param {Object} session - Documento Session
+ * @param {string} reason - Motivo della revoca
+ */
+const revokeSession = async (session, reason) => {
+  await session.revoke(reason);
+  disconnectSessions([session._id]);
+};
+
+/**
+ * Revoca tutte le sessioni attive di un utente
+ * @param {ObjectId|string} userId - ID utente
+ * @param {string} reason - Motivo della revoca
+ * @param {ObjectId|string} [exceptSessionId] - Sessione da mantenere
+ * @returns {Promise<number>} Sessioni revocate
+ */
+const revokeAllSessions = async (userId, reason, exceptSessionId = null) => {
+  const revokedIds = await Session.revokeAllForUser(userId, reason, exceptSessionId);
+  disconnectSessions(revokedIds);
+
+  if (revokedIds.length > 0) {
+    logger.info(`${revokedIds.length} sessions revoked for user ${userId} (${reason})`);
+  }
+  return revokedIds.length;
+};
+
+/**
+ * Scambia un refresh token con una nuova coppia di token (rotazione).
+ * Il riuso di un token già ruotato revoca la sessione: indica che è stato rubato.
+ * @param {string} refreshToken - Refresh token inviato dal client
+ * @param {Object} req - Richiesta Express (IP e user agent)
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: string, session: Object, user: Object}>}
+ */
+const refreshSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+  if (!session) {
+    const reused = await Session.findOne({ previousTokenHash: tokenHash, revokedAt: null });
+    if (reused) {
+      await revokeSession(reused, 'token_reuse');
+      logger.warn(`Refresh token reuse detected, session ${reused._id} revoked for user ${reused.userId}`);
+    }
+    throw new Error('Refresh token non valido');
+  }
+
+  if (!session.isValid()) {
+    throw new Error('Refresh token non valido');
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user || !user.isActive) {
+    throw new Error('Refresh token non valido');
+  }
+
+  const newRefreshToken = crypto.randomBytes(48).toString('hex');
+  const now = new Date();
+
+  // Rotazione atomica: due richieste concorrenti con lo stesso token non possono riuscire entrambe
+  const rotation = await Session.updateOne(
+    { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(newRefreshToken),
+        previousTokenHash: tokenHash,
+        lastUsedAt: now,
+        expiresAt: getRefreshExpiry(),
+        ...getClientInfo(req)
+      }
+    }
+  );
+
+  if (rotation.modifiedCount === 0) {
+    throw new Error('Refresh token non valido');
+  }
+
+  return { ...buildTokens(user, session, newRefreshToken), session, user };
+};
+
+/**
+ * Aggiorna lastUsedAt della sessione al massimo una volta ogni 5 minuti.
+ * Non blocca la richiesta: gli errori vengono solo registrati.
+ * @param {Object} session - Documento Session
+ */
+const touchSession = (session) => {
+  if (Date.now() - session.lastUsedAt.getTime() < LAST_USED_UPDATE_INTERVAL_MS) return;
+
+  Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } })
+    .catch(error => logger.warn(`Session ${session._id} last use not updated:`, error.message));
+};
+
+module.exports = {
+  createSession,
+  findSessionByRefreshToken,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  touchSession
+};
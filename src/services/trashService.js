@@ -0,0 +1,95 @@
+const Expense = require('../models/Expense');
+const Income = require('../models/Income');
+const Revision = require('../models/Revision');
+const logger = require('../utils/logger');
+const { deleteReceiptsForExpenses } = require('./receiptStorageService');
+
+// Conservazione predefinita del cestino (sovrascrivibile con settings.trashRetentionDays)
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// Risorse che passano dal cestino, con i permessi per gestire quelle degli altri membri
+const TRASH_TYPES = {
+  expense: {
+    model: Expense,
+    createPermission: 'expenses:create',
+    editOthersPermission: 'expenses:edit_others',
+    viewOthersPermission: null
+  },
+  income: {
+    model: Income,
+    createPermission: 'incomes:create',
+    editOthersPermission: 'incomes:edit_others',
+    viewOthersPermission: 'incomes:view'
+  }
+};
+
+/**
+ * Filtro sugli elementi nel cestino di una famiglia.
+ * Gli elementi eliminati prima dell'introduzione del cestino non hanno deletedAt:
+ * per loro vale la data dell'ultima modifica.
+ * @param {ObjectId|string} familyId - Famiglia
+ * @param {Date} [deletedBefore] - Solo gli elementi eliminati prima di questa data
+ * @returns {Object} Filtro Mongoose
+ */
+const getTrashFilter = (familyId, deletedBefore = null) => {
+  const filter = { familyId, isActive: false };
+  if (deletedBefore) {
+    filter.$or = [
+      { deletedAt: { $lte: deletedBefore } },
+      { deletedAt: null, updatedAt: { $lte: deletedBefore } }
+    ];
+  }
+  return filter;
+};
+
+/**
+ * Elimina definitivamente gli elementi nel cestino che corrispondono al filtro
+ * (con la loro cronologia delle modifiche e, per le spese, gli scontrini archiviati)
+ * @param {string} type - Chiave di TRASH_TYPES
+ * @param {Object} filter - Filtro Mongoose (deve includere isActive: false)
+ * @returns {Promise<number>} Numero di elementi eliminati
+ */
+const purgeTrashItems = async (type, filter) => {
+  const { model } = TRASH_TYPES[type];
+  const ids = await model.distinct('_id', filter);
+  if (ids.length === 0) return 0;
+
+  if (type === 'expense') {
+    await deleteReceiptsForExpenses({ _id: { $in: ids } });
+  }
+  await Revision.deleteMany({ entity: type, entityId: { $in: ids } });
+  const { deletedCount } = await model.deleteMany({ _id: { $in: ids } });
+  return deletedCount;
+};
+
+/**
+ * Elimina definitivamente gli elementi rimasti nel cestino oltre la conservazione della famiglia
+ * @param {Object} family - Documento Family
+ * @param {Date} [date] - Data di riferimento
+ * @returns {Promise<{processed: number, errors: Array}>}
+ */
+const purgeExpiredTrash = async (family, date = new Date()) => {
+  const retentionDays = family.settings?.trashRetentionDays || DEFAULT_TRASH_RETENTION_DAYS;
+  const cutoff = new Date(date.getTime() - retentionDays * 24 * 60 * 60 * 1000);
+  const errors = [];
+  let processed = 0;
+
+  for (const type of Object.keys(TRASH_TYPES)) {
+    try {
+      processed += await purgeTrashItems(type, getTrashFilter(family._id, cutoff));
+    } catch (error) {
+      logger.error(`Error purging ${type} trash for family ${family._id}:`, error);
+      errors.push({ message: error.message, ref: type });
+    }
+  }
+
+  return { processed, errors };
+};
+
+module.exports = {
+  DEFAULT_TRASH_RETENTION_DAYS,
+  TRASH_TYPES,
+  getTrashFilter,
+  purgeTrashItems,
+  purgeExpiredTrash
+};
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+
+const TOTP_ISSUER = 'FamilyBudget';
+const TOTP_STEP_SECONDS = 30;
+const RECOVERY_CODES_COUNT = 10;
+
+// Accetta anche il codice del passo precedente e successivo (orologi non sincronizzati)
+const totp = authenticator.clone({ window: 1, step: TOTP_STEP_SECONDS });
+
+// Chiave AES-256 per cifrare i segreti TOTP salvati nel database
+const getEncryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+  .digest();
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(code.replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+/**
+ * Cifra un segreto TOTP (AES-256-GCM)
+ * @param {string} secret - Segreto in base32
+ * @returns {string} iv:tag:testo cifrato in esadecimale
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+/**
+ * Decifra un segreto TOTP salvato con encryptSecret
+ * @param {string} value - iv:tag:testo cifrato
+ * @returns {string} Segreto in base32
+ */
+const decryptSecret = (value) => {
+  const [iv, tag, encrypted] = value.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Genera un nuovo segreto TOTP con URI di provisioning e QR code
+ * @param {string} accountName - Email dell'utente
+ * @returns {Promise<{secret: string, otpauthUrl: string, qrCode: string}>}
+ */
+const generateEnrollment = async (accountName) => {
+  const secret = totp.generateSecret();
+  const otpauthUrl = totp.keyuri(accountName, TOTP_ISSUER, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+  return { secret, otpauthUrl, qrCode };
+};
+
+/**
+ * Verifica un codice TOTP
+ * @param {string} secret - Segreto in base32
+ * @param {string} code - Codice a 6 cifre
+ * @param {number|null} [lastUsedStep] - Ultimo passo già usato (impedisce il riuso dello stesso codice)
+ * @returns {number|null} Passo temporale del codice, null se non valido
+ */
+const verifyTotpCode = (secret, code, lastUsedStep = null) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const delta = totp.checkDelta(normalized, secret);
+  if (delta === null) return null;
+
+  const step = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + delta;
+  if (lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep) return null;
+  return step;
+};
+
+/**
+ * Genera i codici di recupero monouso
+ * @returns {{codes: Array<string>, hashes: Array<{codeHash: string, usedAt: null}>}}
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODES_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(code => ({ codeHash: hashRecoveryCode(code), usedAt: null }))
+  };
+};
+
+/**
+ * Verifica il secondo fattore di un utente: codice TOTP oppure codice di recupero.
+ * Aggiorna l'utente (passo usato o codice consumato) senza salvarlo.
+ * @param {Object} user - Utente caricato con +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep
+ * @param {string} code - Codice inserito
+ * @returns {'totp'|'recovery'|null} Metodo usato, null se il codice non è valido
+ */
+const verifyUserCode = (user, code) => {
+  if (!user.twoFactor?.enabled || !user.twoFactor.secret) return null;
+
+  const step = verifyTotpCode(decryptSecret(user.twoFactor.secret), code, user.twoFactor.lastUsedStep);
+  if (step !== null) {
+    user.twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  const codeHash = hashRecoveryCode(String(code || ''));
+  const recoveryCode = (user.twoFactor.recoveryCodes || []).find(item => !item.usedAt && item.codeHash === codeHash);
+  if (recoveryCode) {
+    recoveryCode.usedAt = new Date();
+    return 'recovery';
+  }
+
+  return null;
+};
+
+/**
+ * Numero di codici di recupero non ancora usati
+ * @param {Object} user - Utente caricato con +twoFactor.recoveryCodes
+ * @returns {number}
+ */
+const countRemainingRecoveryCodes = (user) => (user.twoFactor?.recoveryCodes || []).filter(item => !item.usedAt).length;
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+  generateEnrollment,
+  verifyTotpCode,
+  generateRecoveryCodes,
+  verifyUserCode,
+  countRemainingRecoveryCodes
+};
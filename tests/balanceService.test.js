@@ -0,0 +1,58 @@
+const { minimizeTransfers } = require('../src/services/balanceService');
+
+// Saldi in centesimi per ID utente (positivo = deve ricevere, negativo = deve pagare)
+const toBalances = (entries) => new Map(
+  Object.entries(entries).map(([userId, balance]) => [userId, { balance }])
+);
+
+// Saldi finali dopo aver applicato i trasferimenti: devono essere tutti a zero
+const applyTransfers = (entries, transfers) => {
+  const result = { ...entries };
+  transfers.forEach(({ from, to, amount }) => {
+    result[from] += amount;
+    result[to] -= amount;
+  });
+  return result;
+};
+
+describe('minimizeTransfers', () => {
+  it('non genera trasferimenti se i saldi sono in pari', () => {
+    expect(minimizeTransfers(toBalances({ anna: 0, luca: 0 }))).toEqual([]);
+  });
+
+  it('salda un debito semplice con un solo trasferimento', () => {
+    expect(minimizeTransfers(toBalances({ anna: 3000, luca: -3000 }))).toEqual([
+      { from: 'luca', to: 'anna', amount: 3000 }
+    ]);
+  });
+
+  it('fa pagare il maggior debitore al maggior creditore', () => {
+    // Cena da 90€ pagata da anna, divisa in tre
+    const entries = { anna: 6000, luca: -3000, sara: -3000 };
+    const transfers = minimizeTransfers(toBalances(entries));
+
+    expect(transfers).toEqual([
+      { from: 'luca', to: 'anna', amount: 3000 },
+      { from: 'sara', to: 'anna', amount: 3000 }
+    ]);
+    expect(Object.values(applyTransfers(entries, transfers))).toEqual([0, 0, 0]);
+  });
+
+  it('usa al massimo (membri - 1) trasferimenti e azzera tutti i saldi', () => {
+    const entries = { anna: 4500, luca: 1250, sara: -2000, marco: -2500, giulia: -1250 };
+    const transfers = minimizeTransfers(toBalances(entries));
+
+    expect(transfers.length).toBeLessThanOrEqual(Object.keys(entries).length - 1);
+    expect(transfers.every(transfer => transfer.amount > 0)).toBe(true);
+    expect(Object.values(applyTransfers(entries, transfers)).every(balance => balance === 0)).toBe(true);
+  });
+
+  it('evita i passaggi intermedi tra debitori e creditori', () => {
+    // luca deve a sara che deve ad anna: basta un trasferimento diretto luca -> anna
+    const entries = { anna: 1000, sara: 0, luca: -1000 };
+
+    expect(minimizeTransfers(toBalances(entries))).toEqual([
+      { from: 'luca', to: 'anna', amount: 1000 }
+    ]);
+  });
+});
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const CategorizationRule = require('../src/models/CategorizationRule');
+
+const buildRule = (conditions, overrides = {}) => new CategorizationRule({
+  name: 'Regola',
+  familyId: new mongoose.Types.ObjectId(),
+  categoryId: new mongoose.Types.ObjectId(),
+  createdBy: new mongoose.Types.ObjectId(),
+  conditions,
+  ...overrides
+});
+
+const validationMessages = async (rule) => {
+  try {
+    await rule.validate();
+    return [];
+  } catch (error) {
+    return Object.values(error.errors).map(err => err.message);
+  }
+};
+
+describe('CategorizationRule.matches', () => {
+  const expense = {
+    description: 'Pagamento POS ESSELUNGA 1234',
+    amount: 54.3,
+    tags: ['Spesa'],
+    receipt: { merchant: 'Esselunga S.p.A.' }
+  };
+
+  it('cerca il testo senza distinguere maiuscole per default', () => {
+    expect(buildRule({ text: { value: 'esselunga' } }).matches(expense)).toBe(true);
+    expect(buildRule({ text: { value: 'esselunga', caseSensitive: true } }).matches(expense)).toBe(false);
+  });
+
+  it('limita la ricerca al campo indicato', () => {
+    expect(buildRule({ text: { field: 'merchant', value: 'pos' } }).matches(expense)).toBe(false);
+    expect(buildRule({ text: { field: 'description', value: 'pos' } }).matches(expense)).toBe(true);
+    expect(buildRule({ text: { field: 'merchant', value: 's.p.a.' } }).matches(expense)).toBe(true);
+  });
+
+  it('applica importi e tag insieme al testo', () => {
+    expect(buildRule({ text: { value: 'esselunga' }, minAmount: 50, maxAmount: 60 }).matches(expense)).toBe(true);
+    expect(buildRule({ text: { value: 'esselunga' }, maxAmount: 50 }).matches(expense)).toBe(false);
+    expect(buildRule({ tag: 'spesa' }).matches(expense)).toBe(true);
+    expect(buildRule({ tag: 'casa' }).matches(expense)).toBe(false);
+  });
+
+  it('valuta le espressioni regolari', () => {
+    expect(buildRule({ text: { operator: 'regex', value: '^pagamento pos (esselunga|coop)' } }).matches(expense)).toBe(true);
+    expect(buildRule({ text: { operator: 'regex', value: '^coop' } }).matches(expense)).toBe(false);
+  });
+
+  it('non esegue regex pericolose salvate prima del controllo', () => {
+    const rule = buildRule({ text: { operator: 'regex', value: '(a+)+$' } });
+    const started = Date.now();
+
+    expect(rule.matches({ description: `${'a'.repeat(40)}!`, amount: 1 })).toBe(false);
+    expect(Date.now() - started).toBeLessThan(100);
+  });
+
+  it('findMatchingRule restituisce la prima regola applicabile', () => {
+    const generic = buildRule({ minAmount: 1 });
+    const specific = buildRule({ text: { value: 'esselunga' } });
+
+    expect(CategorizationRule.findMatchingRule([specific, generic], expense)).toBe(specific);
+    expect(CategorizationRule.findMatchingRule([buildRule({ tag: 'casa' })], expense)).toBeNull();
+  });
+});
+
+describe('validazione delle regole', () => {
+  it('richiede almeno una condizione', async () => {
+    expect(await validationMessages(buildRule({}))).toContain('La regola deve avere almeno una condizione');
+  });
+
+  it('rifiuta regex non compilabili', async () => {
+    expect(await validationMessages(buildRule({ text: { operator: 'regex', value: '(esselunga' } })))
+      .toContain('Espressione regolare non valida');
+  });
+
+  it('rifiuta quantificatori annidati e regex troppo lunghe', async () => {
+    const nested = await validationMessages(buildRule({ text: { operator: 'regex', value: '(a+)+$' } }));
+    const long = await validationMessages(buildRule({ text: { operator: 'regex', value: `^${'a'.repeat(120)}` } }));
+
+    expect(nested[0]).toMatch(/Espressione regolare troppo complessa/);
+    expect(long[0]).toMatch(/Espressione regolare troppo complessa/);
+  });
+
+  it('accetta regex semplici', async () => {
+    expect(await validationMessages(buildRule({ text: { operator: 'regex', value: '^(esselunga|coop)\\b' } }))).toEqual([]);
+  });
+});
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const Family = require('../src/models/Family');
+const User = require('../src/models/User');
+const { applySuccession } = require('../src/services/familySuccessionService');
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+describe('successione nella famiglia', () => {
+  const ownerId = new mongoose.Types.ObjectId();
+  const adminId = new mongoose.Types.ObjectId();
+  const memberId = new mongoose.Types.ObjectId();
+  const childId = new mongoose.Types.ObjectId();
+
+  const buildFamily = (members) => new Family({ name: 'Famiglia Rossi', createdBy: ownerId, members });
+  const roleOf = (family, userId) => family.getMemberRole(userId);
+
+  beforeEach(() => {
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ acknowledged: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('requiresSuccessor', () => {
+    it('serve un successore per l\'ultimo owner o l\'ultimo che gestisce i membri', () => {
+      const family = buildFamily([
+        { user: ownerId, role: 'owner' },
+        { user: adminId, role: 'admin' },
+        { user: memberId, role: 'member' }
+      ]);
+
+      expect(family.requiresSuccessor(ownerId)).toBe(true);
+      expect(family.requiresSuccessor(adminId)).toBe(false);
+      expect(family.requiresSuccessor(memberId)).toBe(false);
+    });
+
+    it('non serve se il membro uscente è l\'ultimo della famiglia', () => {
+      expect(buildFamily([{ user: ownerId, role: 'owner' }]).requiresSuccessor(ownerId)).toBe(false);
+    });
+  });
+
+  describe('findSuccessor', () => {
+    it('preferisce chi gestisce i membri, poi il membro più anziano, i figli per ultimi', () => {
+      const family = buildFamily([
+        { user: ownerId, role: 'owner', joinedAt: daysAgo(100) },
+        { user: childId, role: 'child', joinedAt: daysAgo(90) },
+        { user: memberId, role: 'member', joinedAt: daysAgo(10) },
+        { user: adminId, role: 'admin', joinedAt: daysAgo(5) }
+      ]);
+
+      expect(family.findSuccessor(ownerId).user).toEqual(adminId);
+
+      family.members.find(member => member.user.equals(adminId)).isActive = false;
+      expect(family.findSuccessor(ownerId).user).toEqual(memberId);
+    });
+
+    it('preferisce il destinatario di un trasferimento di proprietà in attesa', () => {
+      const family = buildFamily([
+        { user: ownerId, role: 'owner' },
+        { user: adminId, role: 'admin' },
+        { user: memberId, role: 'member' }
+      ]);
+      family.ownershipTransfer = { to: memberId, requestedBy: ownerId, requestedAt: new Date(), expiresAt: new Date(Date.now() + 60000) };
+
+      expect(family.findSuccessor(ownerId).user).toEqual(memberId);
+    });
+  });
+
+  describe('applySuccession', () => {
+    it('trasferisce la proprietà al successore quando esce l\'ultimo owner', async () => {
+      const family = buildFamily([
+        { user: ownerId, role: 'owner' },
+        { user: memberId, role: 'member' }
+      ]);
+
+      const successor = await applySuccession(family, ownerId);
+
+      expect(successor).toEqual({ userId: memberId.toString(), role: 'owner' });
+      expect(roleOf(family, memberId)).toBe('owner');
+      expect(family.createdBy).toEqual(memberId);
+      expect(User.updateOne).toHaveBeenCalledWith({ _id: memberId, familyId: family._id }, { role: 'owner' });
+    });
+
+    it('promuove ad admin il successore dell\'ultimo admin', async () => {
+      const family = buildFamily([
+        { user: adminId, role: 'admin' },
+        { user: memberId, role: 'member' },
+        { user: childId, role: 'child' }
+      ]);
+
+      const successor = await applySuccession(family, adminId, childId);
+
+      expect(successor).toEqual({ userId: childId.toString(), role: 'admin' });
+      expect(roleOf(family, memberId)).toBe('member');
+    });
+
+    it('non cambia ruoli se la successione non serve', async () => {
+      const family = buildFamily([
+        { user: ownerId, role: 'owner' },
+        { user: memberId, role: 'member' }
+      ]);
+
+      expect(await applySuccession(family, memberId)).toBeNull();
+      expect(roleOf(family, ownerId)).toBe('owner');
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('rifiuta un successore che non è un altro membro attivo', async () => {
+      const family = buildFamily([
+        { user: ownerId, role: 'owner' },
+        { user: memberId, role: 'member' }
+      ]);
+
+      await expect(applySuccession(family, ownerId, ownerId)).rejects.toThrow('Il successore deve essere un altro membro attivo della famiglia');
+      await expect(applySuccession(family, ownerId, new mongoose.Types.ObjectId())).rejects.toThrow();
+      expect(roleOf(family, memberId)).toBe('member');
+    });
+
+    it('annulla il trasferimento di proprietà in attesa che coinvolge il membro uscente', async () => {
+      const family = buildFamily([
+        { user: ownerId, role: 'owner' },
+        { user: adminId, role: 'owner' },
+        { user: memberId, role: 'member' }
+      ]);
+      family.ownershipTransfer = { to: memberId, requestedBy: ownerId, requestedAt: new Date(), expiresAt: new Date(Date.now() + 60000) };
+
+      await applySuccession(family, memberId);
+
+      expect(family.getPendingOwnershipTransfer()).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,185 @@
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const Session = require('../src/models/Session');
+const PersonalAccessToken = require('../src/models/PersonalAccessToken');
+const { generateOAuthStateToken } = require('../src/config/jwt');
+
+const FRONTEND_CALLBACK = 'http://localhost:3000/auth/google/callback';
+
+// Provider OAuth simulato: scambio del codice e profilo utente (formato OpenID di Google)
+let providerProfile;
+const provider = http.createServer((req, res) => {
+  res.setHeader('Content-Type', 'application/json');
+  if (req.method === 'POST' && req.url === '/token') {
+    return res.end(JSON.stringify({ access_token: 'provider-access-token', token_type: 'Bearer' }));
+  }
+  if (req.method === 'GET' && req.url.startsWith('/userinfo')) {
+    return res.end(JSON.stringify(providerProfile));
+  }
+  res.statusCode = 404;
+  res.end('{}');
+});
+
+const parseRedirect = (res) => {
+  const url = new URL(res.headers.location);
+  return {
+    base: `${url.origin}${url.pathname}`,
+    query: url.searchParams,
+    fragment: new URLSearchParams(url.hash.slice(1))
+  };
+};
+
+describe('accesso con Google', () => {
+  let app;
+  let users;
+
+  beforeAll(async () => {
+    await new Promise(resolve => provider.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${provider.address().port}`;
+
+    process.env.GOOGLE_CLIENT_ID = 'test-client-id';
+    process.env.GOOGLE_CLIENT_SECRET = 'test-client-secret';
+    process.env.GOOGLE_AUTH_URL = `${baseUrl}/auth`;
+    process.env.GOOGLE_TOKEN_URL = `${baseUrl}/token`;
+    process.env.GOOGLE_USERINFO_URL = `${baseUrl}/userinfo`;
+
+    // La strategia legge la configurazione dall'ambiente al momento della registrazione
+    const { configurePassport } = require('../src/config/passport');
+    app = express();
+    app.use(configurePassport().initialize());
+    app.use('/api/auth', require('../src/routes/auth'));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => provider.close(resolve));
+  });
+
+  beforeEach(() => {
+    users = [];
+    providerProfile = {
+      sub: 'google-123',
+      name: 'Anna Rossi',
+      email: 'anna@example.com',
+      email_verified: true,
+      picture: 'https://example.com/anna.png'
+    };
+
+    // Nessun database: utenti in memoria, sessioni e token personali simulati
+    jest.spyOn(User, 'findOne').mockImplementation((filter) => Promise.resolve(
+      users.find(user => Object.entries(filter).every(([key, value]) => user[key] === value)) || null
+    ));
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ acknowledged: true });
+    jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+      if (!users.includes(this)) users.push(this);
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Session, 'create').mockImplementation((data) => Promise.resolve({ _id: new mongoose.Types.ObjectId(), ...data }));
+    jest.spyOn(Session, 'revokeAllForUser').mockResolvedValue([]);
+    jest.spyOn(PersonalAccessToken, 'distinct').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const callback = (state = generateOAuthStateToken('login')) => request(app)
+    .get('/api/auth/google/callback')
+    .query({ code: 'provider-code', state });
+
+  it('reindirizza al consenso del provider con uno state firmato', async () => {
+    const res = await request(app).get('/api/auth/google');
+
+    expect(res.status).toBe(302);
+    const url = new URL(res.headers.location);
+    expect(url.pathname).toBe('/auth');
+    expect(url.searchParams.get('client_id')).toBe('test-client-id');
+    expect(url.searchParams.get('scope')).toBe('profile email');
+    expect(url.searchParams.get('state')).toBeTruthy();
+  });
+
+  it('registra un nuovo utente e restituisce i token nel fragment', async () => {
+    const res = await callback();
+
+    expect(res.status).toBe(302);
+    const { base, fragment } = parseRedirect(res);
+    expect(base).toBe(FRONTEND_CALLBACK);
+    expect(fragment.get('token')).toBeTruthy();
+    expect(fragment.get('refreshToken')).toBeTruthy();
+    expect(fragment.get('newUser')).toBe('true');
+
+    expect(users).toHaveLength(1);
+    expect(users[0]).toMatchObject({
+      email: 'anna@example.com',
+      googleId: 'google-123',
+      emailVerified: true,
+      avatar: 'https://example.com/anna.png'
+    });
+  });
+
+  it('collega un account esistente con la stessa email', async () => {
+    const existing = new User({ name: 'Anna', email: 'anna@example.com', emailVerified: true });
+    users.push(existing);
+
+    const res = await callback();
+
+    expect(parseRedirect(res).fragment.get('newUser')).toBe('false');
+    expect(existing.googleId).toBe('google-123');
+    expect(User.updateOne).not.toHaveBeenCalled();
+    expect(Session.revokeAllForUser).not.toHaveBeenCalled();
+  });
+
+  it('rimuove credenziali, 2FA, sessioni e token di un account con email non verificata', async () => {
+    // Account registrato da altri con l'email di Anna, con 2FA attiva e un cambio email in sospeso
+    const existing = new User({
+      name: 'Anna',
+      email: 'anna@example.com',
+      emailVerified: false,
+      pendingEmail: 'altro@example.com',
+      twoFactor: { enabled: true, enabledAt: new Date() },
+      loginSecurity: { failedAttempts: 3, lockedUntil: new Date(Date.now() + 60000) }
+    });
+    users.push(existing);
+
+    const { fragment } = parseRedirect(await callback());
+
+    // Nessuna richiesta del codice 2FA configurato da altri: Anna riceve direttamente i token
+    expect(fragment.get('twoFactorRequired')).toBeNull();
+    expect(fragment.get('token')).toBeTruthy();
+    expect(existing).toMatchObject({ emailVerified: true, pendingEmail: null });
+    expect(existing.twoFactor.enabled).toBe(false);
+    expect(existing.loginSecurity.failedAttempts).toBe(0);
+    expect(existing.loginSecurity.lockedUntil).toBeNull();
+
+    const [filter, update] = User.updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: existing._id });
+    expect(Object.keys(update.$unset)).toEqual(expect.arrayContaining([
+      'password',
+      'emailVerificationToken',
+      'twoFactor.secret',
+      'twoFactor.recoveryCodes',
+      'loginSecurity.unlockToken'
+    ]));
+    expect(Session.revokeAllForUser).toHaveBeenCalledWith(existing._id, 'password_reset', null);
+    expect(PersonalAccessToken.distinct).toHaveBeenCalledWith('_id', { userId: existing._id, revokedAt: null });
+  });
+
+  it('rifiuta i profili Google senza email verificata', async () => {
+    providerProfile.email_verified = false;
+
+    const { query, fragment } = parseRedirect(await callback());
+
+    expect(query.get('error')).toBe('L\'account Google non ha un\'email verificata');
+    expect(fragment.get('token')).toBeNull();
+    expect(users).toHaveLength(0);
+  });
+
+  it('rifiuta uno state non valido senza contattare il provider', async () => {
+    const { query } = parseRedirect(await callback('state-non-firmato'));
+
+    expect(query.get('error')).toBe('Richiesta di accesso non valida o scaduta');
+    expect(User.findOne).not.toHaveBeenCalled();
+  });
+});
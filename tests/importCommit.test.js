@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const Expense = require('../src/models/Expense');
+const Income = require('../src/models/Income');
+const Category = require('../src/models/Category');
+const Budget = require('../src/models/Budget');
+const CategorizationRule = require('../src/models/CategorizationRule');
+const AuditEvent = require('../src/models/AuditEvent');
+const { commitImport } = require('../src/controllers/importController');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('commitImport', () => {
+  const familyId = new mongoose.Types.ObjectId();
+  const categoryId = new mongoose.Types.ObjectId();
+  const user = { _id: new mongoose.Types.ObjectId(), email: 'anna@example.com' };
+
+  const coffee = { type: 'expense', date: '2025-01-02', amount: 2, description: 'Caffè Stazione', category: categoryId.toString() };
+  const salary = { type: 'income', date: '2025-01-03', amount: 2100, description: 'Stipendio' };
+
+  beforeEach(() => {
+    const mockFind = () => ({ select: () => ({ lean: () => Promise.resolve([]) }) });
+    jest.spyOn(Expense, 'find').mockImplementation(mockFind);
+    jest.spyOn(Income, 'find').mockImplementation(mockFind);
+    jest.spyOn(CategorizationRule, 'getActiveRules').mockResolvedValue([]);
+    jest.spyOn(CategorizationRule, 'recordMatches').mockResolvedValue();
+    jest.spyOn(Category, 'find').mockReturnValue({ select: () => Promise.resolve([{ _id: categoryId }]) });
+    jest.spyOn(Category, 'findById').mockResolvedValue(null);
+    jest.spyOn(Budget, 'refreshStatsFor').mockResolvedValue();
+    jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+    jest.spyOn(Expense, 'insertMany').mockImplementation(docs => Promise.resolve(docs));
+    jest.spyOn(Income, 'insertMany').mockImplementation(docs => Promise.resolve(docs));
+    jest.spyOn(Expense, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+    jest.spyOn(Income, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const commit = async (rows) => {
+    const req = { body: { rows }, user, family: { _id: familyId, settings: {} }, get: () => null };
+    const res = mockResponse();
+    await commitImport(req, res);
+    return res;
+  };
+
+  it('importa le righe identiche ripetute nello stesso file', async () => {
+    const res = await commit([coffee, coffee, salary]);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    const { data } = res.json.mock.calls[0][0];
+    expect(data.expenses).toHaveLength(2);
+    expect(data.incomes).toHaveLength(1);
+    expect(data.skipped).toEqual([]);
+  });
+
+  it('annulla le spese inserite se l\'inserimento delle entrate fallisce', async () => {
+    Income.insertMany.mockRejectedValue(new Error('connessione persa'));
+
+    const res = await commit([coffee, salary]);
+
+    const expenseIds = Expense.insertMany.mock.calls[0][0].map(expense => expense._id);
+    const incomeIds = Income.insertMany.mock.calls[0][0].map(income => income._id);
+    expect(Expense.deleteMany).toHaveBeenCalledWith({ _id: { $in: expenseIds } });
+    expect(Income.deleteMany).toHaveBeenCalledWith({ _id: { $in: incomeIds } });
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.json.mock.calls[0][0].data).toBeUndefined();
+  });
+
+  it('segnala i documenti che potrebbero essere rimasti se l\'annullamento fallisce', async () => {
+    Income.insertMany.mockRejectedValue(new Error('connessione persa'));
+    Expense.deleteMany.mockRejectedValue(new Error('connessione persa'));
+
+    const res = await commit([coffee, salary]);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    const body = res.json.mock.calls[0][0];
+    expect(body.data.expenseIds).toHaveLength(1);
+    expect(body.data.incomeIds).toHaveLength(1);
+  });
+});
@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const Expense = require('../src/models/Expense');
+const Income = require('../src/models/Income');
+const {
+  parseAmount,
+  parseDate,
+  parseStatement,
+  markDuplicates
+} = require('../src/services/importService');
+
+const toDay = (date) => date.toDateString();
+
+describe('parseAmount', () => {
+  it('legge il formato italiano e quello anglosassone', () => {
+    expect(parseAmount('1.234,56')).toBe(1234.56);
+    expect(parseAmount('-12,50')).toBe(-12.5);
+    expect(parseAmount('1,234.56', 'en')).toBe(1234.56);
+    expect(parseAmount('€ 2,00')).toBe(2);
+  });
+
+  it('gestisce il segno tra parentesi o in coda', () => {
+    expect(parseAmount('(12,50)')).toBe(-12.5);
+    expect(parseAmount('12,50-')).toBe(-12.5);
+  });
+
+  it('rifiuta valori non numerici', () => {
+    expect(parseAmount('abc')).toBeNull();
+    expect(parseAmount('')).toBeNull();
+  });
+});
+
+describe('parseDate', () => {
+  it('legge i formati supportati', () => {
+    expect(toDay(parseDate('31/01/2025'))).toBe(toDay(new Date(2025, 0, 31)));
+    expect(toDay(parseDate('01/31/2025', 'mm/dd/yyyy'))).toBe(toDay(new Date(2025, 0, 31)));
+    expect(toDay(parseDate('2025-01-31', 'yyyy-mm-dd'))).toBe(toDay(new Date(2025, 0, 31)));
+  });
+
+  it('rifiuta le date inesistenti', () => {
+    expect(parseDate('31/02/2025')).toBeNull();
+    expect(parseDate('2025')).toBeNull();
+  });
+});
+
+describe('parseStatement', () => {
+  it('CSV con intestazioni, separatore ; e importi italiani', () => {
+    const csv = [
+      'Data;Descrizione;Importo',
+      '02/01/2025;"Supermercato; Via Roma";-1.234,56',
+      '03/01/2025;Stipendio;2.100,00',
+      '32/01/2025;Data sbagliata;-5,00'
+    ].join('\n');
+
+    const { format, rows } = parseStatement(Buffer.from(`﻿${csv}`), {}, 'estratto.csv');
+
+    expect(format).toBe('csv');
+    expect(rows[0]).toMatchObject({ row: 2, amount: 1234.56, type: 'expense', description: 'Supermercato; Via Roma', isValid: true });
+    expect(rows[1]).toMatchObject({ amount: 2100, type: 'income', isValid: true });
+    expect(rows[2]).toMatchObject({ isValid: false, errors: ['Data non valida'] });
+  });
+
+  it('CSV con colonne dare/avere indicate per indice', () => {
+    const csv = '05/02/2025,Bolletta luce,45.20,\n06/02/2025,Rimborso,,12.00';
+    const { rows } = parseStatement(Buffer.from(csv), {
+      hasHeader: false,
+      numberFormat: 'en',
+      mapping: { date: 0, description: 1, debit: 2, credit: 3 }
+    });
+
+    expect(rows.map(row => [row.type, row.amount])).toEqual([['expense', 45.2], ['income', 12]]);
+  });
+
+  it('rifiuta una mappatura senza importo', () => {
+    expect(() => parseStatement(Buffer.from('Data;Descrizione\n01/01/2025;Test'))).toThrow('Mappatura colonne non valida');
+  });
+
+  it('OFX con più transazioni', () => {
+    const ofx = `<OFX><BANKTRANLIST>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20250110120000<TRNAMT>-23.40<FITID>A1<NAME>Farmacia</STMTTRN>
+<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20250115<TRNAMT>150.00<FITID>A2<MEMO>Bonifico</STMTTRN>
+</BANKTRANLIST></OFX>`;
+
+    const { format, rows } = parseStatement(Buffer.from(ofx), {}, 'conto.qfx');
+
+    expect(format).toBe('ofx');
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toMatchObject({ amount: 23.4, type: 'expense', description: 'Farmacia', externalId: 'A1' });
+    expect(toDay(rows[0].date)).toBe(toDay(new Date(2025, 0, 10)));
+    expect(rows[1]).toMatchObject({ amount: 150, type: 'income', description: 'Bonifico' });
+  });
+
+  it('QIF con importi in entrambi i formati', () => {
+    const qif = '!Type:Bank\nD20/03/2025\nT-15.75\nPRistorante\n^\nD21/03/2025\nT1200,00\nMStipendio\n^\n';
+
+    const { format, rows } = parseStatement(Buffer.from(qif), {}, 'conto.qif');
+
+    expect(format).toBe('qif');
+    expect(rows.map(row => [row.type, row.amount, row.description])).toEqual([
+      ['expense', 15.75, 'Ristorante'],
+      ['income', 1200, 'Stipendio']
+    ]);
+  });
+});
+
+describe('markDuplicates', () => {
+  const familyId = new mongoose.Types.ObjectId();
+  const existingExpenseId = new mongoose.Types.ObjectId();
+
+  const mockFind = (documents) => ({ select: () => ({ lean: () => Promise.resolve(documents) }) });
+
+  beforeEach(() => {
+    jest.spyOn(Expense, 'find').mockReturnValue(mockFind([
+      { _id: existingExpenseId, date: new Date(2025, 0, 2, 10, 30), amount: 2, description: 'Caffè Bar Sport' }
+    ]));
+    jest.spyOn(Income, 'find').mockReturnValue(mockFind([]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const row = (overrides) => ({
+    date: new Date(2025, 0, 2),
+    amount: 2,
+    type: 'expense',
+    description: 'Caffè Bar Sport',
+    isValid: true,
+    ...overrides
+  });
+
+  it('marca come duplicate solo le righe già presenti nella famiglia', async () => {
+    const rows = await markDuplicates(familyId, [
+      row({ description: 'caffè bar sport ' }),
+      row({ type: 'income' }),
+      row({ amount: 2.5 })
+    ]);
+
+    expect(rows.map(item => item.duplicate)).toEqual([true, false, false]);
+    expect(rows[0].duplicateOf).toEqual(existingExpenseId);
+  });
+
+  it('segnala le righe ripetute nel file senza considerarle duplicate', async () => {
+    const rows = await markDuplicates(familyId, [
+      row({ description: 'Caffè Stazione' }),
+      row({ description: 'Caffè Stazione' })
+    ]);
+
+    expect(rows.map(item => item.duplicate)).toEqual([false, false]);
+    expect(rows.map(item => item.repeatedInFile)).toEqual([false, true]);
+  });
+
+  it('ignora le righe non valide', async () => {
+    const rows = await markDuplicates(familyId, [row({ isValid: false, date: null })]);
+
+    expect(rows[0]).toMatchObject({ duplicate: false, repeatedInFile: false });
+    expect(Expense.find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Family = require('../src/models/Family');
+const AuditEvent = require('../src/models/AuditEvent');
+const { createInviteLink, joinFamily } = require('../src/controllers/familyController');
+const { addClient, closeAll } = require('../src/services/realtimeService');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+describe('link di invito', () => {
+  const adminId = new mongoose.Types.ObjectId();
+  let family;
+
+  beforeEach(() => {
+    family = new Family({
+      name: 'Famiglia Rossi',
+      createdBy: adminId,
+      members: [{ user: adminId, role: 'admin' }],
+      roles: [{ key: 'tesoriere', name: 'Tesoriere', permissions: ['budgets:manage', 'roles:manage'] }]
+    });
+
+    jest.spyOn(Family, 'findById').mockResolvedValue(family);
+    jest.spyOn(Family.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createInviteLink', () => {
+    const createLink = async (body, familyRole = 'admin') => {
+      const req = { body, user: { _id: adminId, email: 'admin@example.com' }, family, familyRole, get: () => null };
+      const res = mockResponse();
+      await createInviteLink(req, res);
+      return res;
+    };
+
+    it('salva solo l\'hash del token e restituisce URL e QR code', async () => {
+      const res = await createLink({ role: 'member', maxUses: 2 });
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      const { link } = res.json.mock.calls[0][0].data;
+      const token = link.url.split('/').pop();
+      expect(family.inviteLinks[0].token).toBe(hashToken(token));
+      expect(link.qrCode).toMatch(/^data:image\/png;base64,/);
+    });
+
+    it('non permette di invitare con un ruolo superiore al proprio', async () => {
+      expect((await createLink({ role: 'tesoriere' })).status).toHaveBeenCalledWith(403);
+      expect((await createLink({ role: 'admin' }, 'member')).status).toHaveBeenCalledWith(403);
+      expect((await createLink({ role: 'owner' }, 'owner')).status).toHaveBeenCalledWith(400);
+      expect(family.inviteLinks).toHaveLength(0);
+    });
+  });
+
+  describe('joinFamily con un link', () => {
+    const token = 'token-del-link';
+    let link;
+    let user;
+
+    beforeEach(() => {
+      family.inviteLinks.push({ token: hashToken(token), role: 'member', maxUses: 2, uses: 0, createdBy: adminId });
+      link = family.inviteLinks[0];
+      user = {
+        _id: new mongoose.Types.ObjectId(),
+        email: 'luca@example.com',
+        name: 'Luca',
+        familyId: new mongoose.Types.ObjectId()
+      };
+
+      // Nessun invito per email: il token viene cercato tra i link
+      jest.spyOn(Family, 'findOne').mockImplementation((filter) => Promise.resolve(
+        filter['inviteLinks.token'] === hashToken(token) ? family : null
+      ));
+    });
+
+    const join = async () => {
+      const req = { params: { token }, user, get: () => null };
+      const res = mockResponse();
+      await joinFamily(req, res);
+      return res;
+    };
+
+    it('riserva un utilizzo in modo atomico e aggiunge il membro', async () => {
+      const reserve = jest.spyOn(Family, 'findOneAndUpdate').mockResolvedValue({ _id: family._id });
+
+      const res = await join();
+
+      expect(res.status).not.toHaveBeenCalled();
+      expect(family.getMemberRole(user._id)).toBe('member');
+
+      const [filter, update] = reserve.mock.calls[0];
+      expect(filter.inviteLinks.$elemMatch._id).toEqual(link._id);
+      expect(filter.inviteLinks.$elemMatch.$and).toContainEqual({ $or: [{ maxUses: null }, { uses: { $lt: 2 } }] });
+      expect(update).toEqual({ $inc: { 'inviteLinks.$.uses': 1 } });
+    });
+
+    it('rifiuta il link quando gli utilizzi sono esauriti', async () => {
+      link.uses = 2;
+      const reserve = jest.spyOn(Family, 'findOneAndUpdate');
+
+      const res = await join();
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(reserve).not.toHaveBeenCalled();
+      expect(family.getMemberRole(user._id)).toBeNull();
+    });
+
+    it('rifiuta l\'adesione se un\'adesione concorrente ha usato l\'ultimo posto', async () => {
+      jest.spyOn(Family, 'findOneAndUpdate').mockResolvedValue(null);
+
+      const res = await join();
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(family.getMemberRole(user._id)).toBeNull();
+      expect(Family.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('invia la richiesta di adesione solo a chi gestisce gli inviti', async () => {
+      link.requiresApproval = true;
+      jest.spyOn(Family, 'findOneAndUpdate').mockResolvedValue({ _id: family._id });
+
+      const openStream = (permissions) => {
+        const stream = { writeHead: jest.fn(), write: jest.fn(), end: jest.fn() };
+        addClient(family._id, new mongoose.Types.ObjectId(), stream, null, permissions);
+        return stream;
+      };
+      const admin = openStream(['members:invite']);
+      const viewer = openStream(['incomes:view', 'data:export']);
+
+      const res = await join();
+      closeAll();
+
+      expect(res.status).toHaveBeenCalledWith(202);
+      const received = (stream) => stream.write.mock.calls.some(([message]) => message.includes('join_request.created'));
+      expect(received(admin)).toBe(true);
+      expect(received(viewer)).toBe(false);
+    });
+
+    it('risponde 500 se il salvataggio fallisce', async () => {
+      jest.spyOn(Family, 'findOneAndUpdate').mockResolvedValue({ _id: family._id });
+      Family.prototype.save.mockRejectedValue(new Error('connessione persa'));
+
+      const res = await join();
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+});
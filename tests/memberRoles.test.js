@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const Family = require('../src/models/Family');
+const User = require('../src/models/User');
+const AuditEvent = require('../src/models/AuditEvent');
+const { canGrantRole } = require('../src/config/permissions');
+const { updateMemberRole } = require('../src/controllers/familyController');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('canGrantRole', () => {
+  const family = {
+    roles: [
+      { key: 'tesoriere', name: 'Tesoriere', permissions: ['budgets:manage', 'roles:manage'] },
+      { key: 'contabile', name: 'Contabile', permissions: ['budgets:manage'] }
+    ]
+  };
+
+  it('consente solo ruoli con permessi contenuti in quelli di chi li concede', () => {
+    expect(canGrantRole(family, 'owner', 'admin')).toBe(true);
+    expect(canGrantRole(family, 'admin', 'member')).toBe(true);
+    expect(canGrantRole(family, 'admin', 'contabile')).toBe(true);
+    expect(canGrantRole(family, 'admin', 'tesoriere')).toBe(false);
+    expect(canGrantRole(family, 'member', 'admin')).toBe(false);
+  });
+});
+
+describe('updateMemberRole', () => {
+  const ownerId = new mongoose.Types.ObjectId();
+  const managerId = new mongoose.Types.ObjectId();
+  const adminId = new mongoose.Types.ObjectId();
+  const memberId = new mongoose.Types.ObjectId();
+  let family;
+
+  beforeEach(() => {
+    family = new Family({
+      name: 'Famiglia Rossi',
+      createdBy: ownerId,
+      members: [
+        { user: ownerId, role: 'owner' },
+        { user: managerId, role: 'gestore' },
+        { user: adminId, role: 'admin' },
+        { user: memberId, role: 'member' }
+      ],
+      roles: [
+        // Ruolo personalizzato con il solo permesso di gestire i membri
+        { key: 'gestore', name: 'Gestore', permissions: ['members:manage'] },
+        { key: 'tesoriere', name: 'Tesoriere', permissions: ['budgets:manage', 'roles:manage'] }
+      ]
+    });
+
+    jest.spyOn(Family, 'findById').mockResolvedValue(family);
+    jest.spyOn(Family.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ acknowledged: true });
+    jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const changeRole = async (actorId, actorRole, userId, role) => {
+    const req = {
+      params: { userId: userId.toString() },
+      body: { role },
+      user: { _id: actorId, email: 'actor@example.com' },
+      family,
+      familyRole: actorRole,
+      get: () => null
+    };
+    const res = mockResponse();
+    await updateMemberRole(req, res);
+    return res;
+  };
+
+  const roleOf = (userId) => family.members.find(member => member.user.equals(userId)).role;
+
+  it('un admin può cambiare il ruolo di un membro in uno con meno permessi', async () => {
+    const res = await changeRole(adminId, 'admin', memberId, 'viewer');
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(roleOf(memberId)).toBe('viewer');
+    expect(User.updateOne).toHaveBeenCalledWith({ _id: memberId.toString(), familyId: family._id }, { role: 'viewer' });
+  });
+
+  it('un ruolo con soli members:manage non può promuovere ad admin', async () => {
+    const res = await changeRole(managerId, 'gestore', memberId, 'admin');
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(roleOf(memberId)).toBe('member');
+    expect(Family.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('non si può concedere un ruolo personalizzato con roles:manage senza averlo', async () => {
+    const res = await changeRole(adminId, 'admin', memberId, 'tesoriere');
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(roleOf(memberId)).toBe('member');
+  });
+
+  it('un ruolo inferiore non può declassare un admin', async () => {
+    const res = await changeRole(managerId, 'gestore', adminId, 'gestore');
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(roleOf(adminId)).toBe('admin');
+  });
+
+  it('solo il proprietario può nominare un altro proprietario', async () => {
+    expect((await changeRole(adminId, 'admin', memberId, 'owner')).status).toHaveBeenCalledWith(403);
+
+    const res = await changeRole(ownerId, 'owner', adminId, 'owner');
+    expect(res.status).not.toHaveBeenCalled();
+    expect(roleOf(adminId)).toBe('owner');
+  });
+});
@@ -0,0 +1,106 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const PersonalAccessToken = require('../src/models/PersonalAccessToken');
+const { authenticate } = require('../src/middleware/auth');
+const { getRequiredScope } = require('../src/services/personalAccessTokenService');
+
+const RAW_TOKEN = 'fbp_test-token';
+
+const buildApp = () => {
+  const app = express();
+  const ok = (req, res) => res.json({ success: true, userId: req.user._id });
+  ['/api/expenses', '/api/dashboard', '/api/family'].forEach(path => {
+    app.use(path, authenticate, ok);
+  });
+  return app;
+};
+
+describe('getRequiredScope', () => {
+  it('usa read per GET e write per le modifiche', () => {
+    expect(getRequiredScope({ baseUrl: '/api/expenses', method: 'GET' })).toBe('expenses:read');
+    expect(getRequiredScope({ baseUrl: '/api/expenses', method: 'POST' })).toBe('expenses:write');
+    expect(getRequiredScope({ baseUrl: '/api/exchange-rates', method: 'DELETE' })).toBe('exchange-rates:write');
+  });
+
+  it('esclude le API riservate alle sessioni di login', () => {
+    expect(getRequiredScope({ baseUrl: '/api/family', method: 'GET' })).toBeNull();
+    expect(getRequiredScope({ baseUrl: '/api/profile', method: 'GET' })).toBeNull();
+    expect(getRequiredScope({ baseUrl: '/api/auth', method: 'POST' })).toBeNull();
+  });
+});
+
+describe('PersonalAccessToken.hasScope', () => {
+  it('il permesso write include read sulla stessa risorsa', () => {
+    const accessToken = new PersonalAccessToken({ scopes: ['expenses:write', 'dashboard:read'] });
+
+    expect(accessToken.hasScope('expenses:read')).toBe(true);
+    expect(accessToken.hasScope('expenses:write')).toBe(true);
+    expect(accessToken.hasScope('dashboard:read')).toBe(true);
+    expect(accessToken.hasScope('dashboard:write')).toBe(false);
+    expect(accessToken.hasScope('incomes:read')).toBe(false);
+  });
+});
+
+describe('authenticate con token personale', () => {
+  const user = { _id: new mongoose.Types.ObjectId(), email: 'anna@example.com', isActive: true };
+  let accessToken;
+  let app;
+
+  beforeEach(() => {
+    accessToken = new PersonalAccessToken({
+      userId: user._id,
+      name: 'Dashboard cucina',
+      prefix: 'fbp_test',
+      tokenHash: 'hash',
+      scopes: ['dashboard:read', 'expenses:read'],
+      rateLimitPerMinute: 60,
+      lastUsedAt: new Date()
+    });
+
+    jest.spyOn(PersonalAccessToken, 'findOne').mockImplementation(() => Promise.resolve(accessToken));
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(user) });
+    app = buildApp();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const get = (path) => request(app).get(path).set('Authorization', `Bearer ${RAW_TOKEN}`);
+
+  it('accetta le richieste coperte dai permessi', async () => {
+    const res = await get('/api/dashboard');
+    expect(res.status).toBe(200);
+    expect(res.body.userId).toBe(user._id.toString());
+  });
+
+  it('rifiuta le modifiche con un permesso di sola lettura', async () => {
+    const res = await request(app).post('/api/expenses').set('Authorization', `Bearer ${RAW_TOKEN}`);
+    expect(res.status).toBe(403);
+    expect(res.body.message).toContain('expenses:write');
+  });
+
+  it('rifiuta le API non accessibili con token personale', async () => {
+    const res = await get('/api/family');
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Questa API non è accessibile con un token personale');
+  });
+
+  it('rifiuta i token revocati o scaduti', async () => {
+    accessToken.revokedAt = new Date();
+    expect((await get('/api/dashboard')).status).toBe(401);
+
+    accessToken.revokedAt = null;
+    accessToken.expiresAt = new Date(Date.now() - 1000);
+    expect((await get('/api/dashboard')).status).toBe(401);
+  });
+
+  it('cerca il token solo tramite hash', async () => {
+    await get('/api/dashboard');
+    const [filter] = PersonalAccessToken.findOne.mock.calls[0];
+    expect(filter.tokenHash).toMatch(/^[a-f0-9]{64}$/);
+    expect(JSON.stringify(filter)).not.toContain(RAW_TOKEN);
+  });
+});
@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const Expense = require('../src/models/Expense');
+const Income = require('../src/models/Income');
+
+const familyId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+
+const buildExpense = (date, recurringPattern) => new Expense({
+  amount: 50,
+  description: 'Abbonamento palestra',
+  category: new mongoose.Types.ObjectId(),
+  date,
+  userId,
+  familyId,
+  isRecurring: true,
+  recurringPattern
+});
+
+const buildIncome = (date, recurringPattern) => new Income({
+  amount: 1800,
+  description: 'Stipendio',
+  source: 'salary',
+  date,
+  userId,
+  familyId,
+  isRecurring: true,
+  recurringPattern
+});
+
+const toDay = (date) => date.toDateString();
+
+describe('Expense.calculateNextOccurrence', () => {
+  it('somma giorni e settimane', () => {
+    expect(toDay(buildExpense(new Date(2024, 0, 30), { frequency: 'daily', interval: 3 }).calculateNextOccurrence()))
+      .toBe(toDay(new Date(2024, 1, 2)));
+    expect(toDay(buildExpense(new Date(2024, 0, 30), { frequency: 'weekly', interval: 2 }).calculateNextOccurrence()))
+      .toBe(toDay(new Date(2024, 1, 13)));
+  });
+
+  it('mantiene il giorno del mese limitandolo alla fine del mese', () => {
+    const expense = buildExpense(new Date(2023, 0, 31), { frequency: 'monthly', interval: 1 });
+
+    const february = expense.calculateNextOccurrence();
+    const march = expense.calculateNextOccurrence(february);
+    const april = expense.calculateNextOccurrence(march);
+
+    expect(toDay(february)).toBe(toDay(new Date(2023, 1, 28)));
+    expect(toDay(march)).toBe(toDay(new Date(2023, 2, 31)));
+    expect(toDay(april)).toBe(toDay(new Date(2023, 3, 30)));
+  });
+
+  it('gestisce gli anni bisestili', () => {
+    const expense = buildExpense(new Date(2024, 0, 29), { frequency: 'monthly', interval: 1 });
+    expect(toDay(expense.calculateNextOccurrence())).toBe(toDay(new Date(2024, 1, 29)));
+  });
+
+  it('restituisce null per le spese non ricorrenti', () => {
+    const expense = buildExpense(new Date(2024, 0, 1), { frequency: 'monthly' });
+    expense.isRecurring = false;
+    expect(expense.calculateNextOccurrence()).toBeNull();
+  });
+});
+
+describe('Income.calculateNextOccurrence', () => {
+  it('usa dayOfMonth come giorno di riferimento', () => {
+    const income = buildIncome(new Date(2024, 0, 10), { frequency: 'monthly', interval: 1, dayOfMonth: 27 });
+    expect(toDay(income.calculateNextOccurrence())).toBe(toDay(new Date(2024, 1, 27)));
+  });
+
+  it('calcola trimestri e quindicine', () => {
+    expect(toDay(buildIncome(new Date(2023, 10, 30), { frequency: 'quarterly', interval: 1 }).calculateNextOccurrence()))
+      .toBe(toDay(new Date(2024, 1, 29)));
+    expect(toDay(buildIncome(new Date(2024, 0, 5), { frequency: 'biweekly', interval: 1 }).calculateNextOccurrence()))
+      .toBe(toDay(new Date(2024, 0, 19)));
+  });
+});
+
+describe('processDueOccurrences', () => {
+  let saved;
+  let existingDates;
+
+  beforeEach(() => {
+    saved = [];
+    existingDates = new Set();
+
+    // Nessun database: i salvataggi vengono registrati, le occorrenze esistenti simulate
+    jest.spyOn(Expense.prototype, 'save').mockImplementation(function() {
+      saved.push(this);
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Income.prototype, 'save').mockImplementation(function() {
+      saved.push(this);
+      return Promise.resolve(this);
+    });
+    const findExisting = ({ date }) => Promise.resolve(existingDates.has(toDay(date)) ? { date } : null);
+    jest.spyOn(Expense, 'findOne').mockImplementation(findExisting);
+    jest.spyOn(Income, 'findOne').mockImplementation(findExisting);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('genera le occorrenze scadute come spese non ricorrenti', async () => {
+    const expense = buildExpense(new Date(2024, 0, 31), { frequency: 'monthly', interval: 1 });
+    expense.recurringPattern.nextOccurrence = expense.calculateNextOccurrence();
+
+    const created = await expense.processDueOccurrences(new Date(2024, 3, 15));
+
+    expect(created.map(child => toDay(child.date))).toEqual([
+      toDay(new Date(2024, 1, 29)),
+      toDay(new Date(2024, 2, 31))
+    ]);
+    expect(created.every(child => !child.isRecurring && child.recurringParent.equals(expense._id))).toBe(true);
+    expect(toDay(expense.recurringPattern.lastGenerated)).toBe(toDay(new Date(2024, 2, 31)));
+    expect(toDay(expense.recurringPattern.nextOccurrence)).toBe(toDay(new Date(2024, 3, 30)));
+  });
+
+  it('si ferma alla data di fine anche con occorrenze arretrate', async () => {
+    const expense = buildExpense(new Date(2024, 0, 1), {
+      frequency: 'weekly',
+      interval: 1,
+      endDate: new Date(2024, 0, 20)
+    });
+    expense.recurringPattern.nextOccurrence = expense.calculateNextOccurrence();
+
+    const created = await expense.processDueOccurrences(new Date(2024, 5, 1));
+
+    expect(created.map(child => toDay(child.date))).toEqual([
+      toDay(new Date(2024, 0, 8)),
+      toDay(new Date(2024, 0, 15))
+    ]);
+  });
+
+  it('salta le occorrenze indicate come saltate', async () => {
+    const expense = buildExpense(new Date(2024, 0, 1), {
+      frequency: 'weekly',
+      interval: 1,
+      skippedOccurrences: [new Date(2024, 0, 8)]
+    });
+    expense.recurringPattern.nextOccurrence = expense.calculateNextOccurrence();
+
+    const created = await expense.processDueOccurrences(new Date(2024, 0, 16));
+
+    expect(created.map(child => toDay(child.date))).toEqual([toDay(new Date(2024, 0, 15))]);
+    expect(expense.recurringPattern.skippedOccurrences).toHaveLength(0);
+  });
+
+  it('non duplica le entrate già generate', async () => {
+    const income = buildIncome(new Date(2024, 0, 27), { frequency: 'monthly', interval: 1 });
+    income.recurringPattern.nextOccurrence = income.calculateNextOccurrence();
+    existingDates.add(toDay(new Date(2024, 1, 27)));
+
+    const created = await income.processDueOccurrences(new Date(2024, 2, 28));
+
+    expect(created.map(child => toDay(child.date))).toEqual([toDay(new Date(2024, 2, 27))]);
+    expect(created[0].isRecurring).toBe(false);
+    expect(toDay(income.recurringPattern.nextOccurrence)).toBe(toDay(new Date(2024, 3, 27)));
+  });
+});
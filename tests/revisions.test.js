@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+const Expense = require('../src/models/Expense');
+const Category = require('../src/models/Category');
+const Budget = require('../src/models/Budget');
+const Revision = require('../src/models/Revision');
+const AuditEvent = require('../src/models/AuditEvent');
+const { getVersionedState, recordRevision, applyRevision } = require('../src/services/revisionService');
+const { revertExpenseRevision } = require('../src/controllers/expenseController');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('cronologia delle modifiche', () => {
+  const familyId = new mongoose.Types.ObjectId();
+  const userId = new mongoose.Types.ObjectId();
+  const otherUserId = new mongoose.Types.ObjectId();
+  const categoryId = new mongoose.Types.ObjectId();
+  const otherCategoryId = new mongoose.Types.ObjectId();
+
+  const buildExpense = (fields = {}) => new Expense({
+    familyId,
+    userId,
+    amount: 50,
+    description: 'Spesa al supermercato',
+    category: categoryId,
+    date: new Date('2024-05-10'),
+    splits: [{ userId, amount: 50 }],
+    ...fields
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('recordRevision', () => {
+    it('non registra nulla se nessun campo versionato è cambiato', async () => {
+      const expense = buildExpense();
+      const create = jest.spyOn(Revision, 'create');
+
+      const previousState = getVersionedState('expense', expense);
+      await expect(recordRevision('expense', expense, previousState, userId)).resolves.toBeNull();
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('salva le modifiche e lo stato precedente con il numero di versione successivo', async () => {
+      const expense = buildExpense();
+      const previousState = getVersionedState('expense', expense);
+      expense.amount = 80;
+      jest.spyOn(Revision, 'getNextVersion').mockResolvedValue(3);
+      const create = jest.spyOn(Revision, 'create').mockImplementation(data => Promise.resolve(data));
+
+      const revision = await recordRevision('expense', expense, previousState, userId);
+
+      expect(revision).toMatchObject({ entity: 'expense', entityId: expense._id, version: 3, action: 'updated' });
+      expect(revision.changes).toEqual([expect.objectContaining({ field: 'amount', before: 50, after: 80 })]);
+      expect(revision.snapshot).toContainEqual({ field: 'amount', value: 50 });
+      expect(create).toHaveBeenCalledTimes(1);
+    });
+
+    it('riprova con la versione successiva se quella assegnata è già stata presa', async () => {
+      const expense = buildExpense();
+      const previousState = getVersionedState('expense', expense);
+      expense.description = 'Spesa al mercato';
+      jest.spyOn(Revision, 'getNextVersion').mockResolvedValueOnce(2).mockResolvedValueOnce(3);
+      jest.spyOn(Revision, 'create')
+        .mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: 11000 }))
+        .mockImplementation(data => Promise.resolve(data));
+
+      const revision = await recordRevision('expense', expense, previousState, userId);
+
+      expect(revision.version).toBe(3);
+    });
+
+    it('segna come ripristino la revisione creata da un revert', async () => {
+      const expense = buildExpense();
+      const previousState = getVersionedState('expense', expense);
+      expense.amount = 20;
+      const revertedTo = new mongoose.Types.ObjectId();
+      jest.spyOn(Revision, 'getNextVersion').mockResolvedValue(2);
+      jest.spyOn(Revision, 'create').mockImplementation(data => Promise.resolve(data));
+
+      const revision = await recordRevision('expense', expense, previousState, userId, { revertedTo });
+
+      expect(revision).toMatchObject({ action: 'reverted', revertedTo });
+    });
+  });
+
+  describe('applyRevision', () => {
+    it('ripristina solo i campi versionati', () => {
+      const expense = buildExpense();
+      applyRevision(expense, {
+        entity: 'expense',
+        snapshot: [
+          { field: 'amount', value: 30 },
+          { field: 'recurringPattern.frequency', value: 'monthly' },
+          { field: 'userId', value: otherUserId.toString() }
+        ]
+      });
+
+      expect(expense.amount).toBe(30);
+      expect(expense.recurringPattern.frequency).toBe('monthly');
+      expect(expense.userId.toString()).toBe(userId.toString());
+    });
+  });
+
+  describe('revertExpenseRevision', () => {
+    let expense;
+    let revision;
+
+    const buildRequest = (user = { _id: userId, email: 'mario@example.com' }, permissions = []) => ({
+      params: { id: expense._id.toString(), revisionId: revision._id.toString() },
+      body: {},
+      user,
+      permissions,
+      family: {
+        _id: familyId,
+        members: [
+          { user: userId, isActive: true },
+          { user: otherUserId, isActive: false }
+        ]
+      },
+      get: () => null
+    });
+
+    beforeEach(() => {
+      expense = buildExpense({ amount: 80 });
+      revision = new Revision({
+        familyId,
+        entity: 'expense',
+        entityId: expense._id,
+        version: 1,
+        changes: [{ field: 'amount', before: 50, after: 80 }],
+        snapshot: [{ field: 'amount', value: 50 }],
+        editedBy: userId
+      });
+
+      jest.spyOn(Expense, 'findOne').mockResolvedValue(expense);
+      jest.spyOn(Revision, 'findOne').mockResolvedValue(revision);
+      jest.spyOn(Expense.prototype, 'save').mockImplementation(function() {
+        return Promise.resolve(this);
+      });
+      jest.spyOn(Expense.prototype, 'populate').mockImplementation(function() {
+        return Promise.resolve(this);
+      });
+      jest.spyOn(Revision, 'getNextVersion').mockResolvedValue(2);
+      jest.spyOn(Revision, 'create').mockImplementation(data => Promise.resolve(data));
+      jest.spyOn(Budget, 'find').mockResolvedValue([]);
+      jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+    });
+
+    it('riporta la spesa alla revisione e registra il ripristino', async () => {
+      const res = mockResponse();
+
+      await revertExpenseRevision(buildRequest(), res);
+
+      expect(res.status).not.toHaveBeenCalled();
+      expect(expense.amount).toBe(50);
+      expect(Expense.prototype.save).toHaveBeenCalled();
+      expect(Revision.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'reverted',
+        revertedTo: revision._id,
+        changes: [expect.objectContaining({ field: 'amount', before: 80, after: 50 })]
+      }));
+    });
+
+    it('non consente di ripristinare la spesa di un altro membro senza permessi', async () => {
+      const res = mockResponse();
+
+      await revertExpenseRevision(buildRequest({ _id: otherUserId, email: 'luigi@example.com' }), res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(Expense.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('restituisce 404 se la revisione non appartiene alla spesa', async () => {
+      Revision.findOne.mockResolvedValue(null);
+      const res = mockResponse();
+
+      await revertExpenseRevision(buildRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('rifiuta una revisione con una categoria non più disponibile', async () => {
+      revision.snapshot.push({ field: 'category', value: otherCategoryId });
+      jest.spyOn(Category, 'findOne').mockResolvedValue(null);
+      const res = mockResponse();
+
+      await revertExpenseRevision(buildRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Categoria non valida' }));
+      expect(Expense.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('rifiuta una revisione che ripartisce la spesa con membri non più attivi', async () => {
+      revision.snapshot.push({ field: 'splits', value: [{ userId: otherUserId, amount: 50 }] });
+      const res = mockResponse();
+
+      await revertExpenseRevision(buildRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Ripartizione non valida' }));
+      expect(Expense.prototype.save).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,8 @@
+// Variabili d'ambiente per i test: nessun servizio esterno, nessun database
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.TWO_FACTOR_ENCRYPTION_KEY = 'test-two-factor-key';
+process.env.SENDGRID_API_KEY = 'SG.test';
+
+// I log dei controller non servono nell'output dei test
+require('../src/utils/logger').silent = true;
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const Expense = require('../src/models/Expense');
+const Income = require('../src/models/Income');
+const Revision = require('../src/models/Revision');
+const {
+  DEFAULT_TRASH_RETENTION_DAYS,
+  getTrashFilter,
+  purgeTrashItems,
+  purgeExpiredTrash
+} = require('../src/services/trashService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const mockFind = (results = []) => ({
+  select: () => ({ lean: () => Promise.resolve(results) })
+});
+
+describe('cestino', () => {
+  const familyId = new mongoose.Types.ObjectId();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getTrashFilter', () => {
+    it('senza data restituisce tutti gli elementi eliminati della famiglia', () => {
+      expect(getTrashFilter(familyId)).toEqual({ familyId, isActive: false });
+    });
+
+    it('con una data usa deletedAt e, in sua assenza, updatedAt', () => {
+      const cutoff = new Date('2024-03-01');
+      expect(getTrashFilter(familyId, cutoff).$or).toEqual([
+        { deletedAt: { $lte: cutoff } },
+        { deletedAt: null, updatedAt: { $lte: cutoff } }
+      ]);
+    });
+  });
+
+  describe('purgeTrashItems', () => {
+    it('non elimina nulla se nessun elemento corrisponde al filtro', async () => {
+      jest.spyOn(Expense, 'distinct').mockResolvedValue([]);
+      const revisionDelete = jest.spyOn(Revision, 'deleteMany');
+      const expenseDelete = jest.spyOn(Expense, 'deleteMany');
+
+      await expect(purgeTrashItems('expense', getTrashFilter(familyId))).resolves.toBe(0);
+      expect(revisionDelete).not.toHaveBeenCalled();
+      expect(expenseDelete).not.toHaveBeenCalled();
+    });
+
+    it('elimina le spese con la loro cronologia e cerca gli scontrini da rimuovere', async () => {
+      const ids = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+      jest.spyOn(Expense, 'distinct').mockResolvedValue(ids);
+      const receiptFind = jest.spyOn(Expense, 'find').mockReturnValue(mockFind());
+      const revisionDelete = jest.spyOn(Revision, 'deleteMany').mockResolvedValue({ deletedCount: 3 });
+      const expenseDelete = jest.spyOn(Expense, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+
+      await expect(purgeTrashItems('expense', getTrashFilter(familyId))).resolves.toBe(2);
+      expect(receiptFind).toHaveBeenCalledWith(expect.objectContaining({ _id: { $in: ids } }));
+      expect(revisionDelete).toHaveBeenCalledWith({ entity: 'expense', entityId: { $in: ids } });
+      expect(expenseDelete).toHaveBeenCalledWith({ _id: { $in: ids } });
+    });
+
+    it('per le entrate non tocca gli scontrini', async () => {
+      const ids = [new mongoose.Types.ObjectId()];
+      jest.spyOn(Income, 'distinct').mockResolvedValue(ids);
+      const receiptFind = jest.spyOn(Expense, 'find');
+      jest.spyOn(Revision, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+      jest.spyOn(Income, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+
+      await expect(purgeTrashItems('income', getTrashFilter(familyId))).resolves.toBe(1);
+      expect(receiptFind).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('purgeExpiredTrash', () => {
+    const now = new Date('2024-06-30T12:00:00Z');
+
+    it('usa la conservazione predefinita se la famiglia non ne imposta una', async () => {
+      const expenseDistinct = jest.spyOn(Expense, 'distinct').mockResolvedValue([]);
+      jest.spyOn(Income, 'distinct').mockResolvedValue([]);
+
+      await purgeExpiredTrash({ _id: familyId, settings: {} }, now);
+
+      const filter = expenseDistinct.mock.calls[0][1];
+      expect(filter.$or[0].deletedAt.$lte).toEqual(new Date(now.getTime() - DEFAULT_TRASH_RETENTION_DAYS * DAY));
+    });
+
+    it('rispetta la conservazione configurata e somma gli elementi eliminati', async () => {
+      const expenseDistinct = jest.spyOn(Expense, 'distinct').mockResolvedValue([new mongoose.Types.ObjectId()]);
+      jest.spyOn(Income, 'distinct').mockResolvedValue([new mongoose.Types.ObjectId()]);
+      jest.spyOn(Expense, 'find').mockReturnValue(mockFind());
+      jest.spyOn(Revision, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+      jest.spyOn(Expense, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+      jest.spyOn(Income, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+
+      const result = await purgeExpiredTrash({ _id: familyId, settings: { trashRetentionDays: 7 } }, now);
+
+      expect(result).toEqual({ processed: 2, errors: [] });
+      const filter = expenseDistinct.mock.calls[0][1];
+      expect(filter).toMatchObject({ familyId, isActive: false });
+      expect(filter.$or[0].deletedAt.$lte).toEqual(new Date(now.getTime() - 7 * DAY));
+    });
+
+    it('un errore su un tipo non blocca la pulizia degli altri', async () => {
+      jest.spyOn(Expense, 'distinct').mockRejectedValue(new Error('connessione persa'));
+      jest.spyOn(Income, 'distinct').mockResolvedValue([new mongoose.Types.ObjectId()]);
+      jest.spyOn(Revision, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+      jest.spyOn(Income, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+
+      const result = await purgeExpiredTrash({ _id: familyId }, now);
+
+      expect(result).toEqual({ processed: 1, errors: [{ message: 'connessione persa', ref: 'expense' }] });
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const { authenticator } = require('otplib');
+const {
+  encryptSecret,
+  decryptSecret,
+  verifyTotpCode,
+  generateRecoveryCodes,
+  verifyUserCode,
+  countRemainingRecoveryCodes
+} = require('../src/services/twoFactorService');
+
+const buildUser = (secret, recoveryHashes = []) => ({
+  twoFactor: {
+    enabled: true,
+    secret: encryptSecret(secret),
+    lastUsedStep: null,
+    recoveryCodes: recoveryHashes
+  }
+});
+
+describe('twoFactorService', () => {
+  const secret = authenticator.generateSecret();
+
+  it('cifra e decifra il segreto TOTP', () => {
+    const encrypted = encryptSecret(secret);
+    expect(encrypted).not.toContain(secret);
+    expect(decryptSecret(encrypted)).toBe(secret);
+  });
+
+  it('restituisce il passo temporale di un codice valido', () => {
+    const step = verifyTotpCode(secret, authenticator.generate(secret));
+    expect(Number.isInteger(step)).toBe(true);
+  });
+
+  it('rifiuta codici malformati', () => {
+    expect(verifyTotpCode(secret, '12345')).toBeNull();
+    expect(verifyTotpCode(secret, 'abcdef')).toBeNull();
+    expect(verifyTotpCode(secret, null)).toBeNull();
+  });
+
+  it('rifiuta un codice già usato nello stesso passo o in uno precedente', () => {
+    const code = authenticator.generate(secret);
+    const step = verifyTotpCode(secret, code);
+
+    expect(verifyTotpCode(secret, code, step)).toBeNull();
+    expect(verifyTotpCode(secret, code, step + 1)).toBeNull();
+    expect(verifyTotpCode(secret, code, step - 1)).toBe(step);
+  });
+
+  describe('verifyUserCode', () => {
+    it('accetta un codice TOTP una sola volta', () => {
+      const user = buildUser(secret);
+      const code = authenticator.generate(secret);
+
+      expect(verifyUserCode(user, code)).toBe('totp');
+      expect(user.twoFactor.lastUsedStep).not.toBeNull();
+      expect(verifyUserCode(user, code)).toBeNull();
+    });
+
+    it('consuma i codici di recupero', () => {
+      const { codes, hashes } = generateRecoveryCodes();
+      const user = buildUser(secret, hashes);
+
+      expect(verifyUserCode(user, codes[0].toUpperCase())).toBe('recovery');
+      expect(verifyUserCode(user, codes[0])).toBeNull();
+      expect(countRemainingRecoveryCodes(user)).toBe(codes.length - 1);
+    });
+
+    it('non accetta codici se la verifica in due passaggi non è attiva', () => {
+      const user = buildUser(secret);
+      user.twoFactor.enabled = false;
+
+      expect(verifyUserCode(user, authenticator.generate(secret))).toBeNull();
+    });
+  });
+});